@@ -7,6 +7,7 @@ import {
     logAuditTrail 
 } from '../utils/logger.js';
 import { geocodingUtils as geocodeUtil } from '../utils/geocoding.js';
+import { resolveServiceArea } from '../utils/serviceAreas.js';
 
 
 // Get user addresses
@@ -531,32 +532,21 @@ export const checkServiceArea = async (req, res) => {
 
         const address = addresses[0];
 
-        // Check service areas (mock implementation)
-        const [serviceAreas] = await db.execute(
-            'SELECT * FROM service_areas WHERE is_active = 1'
-        );
-
-        let isServiced = false;
-        let serviceArea = null;
-        let deliveryFee = 0;
-
-        // Simple postal code check (in real implementation, would use geo boundaries)
-        for (const area of serviceAreas) {
-            const postalCodes = area.postal_codes ? area.postal_codes.split(',') : [];
-            if (postalCodes.includes(address.postal_code)) {
-                isServiced = true;
-                serviceArea = area;
-                deliveryFee = area.delivery_fee;
-                break;
-            }
-        }
+        const match = await resolveServiceArea({
+            lat: address.latitude,
+            lng: address.longitude,
+            postalCode: address.postal_code
+        });
+        const serviceArea = match ? match.area : null;
 
         res.json({
             address_id: addressId,
-            is_serviced: isServiced,
+            is_serviced: !!serviceArea,
+            matched_by: match ? match.matched_by : null,
             service_area: serviceArea ? {
+                id: serviceArea.id,
                 name: serviceArea.area_name,
-                delivery_fee: deliveryFee,
+                delivery_fee: serviceArea.delivery_fee,
                 delivery_time_hours: serviceArea.delivery_time_hours,
                 min_order_amount: serviceArea.min_order_amount
             } : null,
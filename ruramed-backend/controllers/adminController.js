@@ -1,7 +1,10 @@
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcrypt';
-import { db, checkDatabaseHealth } from '../config/database.js';
+import { db, withTransaction, checkDatabaseHealth } from '../config/database.js';
 import { cache } from '../utils/cache.js';
+import { attachOrderItems } from '../utils/orderItems.js';
+import { ORDER_STATUSES, ORDER_TRANSITIONS, transitionOrderStatus } from '../utils/orderStatus.js';
+import { processPendingRefunds } from '../utils/payments.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { 
@@ -206,12 +209,14 @@ export const getAnalyticsOverview = async (req, res) => {
 
         // Top medicines
         const [topMedicines] = await db.execute(
-            `SELECT m.name, COUNT(*) as order_count
-             FROM medicines m
-             JOIN orders o ON JSON_CONTAINS(o.medicines, JSON_OBJECT('id', m.id))
+            `SELECT m.name, COUNT(DISTINCT oi.order_id) as order_count,
+                    SUM(oi.quantity) as units_sold, SUM(oi.line_total) as revenue
+             FROM order_items oi
+             JOIN orders o ON oi.order_id = o.id
+             JOIN medicines m ON oi.medicine_id = m.id
              WHERE o.created_at >= CURDATE() - INTERVAL 30 DAY
              GROUP BY m.id, m.name
-             ORDER BY order_count DESC
+             ORDER BY order_count DESC, units_sold DESC
              LIMIT 10`
         );
 
@@ -629,12 +634,13 @@ export const getAllOrders = async (req, res) => {
         // Data query (inline LIMIT/OFFSET to avoid PS issues)
         const dataQuery = `SELECT o.*, u.name AS user_name, u.email AS user_email ${baseQuery} ORDER BY o.created_at DESC LIMIT ${Number(limit)} OFFSET ${Number(offset)}`;
         const [rows] = await db.execute(dataQuery, params);
+        const orders = await attachOrderItems(rows);
 
         // Count query with same filters
         const countQuery = `SELECT COUNT(*) as total ${baseQuery}`;
         const [[cnt]] = await db.execute(countQuery, params);
 
-        res.json({ orders: rows, pagination: { page, limit, total: cnt.total, pages: Math.ceil(cnt.total / limit) }, timestamp: new Date().toISOString() });
+        res.json({ orders, pagination: { page, limit, total: cnt.total, pages: Math.ceil(cnt.total / limit) }, timestamp: new Date().toISOString() });
     } catch (error) {
         logError(error, { operation: 'get_all_orders' });
         res.status(500).json({ error: 'Failed to fetch orders' });
@@ -644,14 +650,31 @@ export const getAllOrders = async (req, res) => {
 export const updateOrderStatus = async (req, res) => {
     const orderId = req.params.id;
     const { status } = req.body;
-    const allowed = ['pending','approved','out_for_delivery','delivered'];
-    if (!allowed.includes(status)) {
-        return res.status(400).json({ error: `Invalid status. Allowed: ${allowed.join(', ')}` });
+    const reason = req.body.reason ? String(req.body.reason).trim().slice(0, 255) : null;
+    const notes = req.body.notes ? String(req.body.notes).trim().slice(0, 255) : null;
+    if (!ORDER_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status. Allowed: ${ORDER_STATUSES.join(', ')}` });
+    }
+    if (status === 'rejected' && !reason) {
+        return res.status(400).json({ error: 'A reason is required to reject an order' });
     }
     try {
-        const [result] = await db.execute('UPDATE orders SET status = ? WHERE id = ?', [status, orderId]);
-        if (result.affectedRows === 0) return res.status(404).json({ error: 'Order not found' });
-        res.json({ message: 'Order status updated', order_id: orderId, status, timestamp: new Date().toISOString() });
+        const result = await withTransaction(connection =>
+            transitionOrderStatus(connection, orderId, status, { reason, notes, actorType: 'admin', actorId: req.user.id })
+        );
+        if (!result.found) return res.status(404).json({ error: 'Order not found' });
+        if (result.payment_required) {
+            return res.status(409).json({ error: `A prepaid order cannot move to ${status} until its payment is captured` });
+        }
+        if (!result.allowed) {
+            return res.status(409).json({
+                error: `Cannot move an order from ${result.from} to ${status}`,
+                allowed_next: ORDER_TRANSITIONS[result.from] || []
+            });
+        }
+        if (result.refunds_queued > 0) processPendingRefunds({ orderId });
+        logAuditTrail('UPDATE', 'order_status', req.user.id, { order_id: orderId, status: result.from }, { order_id: orderId, status, reason });
+        res.json({ message: 'Order status updated', order_id: orderId, status, refund_initiated: result.refunds_queued > 0, timestamp: new Date().toISOString() });
     } catch (error) {
         logError(error, { operation: 'update_order_status', order_id: orderId });
         res.status(500).json({ error: 'Failed to update order status' });
@@ -3,6 +3,7 @@ import bcrypt from 'bcrypt';
 import { db, withTransaction } from '../config/database.js';
 import { preparedQueries } from '../utils/queryBuilder.js';
 import { userCache } from '../utils/cache.js';
+import { mergeGuestCart } from '../utils/cart.js';
 import { 
     logger, 
     logAuthEvent, 
@@ -520,6 +521,16 @@ export const login = async (req, res) => {
             location: user.location
         }, 1800);
 
+        // Carry over the cart the user built while logged out
+        let cart;
+        if (Array.isArray(loginData.guest_cart) && loginData.guest_cart.length > 0) {
+            try {
+                cart = await mergeGuestCart(user.id, loginData.guest_cart);
+            } catch (e) {
+                logError(e, { context: 'merge_guest_cart_failed', user_id: user.id });
+            }
+        }
+
         logAuthEvent('user_login_success', user.id, clientIp, {
             email,
             device_fingerprint: deviceInfo.fingerprint,
@@ -539,6 +550,7 @@ export const login = async (req, res) => {
                 phone: user.phone,
                 location: user.location
             },
+            ...(cart && { cart }),
             timestamp: new Date().toISOString()
         };
 
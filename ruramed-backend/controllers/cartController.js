@@ -0,0 +1,197 @@
+import { logError } from '../utils/logger.js';
+import {
+    getCart as readCart,
+    addCartItem,
+    setCartItemQuantity,
+    removeCartItem,
+    clearCart as emptyCart,
+    mergeGuestCart
+} from '../utils/cart.js';
+
+// Answer a cart error the customer can fix, or a generic 500
+const sendCartError = (res, error, fallback) => {
+    if (error.status === 400 || error.status === 404) {
+        return res.status(error.status).json({
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    res.status(500).json({
+        error: fallback,
+        timestamp: new Date().toISOString()
+    });
+};
+
+// Get the cart, revalidated against the current catalog
+export const getCart = async (req, res) => {
+    const userId = req.user.id;
+
+    try {
+        const cart = await readCart(userId);
+
+        res.json({
+            cart,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'get_cart',
+            user_id: userId
+        });
+
+        res.status(500).json({
+            error: 'Failed to fetch cart',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// Add a medicine to the cart
+export const addItem = async (req, res) => {
+    const userId = req.user.id;
+    const { medicine_id, quantity = 1 } = req.validatedData;
+
+    try {
+        await addCartItem(userId, medicine_id, quantity);
+
+        res.status(201).json({
+            message: 'Added to cart',
+            cart: await readCart(userId),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'add_cart_item',
+            user_id: userId,
+            medicine_id
+        });
+
+        sendCartError(res, error, 'Failed to add to cart');
+    }
+};
+
+// Change the quantity of a cart line (0 removes it)
+export const updateItem = async (req, res) => {
+    const userId = req.user.id;
+    const { medicineId } = req.params;
+    const { quantity } = req.validatedData;
+
+    try {
+        const updated = await setCartItemQuantity(userId, medicineId, quantity);
+        if (!updated) {
+            return res.status(404).json({
+                error: 'Medicine is not in the cart',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            message: quantity === 0 ? 'Removed from cart' : 'Cart updated',
+            cart: await readCart(userId),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'update_cart_item',
+            user_id: userId,
+            medicine_id: medicineId
+        });
+
+        sendCartError(res, error, 'Failed to update cart');
+    }
+};
+
+// Remove a medicine from the cart
+export const removeItem = async (req, res) => {
+    const userId = req.user.id;
+    const { medicineId } = req.params;
+
+    try {
+        const removed = await removeCartItem(userId, medicineId);
+        if (!removed) {
+            return res.status(404).json({
+                error: 'Medicine is not in the cart',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            message: 'Removed from cart',
+            cart: await readCart(userId),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'remove_cart_item',
+            user_id: userId,
+            medicine_id: medicineId
+        });
+
+        sendCartError(res, error, 'Failed to remove from cart');
+    }
+};
+
+// Empty the cart
+export const clearCart = async (req, res) => {
+    const userId = req.user.id;
+
+    try {
+        await emptyCart(userId);
+
+        res.json({
+            message: 'Cart cleared',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'clear_cart',
+            user_id: userId
+        });
+
+        res.status(500).json({
+            error: 'Failed to clear cart',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// Merge the guest cart kept on the device into the user's cart (after login)
+export const mergeCart = async (req, res) => {
+    const userId = req.user.id;
+    const { items } = req.body || {};
+
+    if (!Array.isArray(items)) {
+        return res.status(400).json({
+            error: 'items must be an array of { medicine_id, quantity }',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    try {
+        const result = await mergeGuestCart(userId, items);
+
+        res.json({
+            message: 'Cart merged',
+            ...result,
+            cart: await readCart(userId),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'merge_cart',
+            user_id: userId
+        });
+
+        res.status(500).json({
+            error: 'Failed to merge cart',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
@@ -0,0 +1,385 @@
+import { db } from '../config/database.js';
+import { logError, logAuditTrail } from '../utils/logger.js';
+import { sanitizeField } from '../utils/validation.js';
+import { getCart } from '../utils/cart.js';
+import { evaluateCoupons, normalizeCouponCodes } from '../utils/coupons.js';
+import { TERMINAL_FAILURE_STATUSES } from '../utils/orderStatus.js';
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Preview coupons against the current cart; nothing is reserved until the order is placed
+export const applyCoupon = async (req, res) => {
+    const userId = req.user.id;
+    const codes = normalizeCouponCodes(req.body?.codes ?? req.body?.code);
+
+    if (codes.length === 0) {
+        return res.status(400).json({
+            error: 'code (or codes) is required',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    try {
+        const cart = await getCart(userId);
+        const lines = cart.items.filter(item => item.purchasable);
+
+        if (lines.length === 0) {
+            return res.status(400).json({
+                error: 'Cart has no items that can be ordered',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const result = await evaluateCoupons(
+            userId,
+            lines.map(item => ({ amount: item.line_total, category: item.category, manufacturer: item.manufacturer })),
+            codes
+        );
+
+        if (result.applied.length === 0) {
+            return res.status(400).json({
+                error: 'Coupon cannot be applied',
+                rejected: result.rejected,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            coupons: result.applied.map(({ coupon_id, ...coupon }) => coupon),
+            rejected: result.rejected,
+            items: lines.map((item, index) => ({
+                medicine_id: item.medicine_id,
+                line_total: item.line_total,
+                discount: result.line_discounts[index],
+                total: roundAmount(item.line_total - result.line_discounts[index])
+            })),
+            subtotal: cart.summary.subtotal,
+            discount: result.total_discount,
+            subtotal_after_discount: roundAmount(cart.summary.subtotal - result.total_discount),
+            // Pass these as coupon_codes to POST /api/orders
+            coupon_codes: result.applied.map(coupon => coupon.code),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'apply_coupon',
+            user_id: userId,
+            codes
+        });
+
+        res.status(500).json({
+            error: 'Failed to apply coupon',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// ADMIN-ONLY FUNCTIONS
+
+const formatCoupon = (coupon) => ({
+    id: coupon.id,
+    code: coupon.code,
+    description: coupon.description,
+    discount_type: coupon.discount_type,
+    discount_value: parseFloat(coupon.discount_value),
+    max_discount: coupon.max_discount === null ? null : parseFloat(coupon.max_discount),
+    min_order_amount: parseFloat(coupon.min_order_amount),
+    scope: coupon.scope,
+    scope_value: coupon.scope_value,
+    first_order_only: !!coupon.first_order_only,
+    usage_limit: coupon.usage_limit,
+    per_user_limit: coupon.per_user_limit,
+    is_stackable: !!coupon.is_stackable,
+    starts_at: coupon.starts_at,
+    ends_at: coupon.ends_at,
+    is_active: !!coupon.is_active,
+    times_used: Number(coupon.times_used || 0),
+    total_discount_given: parseFloat(coupon.total_discount_given || 0),
+    created_at: coupon.created_at
+});
+
+const parseOptionalDate = (value) => {
+    if (value === null || value === '') return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+};
+
+const parseOptionalLimit = (value) => {
+    if (value === null || value === '') return null;
+    const limit = Number(value);
+    return Number.isInteger(limit) && limit > 0 ? limit : undefined;
+};
+
+// Validate coupon input; with existing set, only supplied fields are checked and merged over it
+const validateCouponInput = (body, existing = null) => {
+    const errors = [];
+    const data = {};
+    const required = (field) => body[field] !== undefined || !existing;
+
+    if (required('code')) {
+        data.code = String(body.code || '').trim().toUpperCase();
+        if (!/^[A-Z0-9_-]{3,40}$/.test(data.code)) errors.push('code must be 3-40 letters, digits, - or _');
+    }
+
+    if (body.description !== undefined) {
+        data.description = sanitizeField(body.description, 255) || null;
+    }
+
+    if (required('discount_type')) {
+        data.discount_type = body.discount_type;
+        if (!['percent', 'flat'].includes(data.discount_type)) errors.push('discount_type must be percent or flat');
+    }
+
+    if (required('discount_value')) {
+        data.discount_value = Number(body.discount_value);
+        if (!Number.isFinite(data.discount_value) || data.discount_value <= 0) errors.push('discount_value must be a positive number');
+    }
+
+    if (body.max_discount !== undefined) {
+        data.max_discount = body.max_discount === null ? null : Number(body.max_discount);
+        if (data.max_discount !== null && (!Number.isFinite(data.max_discount) || data.max_discount <= 0)) {
+            errors.push('max_discount must be a positive number or null');
+        }
+    }
+
+    if (body.min_order_amount !== undefined) {
+        data.min_order_amount = Number(body.min_order_amount);
+        if (!Number.isFinite(data.min_order_amount) || data.min_order_amount < 0) errors.push('min_order_amount must be a non-negative number');
+    }
+
+    if (body.scope !== undefined) {
+        data.scope = body.scope;
+        if (!['order', 'category', 'manufacturer'].includes(data.scope)) errors.push('scope must be order, category or manufacturer');
+    }
+    if (body.scope_value !== undefined) {
+        data.scope_value = sanitizeField(body.scope_value, 255) || null;
+    }
+
+    for (const field of ['usage_limit', 'per_user_limit']) {
+        if (body[field] !== undefined) {
+            data[field] = parseOptionalLimit(body[field]);
+            if (data[field] === undefined) errors.push(`${field} must be a positive whole number or null`);
+        }
+    }
+
+    for (const field of ['starts_at', 'ends_at']) {
+        if (body[field] !== undefined) {
+            data[field] = parseOptionalDate(body[field]);
+            if (data[field] === undefined) errors.push(`${field} must be a date or null`);
+        }
+    }
+
+    for (const field of ['first_order_only', 'is_stackable', 'is_active']) {
+        if (body[field] !== undefined) data[field] = body[field] ? 1 : 0;
+    }
+
+    // Rules that depend on more than one field, checked on the merged result
+    const merged = { scope: 'order', scope_value: null, starts_at: null, ends_at: null, ...existing, ...data };
+    if (merged.discount_type === 'percent' && Number(merged.discount_value) > 100) {
+        errors.push('A percent discount_value cannot exceed 100');
+    }
+    if (merged.scope === 'order') {
+        if (data.scope === 'order') data.scope_value = null;
+    } else if (!merged.scope_value) {
+        errors.push(`scope_value is required for ${merged.scope} coupons`);
+    }
+    if (merged.starts_at && merged.ends_at && new Date(merged.ends_at) <= new Date(merged.starts_at)) {
+        errors.push('ends_at must be after starts_at');
+    }
+
+    return { errors, data };
+};
+
+const COUPON_USAGE_SQL = `
+    SELECT c.*, COUNT(o.id) as times_used, COALESCE(SUM(CASE WHEN o.id IS NOT NULL THEN cr.discount_amount END), 0) as total_discount_given
+    FROM coupons c
+    LEFT JOIN coupon_redemptions cr ON cr.coupon_id = c.id
+    LEFT JOIN orders o ON cr.order_id = o.id AND o.status NOT IN (${TERMINAL_FAILURE_STATUSES.map(() => '?').join(', ')})`;
+
+const getCouponById = async (id) => {
+    const [rows] = await db.execute(
+        `${COUPON_USAGE_SQL} WHERE c.id = ? GROUP BY c.id`,
+        [...TERMINAL_FAILURE_STATUSES, id]
+    );
+    return rows[0] || null;
+};
+
+// List coupons with usage (admin)
+export const getCoupons = async (req, res) => {
+    const { limit, offset } = req.pagination;
+    const includeInactive = req.query.include_inactive === 'true';
+
+    try {
+        const [coupons] = await db.execute(
+            `${COUPON_USAGE_SQL}
+             ${includeInactive ? '' : 'WHERE c.is_active = 1'}
+             GROUP BY c.id
+             ORDER BY c.created_at DESC
+             LIMIT ? OFFSET ?`,
+            [...TERMINAL_FAILURE_STATUSES, limit, offset]
+        );
+
+        res.json({
+            coupons: coupons.map(formatCoupon),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logError(error, { operation: 'get_coupons' });
+        res.status(500).json({ error: 'Failed to fetch coupons' });
+    }
+};
+
+// Create coupon (admin)
+export const createCoupon = async (req, res) => {
+    const adminId = req.user.id;
+    const { errors, data } = validateCouponInput(req.body);
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Invalid coupon',
+            details: errors,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    try {
+        const fields = [...Object.keys(data), 'created_by'];
+        const [result] = await db.execute(
+            `INSERT INTO coupons (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+            [...Object.values(data), adminId]
+        );
+
+        const coupon = await getCouponById(result.insertId);
+
+        logAuditTrail('CREATE', 'coupon', adminId, null, { coupon_id: result.insertId, ...data });
+
+        res.status(201).json({
+            message: 'Coupon created successfully',
+            coupon: formatCoupon(coupon),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                error: 'A coupon with this code already exists',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logError(error, {
+            operation: 'create_coupon',
+            code: data.code
+        });
+
+        res.status(500).json({
+            error: 'Failed to create coupon',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// Update coupon (admin); orders already placed keep the discount they got
+export const updateCoupon = async (req, res) => {
+    const { id } = req.params;
+    const adminId = req.user.id;
+
+    try {
+        const existing = await getCouponById(id);
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Coupon not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { errors, data } = validateCouponInput(req.body, existing);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid coupon',
+                details: errors,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const fields = Object.keys(data);
+        if (fields.length === 0) {
+            return res.status(400).json({
+                error: 'No fields to update',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        await db.execute(
+            `UPDATE coupons SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`,
+            [...Object.values(data), existing.id]
+        );
+
+        const coupon = await getCouponById(existing.id);
+
+        logAuditTrail('UPDATE', 'coupon', adminId, formatCoupon(existing), { coupon_id: existing.id, ...data });
+
+        res.json({
+            message: 'Coupon updated successfully',
+            coupon: formatCoupon(coupon),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                error: 'A coupon with this code already exists',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logError(error, {
+            operation: 'update_coupon',
+            id
+        });
+
+        res.status(500).json({
+            error: 'Failed to update coupon',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// Delete coupon (admin) - deactivated rather than removed, redemptions stay on their orders
+export const deleteCoupon = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const [result] = await db.execute(
+            'UPDATE coupons SET is_active = 0 WHERE id = ?',
+            [id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                error: 'Coupon not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logAuditTrail('DELETE', 'coupon', req.user.id, { coupon_id: id, is_active: true }, { is_active: false });
+
+        res.json({
+            message: 'Coupon deactivated successfully',
+            deleted_id: parseInt(id),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'delete_coupon',
+            id
+        });
+
+        res.status(500).json({
+            error: 'Failed to delete coupon',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
@@ -1,7 +1,41 @@
+import { db, withTransaction } from '../config/database.js';
 import { 
     logger, 
-    logError 
+    logError,
+    logAuditTrail,
+    logOrderOperation
 } from '../utils/logger.js';
+import { validateCoordinates, sanitizeField } from '../utils/validation.js';
+import {
+    DELIVERY_STATUSES,
+    CUSTOMER_EDITABLE_STATUSES,
+    ORDER_STATUS_FOR_DELIVERY,
+    canTransitionDelivery,
+    formatDeliveryAddress,
+    recordDeliveryEvent,
+    updateDeliveryState
+} from '../utils/deliveryTracking.js';
+import {
+    validateBoundary,
+    parsePostalCodes,
+    getActiveServiceAreas,
+    getServiceAreaById,
+    resolveServiceArea
+} from '../utils/serviceAreas.js';
+import { getFeeRules, quoteDeliveryFee } from '../utils/deliveryFees.js';
+import {
+    getPharmacies,
+    getPharmacyById,
+    openingStatus,
+    getServingPharmacies,
+    findDispatchPharmacy,
+    feeOriginPharmacy,
+    estimateDispatchMinutes
+} from '../utils/pharmacies.js';
+import { canTransitionOrder, awaitsPayment, transitionOrderStatus } from '../utils/orderStatus.js';
+import { planStockRoutes } from '../utils/inventory.js';
+import { scheduleUtils } from '../utils/doctorSchedule.js';
+import { serviceAreaCache } from '../utils/cache.js';
 
 // Mock geocoding service (in production, would use Google Maps, Mapbox, etc.)
 const mockGeocode = async (address) => {
@@ -338,19 +372,41 @@ export const getCityInfo = async (req, res) => {
 
 // DELIVERY-SPECIFIC FUNCTIONS
 
+// Public view of a service area
+const formatServiceArea = (area) => ({
+    id: area.id,
+    name: area.area_name,
+    city: area.city,
+    state: area.state,
+    postal_codes: area.postal_codes,
+    boundary: area.boundary_coordinates,
+    bounds: area.bounds,
+    delivery_fee_base: parseFloat(area.delivery_fee),
+    min_order_amount: parseFloat(area.min_order_amount),
+    free_delivery_threshold: area.free_delivery_threshold !== null ? parseFloat(area.free_delivery_threshold) : null,
+    dispatch_point: area.dispatch_latitude !== null && area.dispatch_longitude !== null ? {
+        lat: parseFloat(area.dispatch_latitude),
+        lng: parseFloat(area.dispatch_longitude)
+    } : null,
+    delivery_time_hours: area.delivery_time_hours,
+    is_active: !!area.is_active
+});
+
 // Check if coordinates are in service area
 export const checkServiceArea = async (req, res) => {
     const { lat, lng } = req.coordinates;
+    const postalCode = req.query.postal_code || null;
 
     try {
-        // Mock service area check - Delhi region
-        const isInServiceArea = lat >= 28.4 && lat <= 28.9 && lng >= 76.8 && lng <= 77.5;
+        const match = await resolveServiceArea({ lat, lng, postalCode });
         
         res.json({
             coordinates: { lat, lng },
-            is_serviceable: isInServiceArea,
-            service_area: isInServiceArea ? 'Delhi NCR' : null,
-            message: isInServiceArea ? 'Area is serviceable' : 'Area is not currently serviceable',
+            is_serviceable: !!match,
+            service_area: match ? match.area.area_name : null,
+            service_area_id: match ? match.area.id : null,
+            matched_by: match ? match.matched_by : null,
+            message: match ? 'Area is serviceable' : 'Area is not currently serviceable',
             timestamp: new Date().toISOString()
         });
 
@@ -370,22 +426,11 @@ export const checkServiceArea = async (req, res) => {
 // Get all service areas
 export const getServiceAreas = async (req, res) => {
     try {
-        const mockServiceAreas = [
-            {
-                id: 1,
-                name: 'Delhi NCR',
-                bounds: {
-                    northeast: { lat: 28.9, lng: 77.5 },
-                    southwest: { lat: 28.4, lng: 76.8 }
-                },
-                delivery_fee_base: 50,
-                is_active: true
-            }
-        ];
+        const areas = await getActiveServiceAreas();
 
         res.json({
-            service_areas: mockServiceAreas,
-            count: mockServiceAreas.length,
+            service_areas: areas.map(formatServiceArea),
+            count: areas.length,
             timestamp: new Date().toISOString()
         });
 
@@ -401,30 +446,91 @@ export const getServiceAreas = async (req, res) => {
     }
 };
 
-// Calculate delivery fee
+// medicine_ids query param ("12,40") -> [12, 40]
+const parseMedicineIds = (value) => [...new Set(
+    String(value || '').split(',').map(id => parseInt(id, 10)).filter(id => Number.isInteger(id) && id > 0)
+)].slice(0, 50);
+
+// medicine_ids query param with optional quantities ("12:2,40") -> [{ medicine_id: 12, quantity: 2 }, { medicine_id: 40, quantity: 1 }]
+const parseQuoteItems = (value) => {
+    const items = new Map();
+    for (const part of String(value || '').split(',')) {
+        const [id, quantity] = part.split(':').map(number => parseInt(number, 10));
+        if (!Number.isInteger(id) || id <= 0 || items.has(id)) continue;
+        items.set(id, {
+            medicine_id: id,
+            medicine_name: `Medicine ${id}`,
+            quantity: Number.isInteger(quantity) && quantity > 0 ? Math.min(quantity, 100) : 1
+        });
+    }
+    return [...items.values()].slice(0, 50);
+};
+
+// Pharmacy a drop would be served from: the nearest serving pharmacy, or with
+// medicine ids the nearest one stocking all of them. null pharmacy when none.
+const resolveDispatch = async ({ lat, lng, postalCode, medicineIds }) => {
+    const match = await resolveServiceArea({ lat, lng, postalCode });
+    if (!match) return { match: null, pharmacy: null };
+
+    const pharmacy = await findDispatchPharmacy({ serviceAreaId: match.area.id, lat, lng, medicineIds });
+    return { match, pharmacy };
+};
+
+// Dispatching pharmacy as shown in fee and ETA responses
+const formatDispatchPharmacy = (pharmacy) => pharmacy ? {
+    id: pharmacy.id,
+    name: pharmacy.name,
+    distance_km: pharmacy.distance_km,
+    ...openingStatus(pharmacy)
+} : null;
+
+// Calculate delivery fee. With the order's medicine ids (and quantities) the
+// lines are routed as createOrder routes them, so the quote is the fee charged;
+// without them it is priced from the nearest serving pharmacy
 export const calculateDeliveryFee = async (req, res) => {
     const { lat, lng } = req.coordinates;
-    const { order_value } = req.query;
+    const { order_value, postal_code } = req.query;
+    const items = parseQuoteItems(req.query.medicine_ids);
 
     try {
-        const orderValue = parseFloat(order_value) || 0;
-        let deliveryFee = 50; // Base fee
-        
-        // Free delivery for orders above 500
-        if (orderValue >= 500) {
-            deliveryFee = 0;
-        }
-        // Reduced fee for orders above 200
-        else if (orderValue >= 200) {
-            deliveryFee = 25;
+        const match = await resolveServiceArea({ lat, lng, postalCode: postal_code || null });
+        const pharmacies = match ? await getServingPharmacies({ serviceAreaId: match.area.id, lat, lng }) : [];
+
+        let pharmacy = pharmacies[0] || null;
+        let shipments = [];
+        let stockIssue = null;
+        if (items.length > 0 && pharmacies.length > 0) {
+            try {
+                const routes = await planStockRoutes(items, pharmacies.map(candidate => candidate.id));
+                pharmacy = feeOriginPharmacy(pharmacies, routes);
+                shipments = [...new Set(routes)].map(pharmacyId => ({
+                    pharmacy: formatDispatchPharmacy(pharmacies.find(candidate => candidate.id === pharmacyId)),
+                    medicine_ids: items.filter((item, index) => routes[index] === pharmacyId).map(item => item.medicine_id)
+                }));
+            } catch (error) {
+                if (error.status !== 400) throw error;
+                pharmacy = null;
+                stockIssue = error.message;
+            }
         }
 
+        // Priced from the dispatching pharmacy when it has a location, else the area's dispatch point
+        const quote = await quoteDeliveryFee({
+            lat,
+            lng,
+            postalCode: postal_code || null,
+            orderValue: parseFloat(order_value) || 0,
+            origin: pharmacy && pharmacy.latitude !== null && pharmacy.longitude !== null
+                ? { lat: pharmacy.latitude, lng: pharmacy.longitude }
+                : null
+        });
+
         res.json({
             coordinates: { lat, lng },
-            order_value: orderValue,
-            delivery_fee: deliveryFee,
-            free_delivery_threshold: 500,
-            discounted_delivery_threshold: 200,
+            ...quote,
+            pharmacy: formatDispatchPharmacy(pharmacy),
+            shipments,
+            stock_issue: stockIssue,
             timestamp: new Date().toISOString()
         });
 
@@ -442,24 +548,52 @@ export const calculateDeliveryFee = async (req, res) => {
     }
 };
 
-// Estimate delivery time
+// Estimate delivery time from the pharmacy that would dispatch the order
 export const estimateDeliveryTime = async (req, res) => {
     const { lat, lng } = req.coordinates;
+    const medicineIds = parseMedicineIds(req.query.medicine_ids);
 
     try {
-        // Mock delivery time estimation
-        const baseTime = 45; // minutes
-        const randomVariation = Math.floor(Math.random() * 30); // 0-30 minutes
-        const estimatedTime = baseTime + randomVariation;
+        const { match, pharmacy } = await resolveDispatch({
+            lat,
+            lng,
+            postalCode: req.query.postal_code || null,
+            medicineIds
+        });
+
+        if (!match || !pharmacy) {
+            return res.json({
+                coordinates: { lat, lng },
+                serviceable: false,
+                reason: !match
+                    ? 'Location is outside our service areas'
+                    : medicineIds.length > 0
+                        ? 'No nearby pharmacy has these medicines in stock'
+                        : 'No pharmacy delivers to this area yet',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const estimate = estimateDispatchMinutes(pharmacy);
+        const estimatedTime = estimate.total_minutes;
 
         res.json({
             coordinates: { lat, lng },
+            serviceable: true,
+            service_area: { id: match.area.id, name: match.area.area_name },
+            pharmacy: formatDispatchPharmacy(pharmacy),
             estimated_delivery_minutes: estimatedTime,
             estimated_delivery_time: `${Math.floor(estimatedTime / 60)}h ${estimatedTime % 60}m`,
             delivery_window: {
-                earliest: `${estimatedTime - 15} minutes`,
+                earliest: `${Math.max(estimatedTime - 15, 0)} minutes`,
                 latest: `${estimatedTime + 15} minutes`
             },
+            breakdown: {
+                wait_minutes: estimate.wait_minutes,
+                preparation_minutes: estimate.preparation_minutes,
+                travel_minutes: estimate.travel_minutes
+            },
+            sla_hours: match.area.delivery_time_hours,
             timestamp: new Date().toISOString()
         });
 
@@ -476,37 +610,66 @@ export const estimateDeliveryTime = async (req, res) => {
     }
 };
 
+// Load a user's delivery by order id (null if the order is not theirs)
+const findUserDelivery = async (orderId, userId) => {
+    const [rows] = await db.execute(
+        `SELECT dl.*, o.status as order_status
+         FROM deliveries dl
+         JOIN orders o ON dl.order_id = o.id
+         WHERE dl.order_id = ? AND o.user_id = ?`,
+        [orderId, userId]
+    );
+    return rows[0] || null;
+};
+
+// Shape a delivery row and its history for API responses
+const formatTracking = (delivery, history) => ({
+    order_id: delivery.order_id,
+    delivery_id: delivery.id,
+    status: delivery.status,
+    delivery_address: delivery.delivery_address,
+    scheduled_for: delivery.scheduled_for,
+    special_instructions: delivery.special_instructions,
+    current_location: delivery.last_latitude !== null && delivery.last_longitude !== null ? {
+        lat: parseFloat(delivery.last_latitude),
+        lng: parseFloat(delivery.last_longitude),
+        updated_at: delivery.last_location_at
+    } : null,
+    delivery_person: delivery.courier_name ? {
+        name: delivery.courier_name,
+        phone: delivery.courier_phone
+    } : null,
+    delivered_at: delivery.delivered_at,
+    tracking_history: history.map(entry => ({
+        status: entry.status,
+        notes: entry.notes,
+        location: entry.latitude !== null ? { lat: parseFloat(entry.latitude), lng: parseFloat(entry.longitude) } : null,
+        timestamp: entry.created_at
+    }))
+});
+
 // Track delivery (requires authentication)
 export const trackDelivery = async (req, res) => {
     const { orderId } = req.params;
-    const userId = req.user?.userId;
+    const userId = req.user.id;
 
     try {
-        // Mock delivery tracking data
-        const mockTrackingData = {
-            order_id: orderId,
-            user_id: userId,
-            status: 'in_transit',
-            current_location: {
-                lat: 28.6139,
-                lng: 77.2090,
-                address: 'Near Delhi Gate, Delhi'
-            },
-            estimated_arrival: '30 minutes',
-            delivery_person: {
-                name: 'Rahul Kumar',
-                phone: '+91-9999999999'
-            },
-            tracking_history: [
-                { status: 'confirmed', timestamp: new Date(Date.now() - 60000).toISOString() },
-                { status: 'preparing', timestamp: new Date(Date.now() - 45000).toISOString() },
-                { status: 'dispatched', timestamp: new Date(Date.now() - 30000).toISOString() },
-                { status: 'in_transit', timestamp: new Date().toISOString() }
-            ]
-        };
+        const delivery = await findUserDelivery(orderId, userId);
+        if (!delivery) {
+            return res.status(404).json({
+                error: 'Delivery not found',
+                message: 'No delivery exists for this order',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const [history] = await db.execute(
+            'SELECT status, notes, latitude, longitude, created_at FROM delivery_status_history WHERE delivery_id = ? ORDER BY created_at, id',
+            [delivery.id]
+        );
 
         res.json({
-            tracking: mockTrackingData,
+            tracking: formatTracking(delivery, history),
             timestamp: new Date().toISOString()
         });
 
@@ -526,24 +689,74 @@ export const trackDelivery = async (req, res) => {
 
 // Schedule delivery (requires authentication)
 export const scheduleDelivery = async (req, res) => {
-    const userId = req.user?.userId;
+    const userId = req.user.id;
     const { order_id, preferred_time, special_instructions } = req.body;
 
+    const preferredTime = new Date(preferred_time);
+    if (!order_id || !preferred_time || isNaN(preferredTime.getTime())) {
+        return res.status(400).json({
+            error: 'order_id and a valid preferred_time are required',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    if (preferredTime.getTime() <= Date.now()) {
+        return res.status(400).json({
+            error: 'preferred_time must be in the future',
+            timestamp: new Date().toISOString()
+        });
+    }
+
     try {
-        // Mock delivery scheduling
-        const mockScheduleData = {
-            schedule_id: `SCH_${Date.now()}`,
-            order_id,
-            user_id: userId,
-            preferred_time,
-            special_instructions,
-            status: 'scheduled',
-            estimated_delivery: preferred_time || new Date(Date.now() + 60 * 60 * 1000).toISOString()
-        };
+        const delivery = await findUserDelivery(order_id, userId);
+        if (!delivery) {
+            return res.status(404).json({
+                error: 'Delivery not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!CUSTOMER_EDITABLE_STATUSES.includes(delivery.status)) {
+            return res.status(400).json({
+                error: 'Delivery cannot be rescheduled',
+                message: `Deliveries that are ${delivery.status} cannot be rescheduled`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const instructions = special_instructions !== undefined
+            ? sanitizeField(special_instructions, 500) || null
+            : delivery.special_instructions;
+        // An assigned courier keeps the delivery; otherwise it becomes scheduled
+        const nextStatus = delivery.status === 'assigned' ? 'assigned' : 'scheduled';
+
+        await withTransaction(async (connection) => {
+            await connection.execute(
+                'UPDATE deliveries SET scheduled_for = ?, special_instructions = ?, status = ? WHERE id = ?',
+                [preferredTime, instructions, nextStatus, delivery.id]
+            );
+
+            await recordDeliveryEvent(connection, delivery.id, nextStatus, {
+                notes: `Delivery scheduled for ${preferredTime.toISOString()}`,
+                actorType: 'user',
+                actorId: userId
+            });
+        });
+
+        logOrderOperation('delivery_scheduled', order_id, userId, {
+            delivery_id: delivery.id,
+            scheduled_for: preferredTime.toISOString()
+        });
 
         res.status(201).json({
             message: 'Delivery scheduled successfully',
-            schedule: mockScheduleData,
+            schedule: {
+                delivery_id: delivery.id,
+                order_id: delivery.order_id,
+                status: nextStatus,
+                scheduled_for: preferredTime.toISOString(),
+                special_instructions: instructions
+            },
             timestamp: new Date().toISOString()
         });
 
@@ -564,24 +777,86 @@ export const scheduleDelivery = async (req, res) => {
 // Update delivery address (requires authentication)
 export const updateDeliveryAddress = async (req, res) => {
     const { orderId } = req.params;
-    const userId = req.user?.userId;
-    const { new_address, coordinates } = req.body;
+    const userId = req.user.id;
+    const { address_id } = req.body;
+
+    if (!address_id) {
+        return res.status(400).json({
+            error: 'address_id is required',
+            timestamp: new Date().toISOString()
+        });
+    }
 
     try {
-        // Mock address update
-        const mockUpdateData = {
-            order_id: orderId,
-            user_id: userId,
-            old_address: 'Previous address placeholder',
-            new_address,
-            new_coordinates: coordinates,
-            update_fee: 0, // No charge for address updates
-            status: 'address_updated'
-        };
+        const delivery = await findUserDelivery(orderId, userId);
+        if (!delivery) {
+            return res.status(404).json({
+                error: 'Delivery not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!CUSTOMER_EDITABLE_STATUSES.includes(delivery.status)) {
+            return res.status(400).json({
+                error: 'Address cannot be changed',
+                message: `The address of a delivery that is ${delivery.status} cannot be changed`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const [addresses] = await db.execute(
+            'SELECT * FROM addresses WHERE id = ? AND user_id = ?',
+            [address_id, userId]
+        );
+
+        if (addresses.length === 0) {
+            return res.status(400).json({
+                error: 'Invalid address',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const address = addresses[0];
+        const newAddress = formatDeliveryAddress(address);
+
+        await withTransaction(async (connection) => {
+            await connection.execute(
+                `UPDATE deliveries 
+                 SET address_id = ?, delivery_address = ?, delivery_latitude = ?, delivery_longitude = ? 
+                 WHERE id = ?`,
+                [address.id, newAddress, address.latitude, address.longitude, delivery.id]
+            );
+
+            await connection.execute(
+                'UPDATE orders SET address_id = ? WHERE id = ?',
+                [address.id, delivery.order_id]
+            );
+
+            await recordDeliveryEvent(connection, delivery.id, delivery.status, {
+                notes: 'Delivery address changed',
+                actorType: 'user',
+                actorId: userId
+            });
+        });
+
+        logAuditTrail('UPDATE', 'delivery_address', userId,
+            { delivery_id: delivery.id, address_id: delivery.address_id, delivery_address: delivery.delivery_address },
+            { delivery_id: delivery.id, address_id: address.id, delivery_address: newAddress }
+        );
 
         res.json({
             message: 'Delivery address updated successfully',
-            update: mockUpdateData,
+            update: {
+                order_id: delivery.order_id,
+                delivery_id: delivery.id,
+                old_address: delivery.delivery_address,
+                new_address: newAddress,
+                new_coordinates: address.latitude !== null ? {
+                    lat: parseFloat(address.latitude),
+                    lng: parseFloat(address.longitude)
+                } : null,
+                status: delivery.status
+            },
             timestamp: new Date().toISOString()
         });
 
@@ -603,31 +878,43 @@ export const updateDeliveryAddress = async (req, res) => {
 
 // Get all deliveries (admin)
 export const getAllDeliveries = async (req, res) => {
-    const { page = 1, limit = 20, status } = req.query;
+    const { page = 1, limit = 20, offset = 0 } = req.pagination || {};
+    const { status } = req.query;
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({
+            error: `Invalid status. Allowed: ${DELIVERY_STATUSES.join(', ')}`,
+            timestamp: new Date().toISOString()
+        });
+    }
 
     try {
-        // Mock delivery list for admin
-        const mockDeliveries = Array.from({ length: 5 }, (_, i) => ({
-            id: `DEL_${1000 + i}`,
-            order_id: `ORD_${2000 + i}`,
-            customer_name: `Customer ${i + 1}`,
-            address: `Address ${i + 1}, Delhi`,
-            status: ['pending', 'in_transit', 'delivered'][i % 3],
-            delivery_person: `Delivery Person ${i + 1}`,
-            created_at: new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString()
-        }));
-
-        const filteredDeliveries = status ? 
-            mockDeliveries.filter(d => d.status === status) : 
-            mockDeliveries;
+        const whereClause = status ? 'WHERE dl.status = ?' : '';
+        const params = status ? [status] : [];
+
+        const [deliveries] = await db.execute(
+            `SELECT dl.*, o.status as order_status, o.total_amount, u.name as customer_name, u.phone as customer_phone
+             FROM deliveries dl
+             JOIN orders o ON dl.order_id = o.id
+             JOIN users u ON o.user_id = u.id
+             ${whereClause}
+             ORDER BY dl.created_at DESC
+             LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+
+        const [[{ total }]] = await db.execute(
+            `SELECT COUNT(*) as total FROM deliveries dl ${whereClause}`,
+            params
+        );
 
         res.json({
-            deliveries: filteredDeliveries,
+            deliveries,
             pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                total: filteredDeliveries.length,
-                pages: Math.ceil(filteredDeliveries.length / parseInt(limit))
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
             },
             timestamp: new Date().toISOString()
         });
@@ -647,31 +934,140 @@ export const getAllDeliveries = async (req, res) => {
     }
 };
 
+// Validate service area input; with partial=true only supplied fields are checked
+const validateServiceAreaInput = (body, { partial = false } = {}) => {
+    const errors = [];
+    const data = {};
+
+    const name = body.area_name ?? body.name;
+    if (name !== undefined || !partial) {
+        const value = sanitizeField(name, 100);
+        if (!value) errors.push('area_name is required');
+        data.area_name = value;
+    }
+
+    for (const field of ['city', 'state']) {
+        if (body[field] !== undefined || !partial) {
+            const value = sanitizeField(body[field], 100);
+            if (!value) errors.push(`${field} is required`);
+            data[field] = value;
+        }
+    }
+
+    if (body.postal_codes !== undefined) {
+        const codes = parsePostalCodes(body.postal_codes);
+        if (codes.some(code => !/^[A-Za-z0-9 -]{3,10}$/.test(code))) {
+            errors.push('postal_codes contains an invalid code');
+        }
+        data.postal_codes = codes.length > 0 ? codes.join(',') : null;
+    }
+
+    const boundary = body.boundary ?? body.boundary_coordinates;
+    if (boundary !== undefined) {
+        if (boundary === null) {
+            data.boundary_coordinates = null;
+        } else {
+            const result = validateBoundary(boundary);
+            if (!result.isValid) {
+                errors.push(result.error);
+            } else {
+                data.boundary_coordinates = JSON.stringify(result.geometry);
+            }
+        }
+    }
+
+    const fee = body.delivery_fee ?? body.delivery_fee_base;
+    const numericFields = {
+        delivery_fee: fee,
+        min_order_amount: body.min_order_amount,
+        delivery_time_hours: body.delivery_time_hours
+    };
+    for (const [field, value] of Object.entries(numericFields)) {
+        if (value === undefined) continue;
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0) {
+            errors.push(`${field} must be a non-negative number`);
+        } else {
+            data[field] = field === 'delivery_time_hours' ? Math.round(number) : number;
+        }
+    }
+
+    if (body.free_delivery_threshold !== undefined) {
+        const threshold = body.free_delivery_threshold === null ? null : Number(body.free_delivery_threshold);
+        if (threshold !== null && (!Number.isFinite(threshold) || threshold < 0)) {
+            errors.push('free_delivery_threshold must be a non-negative number or null');
+        } else {
+            data.free_delivery_threshold = threshold;
+        }
+    }
+
+    const dispatch = body.dispatch_point;
+    if (dispatch !== undefined) {
+        if (dispatch === null) {
+            data.dispatch_latitude = null;
+            data.dispatch_longitude = null;
+        } else {
+            const result = validateCoordinates(dispatch.lat, dispatch.lng);
+            if (!result.isValid) {
+                errors.push(`dispatch_point: ${result.error}`);
+            } else {
+                data.dispatch_latitude = result.sanitized.lat;
+                data.dispatch_longitude = result.sanitized.lng;
+            }
+        }
+    }
+
+    if (body.is_active !== undefined) {
+        data.is_active = body.is_active ? 1 : 0;
+    }
+
+    if (!partial && !data.boundary_coordinates && !data.postal_codes) {
+        errors.push('Provide a boundary polygon, postal_codes, or both');
+    }
+
+    return { errors, data };
+};
+
 // Create service area (admin)
 export const createServiceArea = async (req, res) => {
-    const { name, bounds, delivery_fee_base } = req.body;
+    const adminId = req.user.id;
+    const { errors, data } = validateServiceAreaInput(req.body);
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Invalid service area',
+            details: errors,
+            timestamp: new Date().toISOString()
+        });
+    }
 
     try {
-        const mockServiceArea = {
-            id: Date.now(),
-            name,
-            bounds,
-            delivery_fee_base,
-            is_active: true,
-            created_at: new Date().toISOString()
-        };
+        const fields = Object.keys(data);
+        const [result] = await db.execute(
+            `INSERT INTO service_areas (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+            Object.values(data)
+        );
+
+        serviceAreaCache.invalidate();
+
+        const serviceArea = await getServiceAreaById(result.insertId);
+
+        logAuditTrail('CREATE', 'service_area', adminId, null, {
+            service_area_id: result.insertId,
+            area_name: data.area_name,
+            has_boundary: !!data.boundary_coordinates
+        });
 
         res.status(201).json({
             message: 'Service area created successfully',
-            service_area: mockServiceArea,
+            service_area: formatServiceArea(serviceArea),
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
         logError(error, {
             operation: 'create_service_area',
-            name,
-            bounds
+            area_name: data.area_name
         });
 
         res.status(500).json({
@@ -684,18 +1080,61 @@ export const createServiceArea = async (req, res) => {
 // Update service area (admin)
 export const updateServiceArea = async (req, res) => {
     const { id } = req.params;
-    const updates = req.body;
+    const adminId = req.user.id;
+    const { errors, data } = validateServiceAreaInput(req.body, { partial: true });
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Invalid service area',
+            details: errors,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const fields = Object.keys(data);
+    if (fields.length === 0) {
+        return res.status(400).json({
+            error: 'No fields to update',
+            timestamp: new Date().toISOString()
+        });
+    }
 
     try {
-        const mockUpdatedArea = {
-            id: parseInt(id),
-            ...updates,
-            updated_at: new Date().toISOString()
-        };
+        const existing = await getServiceAreaById(id);
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Service area not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const boundaryAfter = 'boundary_coordinates' in data ? data.boundary_coordinates : existing.boundary_coordinates;
+        const postalCodesAfter = 'postal_codes' in data ? data.postal_codes : existing.postal_codes.join(',');
+        if (!boundaryAfter && !postalCodesAfter) {
+            return res.status(400).json({
+                error: 'Invalid service area',
+                details: ['A service area needs a boundary polygon or postal_codes'],
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        await db.execute(
+            `UPDATE service_areas SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`,
+            [...Object.values(data), id]
+        );
+
+        serviceAreaCache.invalidate();
+
+        const serviceArea = await getServiceAreaById(id);
+
+        logAuditTrail('UPDATE', 'service_area', adminId,
+            { service_area_id: existing.id, fields },
+            { service_area_id: existing.id, ...data }
+        );
 
         res.json({
             message: 'Service area updated successfully',
-            service_area: mockUpdatedArea,
+            service_area: formatServiceArea(serviceArea),
             timestamp: new Date().toISOString()
         });
 
@@ -703,7 +1142,7 @@ export const updateServiceArea = async (req, res) => {
         logError(error, {
             operation: 'update_service_area',
             id,
-            updates
+            fields
         });
 
         res.status(500).json({
@@ -713,13 +1152,29 @@ export const updateServiceArea = async (req, res) => {
     }
 };
 
-// Delete service area (admin)
+// Delete service area (admin) - deactivated rather than removed
 export const deleteServiceArea = async (req, res) => {
     const { id } = req.params;
 
     try {
+        const [result] = await db.execute(
+            'UPDATE service_areas SET is_active = 0 WHERE id = ?',
+            [id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                error: 'Service area not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        serviceAreaCache.invalidate();
+
+        logAuditTrail('DELETE', 'service_area', req.user.id, { service_area_id: id, is_active: true }, { is_active: false });
+
         res.json({
-            message: 'Service area deleted successfully',
+            message: 'Service area deactivated successfully',
             deleted_id: parseInt(id),
             timestamp: new Date().toISOString()
         });
@@ -737,24 +1192,706 @@ export const deleteServiceArea = async (req, res) => {
     }
 };
 
+// Admin view of a pharmacy
+const formatPharmacy = (pharmacy) => ({
+    id: pharmacy.id,
+    name: pharmacy.name,
+    code: pharmacy.code,
+    phone: pharmacy.phone,
+    address: pharmacy.address,
+    city: pharmacy.city,
+    state: pharmacy.state,
+    postal_code: pharmacy.postal_code,
+    location: pharmacy.latitude !== null && pharmacy.longitude !== null
+        ? { lat: pharmacy.latitude, lng: pharmacy.longitude }
+        : null,
+    timezone: pharmacy.timezone,
+    preparation_minutes: pharmacy.preparation_minutes,
+    hours: pharmacy.hours,
+    // Empty = serves every service area
+    service_area_ids: pharmacy.service_area_ids,
+    ...openingStatus(pharmacy),
+    is_active: pharmacy.is_active
+});
+
+// Validate pharmacy input; with partial=true only supplied fields are checked
+const validatePharmacyInput = (body, { partial = false } = {}) => {
+    const errors = [];
+    const data = {};
+
+    if (body.name !== undefined || !partial) {
+        data.name = sanitizeField(body.name, 150);
+        if (!data.name) errors.push('name is required');
+    }
+
+    if (body.code !== undefined || !partial) {
+        data.code = String(body.code || '').trim().toUpperCase();
+        if (!/^[A-Z0-9_-]{2,30}$/.test(data.code)) errors.push('code must be 2-30 letters, digits, - or _');
+    }
+
+    for (const [field, maxLength] of [['phone', 20], ['address', 500], ['city', 100], ['state', 100], ['postal_code', 10]]) {
+        if (body[field] !== undefined) {
+            data[field] = sanitizeField(body[field], maxLength) || null;
+        }
+    }
+
+    if (body.location !== undefined) {
+        if (body.location === null) {
+            data.latitude = null;
+            data.longitude = null;
+        } else {
+            const result = validateCoordinates(body.location?.lat, body.location?.lng);
+            if (!result.isValid) {
+                errors.push(`location: ${result.error}`);
+            } else {
+                data.latitude = result.sanitized.lat;
+                data.longitude = result.sanitized.lng;
+            }
+        }
+    }
+
+    if (body.timezone !== undefined) {
+        if (!scheduleUtils.isValidTimezone(body.timezone)) errors.push('timezone must be an IANA time zone');
+        data.timezone = body.timezone;
+    }
+
+    if (body.preparation_minutes !== undefined) {
+        const minutes = Number(body.preparation_minutes);
+        if (!Number.isInteger(minutes) || minutes < 0 || minutes > 24 * 60) {
+            errors.push('preparation_minutes must be a whole number of minutes up to 1440');
+        }
+        data.preparation_minutes = minutes;
+    }
+
+    if (body.is_active !== undefined) {
+        data.is_active = body.is_active ? 1 : 0;
+    }
+
+    let hours;
+    if (body.hours !== undefined) {
+        if (!Array.isArray(body.hours)) {
+            errors.push('hours must be an array');
+        } else {
+            hours = body.hours.map((window, index) => {
+                const dayOfWeek = Number(window.day_of_week);
+                const open = scheduleUtils.toMinutes(window.open_time);
+                const close = scheduleUtils.toMinutes(window.close_time);
+                if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+                    errors.push(`Hours ${index + 1}: day_of_week must be 0-6`);
+                }
+                if (open === null || close === null || open >= close) {
+                    errors.push(`Hours ${index + 1}: open_time and close_time must be HH:mm with open before close`);
+                }
+                return { day_of_week: dayOfWeek, open_time: window.open_time, close_time: window.close_time };
+            });
+
+            for (let day = 0; day < 7; day++) {
+                const windows = hours
+                    .filter(window => window.day_of_week === day)
+                    .sort((a, b) => scheduleUtils.toMinutes(a.open_time) - scheduleUtils.toMinutes(b.open_time));
+                if (windows.some((window, i) => i > 0 &&
+                    scheduleUtils.toMinutes(window.open_time) < scheduleUtils.toMinutes(windows[i - 1].close_time))) {
+                    errors.push(`Hours on day ${day} overlap`);
+                }
+            }
+        }
+    }
+
+    let serviceAreaIds;
+    if (body.service_area_ids !== undefined) {
+        if (!Array.isArray(body.service_area_ids) || !body.service_area_ids.every(id => Number.isInteger(Number(id)) && Number(id) > 0)) {
+            errors.push('service_area_ids must be an array of service area ids');
+        } else {
+            serviceAreaIds = [...new Set(body.service_area_ids.map(Number))];
+        }
+    }
+
+    return { errors, data, hours, serviceAreaIds };
+};
+
+// Replace a pharmacy's opening hours and/or covered service areas
+const savePharmacySchedule = async (connection, pharmacyId, hours, serviceAreaIds) => {
+    if (hours) {
+        await connection.execute('DELETE FROM pharmacy_hours WHERE pharmacy_id = ?', [pharmacyId]);
+        for (const window of hours) {
+            await connection.execute(
+                'INSERT INTO pharmacy_hours (pharmacy_id, day_of_week, open_time, close_time) VALUES (?, ?, ?, ?)',
+                [pharmacyId, window.day_of_week, window.open_time, window.close_time]
+            );
+        }
+    }
+
+    if (serviceAreaIds) {
+        await connection.execute('DELETE FROM pharmacy_service_areas WHERE pharmacy_id = ?', [pharmacyId]);
+        for (const areaId of serviceAreaIds) {
+            await connection.execute(
+                'INSERT INTO pharmacy_service_areas (pharmacy_id, service_area_id) VALUES (?, ?)',
+                [pharmacyId, areaId]
+            );
+        }
+    }
+};
+
+// Service area ids that do not exist
+const findUnknownServiceAreas = async (serviceAreaIds) => {
+    if (!serviceAreaIds || serviceAreaIds.length === 0) return [];
+    const [rows] = await db.execute(
+        `SELECT id FROM service_areas WHERE id IN (${serviceAreaIds.map(() => '?').join(', ')})`,
+        serviceAreaIds
+    );
+    const known = new Set(rows.map(row => row.id));
+    return serviceAreaIds.filter(id => !known.has(id));
+};
+
+// Get pharmacies with a stock summary (admin)
+export const getPharmaciesAdmin = async (req, res) => {
+    try {
+        const pharmacies = await getPharmacies({ includeInactive: req.query.include_inactive === 'true' });
+
+        const [stock] = await db.execute(
+            `SELECT pharmacy_id, COUNT(CASE WHEN quantity_on_hand > 0 THEN 1 END) as medicines_in_stock,
+                    COALESCE(SUM(quantity_on_hand), 0) as units_on_hand, COALESCE(SUM(quantity_reserved), 0) as units_reserved
+             FROM pharmacy_stock GROUP BY pharmacy_id`
+        );
+        const stockByPharmacy = new Map(stock.map(row => [row.pharmacy_id, row]));
+
+        res.json({
+            pharmacies: pharmacies.map(pharmacy => {
+                const summary = stockByPharmacy.get(pharmacy.id);
+                return {
+                    ...formatPharmacy(pharmacy),
+                    stock: {
+                        medicines_in_stock: Number(summary?.medicines_in_stock || 0),
+                        units_on_hand: Number(summary?.units_on_hand || 0),
+                        units_reserved: Number(summary?.units_reserved || 0)
+                    }
+                };
+            }),
+            count: pharmacies.length,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'get_pharmacies_admin'
+        });
+
+        res.status(500).json({
+            error: 'Failed to get pharmacies',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// Create pharmacy (admin)
+export const createPharmacy = async (req, res) => {
+    const adminId = req.user.id;
+    const { errors, data, hours, serviceAreaIds } = validatePharmacyInput(req.body);
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Invalid pharmacy',
+            details: errors,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    try {
+        const unknownAreas = await findUnknownServiceAreas(serviceAreaIds);
+        if (unknownAreas.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid pharmacy',
+                details: [`Unknown service areas: ${unknownAreas.join(', ')}`],
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const pharmacyId = await withTransaction(async (connection) => {
+            const fields = Object.keys(data);
+            const [result] = await connection.execute(
+                `INSERT INTO pharmacies (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+                Object.values(data)
+            );
+            await savePharmacySchedule(connection, result.insertId, hours, serviceAreaIds);
+            return result.insertId;
+        });
+
+        const pharmacy = await getPharmacyById(pharmacyId);
+
+        logAuditTrail('CREATE', 'pharmacy', adminId, null, {
+            pharmacy_id: pharmacyId,
+            code: data.code,
+            service_area_ids: serviceAreaIds || []
+        });
+
+        res.status(201).json({
+            message: 'Pharmacy created successfully',
+            pharmacy: formatPharmacy(pharmacy),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                error: 'A pharmacy with this code already exists',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logError(error, {
+            operation: 'create_pharmacy',
+            code: data.code
+        });
+
+        res.status(500).json({
+            error: 'Failed to create pharmacy',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// Update pharmacy (admin); hours and service_area_ids replace the stored lists
+export const updatePharmacy = async (req, res) => {
+    const { id } = req.params;
+    const adminId = req.user.id;
+    const { errors, data, hours, serviceAreaIds } = validatePharmacyInput(req.body, { partial: true });
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Invalid pharmacy',
+            details: errors,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const fields = Object.keys(data);
+    if (fields.length === 0 && !hours && !serviceAreaIds) {
+        return res.status(400).json({
+            error: 'No fields to update',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    try {
+        const existing = await getPharmacyById(id);
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Pharmacy not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const unknownAreas = await findUnknownServiceAreas(serviceAreaIds);
+        if (unknownAreas.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid pharmacy',
+                details: [`Unknown service areas: ${unknownAreas.join(', ')}`],
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        await withTransaction(async (connection) => {
+            if (fields.length > 0) {
+                await connection.execute(
+                    `UPDATE pharmacies SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`,
+                    [...Object.values(data), existing.id]
+                );
+            }
+            await savePharmacySchedule(connection, existing.id, hours, serviceAreaIds);
+        });
+
+        const pharmacy = await getPharmacyById(existing.id);
+
+        logAuditTrail('UPDATE', 'pharmacy', adminId,
+            { pharmacy_id: existing.id, hours: existing.hours, service_area_ids: existing.service_area_ids },
+            { pharmacy_id: existing.id, ...data, hours, service_area_ids: serviceAreaIds }
+        );
+
+        res.json({
+            message: 'Pharmacy updated successfully',
+            pharmacy: formatPharmacy(pharmacy),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                error: 'A pharmacy with this code already exists',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logError(error, {
+            operation: 'update_pharmacy',
+            id,
+            fields
+        });
+
+        res.status(500).json({
+            error: 'Failed to update pharmacy',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// Delete pharmacy (admin) - deactivated rather than removed; open orders it is filling are unaffected
+export const deletePharmacy = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const [result] = await db.execute(
+            'UPDATE pharmacies SET is_active = 0 WHERE id = ?',
+            [id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                error: 'Pharmacy not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logAuditTrail('DELETE', 'pharmacy', req.user.id, { pharmacy_id: id, is_active: true }, { is_active: false });
+
+        res.json({
+            message: 'Pharmacy deactivated successfully',
+            deleted_id: parseInt(id),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'delete_pharmacy',
+            id
+        });
+
+        res.status(500).json({
+            error: 'Failed to delete pharmacy',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// Validate fee slabs and surge windows for a PUT of the fee rules
+const validateFeeRules = (slabs, surgeWindows) => {
+    const errors = [];
+
+    if (!Array.isArray(slabs) || !Array.isArray(surgeWindows)) {
+        return { errors: ['slabs and surge_windows must be arrays'] };
+    }
+
+    const parsedSlabs = slabs.map((slab, index) => {
+        const minKm = Number(slab.min_km ?? 0);
+        const maxKm = slab.max_km === null || slab.max_km === undefined ? null : Number(slab.max_km);
+        const fee = Number(slab.fee);
+        if (!Number.isFinite(minKm) || minKm < 0) errors.push(`Slab ${index + 1}: min_km must be a non-negative number`);
+        if (maxKm !== null && (!Number.isFinite(maxKm) || maxKm <= minKm)) errors.push(`Slab ${index + 1}: max_km must be greater than min_km`);
+        if (!Number.isFinite(fee) || fee < 0) errors.push(`Slab ${index + 1}: fee must be a non-negative number`);
+        return { min_km: minKm, max_km: maxKm, fee };
+    }).sort((a, b) => a.min_km - b.min_km);
+
+    for (let i = 1; i < parsedSlabs.length; i++) {
+        const previous = parsedSlabs[i - 1];
+        if (previous.max_km === null || previous.max_km > parsedSlabs[i].min_km) {
+            errors.push('Distance slabs must not overlap');
+            break;
+        }
+    }
+
+    const parsedWindows = surgeWindows.map((window, index) => {
+        const dayOfWeek = window.day_of_week === null || window.day_of_week === undefined ? null : Number(window.day_of_week);
+        const multiplier = Number(window.multiplier);
+        if (dayOfWeek !== null && (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6)) {
+            errors.push(`Surge window ${index + 1}: day_of_week must be 0-6 or null`);
+        }
+        if (scheduleUtils.toMinutes(window.start_time) === null || scheduleUtils.toMinutes(window.end_time) === null) {
+            errors.push(`Surge window ${index + 1}: start_time and end_time must be HH:mm`);
+        } else if (window.start_time === window.end_time) {
+            errors.push(`Surge window ${index + 1}: start_time and end_time must differ`);
+        }
+        if (!Number.isFinite(multiplier) || multiplier < 1 || multiplier > 5) {
+            errors.push(`Surge window ${index + 1}: multiplier must be between 1 and 5`);
+        }
+        return {
+            day_of_week: dayOfWeek,
+            start_time: window.start_time,
+            end_time: window.end_time,
+            multiplier,
+            label: sanitizeField(window.label, 100) || null,
+            is_active: window.is_active === undefined || window.is_active ? 1 : 0
+        };
+    });
+
+    return { errors, slabs: parsedSlabs, surgeWindows: parsedWindows };
+};
+
+// Load the fee rules stored for one scope (a service area, or the global defaults when areaId is null)
+const loadFeeRules = async (areaId) => {
+    const scope = areaId === null ? 'service_area_id IS NULL' : 'service_area_id = ?';
+    const params = areaId === null ? [] : [areaId];
+
+    const [slabs] = await db.execute(
+        `SELECT id, min_km, max_km, fee FROM delivery_fee_slabs WHERE ${scope} ORDER BY min_km`,
+        params
+    );
+    const [surgeWindows] = await db.execute(
+        `SELECT id, day_of_week, TIME_FORMAT(start_time, '%H:%i') as start_time, TIME_FORMAT(end_time, '%H:%i') as end_time,
+                multiplier, label, is_active
+         FROM delivery_surge_windows WHERE ${scope} ORDER BY day_of_week, start_time`,
+        params
+    );
+
+    return {
+        slabs: slabs.map(slab => ({
+            id: slab.id,
+            min_km: parseFloat(slab.min_km),
+            max_km: slab.max_km !== null ? parseFloat(slab.max_km) : null,
+            fee: parseFloat(slab.fee)
+        })),
+        surge_windows: surgeWindows.map(window => ({
+            ...window,
+            multiplier: parseFloat(window.multiplier),
+            is_active: !!window.is_active
+        }))
+    };
+};
+
+// Get delivery fee rules (admin). Without :id the global defaults are returned.
+export const getDeliveryFeeRules = async (req, res) => {
+    const areaId = req.params.id ? parseInt(req.params.id, 10) : null;
+
+    try {
+        let serviceArea = null;
+        if (areaId !== null) {
+            serviceArea = await getServiceAreaById(areaId);
+            if (!serviceArea) {
+                return res.status(404).json({
+                    error: 'Service area not found',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+
+        const rules = await loadFeeRules(areaId);
+        // An area without its own rules is priced with the defaults
+        const effective = areaId !== null ? await getFeeRules(areaId) : null;
+
+        res.json({
+            service_area_id: areaId,
+            service_area: serviceArea ? formatServiceArea(serviceArea) : null,
+            ...rules,
+            uses_default_slabs: areaId !== null && rules.slabs.length === 0 && effective.slabs.length > 0,
+            uses_default_surge_windows: areaId !== null && rules.surge_windows.length === 0 && effective.surge_windows.length > 0,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'get_delivery_fee_rules',
+            service_area_id: areaId
+        });
+
+        res.status(500).json({
+            error: 'Failed to get delivery fee rules',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// Replace delivery fee rules (admin). Without :id the global defaults are replaced.
+export const updateDeliveryFeeRules = async (req, res) => {
+    const areaId = req.params.id ? parseInt(req.params.id, 10) : null;
+    const adminId = req.user.id;
+    const { slabs = [], surge_windows = [] } = req.body;
+
+    const { errors, slabs: parsedSlabs, surgeWindows } = validateFeeRules(slabs, surge_windows);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Invalid delivery fee rules',
+            details: errors,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    try {
+        if (areaId !== null && !(await getServiceAreaById(areaId))) {
+            return res.status(404).json({
+                error: 'Service area not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const previous = await loadFeeRules(areaId);
+        const scope = areaId === null ? 'service_area_id IS NULL' : 'service_area_id = ?';
+        const scopeParams = areaId === null ? [] : [areaId];
+
+        await withTransaction(async (connection) => {
+            await connection.execute(`DELETE FROM delivery_fee_slabs WHERE ${scope}`, scopeParams);
+            for (const slab of parsedSlabs) {
+                await connection.execute(
+                    'INSERT INTO delivery_fee_slabs (service_area_id, min_km, max_km, fee) VALUES (?, ?, ?, ?)',
+                    [areaId, slab.min_km, slab.max_km, slab.fee]
+                );
+            }
+
+            await connection.execute(`DELETE FROM delivery_surge_windows WHERE ${scope}`, scopeParams);
+            for (const window of surgeWindows) {
+                await connection.execute(
+                    `INSERT INTO delivery_surge_windows (service_area_id, day_of_week, start_time, end_time, multiplier, label, is_active)
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [areaId, window.day_of_week, window.start_time, window.end_time, window.multiplier, window.label, window.is_active]
+                );
+            }
+        });
+
+        const rules = await loadFeeRules(areaId);
+
+        logAuditTrail('UPDATE', 'delivery_fee_rules', adminId, { service_area_id: areaId, ...previous }, { service_area_id: areaId, ...rules });
+
+        res.json({
+            message: 'Delivery fee rules updated successfully',
+            service_area_id: areaId,
+            ...rules,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'update_delivery_fee_rules',
+            service_area_id: areaId,
+            admin_id: adminId
+        });
+
+        res.status(500).json({
+            error: 'Failed to update delivery fee rules',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
 // Update delivery status (admin)
 export const updateDeliveryStatus = async (req, res) => {
     const { id } = req.params;
-    const { status, notes } = req.body;
+    const adminId = req.user.id;
+    const { status, notes, courier_name, courier_phone } = req.body;
+
+    if (!DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({
+            error: `Invalid status. Allowed: ${DELIVERY_STATUSES.join(', ')}`,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    let location = null;
+    if (req.body.location) {
+        const result = validateCoordinates(req.body.location.lat, req.body.location.lng);
+        if (!result.isValid) {
+            return res.status(400).json({ error: 'Invalid location', message: result.error });
+        }
+        location = result.sanitized;
+    }
 
     try {
-        const mockUpdate = {
-            delivery_id: id,
-            old_status: 'in_transit',
-            new_status: status,
-            notes,
-            updated_by: req.user?.userId,
-            updated_at: new Date().toISOString()
-        };
+        const [deliveries] = await db.execute('SELECT * FROM deliveries WHERE id = ?', [id]);
+        if (deliveries.length === 0) {
+            return res.status(404).json({
+                error: 'Delivery not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const delivery = deliveries[0];
+
+        if (!canTransitionDelivery(delivery.status, status)) {
+            return res.status(400).json({
+                error: 'Invalid status transition',
+                message: `Cannot move a delivery from ${delivery.status} to ${status}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (status === 'assigned' && !courier_name && !delivery.courier_name) {
+            return res.status(400).json({
+                error: 'courier_name is required to assign a delivery',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // Order status implied by the new delivery status, if it changes
+        const [[order]] = await db.execute('SELECT status, payment_method, payment_status FROM orders WHERE id = ?', [delivery.order_id]);
+        const orderStatus = ORDER_STATUS_FOR_DELIVERY[status] !== order.status ? ORDER_STATUS_FOR_DELIVERY[status] : null;
+
+        if (orderStatus && !canTransitionOrder(order.status, orderStatus)) {
+            return res.status(409).json({
+                error: 'Order is not ready for this delivery status',
+                message: `The order is ${order.status} and cannot move to ${orderStatus}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+        if (orderStatus && awaitsPayment(order, orderStatus)) {
+            return res.status(409).json({
+                error: 'Order is not paid',
+                message: `A prepaid order cannot move to ${orderStatus} until its payment is captured`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        await withTransaction(async (connection) => {
+            if (courier_name) {
+                await connection.execute(
+                    'UPDATE deliveries SET courier_name = ?, courier_phone = ? WHERE id = ?',
+                    [sanitizeField(courier_name, 100), sanitizeField(courier_phone, 20) || null, id]
+                );
+            }
+
+            if (location) {
+                await connection.execute(
+                    'UPDATE deliveries SET last_latitude = ?, last_longitude = ?, last_location_at = NOW() WHERE id = ?',
+                    [location.lat, location.lng, id]
+                );
+            }
+
+            await updateDeliveryState(connection, id, status, {
+                notes: sanitizeField(notes, 500) || null,
+                location,
+                actorType: 'admin',
+                actorId: adminId
+            });
+
+            if (orderStatus) {
+                const result = await transitionOrderStatus(connection, delivery.order_id, orderStatus, {
+                    notes: `Delivery ${status.replace('_', ' ')}`,
+                    actorType: 'admin',
+                    actorId: adminId
+                });
+                if (!result.allowed) {
+                    throw new Error(`Order ${delivery.order_id} cannot move from ${result.from} to ${orderStatus}`);
+                }
+            }
+        });
+
+        logOrderOperation('delivery_status_updated', delivery.order_id, adminId, {
+            delivery_id: delivery.id,
+            previous_status: delivery.status,
+            new_status: status
+        });
+
+        logAuditTrail('UPDATE', 'delivery_status', adminId,
+            { delivery_id: delivery.id, status: delivery.status },
+            { delivery_id: delivery.id, status, order_status: orderStatus || null }
+        );
 
         res.json({
             message: 'Delivery status updated successfully',
-            update: mockUpdate,
+            update: {
+                delivery_id: delivery.id,
+                order_id: delivery.order_id,
+                old_status: delivery.status,
+                new_status: status,
+                notes: notes || null,
+                updated_by: adminId,
+                updated_at: new Date().toISOString()
+            },
             timestamp: new Date().toISOString()
         });
 
@@ -772,31 +1909,125 @@ export const updateDeliveryStatus = async (req, res) => {
     }
 };
 
+// Record courier's current location (admin)
+export const updateDeliveryLocation = async (req, res) => {
+    const { id } = req.params;
+    const result = validateCoordinates(req.body.lat, req.body.lng);
+
+    if (!result.isValid) {
+        return res.status(400).json({
+            error: 'Invalid coordinates',
+            message: result.error,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const { lat, lng } = result.sanitized;
+
+    try {
+        const [deliveries] = await db.execute('SELECT id, status FROM deliveries WHERE id = ?', [id]);
+        if (deliveries.length === 0) {
+            return res.status(404).json({
+                error: 'Delivery not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const delivery = deliveries[0];
+
+        if (!['picked_up', 'in_transit'].includes(delivery.status)) {
+            return res.status(400).json({
+                error: 'Location updates are only accepted while the parcel is with the courier',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        await withTransaction(async (connection) => {
+            await connection.execute(
+                'UPDATE deliveries SET last_latitude = ?, last_longitude = ?, last_location_at = NOW() WHERE id = ?',
+                [lat, lng, id]
+            );
+
+            await recordDeliveryEvent(connection, id, delivery.status, {
+                notes: 'Location update',
+                location: { lat, lng },
+                actorType: 'admin',
+                actorId: req.user.id
+            });
+        });
+
+        res.json({
+            message: 'Delivery location updated',
+            delivery_id: delivery.id,
+            current_location: { lat, lng },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'update_delivery_location',
+            id
+        });
+
+        res.status(500).json({
+            error: 'Failed to update delivery location',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
 // Get delivery analytics (admin)
 export const getDeliveryAnalytics = async (req, res) => {
     try {
-        const mockAnalytics = {
-            total_deliveries: 1250,
-            pending_deliveries: 45,
-            in_transit_deliveries: 28,
-            completed_deliveries: 1177,
-            average_delivery_time: '42 minutes',
-            success_rate: 94.2,
-            daily_stats: {
-                today: 67,
-                yesterday: 84,
-                this_week: 456,
-                this_month: 1890
-            },
-            top_areas: [
-                { area: 'Delhi Central', deliveries: 340 },
-                { area: 'Delhi South', deliveries: 287 },
-                { area: 'Delhi North', deliveries: 623 }
-            ]
-        };
+        const [[summary]] = await db.execute(
+            `SELECT COUNT(*) as total_deliveries,
+                    SUM(status IN ('pending', 'scheduled', 'assigned')) as pending_deliveries,
+                    SUM(status IN ('picked_up', 'in_transit')) as in_transit_deliveries,
+                    SUM(status = 'delivered') as completed_deliveries,
+                    SUM(status = 'failed') as failed_deliveries,
+                    ROUND(AVG(IF(status = 'delivered', TIMESTAMPDIFF(MINUTE, created_at, delivered_at), NULL))) as average_delivery_minutes
+             FROM deliveries`
+        );
+
+        const [[daily]] = await db.execute(
+            `SELECT SUM(DATE(delivered_at) = CURDATE()) as today,
+                    SUM(DATE(delivered_at) = CURDATE() - INTERVAL 1 DAY) as yesterday,
+                    SUM(delivered_at >= CURDATE() - INTERVAL 7 DAY) as this_week,
+                    SUM(delivered_at >= CURDATE() - INTERVAL 30 DAY) as this_month
+             FROM deliveries
+             WHERE status = 'delivered'`
+        );
+
+        const [topAreas] = await db.execute(
+            `SELECT a.city as area, COUNT(*) as deliveries
+             FROM deliveries dl
+             JOIN addresses a ON dl.address_id = a.id
+             WHERE dl.status = 'delivered'
+             GROUP BY a.city
+             ORDER BY deliveries DESC
+             LIMIT 5`
+        );
+
+        const completed = Number(summary.completed_deliveries) || 0;
+        const failed = Number(summary.failed_deliveries) || 0;
 
         res.json({
-            analytics: mockAnalytics,
+            analytics: {
+                total_deliveries: summary.total_deliveries,
+                pending_deliveries: Number(summary.pending_deliveries) || 0,
+                in_transit_deliveries: Number(summary.in_transit_deliveries) || 0,
+                completed_deliveries: completed,
+                failed_deliveries: failed,
+                average_delivery_minutes: summary.average_delivery_minutes !== null ? Number(summary.average_delivery_minutes) : null,
+                success_rate: completed + failed > 0 ? Math.round(completed / (completed + failed) * 1000) / 10 : null,
+                daily_stats: {
+                    today: Number(daily.today) || 0,
+                    yesterday: Number(daily.yesterday) || 0,
+                    this_week: Number(daily.this_week) || 0,
+                    this_month: Number(daily.this_month) || 0
+                },
+                top_areas: topAreas
+            },
             timestamp: new Date().toISOString()
         });
 
@@ -814,25 +2045,33 @@ export const getDeliveryAnalytics = async (req, res) => {
 
 // Get pending deliveries (admin)
 export const getPendingDeliveries = async (req, res) => {
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, offset = 0 } = req.pagination || {};
 
     try {
-        const mockPendingDeliveries = Array.from({ length: 8 }, (_, i) => ({
-            id: `DEL_${3000 + i}`,
-            order_id: `ORD_${4000 + i}`,
-            customer_name: `Customer ${i + 10}`,
-            address: `Pending Address ${i + 1}, Delhi`,
-            priority: ['high', 'medium', 'low'][i % 3],
-            created_at: new Date(Date.now() - i * 60 * 60 * 1000).toISOString()
-        }));
+        // Not yet with a courier; earliest scheduled (then oldest) first
+        const [pendingDeliveries] = await db.execute(
+            `SELECT dl.id, dl.order_id, dl.status, dl.delivery_address, dl.scheduled_for, dl.courier_name, dl.created_at,
+                    u.name as customer_name, u.phone as customer_phone
+             FROM deliveries dl
+             JOIN orders o ON dl.order_id = o.id
+             JOIN users u ON o.user_id = u.id
+             WHERE dl.status IN ('pending', 'scheduled', 'assigned', 'failed')
+             ORDER BY dl.scheduled_for IS NULL, dl.scheduled_for, dl.created_at
+             LIMIT ? OFFSET ?`,
+            [limit, offset]
+        );
+
+        const [[{ total }]] = await db.execute(
+            `SELECT COUNT(*) as total FROM deliveries WHERE status IN ('pending', 'scheduled', 'assigned', 'failed')`
+        );
 
         res.json({
-            pending_deliveries: mockPendingDeliveries,
+            pending_deliveries: pendingDeliveries,
             pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                total: mockPendingDeliveries.length,
-                pages: Math.ceil(mockPendingDeliveries.length / parseInt(limit))
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
             },
             timestamp: new Date().toISOString()
         });
@@ -1,4 +1,4 @@
-import { db } from '../config/database.js';
+import { db, withTransaction } from '../config/database.js';
 import { preparedQueries } from '../utils/queryBuilder.js';
 import { doctorCache } from '../utils/cache.js';
 import { 
@@ -7,6 +7,17 @@ import {
     logError, 
     logAuditTrail 
 } from '../utils/logger.js';
+import { sanitizeField } from '../utils/validation.js';
+import { 
+    scheduleUtils, 
+    getDoctorSchedule, 
+    getDoctorSlotsForDate, 
+    checkConsultationSlot,
+    findAlternativeSlots,
+    DEFAULT_TIMEZONE,
+    SLOT_HOLD_MINUTES 
+} from '../utils/doctorSchedule.js';
+import { v4 as uuidv4 } from 'uuid';
 
 // Get all doctors with pagination
 export const getAllDoctors = async (req, res) => {
@@ -26,7 +37,7 @@ export const getAllDoctors = async (req, res) => {
 
         if (specialty) {
             const [doctorResults] = await db.execute(
-                `SELECT * FROM doctors WHERE specialty LIKE ? AND available = 1 ORDER BY rating DESC, experience DESC LIMIT ${limit} OFFSET ${offset}`,
+                `SELECT * FROM doctors WHERE specialty LIKE ? AND available = 1 ORDER BY rating DESC, review_count DESC, experience DESC LIMIT ${limit} OFFSET ${offset}`,
                 [`%${specialty}%`]
             );
             doctors = doctorResults;
@@ -38,7 +49,7 @@ export const getAllDoctors = async (req, res) => {
             totalCount = countResult[0].total;
         } else {
             const [doctorResults] = await db.execute(
-                `SELECT * FROM doctors WHERE available = 1 ORDER BY rating DESC, experience DESC LIMIT ${limit} OFFSET ${offset}`
+                `SELECT * FROM doctors WHERE available = 1 ORDER BY rating DESC, review_count DESC, experience DESC LIMIT ${limit} OFFSET ${offset}`
             );
             doctors = doctorResults;
 
@@ -122,7 +133,7 @@ export const searchDoctors = async (req, res) => {
             params.push(`%${location}%`);
         }
 
-        query += ` ORDER BY rating DESC, experience DESC LIMIT ${limit} OFFSET ${offset}`;
+        query += ` ORDER BY rating DESC, review_count DESC, experience DESC LIMIT ${limit} OFFSET ${offset}`;
 
         const [doctors] = await db.execute(query, params);
 
@@ -287,7 +298,15 @@ export const getDoctorById = async (req, res) => {
 // Get doctor availability
 export const getDoctorAvailability = async (req, res) => {
     const doctorId = req.params.id;
-    const date = req.query.date || new Date().toISOString().split('T')[0];
+    const requestedDate = req.query.date;
+
+    if (requestedDate && !scheduleUtils.isValidDate(requestedDate)) {
+        return res.status(400).json({
+            error: 'Invalid date',
+            message: 'Date must be in YYYY-MM-DD format',
+            timestamp: new Date().toISOString()
+        });
+    }
 
     try {
         // Check if doctor exists
@@ -299,26 +318,23 @@ export const getDoctorAvailability = async (req, res) => {
             });
         }
 
-        // Mock availability data (in real implementation, would come from calendar system)
-        const timeSlots = [
-            '09:00', '09:30', '10:00', '10:30', '11:00', '11:30',
-            '14:00', '14:30', '15:00', '15:30', '16:00', '16:30'
-        ];
+        const schedule = await getDoctorSchedule(doctorId);
+        const timezone = schedule?.timezone || DEFAULT_TIMEZONE;
+        // "Today" is the doctor's today, not the server's
+        const date = requestedDate || scheduleUtils.zonedNow(timezone).date;
 
-        // Get existing consultations for the date
-        const [consultations] = await db.execute(
-            'SELECT DATE_FORMAT(consultation_date, "%H:%i") as time_slot FROM consultations WHERE doctor_id = ? AND DATE(consultation_date) = ?',
-            [doctorId, date]
-        );
-
-        const bookedSlots = consultations.map(c => c.time_slot);
-        const availableSlots = timeSlots.filter(slot => !bookedSlots.includes(slot));
+        const { available, booked, held } = await getDoctorSlotsForDate(doctorId, date, { userId: req.user?.id });
 
         res.json({
             doctor_id: doctorId,
             date: date,
-            available_slots: availableSlots,
-            booked_slots: bookedSlots,
+            timezone,
+            slot_duration_minutes: schedule?.slot_duration_minutes || null,
+            schedule_published: !!schedule,
+            available_slots: available.map(slot => slot.time),
+            booked_slots: booked.map(slot => slot.time),
+            held_slots: held.map(slot => slot.time),
+            slots: available,
             timestamp: new Date().toISOString()
         });
 
@@ -326,7 +342,7 @@ export const getDoctorAvailability = async (req, res) => {
         logError(error, {
             operation: 'get_doctor_availability',
             doctor_id: doctorId,
-            date: date,
+            date: requestedDate,
             user_id: req.user?.id
         });
 
@@ -337,14 +353,36 @@ export const getDoctorAvailability = async (req, res) => {
     }
 };
 
-// Book consultation
-export const bookConsultation = async (req, res) => {
+// Respond 409 with the nearest slots that are still free
+const respondSlotTaken = async (res, doctorId, requested, userId, message) => {
+    const alternatives = await findAlternativeSlots(doctorId, requested.date, requested.time, { userId });
+
+    return res.status(409).json({
+        error: 'Time slot not available',
+        message,
+        requested_slot: `${requested.date} ${requested.time}`,
+        alternative_slots: alternatives,
+        timestamp: new Date().toISOString()
+    });
+};
+
+// Hold a consultation slot while the patient completes booking
+export const holdConsultationSlot = async (req, res) => {
     const userId = req.user.id;
     const doctorId = req.params.id;
-    const { consultation_date, notes } = req.body;
+
+    const requested = scheduleUtils.parseDateTime(req.body.consultation_date);
+    if (!requested) {
+        return res.status(400).json({
+            error: 'Invalid consultation date',
+            message: 'consultation_date must be "YYYY-MM-DD HH:mm" in the doctor\'s time zone',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const slotStart = `${requested.date} ${requested.time}:00`;
 
     try {
-        // Validate doctor exists
         const doctor = await preparedQueries.doctors.findById(doctorId);
         if (!doctor) {
             return res.status(404).json({
@@ -353,49 +391,247 @@ export const bookConsultation = async (req, res) => {
             });
         }
 
-        // Check if time slot is available
-        const [existingConsultations] = await db.execute(
-            'SELECT id FROM consultations WHERE doctor_id = ? AND consultation_date = ?',
-            [doctorId, consultation_date]
-        );
+        const { slots, available } = await getDoctorSlotsForDate(doctorId, requested.date, { userId });
 
-        if (existingConsultations.length > 0) {
+        if (!slots.some(slot => slot.time === requested.time)) {
             return res.status(400).json({
                 error: 'Time slot not available',
-                message: 'The selected time slot is already booked',
+                message: 'The selected time is outside the doctor\'s published slots',
                 timestamp: new Date().toISOString()
             });
         }
 
-        // Create consultation
+        if (!available.some(slot => slot.time === requested.time)) {
+            return respondSlotTaken(res, doctorId, requested, userId, 'The selected time slot is already booked or held');
+        }
+
+        const hold = await withTransaction(async (connection) => {
+            // Expired holds would otherwise block the unique (doctor_id, slot_start) key
+            await connection.execute(
+                'DELETE FROM consultation_slot_holds WHERE doctor_id = ? AND expires_at <= NOW()',
+                [doctorId]
+            );
+
+            // A patient keeps at most one hold per doctor
+            await connection.execute(
+                'DELETE FROM consultation_slot_holds WHERE doctor_id = ? AND user_id = ? AND slot_start != ?',
+                [doctorId, userId, slotStart]
+            );
+
+            const [existing] = await connection.execute(
+                'SELECT hold_token, user_id FROM consultation_slot_holds WHERE doctor_id = ? AND slot_start = ?',
+                [doctorId, slotStart]
+            );
+
+            const ownHold = existing[0]?.user_id === userId;
+            const holdToken = ownHold ? existing[0].hold_token : uuidv4();
+
+            if (ownHold) {
+                await connection.execute(
+                    'UPDATE consultation_slot_holds SET expires_at = DATE_ADD(NOW(), INTERVAL ? MINUTE) WHERE hold_token = ?',
+                    [SLOT_HOLD_MINUTES, holdToken]
+                );
+            } else {
+                // Unique key rejects this if another patient holds the slot
+                await connection.execute(
+                    'INSERT INTO consultation_slot_holds (hold_token, doctor_id, user_id, slot_start, expires_at) VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))',
+                    [holdToken, doctorId, userId, slotStart, SLOT_HOLD_MINUTES]
+                );
+            }
+
+            const [[row]] = await connection.execute(
+                'SELECT hold_token, expires_at FROM consultation_slot_holds WHERE hold_token = ?',
+                [holdToken]
+            );
+            return row;
+        });
+
+        logHealthcareEvent('consultation_slot_held', {
+            doctor_id: doctorId,
+            slot_start: slotStart,
+            expires_at: hold.expires_at
+        }, userId);
+
+        res.status(201).json({
+            message: 'Slot held',
+            hold_token: hold.hold_token,
+            doctor_id: doctorId,
+            consultation_date: slotStart,
+            expires_at: hold.expires_at,
+            hold_minutes: SLOT_HOLD_MINUTES,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return respondSlotTaken(res, doctorId, requested, userId, 'The selected time slot was just taken');
+        }
+
+        logError(error, {
+            operation: 'hold_consultation_slot',
+            user_id: userId,
+            doctor_id: doctorId,
+            consultation_date: slotStart
+        });
+
+        res.status(500).json({
+            error: 'Failed to hold slot',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// Release a slot hold
+export const releaseConsultationSlot = async (req, res) => {
+    const userId = req.user.id;
+    const doctorId = req.params.id;
+    const holdToken = req.params.holdToken;
+
+    try {
         const [result] = await db.execute(
-            'INSERT INTO consultations (user_id, doctor_id, consultation_date, notes, status) VALUES (?, ?, ?, ?, "pending")',
-            [userId, doctorId, consultation_date, notes]
+            'DELETE FROM consultation_slot_holds WHERE hold_token = ? AND doctor_id = ? AND user_id = ?',
+            [holdToken, doctorId, userId]
         );
 
+        if (result.affectedRows === 0) {
+            return res.status(404).json({
+                error: 'Hold not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            message: 'Slot released',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'release_consultation_slot',
+            user_id: userId,
+            doctor_id: doctorId
+        });
+
+        res.status(500).json({
+            error: 'Failed to release slot',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// Book consultation (confirm a held slot, or book a free slot directly)
+export const bookConsultation = async (req, res) => {
+    const userId = req.user.id;
+    const doctorId = req.params.id;
+    const { hold_token, consultation_date, notes } = req.body;
+
+    let requested = null;
+
+    try {
+        // Validate doctor exists
+        const doctor = await preparedQueries.doctors.findById(doctorId);
+        if (!doctor) {
+            return res.status(404).json({
+                error: 'Doctor not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (hold_token) {
+            const [holds] = await db.execute(
+                `SELECT DATE_FORMAT(slot_start, "%Y-%m-%d %H:%i") as slot_start FROM consultation_slot_holds
+                 WHERE hold_token = ? AND doctor_id = ? AND user_id = ? AND expires_at > NOW()`,
+                [hold_token, doctorId, userId]
+            );
+
+            if (holds.length === 0) {
+                return res.status(410).json({
+                    error: 'Hold expired',
+                    message: 'Your hold on this slot has expired. Please select a slot again',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            requested = scheduleUtils.parseDateTime(holds[0].slot_start);
+        } else {
+            requested = scheduleUtils.parseDateTime(consultation_date);
+            if (!requested) {
+                return res.status(400).json({
+                    error: 'Invalid consultation date',
+                    message: 'Provide hold_token, or consultation_date as "YYYY-MM-DD HH:mm" in the doctor\'s time zone',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            // Only published slots that are neither booked nor held by someone else
+            const { slots, available } = await getDoctorSlotsForDate(doctorId, requested.date, { userId });
+
+            if (!slots.some(slot => slot.time === requested.time)) {
+                return res.status(400).json({
+                    error: 'Time slot not available',
+                    message: 'The selected time is outside the doctor\'s published slots',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            if (!available.some(slot => slot.time === requested.time)) {
+                return respondSlotTaken(res, doctorId, requested, userId, 'The selected time slot is already booked or held');
+            }
+        }
+
+        const consultationDate = `${requested.date} ${requested.time}:00`;
+
+        const consultationId = await withTransaction(async (connection) => {
+            // Bookings of other lengths (made before the slot length changed) may still overlap
+            const slot = await checkConsultationSlot(connection, doctorId, consultationDate);
+            if (!slot.free) return null;
+
+            // The unique (doctor_id, active_slot) key is the final guard against double booking
+            const [result] = await connection.execute(
+                'INSERT INTO consultations (user_id, doctor_id, consultation_date, duration_minutes, notes, status) VALUES (?, ?, ?, ?, ?, "pending")',
+                [userId, doctorId, consultationDate, slot.duration, notes || null]
+            );
+
+            await connection.execute(
+                'DELETE FROM consultation_slot_holds WHERE doctor_id = ? AND slot_start = ? AND user_id = ?',
+                [doctorId, consultationDate, userId]
+            );
+
+            return result.insertId;
+        });
+
+        if (!consultationId) {
+            return respondSlotTaken(res, doctorId, requested, userId, 'The selected time overlaps another consultation with this doctor');
+        }
+
         logHealthcareEvent('consultation_booked', {
-            consultation_id: result.insertId,
+            consultation_id: consultationId,
             doctor_id: doctorId,
             doctor_name: doctor.name,
-            consultation_date: consultation_date
+            consultation_date: consultationDate,
+            via_hold: !!hold_token
         }, userId);
 
         logAuditTrail('CREATE', 'consultation', userId, null, {
-            consultation_id: result.insertId,
+            consultation_id: consultationId,
             doctor_id: doctorId,
-            consultation_date: consultation_date
+            consultation_date: consultationDate
         });
 
         res.status(201).json({
             message: 'Consultation booked successfully',
-            consultation_id: result.insertId,
+            consultation_id: consultationId,
             doctor_name: doctor.name,
-            consultation_date: consultation_date,
+            consultation_date: consultationDate,
             consultation_fee: doctor.consultation_fee,
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY' && requested) {
+            return respondSlotTaken(res, doctorId, requested, userId, 'The selected time slot was just booked by another patient');
+        }
+
         logError(error, {
             operation: 'book_consultation',
             user_id: userId,
@@ -410,24 +646,68 @@ export const bookConsultation = async (req, res) => {
     }
 };
 
+// Recompute a doctor's rating from visible reviews (runs on the caller's connection)
+const recalculateDoctorRating = async (connection, doctorId) => {
+    const [[stats]] = await connection.execute(
+        'SELECT ROUND(AVG(rating), 1) as rating, COUNT(*) as review_count FROM doctor_reviews WHERE doctor_id = ? AND is_hidden = 0',
+        [doctorId]
+    );
+
+    await connection.execute(
+        'UPDATE doctors SET rating = ?, review_count = ? WHERE id = ?',
+        [stats.rating, stats.review_count, doctorId]
+    );
+
+    return {
+        rating: stats.rating !== null ? parseFloat(stats.rating) : null,
+        review_count: stats.review_count
+    };
+};
+
 // Get doctor reviews
 export const getDoctorReviews = async (req, res) => {
     const doctorId = req.params.id;
     const { page, limit, offset } = req.pagination;
 
     try {
-        // Mock reviews (in real implementation, would have reviews table)
-        const mockReviews = [
-            { id: 1, user_name: 'Anonymous', rating: 5, comment: 'Excellent consultation', created_at: new Date() },
-            { id: 2, user_name: 'Anonymous', rating: 4, comment: 'Very helpful doctor', created_at: new Date() }
-        ];
+        const [reviews] = await db.execute(
+            `SELECT r.id, r.rating, r.comment, r.created_at, 
+                    SUBSTRING_INDEX(u.name, ' ', 1) as user_name
+             FROM doctor_reviews r
+             JOIN users u ON r.user_id = u.id
+             WHERE r.doctor_id = ? AND r.is_hidden = 0
+             ORDER BY r.created_at DESC
+             LIMIT ? OFFSET ?`,
+            [doctorId, limit, offset]
+        );
+
+        const [[summary]] = await db.execute(
+            `SELECT COUNT(*) as total, ROUND(AVG(rating), 1) as average_rating,
+                    SUM(rating = 5) as five_star, SUM(rating = 4) as four_star, SUM(rating = 3) as three_star,
+                    SUM(rating = 2) as two_star, SUM(rating = 1) as one_star
+             FROM doctor_reviews
+             WHERE doctor_id = ? AND is_hidden = 0`,
+            [doctorId]
+        );
 
         res.json({
-            reviews: mockReviews,
+            reviews,
+            summary: {
+                average_rating: summary.average_rating !== null ? parseFloat(summary.average_rating) : null,
+                total_reviews: summary.total,
+                distribution: {
+                    5: Number(summary.five_star) || 0,
+                    4: Number(summary.four_star) || 0,
+                    3: Number(summary.three_star) || 0,
+                    2: Number(summary.two_star) || 0,
+                    1: Number(summary.one_star) || 0
+                }
+            },
             pagination: {
                 page,
                 limit,
-                total: mockReviews.length
+                total: summary.total,
+                pages: Math.ceil(summary.total / limit)
             },
             timestamp: new Date().toISOString()
         });
@@ -446,9 +726,97 @@ export const getDoctorReviews = async (req, res) => {
     }
 };
 
-// Add doctor review (not supported by current schema)
+// Add doctor review (one per completed consultation)
 export const addDoctorReview = async (req, res) => {
-    return res.status(400).json({ error: 'Doctor reviews are not supported by current schema' });
+    const userId = req.user.id;
+    const doctorId = req.params.id;
+    const { consultation_id, comment } = req.body;
+    const rating = parseInt(req.body.rating, 10);
+
+    if (!consultation_id || isNaN(rating) || rating < 1 || rating > 5) {
+        return res.status(400).json({
+            error: 'Invalid review',
+            message: 'consultation_id and a rating between 1 and 5 are required',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    try {
+        const [consultations] = await db.execute(
+            'SELECT id, status FROM consultations WHERE id = ? AND user_id = ? AND doctor_id = ?',
+            [consultation_id, userId, doctorId]
+        );
+
+        if (consultations.length === 0) {
+            return res.status(404).json({
+                error: 'Consultation not found',
+                message: 'No consultation with this doctor was found for your account',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (consultations[0].status !== 'completed') {
+            return res.status(400).json({
+                error: 'Review not allowed',
+                message: 'Doctors can only be reviewed after a completed consultation',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const sanitizedComment = sanitizeField(comment, 2000) || null;
+
+        const { reviewId, doctorRating } = await withTransaction(async (connection) => {
+            const [result] = await connection.execute(
+                'INSERT INTO doctor_reviews (doctor_id, user_id, consultation_id, rating, comment) VALUES (?, ?, ?, ?, ?)',
+                [doctorId, userId, consultation_id, rating, sanitizedComment]
+            );
+
+            const doctorRating = await recalculateDoctorRating(connection, doctorId);
+            return { reviewId: result.insertId, doctorRating };
+        });
+
+        logHealthcareEvent('doctor_review_added', {
+            review_id: reviewId,
+            doctor_id: doctorId,
+            consultation_id,
+            rating
+        }, userId);
+
+        logAuditTrail('CREATE', 'doctor_review', userId, null, {
+            review_id: reviewId,
+            doctor_id: doctorId,
+            consultation_id,
+            rating
+        });
+
+        res.status(201).json({
+            message: 'Review submitted successfully',
+            review_id: reviewId,
+            doctor_rating: doctorRating,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                error: 'Review already exists',
+                message: 'This consultation has already been reviewed',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logError(error, {
+            operation: 'add_doctor_review',
+            user_id: userId,
+            doctor_id: doctorId,
+            consultation_id
+        });
+
+        res.status(500).json({
+            error: 'Failed to submit review',
+            timestamp: new Date().toISOString()
+        });
+    }
 };
 
 // Admin functions
@@ -561,3 +929,399 @@ export const getDoctorAnalytics = async (req, res) => {
         res.status(500).json({ error: 'Failed to fetch doctor analytics' });
     }
 };
+
+// Admin: list reviews for moderation
+export const getAllReviews = async (req, res) => {
+    const { page = 1, limit = 20, offset = 0 } = req.pagination || {};
+    const { status, doctor_id } = req.query;
+
+    try {
+        const conditions = [];
+        const params = [];
+
+        if (status === 'hidden' || status === 'visible') {
+            conditions.push('r.is_hidden = ?');
+            params.push(status === 'hidden' ? 1 : 0);
+        }
+
+        if (doctor_id) {
+            conditions.push('r.doctor_id = ?');
+            params.push(doctor_id);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [reviews] = await db.execute(
+            `SELECT r.*, d.name as doctor_name, u.name as user_name, u.email as user_email
+             FROM doctor_reviews r
+             JOIN doctors d ON r.doctor_id = d.id
+             JOIN users u ON r.user_id = u.id
+             ${whereClause}
+             ORDER BY r.created_at DESC
+             LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+
+        const [[{ total }]] = await db.execute(
+            `SELECT COUNT(*) as total FROM doctor_reviews r ${whereClause}`,
+            params
+        );
+
+        res.json({
+            reviews,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logError(error, { operation: 'get_all_reviews', admin_id: req.user.id });
+        res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+};
+
+// Admin: hide or restore a review
+export const moderateReview = async (req, res) => {
+    const adminId = req.user.id;
+    const reviewId = req.params.reviewId;
+    const { hidden, reason } = req.body;
+
+    if (typeof hidden !== 'boolean') {
+        return res.status(400).json({ error: 'hidden (boolean) is required' });
+    }
+
+    try {
+        const [reviews] = await db.execute('SELECT * FROM doctor_reviews WHERE id = ?', [reviewId]);
+        if (reviews.length === 0) return res.status(404).json({ error: 'Review not found' });
+
+        const review = reviews[0];
+
+        const doctorRating = await withTransaction(async (connection) => {
+            await connection.execute(
+                'UPDATE doctor_reviews SET is_hidden = ?, hidden_reason = ?, moderated_by = ?, moderated_at = NOW() WHERE id = ?',
+                [hidden ? 1 : 0, hidden ? sanitizeField(reason, 255) || null : null, adminId, reviewId]
+            );
+
+            return recalculateDoctorRating(connection, review.doctor_id);
+        });
+
+        logAuditTrail('MODERATE', 'doctor_review', adminId,
+            { review_id: review.id, doctor_id: review.doctor_id, is_hidden: !!review.is_hidden, hidden_reason: review.hidden_reason },
+            { review_id: review.id, doctor_id: review.doctor_id, is_hidden: hidden, hidden_reason: hidden ? reason || null : null }
+        );
+
+        res.json({
+            message: hidden ? 'Review hidden' : 'Review restored',
+            review_id: review.id,
+            doctor_id: review.doctor_id,
+            doctor_rating: doctorRating,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logError(error, { operation: 'moderate_review', review_id: reviewId, admin_id: adminId });
+        res.status(500).json({ error: 'Failed to moderate review' });
+    }
+};
+
+// Validate a list of { day_of_week, start_time, end_time } entries
+const validateTimeRanges = (entries, label, { dayRequired }) => {
+    const errors = [];
+
+    entries.forEach((entry, index) => {
+        const day = entry.day_of_week;
+        const hasDay = day !== undefined && day !== null;
+        if ((dayRequired || hasDay) && !(Number.isInteger(day) && day >= 0 && day <= 6)) {
+            errors.push(`${label} ${index + 1}: day_of_week must be 0 (Sunday) to 6 (Saturday)`);
+        }
+
+        const start = scheduleUtils.toMinutes(entry.start_time);
+        const end = scheduleUtils.toMinutes(entry.end_time);
+        if (start === null || end === null || start >= end) {
+            errors.push(`${label} ${index + 1}: start_time and end_time must be HH:mm with start before end`);
+        }
+    });
+
+    return errors;
+};
+
+// Admin: get a doctor's schedule, breaks and upcoming time off
+export const getDoctorScheduleDetails = async (req, res) => {
+    const doctorId = req.params.id;
+    try {
+        const [doctors] = await db.execute('SELECT id, name FROM doctors WHERE id = ?', [doctorId]);
+        if (doctors.length === 0) return res.status(404).json({ error: 'Doctor not found' });
+
+        const schedule = await getDoctorSchedule(doctorId);
+        const [weekly] = await db.execute(
+            'SELECT id, day_of_week, TIME_FORMAT(start_time, "%H:%i") as start_time, TIME_FORMAT(end_time, "%H:%i") as end_time FROM doctor_schedule_rules WHERE doctor_id = ? ORDER BY day_of_week, start_time',
+            [doctorId]
+        );
+        const [breaks] = await db.execute(
+            'SELECT id, day_of_week, TIME_FORMAT(start_time, "%H:%i") as start_time, TIME_FORMAT(end_time, "%H:%i") as end_time, label FROM doctor_schedule_breaks WHERE doctor_id = ? ORDER BY day_of_week, start_time',
+            [doctorId]
+        );
+        const [timeOff] = await db.execute(
+            'SELECT id, type, start_datetime, end_datetime, reason, created_at FROM doctor_time_off WHERE doctor_id = ? AND end_datetime >= NOW() ORDER BY start_datetime',
+            [doctorId]
+        );
+
+        res.json({
+            doctor_id: doctors[0].id,
+            doctor_name: doctors[0].name,
+            schedule_published: !!schedule,
+            timezone: schedule?.timezone || DEFAULT_TIMEZONE,
+            slot_duration_minutes: schedule?.slot_duration_minutes || null,
+            weekly,
+            breaks,
+            time_off: timeOff,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logError(error, { operation: 'get_doctor_schedule', doctor_id: doctorId });
+        res.status(500).json({ error: 'Failed to fetch doctor schedule' });
+    }
+};
+
+// Admin: replace a doctor's weekly schedule and breaks
+export const updateDoctorSchedule = async (req, res) => {
+    const doctorId = req.params.id;
+    const adminId = req.user.id;
+    const {
+        timezone = DEFAULT_TIMEZONE,
+        slot_duration_minutes = 30,
+        weekly,
+        breaks = []
+    } = req.body;
+
+    const errors = [];
+    const slotDuration = parseInt(slot_duration_minutes, 10);
+
+    if (!scheduleUtils.isValidTimezone(timezone)) {
+        errors.push('timezone must be a valid IANA time zone (e.g. Asia/Kolkata)');
+    }
+    if (isNaN(slotDuration) || slotDuration < 5 || slotDuration > 240) {
+        errors.push('slot_duration_minutes must be between 5 and 240');
+    }
+    if (!Array.isArray(weekly) || weekly.length === 0) {
+        errors.push('weekly must be a non-empty array of { day_of_week, start_time, end_time }');
+    }
+    if (!Array.isArray(breaks)) {
+        errors.push('breaks must be an array');
+    }
+    if (errors.length === 0) {
+        errors.push(
+            ...validateTimeRanges(weekly, 'Weekly entry', { dayRequired: true }),
+            ...validateTimeRanges(breaks, 'Break', { dayRequired: false })
+        );
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid schedule', details: errors });
+    }
+
+    try {
+        const [doctors] = await db.execute('SELECT id FROM doctors WHERE id = ?', [doctorId]);
+        if (doctors.length === 0) return res.status(404).json({ error: 'Doctor not found' });
+
+        const previous = await getDoctorSchedule(doctorId);
+
+        await withTransaction(async (connection) => {
+            await connection.execute(
+                `INSERT INTO doctor_schedules (doctor_id, timezone, slot_duration_minutes, updated_by) VALUES (?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE timezone = VALUES(timezone), slot_duration_minutes = VALUES(slot_duration_minutes), updated_by = VALUES(updated_by)`,
+                [doctorId, timezone, slotDuration, adminId]
+            );
+
+            await connection.execute('DELETE FROM doctor_schedule_rules WHERE doctor_id = ?', [doctorId]);
+            for (const entry of weekly) {
+                await connection.execute(
+                    'INSERT INTO doctor_schedule_rules (doctor_id, day_of_week, start_time, end_time) VALUES (?, ?, ?, ?)',
+                    [doctorId, entry.day_of_week, entry.start_time, entry.end_time]
+                );
+            }
+
+            await connection.execute('DELETE FROM doctor_schedule_breaks WHERE doctor_id = ?', [doctorId]);
+            for (const entry of breaks) {
+                await connection.execute(
+                    'INSERT INTO doctor_schedule_breaks (doctor_id, day_of_week, start_time, end_time, label) VALUES (?, ?, ?, ?, ?)',
+                    [doctorId, entry.day_of_week ?? null, entry.start_time, entry.end_time, sanitizeField(entry.label, 100) || null]
+                );
+            }
+        });
+
+        logAuditTrail('UPDATE', 'doctor_schedule', adminId, previous, {
+            doctor_id: doctorId,
+            timezone,
+            slot_duration_minutes: slotDuration,
+            weekly_entries: weekly.length,
+            breaks: breaks.length
+        });
+
+        res.json({
+            message: 'Doctor schedule updated',
+            doctor_id: doctorId,
+            timezone,
+            slot_duration_minutes: slotDuration,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logError(error, { operation: 'update_doctor_schedule', doctor_id: doctorId, admin_id: adminId });
+        res.status(500).json({ error: 'Failed to update doctor schedule' });
+    }
+};
+
+// Admin: block out leave or a holiday
+export const addDoctorTimeOff = async (req, res) => {
+    const doctorId = req.params.id;
+    const adminId = req.user.id;
+    const { start, end, type = 'leave', reason } = req.body;
+
+    const startAt = scheduleUtils.parseDateTime(start);
+    const endAt = scheduleUtils.parseDateTime(end);
+
+    if (!startAt || !endAt) {
+        return res.status(400).json({ error: 'start and end must be "YYYY-MM-DD HH:mm" in the doctor\'s time zone' });
+    }
+
+    const startValue = `${startAt.date} ${startAt.time}:00`;
+    const endValue = `${endAt.date} ${endAt.time}:00`;
+
+    if (startValue >= endValue) {
+        return res.status(400).json({ error: 'end must be after start' });
+    }
+    if (!['leave', 'holiday'].includes(type)) {
+        return res.status(400).json({ error: 'type must be leave or holiday' });
+    }
+
+    try {
+        const [doctors] = await db.execute('SELECT id FROM doctors WHERE id = ?', [doctorId]);
+        if (doctors.length === 0) return res.status(404).json({ error: 'Doctor not found' });
+
+        const [result] = await db.execute(
+            'INSERT INTO doctor_time_off (doctor_id, type, start_datetime, end_datetime, reason, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+            [doctorId, type, startValue, endValue, sanitizeField(reason, 255) || null, adminId]
+        );
+
+        // Existing bookings are not cancelled automatically; surface them to the admin
+        const [affected] = await db.execute(
+            `SELECT id, user_id, consultation_date, status FROM consultations
+             WHERE doctor_id = ? AND consultation_date >= ? AND consultation_date < ? AND status != 'cancelled'`,
+            [doctorId, startValue, endValue]
+        );
+
+        logAuditTrail('CREATE', 'doctor_time_off', adminId, null, {
+            time_off_id: result.insertId,
+            doctor_id: doctorId,
+            type,
+            start: startValue,
+            end: endValue
+        });
+
+        res.status(201).json({
+            message: 'Time off added',
+            time_off_id: result.insertId,
+            affected_consultations: affected,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logError(error, { operation: 'add_doctor_time_off', doctor_id: doctorId, admin_id: adminId });
+        res.status(500).json({ error: 'Failed to add time off' });
+    }
+};
+
+// Admin: remove a leave/holiday block
+export const deleteDoctorTimeOff = async (req, res) => {
+    const doctorId = req.params.id;
+    const timeOffId = req.params.timeOffId;
+    try {
+        const [result] = await db.execute('DELETE FROM doctor_time_off WHERE id = ? AND doctor_id = ?', [timeOffId, doctorId]);
+        if (result.affectedRows === 0) return res.status(404).json({ error: 'Time off entry not found' });
+
+        logAuditTrail('DELETE', 'doctor_time_off', req.user.id, { time_off_id: timeOffId, doctor_id: doctorId }, null);
+
+        res.json({ message: 'Time off removed', time_off_id: timeOffId, timestamp: new Date().toISOString() });
+    } catch (error) {
+        logError(error, { operation: 'delete_doctor_time_off', doctor_id: doctorId, time_off_id: timeOffId });
+        res.status(500).json({ error: 'Failed to remove time off' });
+    }
+};
+
+// Record the outcome of a consultation once its start time has passed
+const recordConsultationOutcome = async (req, res, outcome) => {
+    const adminId = req.user.id;
+    const consultationId = req.params.consultationId;
+    const clinicalNotes = sanitizeField(req.body?.clinical_notes, 5000) || null;
+
+    if (outcome === 'completed' && !clinicalNotes) {
+        return res.status(400).json({ error: 'clinical_notes are required to complete a consultation' });
+    }
+
+    try {
+        const [rows] = await db.execute(
+            `SELECT c.id, c.user_id, c.doctor_id, c.status,
+                    DATE_FORMAT(c.consultation_date, '%Y-%m-%d %H:%i') as consultation_date,
+                    COALESCE(s.timezone, ?) as timezone
+             FROM consultations c
+             LEFT JOIN doctor_schedules s ON s.doctor_id = c.doctor_id
+             WHERE c.id = ?`,
+            [DEFAULT_TIMEZONE, consultationId]
+        );
+
+        if (rows.length === 0) return res.status(404).json({ error: 'Consultation not found' });
+
+        const consultation = rows[0];
+
+        if (consultation.status !== 'pending') {
+            return res.status(400).json({
+                error: 'Invalid status transition',
+                message: `Cannot mark a ${consultation.status} consultation as ${outcome}`
+            });
+        }
+
+        const slot = scheduleUtils.parseDateTime(consultation.consultation_date);
+        if (scheduleUtils.minutesUntil(slot.date, slot.time, consultation.timezone) > 0) {
+            return res.status(400).json({
+                error: 'Consultation has not started',
+                message: `A consultation can only be marked ${outcome} after its scheduled time`
+            });
+        }
+
+        const [result] = await db.execute(
+            `UPDATE consultations 
+             SET status = ?, clinical_notes = ?, completed_at = IF(? = 'completed', NOW(), completed_at) 
+             WHERE id = ? AND status = 'pending'`,
+            [outcome, clinicalNotes, outcome, consultationId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(409).json({ error: 'Consultation was updated concurrently' });
+        }
+
+        logHealthcareEvent(`consultation_${outcome}`, {
+            consultation_id: consultation.id,
+            doctor_id: consultation.doctor_id,
+            patient_id: consultation.user_id,
+            consultation_date: consultation.consultation_date,
+            recorded_by: adminId
+        }, adminId);
+
+        logAuditTrail('UPDATE', 'consultation', adminId,
+            { consultation_id: consultation.id, status: consultation.status },
+            { consultation_id: consultation.id, status: outcome, clinical_notes_recorded: !!clinicalNotes }
+        );
+
+        res.json({
+            message: `Consultation marked ${outcome}`,
+            consultation_id: consultation.id,
+            status: outcome,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logError(error, { operation: `mark_consultation_${outcome}`, consultation_id: consultationId, admin_id: adminId });
+        res.status(500).json({ error: 'Failed to update consultation' });
+    }
+};
+
+// Admin: mark consultation completed (clinical notes required)
+export const completeConsultation = (req, res) => recordConsultationOutcome(req, res, 'completed');
+
+// Admin: mark consultation as a no-show
+export const markConsultationNoShow = (req, res) => recordConsultationOutcome(req, res, 'no_show');
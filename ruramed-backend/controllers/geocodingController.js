@@ -2,6 +2,7 @@ import {
     logger, 
     logError 
 } from '../utils/logger.js';
+import { resolveServiceArea } from '../utils/serviceAreas.js';
 
 // Mock geocoding service (in production, would use Google Maps, Mapbox, etc.)
 const mockGeocode = async (address) => {
@@ -276,14 +277,16 @@ export const getPostalCodeInfo = async (req, res) => {
     const postalCode = req.params.code;
 
     try {
-        // Mock postal code data
+        const match = await resolveServiceArea({ postalCode });
+
+        // Mock postal code data (serviceability comes from service_areas)
         const mockData = {
             postal_code: postalCode,
-            city: 'Delhi',
-            state: 'Delhi',
+            city: match ? match.area.city : 'Delhi',
+            state: match ? match.area.state : 'Delhi',
             country: 'India',
             region: 'North India',
-            is_serviceable: true
+            is_serviceable: !!match
         };
 
         res.json({
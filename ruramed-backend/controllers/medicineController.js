@@ -1,6 +1,14 @@
-import { db } from '../config/database.js';
+import { db, withTransaction } from '../config/database.js';
 import { preparedQueries } from '../utils/queryBuilder.js';
 import { medicineCache } from '../utils/cache.js';
+import { attachStockStatus, stockFlags, SELLABLE_STOCK_SQL, MIN_SHELF_LIFE_DAYS } from '../utils/inventory.js';
+import { searchMedicineCatalog } from '../utils/medicineSearch.js';
+import { getSubstitutes } from '../utils/substitutes.js';
+import { attachImages, addMedicineImages, updateMedicineImage as changeMedicineImage, deleteMedicineImage as removeMedicineImage } from '../utils/medicineImages.js';
+import { recordsFromFile, recordsFromItems, importMedicines, importReportCsv } from '../utils/catalogImport.js';
+import { priceViolations, recordPriceChange, changeMedicinePrice, schedulePriceChange, cancelPriceSchedule, getPriceHistory } from '../utils/pricing.js';
+import { getPopularity, POPULARITY_WINDOWS, DEFAULT_POPULARITY_WINDOW } from '../utils/popularity.js';
+import { autocompleteMedicines, refreshMedicineIndex, DEFAULT_AUTOCOMPLETE_LIMIT, MAX_AUTOCOMPLETE_LIMIT } from '../utils/medicineIndex.js';
 import { 
     logger, 
     logHealthcareEvent, 
@@ -8,6 +16,8 @@ import {
     logAuditTrail,
     logMedicineOperation 
 } from '../utils/logger.js';
+import { sanitizeField } from '../utils/validation.js';
+import { getMonograph, saveMonograph, deleteMonograph } from '../utils/monographs.js';
 
 // Get all medicines with pagination
 export const getAllMedicines = async (req, res) => {
@@ -57,7 +67,7 @@ export const getAllMedicines = async (req, res) => {
         }, req.user?.id);
 
         res.json({
-            medicines,
+            medicines: await attachImages(await attachStockStatus(medicines)),
             pagination: {
                 page,
                 limit,
@@ -83,13 +93,19 @@ export const getAllMedicines = async (req, res) => {
     }
 };
 
-// Search medicines
+// Search medicines: ranked, typo-tolerant, with facet counts
 export const searchMedicines = async (req, res) => {
     // Set default search query and pagination if middleware didn't run
     const sanitizedQuery = req.sanitizedQuery || {
-        q: req.query.q || '',
-        category: req.query.category || null,
-        location: req.query.location || null
+        q: req.query.q || null,
+        filters: {
+            category: req.query.category ? [req.query.category] : [],
+            form: [],
+            manufacturer: [],
+            min_price: null,
+            max_price: null,
+            requires_prescription: null
+        }
     };
     
     const pagination = req.pagination || {
@@ -98,68 +114,32 @@ export const searchMedicines = async (req, res) => {
         offset: ((parseInt(req.query.page) || 1) - 1) * (parseInt(req.query.limit) || 10)
     };
     
-    const { q, category } = sanitizedQuery;
+    const { q, filters } = sanitizedQuery;
     const { page, limit, offset } = pagination;
 
-    // Validate search query
-    if (!q || q.trim().length < 2) {
-        return res.status(400).json({
-            error: 'Invalid search query',
-            message: 'Search query must be at least 2 characters',
-            timestamp: new Date().toISOString()
-        });
-    }
-
     try {
-        // Build search query
-        let searchQuery = `
-            SELECT * FROM medicines 
-            WHERE is_active = 1 
-            AND (name LIKE ? OR generic_name LIKE ? OR short_description LIKE ?)
-        `;
-        const searchParams = [`%${q}%`, `%${q}%`, `%${q}%`];
-
-        if (category) {
-            searchQuery += ' AND category = ?';
-            searchParams.push(category);
-        }
-
-        searchQuery += ` ORDER BY name ASC LIMIT ${limit} OFFSET ${offset}`;
-
-        const [medicines] = await db.execute(searchQuery, searchParams);
-
-        // Get total count for pagination
-        let countQuery = `
-            SELECT COUNT(*) as total FROM medicines 
-            WHERE is_active = 1 
-            AND (name LIKE ? OR generic_name LIKE ? OR short_description LIKE ?)
-        `;
-        const countParams = [`%${q}%`, `%${q}%`, `%${q}%`];
-
-        if (category) {
-            countQuery += ' AND category = ?';
-            countParams.push(category);
-        }
-
-        const [countResult] = await db.execute(countQuery, countParams);
+        const result = await searchMedicineCatalog({ q, filters, limit, offset });
 
         logHealthcareEvent('medicines_searched', {
             search_term: q,
-            category: category || null,
-            results_count: medicines.length
+            filters,
+            corrections: result.corrections.map(correction => correction.term),
+            results_count: result.total
         }, req.user?.id);
 
         res.json({
-            medicines,
+            medicines: await attachImages(await attachStockStatus(result.medicines)),
             search: {
                 query: q,
-                category: category || null
+                filters,
+                corrections: result.corrections
             },
+            facets: result.facets,
             pagination: {
                 page,
                 limit,
-                total: countResult[0].total,
-                pages: Math.ceil(countResult[0].total / limit)
+                total: result.total,
+                pages: Math.ceil(result.total / limit)
             },
             timestamp: new Date().toISOString()
         });
@@ -170,7 +150,7 @@ export const searchMedicines = async (req, res) => {
             search_query: q,
             user_id: req.user?.id,
             pagination,
-            category
+            filters
         });
 
         res.status(500).json({
@@ -181,6 +161,40 @@ export const searchMedicines = async (req, res) => {
     }
 };
 
+// Autocomplete medicine names from the in-memory catalog index
+export const autocompleteMedicineNames = async (req, res) => {
+    const q = typeof req.query.q === 'string' ? req.query.q.slice(0, 100) : '';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_AUTOCOMPLETE_LIMIT, 1), MAX_AUTOCOMPLETE_LIMIT);
+
+    if (!q.trim()) {
+        return res.status(400).json({
+            error: 'q is required',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    try {
+        const suggestions = await autocompleteMedicines(q, limit);
+
+        res.json({
+            query: q,
+            suggestions,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'autocomplete_medicines',
+            search_query: q
+        });
+
+        res.status(500).json({
+            error: 'Failed to fetch suggestions',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
 // Get medicine by ID
 export const getMedicineById = async (req, res) => {
     const medicineId = req.params.id;
@@ -198,8 +212,13 @@ export const getMedicineById = async (req, res) => {
             medicine_name: medicine.name
         });
 
+        const [medicineWithStock] = await attachImages(await attachStockStatus([medicine]), { all: true });
+
         res.json({
-            medicine,
+            medicine: {
+                ...medicineWithStock,
+                monograph: await getMonograph(medicine.id)
+            },
             timestamp: new Date().toISOString()
         });
 
@@ -267,7 +286,38 @@ export const getMedicineForms = async (req, res) => {
     }
 };
 
-// Get popular medicines
+// Window and scope of a popularity ranking from the query string
+const parsePopularityQuery = (query) => {
+    const errors = [];
+    const days = query.days === undefined ? DEFAULT_POPULARITY_WINDOW : Number(query.days);
+    if (!POPULARITY_WINDOWS.includes(days)) {
+        errors.push(`days must be one of ${POPULARITY_WINDOWS.join(', ')}`);
+    }
+
+    let serviceAreaId = null;
+    if (query.service_area_id !== undefined && query.service_area_id !== '') {
+        serviceAreaId = Number(query.service_area_id);
+        if (!Number.isInteger(serviceAreaId) || serviceAreaId <= 0) {
+            errors.push('service_area_id must be a positive integer');
+        }
+    }
+
+    let postalCode = null;
+    if (query.postal_code !== undefined && query.postal_code !== '') {
+        postalCode = String(query.postal_code).trim();
+        if (!/^\d{6}$/.test(postalCode)) {
+            errors.push('postal_code must be 6 digits');
+        }
+    }
+
+    if (serviceAreaId && postalCode) {
+        errors.push('Use either service_area_id or postal_code, not both');
+    }
+
+    return { errors, options: { days, serviceAreaId, postalCode } };
+};
+
+// Get popular medicines, ranked by orders over a rolling window
 export const getPopularMedicines = async (req, res) => {
     // Set default pagination if middleware didn't run
     const pagination = req.pagination || {
@@ -277,33 +327,79 @@ export const getPopularMedicines = async (req, res) => {
     };
     
     const { page, limit, offset } = pagination;
+    const { errors, options } = parsePopularityQuery(req.query);
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Invalid popularity query',
+            details: errors,
+            timestamp: new Date().toISOString()
+        });
+    }
 
     try {
-        // Get popular medicines - for now, just get medicines ordered by name
-        // In future, this could be based on actual order data or admin-marked popular items
-        const [medicines] = await db.execute(`
-            SELECT * FROM medicines 
-            WHERE is_active = 1
-            ORDER BY name ASC
-            LIMIT ${limit} OFFSET ${offset}
-        `);
-
-        const [countResult] = await db.execute(
-            'SELECT COUNT(*) as total FROM medicines WHERE is_active = 1'
-        );
+        let ranking = await getPopularity(options);
+        let requestedScope = null;
+
+        // An area or postal code with no orders yet gets the overall ranking
+        if (ranking.medicines.length === 0 && ranking.scope !== 'all') {
+            requestedScope = ranking.scope;
+            ranking = await getPopularity({ days: options.days });
+        }
+
+        const entries = ranking.medicines.slice(offset, offset + limit);
+        let medicines = [];
+        let total = ranking.medicines.length;
+
+        // No orders in the window at all (new deployment, quiet week): list the catalog by name as before
+        const fallback = ranking.medicines.length === 0;
+        if (fallback) {
+            const [rows] = await db.execute(
+                `SELECT * FROM medicines WHERE is_active = 1 ORDER BY name ASC LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`
+            );
+            const [[count]] = await db.execute('SELECT COUNT(*) as total FROM medicines WHERE is_active = 1');
+            medicines = rows.map(row => ({ ...row, popularity: null }));
+            total = Number(count.total);
+        } else if (entries.length > 0) {
+            const [rows] = await db.execute(
+                `SELECT * FROM medicines WHERE is_active = 1 AND id IN (${entries.map(() => '?').join(', ')})`,
+                entries.map(entry => entry.medicine_id)
+            );
+            const byId = new Map(rows.map(row => [row.id, row]));
+            medicines = entries
+                .filter(entry => byId.has(entry.medicine_id))
+                .map(entry => ({
+                    ...byId.get(entry.medicine_id),
+                    popularity: {
+                        rank: entry.rank,
+                        order_count: entry.order_count,
+                        units_sold: entry.units_sold,
+                        customer_count: entry.customer_count
+                    }
+                }));
+        }
 
         logHealthcareEvent('popular_medicines_fetched', {
             count: medicines.length,
+            days: ranking.days,
+            scope: ranking.scope,
             page
         }, req.user?.id);
 
         res.json({
-            medicines,
+            medicines: await attachImages(await attachStockStatus(medicines)),
+            popularity: {
+                days: ranking.days,
+                scope: ranking.scope,
+                requested_scope: requestedScope,
+                computed_at: ranking.computed_at,
+                fallback
+            },
             pagination: {
                 page,
                 limit,
-                total: countResult[0].total,
-                pages: Math.ceil(countResult[0].total / limit)
+                total,
+                pages: Math.ceil(total / limit)
             },
             timestamp: new Date().toISOString()
         });
@@ -312,7 +408,8 @@ export const getPopularMedicines = async (req, res) => {
         logError(error, {
             operation: 'get_popular_medicines',
             user_id: req.user?.id,
-            pagination
+            pagination,
+            popularity: options
         });
 
         res.status(500).json({
@@ -323,6 +420,41 @@ export const getPopularMedicines = async (req, res) => {
     }
 };
 
+// Get cheaper equivalents of a medicine (same salts, strength and form)
+export const getMedicineSubstitutes = async (req, res) => {
+    const medicineId = req.params.id;
+
+    try {
+        const result = await getSubstitutes(medicineId);
+        if (!result) {
+            return res.status(404).json({
+                error: 'Medicine not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.json({
+            medicine: result.medicine,
+            substitutes: await attachImages(result.substitutes),
+            count: result.substitutes.length,
+            cheaper_count: result.substitutes.filter(substitute => substitute.price_difference > 0).length,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'get_medicine_substitutes',
+            medicine_id: medicineId,
+            user_id: req.user?.id
+        });
+
+        res.status(500).json({
+            error: 'Failed to fetch substitutes',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
 // Create medicine (Admin only)
 export const createMedicine = async (req, res) => {
     const medicineData = req.validatedData;
@@ -331,8 +463,9 @@ export const createMedicine = async (req, res) => {
     try {
         const medicineId = await preparedQueries.medicines.create(medicineData, adminId);
 
-        // Clear medicine cache
+        // Clear medicine cache and rebuild the search index
         medicineCache.invalidate();
+        refreshMedicineIndex();
 
         logMedicineOperation('created', medicineId, adminId, {
             medicine_name: medicineData.name,
@@ -385,25 +518,53 @@ export const updateMedicine = async (req, res) => {
             });
         }
 
-        // Update medicine
+        // Update medicine, checking the price against the stored ceiling and recording price changes
         const fields = Object.keys(updateData);
         const values = Object.values(updateData);
         const setClause = fields.map(field => `${field} = ?`).join(', ');
-        
-        const [result] = await db.execute(
-            `UPDATE medicines SET ${setClause} WHERE id = ?`,
-            [...values, medicineId]
-        );
 
-        if (result.affectedRows === 0) {
+        const updated = await withTransaction(async (connection) => {
+            const [rows] = await connection.execute(
+                'SELECT id, price, mrp, price_ceiling FROM medicines WHERE id = ? FOR UPDATE',
+                [medicineId]
+            );
+            const current = rows[0];
+            if (!current) return false;
+
+            const violations = priceViolations({
+                price: updateData.price,
+                mrp: updateData.mrp,
+                price_ceiling: 'price_ceiling' in updateData ? updateData.price_ceiling : current.price_ceiling
+            });
+            if (violations.length > 0) {
+                throw Object.assign(new Error(violations.join('; ')), { status: 400, reasons: violations });
+            }
+
+            await connection.execute(
+                `UPDATE medicines SET ${setClause} WHERE id = ?`,
+                [...values, medicineId]
+            );
+            await recordPriceChange(connection, {
+                medicine: current,
+                price: updateData.price,
+                mrp: updateData.mrp,
+                source: 'update',
+                reason: req.body.price_change_reason,
+                actorId: adminId
+            });
+            return true;
+        });
+
+        if (!updated) {
             return res.status(404).json({
                 error: 'Medicine not found',
                 timestamp: new Date().toISOString()
             });
         }
 
-        // Clear medicine cache
+        // Clear medicine cache and rebuild the search index
         medicineCache.invalidate();
+        refreshMedicineIndex();
 
         logMedicineOperation('updated', medicineId, adminId, {
             medicine_name: currentMedicine.name,
@@ -418,6 +579,14 @@ export const updateMedicine = async (req, res) => {
         });
 
     } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({
+                error: 'Medicine validation failed',
+                details: error.reasons,
+                timestamp: new Date().toISOString()
+            });
+        }
+
         logError(error, {
             operation: 'update_medicine',
             medicine_id: medicineId,
@@ -460,8 +629,9 @@ export const deleteMedicine = async (req, res) => {
             });
         }
 
-        // Clear medicine cache
+        // Clear medicine cache and rebuild the search index
         medicineCache.invalidate();
+        refreshMedicineIndex();
 
         logMedicineOperation('deleted', medicineId, adminId, {
             medicine_name: medicine.name
@@ -507,8 +677,9 @@ export const updateMedicineStatus = async (req, res) => {
             });
         }
 
-        // Clear medicine cache
+        // Clear medicine cache and rebuild the search index
         medicineCache.invalidate();
+        refreshMedicineIndex();
 
         logMedicineOperation('status_updated', medicineId, adminId, {
             new_status: is_active ? 'active' : 'inactive'
@@ -533,81 +704,919 @@ export const updateMedicineStatus = async (req, res) => {
     }
 };
 
-// Bulk import medicines (Admin only)
+// Create or replace the monograph of a medicine (Admin only)
+export const updateMedicineMonograph = async (req, res) => {
+    const medicineId = req.params.id;
+    const monograph = req.validatedData;
+    const adminId = req.user.id;
+
+    try {
+        const [medicines] = await db.execute('SELECT id, name FROM medicines WHERE id = ?', [medicineId]);
+        if (medicines.length === 0) {
+            return res.status(404).json({
+                error: 'Medicine not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const previous = await getMonograph(medicineId);
+        await saveMonograph(medicineId, monograph, adminId);
+
+        // Monograph words are part of the search vocabulary
+        medicineCache.invalidate();
+        refreshMedicineIndex();
+
+        logMedicineOperation('monograph_updated', medicineId, adminId, {
+            medicine_name: medicines[0].name
+        });
+
+        logAuditTrail(previous ? 'UPDATE' : 'CREATE', 'medicine_monograph', adminId, previous, monograph);
+
+        res.status(previous ? 200 : 201).json({
+            message: previous ? 'Monograph updated successfully' : 'Monograph created successfully',
+            monograph: await getMonograph(medicineId),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'update_medicine_monograph',
+            medicine_id: medicineId,
+            admin_id: adminId
+        });
+
+        res.status(500).json({
+            error: 'Failed to save monograph',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// Delete the monograph of a medicine (Admin only)
+export const deleteMedicineMonograph = async (req, res) => {
+    const medicineId = req.params.id;
+    const adminId = req.user.id;
+
+    try {
+        const previous = await getMonograph(medicineId);
+        if (!previous) {
+            return res.status(404).json({ error: 'Monograph not found' });
+        }
+
+        await deleteMonograph(medicineId);
+
+        medicineCache.invalidate();
+        refreshMedicineIndex();
+
+        logAuditTrail('DELETE', 'medicine_monograph', adminId, previous, null);
+        res.json({ message: 'Monograph deleted successfully', timestamp: new Date().toISOString() });
+    } catch (error) {
+        logError(error, { operation: 'delete_medicine_monograph', medicine_id: medicineId, admin_id: adminId });
+        res.status(500).json({ error: 'Failed to delete monograph' });
+    }
+};
+
+// Upload product images; each is stored in thumbnail/medium/full sizes as WebP and JPEG (Admin only)
+export const uploadMedicineImages = async (req, res) => {
+    const medicineId = req.params.id;
+    const adminId = req.user.id;
+    const files = req.files || [];
+
+    if (files.length === 0) {
+        return res.status(400).json({
+            error: 'Upload at least one image as "images"',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    try {
+        const result = await addMedicineImages(medicineId, files, {
+            primary: ['true', '1'].includes(String(req.body?.is_primary)),
+            altText: req.body?.alt_text ? sanitizeField(req.body.alt_text, 255) : null,
+            userId: adminId
+        });
+        if (!result) {
+            return res.status(404).json({
+                error: 'Medicine not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        medicineCache.invalidate();
+
+        logAuditTrail('CREATE', 'medicine_image', adminId, null, {
+            medicine_id: medicineId,
+            image_ids: result.created
+        });
+
+        res.status(201).json({
+            message: 'Images uploaded successfully',
+            created: result.created,
+            images: result.images,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({
+                error: 'Image upload failed',
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logError(error, {
+            operation: 'upload_medicine_images',
+            medicine_id: medicineId,
+            admin_id: adminId,
+            files: files.length
+        });
+
+        res.status(500).json({
+            error: 'Failed to upload images',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// Make an image primary or change its alt text/order (Admin only)
+export const updateMedicineImage = async (req, res) => {
+    const { id: medicineId, imageId } = req.params;
+    const { is_primary, alt_text, sort_order } = req.body || {};
+    const changes = {};
+
+    if (is_primary !== undefined) {
+        if (is_primary !== true) {
+            return res.status(400).json({ error: 'is_primary can only be set to true; make another image primary instead' });
+        }
+        changes.is_primary = true;
+    }
+    if (alt_text !== undefined) {
+        changes.alt_text = alt_text ? sanitizeField(alt_text, 255) : null;
+    }
+    if (sort_order !== undefined) {
+        if (!Number.isInteger(sort_order) || sort_order < 0) {
+            return res.status(400).json({ error: 'sort_order must be a non-negative integer' });
+        }
+        changes.sort_order = sort_order;
+    }
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: 'Nothing to update (is_primary, alt_text or sort_order)' });
+    }
+
+    try {
+        const updated = await changeMedicineImage(medicineId, imageId, changes);
+        if (!updated) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        medicineCache.invalidate();
+        logAuditTrail('UPDATE', 'medicine_image', req.user.id, null, { medicine_id: medicineId, image_id: imageId, ...changes });
+        res.json({ message: 'Image updated', timestamp: new Date().toISOString() });
+    } catch (error) {
+        logError(error, { operation: 'update_medicine_image', medicine_id: medicineId, image_id: imageId });
+        res.status(500).json({ error: 'Failed to update image' });
+    }
+};
+
+// Delete an image and its stored files (Admin only)
+export const deleteMedicineImage = async (req, res) => {
+    const { id: medicineId, imageId } = req.params;
+
+    try {
+        const deleted = await removeMedicineImage(medicineId, imageId, req.user.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        medicineCache.invalidate();
+        logAuditTrail('DELETE', 'medicine_image', req.user.id, { medicine_id: medicineId, image_id: imageId }, null);
+        res.json({ message: 'Image deleted', timestamp: new Date().toISOString() });
+    } catch (error) {
+        logError(error, { operation: 'delete_medicine_image', medicine_id: medicineId, image_id: imageId });
+        res.status(500).json({ error: 'Failed to delete image' });
+    }
+};
+
+// Bulk import medicines from a CSV/XLSX upload or a JSON items array, upserting by SKU (Admin only)
 export const bulkImportMedicines = async (req, res) => {
-    const { items } = req.body || {};
-    if (!Array.isArray(items) || items.length === 0) {
-        return res.status(400).json({ error: 'items array is required' });
+    const adminId = req.user.id;
+    const body = req.body || {};
+    const dryRun = ['true', '1'].includes(String(body.dry_run ?? req.query.dry_run));
+    const format = body.format || req.query.format;
+
+    let source;
+    try {
+        // Multipart fields arrive as strings, so the mapping is JSON text there
+        const mapping = typeof body.mapping === 'string' ? JSON.parse(body.mapping || '{}') : (body.mapping ?? {});
+        if (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping)) {
+            throw Object.assign(new Error('mapping must be an object of { field: "Column header" }'), { status: 400 });
+        }
+
+        if (req.file) {
+            source = recordsFromFile(req.file, mapping);
+        } else if (Array.isArray(body.items) && body.items.length > 0) {
+            source = recordsFromItems(body.items);
+        } else {
+            return res.status(400).json({
+                error: 'Upload a CSV or XLSX file as "file", or send an items array',
+                timestamp: new Date().toISOString()
+            });
+        }
+    } catch (error) {
+        if (error.status === 400 || error instanceof SyntaxError) {
+            return res.status(400).json({
+                error: 'Import file could not be read',
+                message: error instanceof SyntaxError ? 'mapping is not valid JSON' : error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+        logError(error, { operation: 'bulk_import_medicines_read', admin_id: adminId, file: req.file?.originalname });
+        return res.status(500).json({ error: 'Bulk import failed' });
     }
+
     try {
-        const connection = await db.getConnection();
-        try {
-            await connection.beginTransaction();
-            let inserted = 0;
-            for (const m of items) {
-                const { name, generic_name, manufacturer, category, form, strength, price, mrp, sku, image_url, short_description, requires_prescription } = m;
-                await connection.execute(
-                    `INSERT INTO medicines (name, generic_name, manufacturer, category, form, strength, price, mrp, sku, image_url, short_description, requires_prescription)
-                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                    [name, generic_name, manufacturer, category, form, strength, price, mrp, sku, image_url, short_description, requires_prescription ? 1 : 0]
-                );
-                inserted++;
-            }
-            await connection.commit();
+        const report = await importMedicines(source.records, {
+            dryRun,
+            adminId,
+            fileName: req.file?.originalname || null
+        });
+
+        if (!dryRun && report.summary.accepted + report.summary.updated > 0) {
             medicineCache.invalidate();
-            res.status(201).json({ message: 'Bulk import completed', inserted, timestamp: new Date().toISOString() });
-        } catch (e) {
-            await connection.rollback();
-            throw e;
-        } finally {
-            connection.release();
+            refreshMedicineIndex();
+            logAuditTrail('CREATE', 'medicine_import', adminId, null, {
+                file: req.file?.originalname || null,
+                ...report.summary
+            });
         }
+
+        if (format === 'csv') {
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="catalog-import-${dryRun ? 'dry-run-' : ''}${stamp}.csv"`);
+            return res.send(importReportCsv(report));
+        }
+
+        res.status(dryRun ? 200 : 201).json({
+            message: dryRun ? 'Dry run completed; nothing was saved' : 'Bulk import completed',
+            ...report,
+            columns: source.columns,
+            unmapped_headers: source.unmapped_headers,
+            timestamp: new Date().toISOString()
+        });
+
     } catch (error) {
-        logError(error, { operation: 'bulk_import_medicines' });
+        logError(error, { operation: 'bulk_import_medicines', admin_id: adminId, dry_run: dryRun });
         res.status(500).json({ error: 'Bulk import failed' });
     }
 };
 
-// Bulk update prices (Admin only)
+const MAX_PRICE_UPDATES = 500;
+
+// Check the shape of one price update; returns the parsed update or an error message
+const parsePriceUpdate = (update, defaultReason) => {
+    const id = Number(update?.id);
+    if (!Number.isInteger(id) || id <= 0) return { error: 'id must be a medicine id' };
+
+    const parsed = { id, reason: update.reason ?? defaultReason ?? null, effectiveAt: null };
+    for (const field of ['price', 'mrp']) {
+        if (update[field] === undefined || update[field] === null || update[field] === '') continue;
+        const amount = Number(update[field]);
+        if (!Number.isFinite(amount) || amount <= 0) return { error: `${field} must be a positive number` };
+        parsed[field] = Math.round(amount * 100) / 100;
+    }
+    if (parsed.price === undefined && parsed.mrp === undefined) return { error: 'price or mrp is required' };
+
+    if (update.effective_at) {
+        const effectiveAt = new Date(update.effective_at);
+        if (isNaN(effectiveAt.getTime())) return { error: 'effective_at must be a date and time' };
+        // A time that has already passed means "now"
+        if (effectiveAt.getTime() > Date.now()) parsed.effectiveAt = effectiveAt;
+    }
+    return { parsed };
+};
+
+// Bulk update or schedule prices (Admin only); all updates are applied or none are
 export const bulkUpdatePrices = async (req, res) => {
-    const { updates } = req.body || {};
+    const { updates, reason } = req.body || {};
+    const adminId = req.user.id;
+
     if (!Array.isArray(updates) || updates.length === 0) {
         return res.status(400).json({ error: 'updates array is required' });
     }
+    if (updates.length > MAX_PRICE_UPDATES) {
+        return res.status(400).json({ error: `At most ${MAX_PRICE_UPDATES} updates can be sent at once` });
+    }
+
+    const parsedUpdates = updates.map(update => parsePriceUpdate(update, reason));
+    const shapeErrors = parsedUpdates
+        .map((result, index) => result.error && { index, id: updates[index]?.id ?? null, errors: [result.error] })
+        .filter(Boolean);
+    if (shapeErrors.length > 0) {
+        return res.status(400).json({ error: 'Price update rejected', details: shapeErrors });
+    }
+
     try {
-        let affected = 0;
-        for (const u of updates) {
-            const [result] = await db.execute('UPDATE medicines SET price = ?, mrp = ? WHERE id = ?', [u.price, u.mrp, u.id]);
-            affected += result.affectedRows;
+        const results = await withTransaction(async (connection) => {
+            const applied = [];
+            const rejected = [];
+
+            for (const [index, { parsed }] of parsedUpdates.entries()) {
+                try {
+                    const result = parsed.effectiveAt
+                        ? await schedulePriceChange(connection, parsed.id, {
+                            price: parsed.price ?? null,
+                            mrp: parsed.mrp ?? null,
+                            effectiveAt: parsed.effectiveAt,
+                            reason: parsed.reason,
+                            adminId
+                        })
+                        : await changeMedicinePrice(connection, parsed.id, {
+                            price: parsed.price,
+                            mrp: parsed.mrp,
+                            source: 'bulk',
+                            reason: parsed.reason,
+                            actorId: adminId
+                        });
+
+                    if (!result) {
+                        rejected.push({ index, id: parsed.id, errors: ['Medicine not found'] });
+                    } else if (parsed.effectiveAt) {
+                        applied.push({ ...result, status: 'scheduled' });
+                    } else {
+                        applied.push({ ...result, status: result.changed ? 'updated' : 'unchanged' });
+                    }
+                } catch (error) {
+                    if (error.status !== 400) throw error;
+                    rejected.push({ index, id: parsed.id, errors: error.reasons });
+                }
+            }
+
+            if (rejected.length > 0) {
+                throw Object.assign(new Error('Price update rejected'), { status: 400, details: rejected });
+            }
+            return applied;
+        });
+
+        const count = (status) => results.filter(result => result.status === status).length;
+        if (count('updated') > 0) {
+            medicineCache.invalidate();
         }
-        medicineCache.invalidate();
-        res.json({ message: 'Prices updated', affected, timestamp: new Date().toISOString() });
+
+        logAuditTrail('UPDATE', 'medicine_price', adminId, null, {
+            reason: reason || null,
+            updated: count('updated'),
+            scheduled: count('scheduled')
+        });
+
+        res.json({
+            message: 'Prices updated',
+            updated: count('updated'),
+            scheduled: count('scheduled'),
+            unchanged: count('unchanged'),
+            results,
+            timestamp: new Date().toISOString()
+        });
     } catch (error) {
-        logError(error, { operation: 'bulk_update_prices' });
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message, details: error.details });
+        }
+        logError(error, { operation: 'bulk_update_prices', admin_id: adminId });
         res.status(500).json({ error: 'Failed to update prices' });
     }
 };
 
+// Get price history and pending scheduled changes of a medicine (Admin only)
+export const getMedicinePriceHistory = async (req, res) => {
+    const medicineId = req.params.id;
+    const { page, limit, offset } = req.pagination;
+
+    try {
+        const [medicines] = await db.execute(
+            'SELECT id, name, price, mrp, price_ceiling FROM medicines WHERE id = ?',
+            [medicineId]
+        );
+        if (medicines.length === 0) {
+            return res.status(404).json({ error: 'Medicine not found' });
+        }
+
+        const { history, total, scheduled } = await getPriceHistory(medicineId, { limit, offset });
+        const medicine = medicines[0];
+
+        res.json({
+            medicine: {
+                id: medicine.id,
+                name: medicine.name,
+                price: parseFloat(medicine.price),
+                mrp: parseFloat(medicine.mrp),
+                price_ceiling: medicine.price_ceiling === null ? null : parseFloat(medicine.price_ceiling)
+            },
+            history,
+            scheduled,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logError(error, { operation: 'get_medicine_price_history', medicine_id: medicineId });
+        res.status(500).json({ error: 'Failed to fetch price history' });
+    }
+};
+
+// Cancel a pending scheduled price change (Admin only)
+export const cancelScheduledPriceChange = async (req, res) => {
+    const { id: medicineId, scheduleId } = req.params;
+    const adminId = req.user.id;
+
+    try {
+        const cancelled = await cancelPriceSchedule(medicineId, scheduleId);
+        if (!cancelled) {
+            return res.status(404).json({ error: 'No pending price change with this id for the medicine' });
+        }
+
+        logAuditTrail('DELETE', 'medicine_price_schedule', adminId, { medicine_id: medicineId, schedule_id: scheduleId }, null);
+        res.json({ message: 'Scheduled price change cancelled', timestamp: new Date().toISOString() });
+    } catch (error) {
+        logError(error, { operation: 'cancel_scheduled_price_change', medicine_id: medicineId, schedule_id: scheduleId });
+        res.status(500).json({ error: 'Failed to cancel scheduled price change' });
+    }
+};
+
 // Get inventory analytics (Admin only)
 export const getInventoryAnalytics = async (req, res) => {
     try {
         const [[summary]] = await db.execute('SELECT COUNT(*) as total, SUM(is_active=1) as active_count FROM medicines');
         const [byCategory] = await db.execute('SELECT category, COUNT(*) as items, SUM(is_active=1) as active FROM medicines GROUP BY category ORDER BY items DESC');
-        res.json({ summary, by_category: byCategory, timestamp: new Date().toISOString() });
+
+        // Sellable stock per active medicine across active pharmacies
+        const [stock] = await db.execute(
+            `SELECT m.id, m.name, m.category, m.low_stock_threshold,
+                    COALESCE(SUM(s.quantity_on_hand), 0) as on_hand,
+                    COALESCE(SUM(s.quantity_reserved), 0) as reserved,
+                    COALESCE(SUM(s.available), 0) as available
+             FROM medicines m
+             LEFT JOIN (${SELLABLE_STOCK_SQL}) s ON s.medicine_id = m.id
+             WHERE m.is_active = 1
+             GROUP BY m.id, m.name, m.category, m.low_stock_threshold
+             ORDER BY available ASC, m.name ASC`
+        );
+        const rows = stock.map(row => ({
+            ...row,
+            on_hand: Number(row.on_hand),
+            reserved: Number(row.reserved),
+            available: Number(row.available)
+        }));
+        const outOfStock = rows.filter(row => row.available <= 0);
+        const lowStock = rows.filter(row => row.available > 0 && row.available <= row.low_stock_threshold);
+
+        const [byPharmacy] = await db.execute(
+            `SELECT p.id, p.name, p.is_active, COUNT(ps.medicine_id) as medicines,
+                    COALESCE(SUM(ps.quantity_on_hand), 0) as on_hand, COALESCE(SUM(ps.quantity_reserved), 0) as reserved
+             FROM pharmacies p
+             LEFT JOIN pharmacy_stock ps ON ps.pharmacy_id = p.id
+             GROUP BY p.id, p.name, p.is_active
+             ORDER BY p.name`
+        );
+
+        // Lots that are expired or too close to expiry to sell
+        const [[expiry]] = await db.execute(
+            `SELECT SUM(expiry_date < CURDATE()) as expired_lots,
+                    COALESCE(SUM(CASE WHEN expiry_date < CURDATE() THEN quantity_on_hand END), 0) as expired_units,
+                    SUM(expiry_date >= CURDATE() AND expiry_date <= CURDATE() + INTERVAL ${MIN_SHELF_LIFE_DAYS} DAY) as expiring_lots,
+                    COALESCE(SUM(CASE WHEN expiry_date >= CURDATE() AND expiry_date <= CURDATE() + INTERVAL ${MIN_SHELF_LIFE_DAYS} DAY THEN quantity_on_hand END), 0) as expiring_units
+             FROM medicine_batches WHERE quantity_on_hand > 0`
+        );
+
+        res.json({
+            summary: {
+                ...summary,
+                units_on_hand: rows.reduce((sum, row) => sum + row.on_hand, 0),
+                units_reserved: rows.reduce((sum, row) => sum + row.reserved, 0),
+                out_of_stock_count: outOfStock.length,
+                low_stock_count: lowStock.length
+            },
+            by_category: byCategory,
+            by_pharmacy: byPharmacy,
+            expiry: {
+                min_shelf_life_days: MIN_SHELF_LIFE_DAYS,
+                expired_lots: Number(expiry.expired_lots) || 0,
+                expired_units: Number(expiry.expired_units),
+                expiring_lots: Number(expiry.expiring_lots) || 0,
+                expiring_units: Number(expiry.expiring_units)
+            },
+            out_of_stock: outOfStock.slice(0, 100),
+            low_stock: lowStock.slice(0, 100),
+            timestamp: new Date().toISOString()
+        });
     } catch (error) {
         logError(error, { operation: 'get_inventory_analytics' });
         res.status(500).json({ error: 'Failed to fetch inventory analytics' });
     }
 };
 
+// Get stock levels of a medicine per pharmacy (Admin only)
+export const getMedicineStock = async (req, res) => {
+    const medicineId = req.params.id;
+    try {
+        const [medicines] = await db.execute('SELECT id, name, low_stock_threshold FROM medicines WHERE id = ?', [medicineId]);
+        if (medicines.length === 0) return res.status(404).json({ error: 'Medicine not found' });
+
+        const [stock] = await db.execute(
+            `SELECT p.id as pharmacy_id, p.name as pharmacy_name, p.is_active,
+                    ps.quantity_on_hand, ps.quantity_reserved, COALESCE(s.available, 0) as available, ps.updated_at
+             FROM pharmacy_stock ps
+             JOIN pharmacies p ON ps.pharmacy_id = p.id
+             LEFT JOIN (${SELLABLE_STOCK_SQL}) s ON s.pharmacy_id = ps.pharmacy_id AND s.medicine_id = ps.medicine_id
+             WHERE ps.medicine_id = ?
+             ORDER BY p.name`,
+            [medicineId]
+        );
+        const available = stock.reduce((sum, row) => sum + Number(row.available), 0);
+
+        res.json({
+            medicine: medicines[0],
+            available,
+            ...stockFlags(available, medicines[0].low_stock_threshold),
+            pharmacies: stock,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logError(error, { operation: 'get_medicine_stock', medicine_id: medicineId });
+        res.status(500).json({ error: 'Failed to fetch stock' });
+    }
+};
+
+// Set a medicine's on-hand quantity at a pharmacy and/or its low-stock threshold (Admin only)
+export const updateMedicineStock = async (req, res) => {
+    const medicineId = req.params.id;
+    const adminId = req.user.id;
+    const { pharmacy_id, quantity_on_hand, low_stock_threshold } = req.body || {};
+
+    const quantity = quantity_on_hand === undefined ? undefined : Number(quantity_on_hand);
+    const threshold = low_stock_threshold === undefined ? undefined : Number(low_stock_threshold);
+    if (quantity === undefined && threshold === undefined) {
+        return res.status(400).json({ error: 'quantity_on_hand or low_stock_threshold is required' });
+    }
+    if (quantity !== undefined && (!Number.isInteger(quantity) || quantity < 0)) {
+        return res.status(400).json({ error: 'quantity_on_hand must be a non-negative integer' });
+    }
+    if (threshold !== undefined && (!Number.isInteger(threshold) || threshold < 0)) {
+        return res.status(400).json({ error: 'low_stock_threshold must be a non-negative integer' });
+    }
+
+    try {
+        const [medicines] = await db.execute('SELECT id, name, low_stock_threshold FROM medicines WHERE id = ?', [medicineId]);
+        if (medicines.length === 0) return res.status(404).json({ error: 'Medicine not found' });
+
+        let pharmacyId = null;
+        if (quantity !== undefined) {
+            // Without pharmacy_id the first active pharmacy (the central store) is used
+            const [pharmacies] = pharmacy_id
+                ? await db.execute('SELECT id FROM pharmacies WHERE id = ?', [pharmacy_id])
+                : await db.execute('SELECT id FROM pharmacies WHERE is_active = 1 ORDER BY id LIMIT 1');
+            if (pharmacies.length === 0) return res.status(404).json({ error: 'Pharmacy not found' });
+            pharmacyId = pharmacies[0].id;
+        }
+
+        const previous = await withTransaction(async (connection) => {
+            let before = null;
+            if (quantity !== undefined) {
+                const [rows] = await connection.execute(
+                    'SELECT quantity_on_hand, quantity_reserved FROM pharmacy_stock WHERE pharmacy_id = ? AND medicine_id = ? FOR UPDATE',
+                    [pharmacyId, medicineId]
+                );
+                before = rows[0] || { quantity_on_hand: 0, quantity_reserved: 0 };
+                if (quantity < before.quantity_reserved) {
+                    throw Object.assign(
+                        new Error(`${before.quantity_reserved} units are reserved by open orders; on-hand cannot go below that`),
+                        { status: 409 }
+                    );
+                }
+                const [[lots]] = await connection.execute(
+                    'SELECT COALESCE(SUM(quantity_on_hand), 0) as units FROM medicine_batches WHERE pharmacy_id = ? AND medicine_id = ?',
+                    [pharmacyId, medicineId]
+                );
+                if (quantity < Number(lots.units)) {
+                    throw Object.assign(
+                        new Error(`${lots.units} units are held in batch lots; adjust the lots instead`),
+                        { status: 409 }
+                    );
+                }
+                await connection.execute(
+                    `INSERT INTO pharmacy_stock (pharmacy_id, medicine_id, quantity_on_hand) VALUES (?, ?, ?)
+                     ON DUPLICATE KEY UPDATE quantity_on_hand = VALUES(quantity_on_hand)`,
+                    [pharmacyId, medicineId, quantity]
+                );
+            }
+            if (threshold !== undefined) {
+                await connection.execute('UPDATE medicines SET low_stock_threshold = ? WHERE id = ?', [threshold, medicineId]);
+            }
+            return before;
+        });
+
+        medicineCache.invalidate();
+
+        logAuditTrail('UPDATE', 'medicine_stock', adminId,
+            { medicine_id: medicineId, pharmacy_id: pharmacyId, quantity_on_hand: previous?.quantity_on_hand, low_stock_threshold: medicines[0].low_stock_threshold },
+            { medicine_id: medicineId, pharmacy_id: pharmacyId, quantity_on_hand: quantity, low_stock_threshold: threshold }
+        );
+
+        res.json({
+            message: 'Stock updated',
+            medicine_id: Number(medicineId),
+            pharmacy_id: pharmacyId,
+            quantity_on_hand: quantity,
+            low_stock_threshold: threshold ?? medicines[0].low_stock_threshold,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).json({ error: 'Stock cannot go that low', message: error.message });
+        }
+        logError(error, { operation: 'update_medicine_stock', medicine_id: medicineId, admin_id: adminId });
+        res.status(500).json({ error: 'Failed to update stock' });
+    }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Batch lot as returned to admins
+const formatBatch = (batch) => ({
+    ...batch,
+    purchase_price: batch.purchase_price !== null ? parseFloat(batch.purchase_price) : null,
+    is_blocked: !!batch.is_blocked,
+    available: batch.quantity_on_hand - batch.quantity_reserved
+});
+
+// List batch lots of a medicine, earliest expiry first (Admin only)
+export const getMedicineBatches = async (req, res) => {
+    const medicineId = req.params.id;
+    try {
+        const [batches] = await db.execute(
+            `SELECT b.*, p.name as pharmacy_name,
+                    DATEDIFF(b.expiry_date, CURDATE()) as days_to_expiry,
+                    (b.is_blocked = 0 AND b.expiry_date > CURDATE() + INTERVAL ${MIN_SHELF_LIFE_DAYS} DAY) as sellable
+             FROM medicine_batches b
+             JOIN pharmacies p ON b.pharmacy_id = p.id
+             WHERE b.medicine_id = ?
+             ORDER BY b.expiry_date ASC, b.id ASC`,
+            [medicineId]
+        );
+        res.json({
+            medicine_id: Number(medicineId),
+            batches: batches.map(batch => ({ ...formatBatch(batch), sellable: !!batch.sellable })),
+            min_shelf_life_days: MIN_SHELF_LIFE_DAYS,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logError(error, { operation: 'get_medicine_batches', medicine_id: medicineId });
+        res.status(500).json({ error: 'Failed to fetch batches' });
+    }
+};
+
+// Receive a batch lot into a pharmacy's stock (Admin only)
+export const addMedicineBatch = async (req, res) => {
+    const medicineId = req.params.id;
+    const adminId = req.user.id;
+    const { pharmacy_id, batch_number, expiry_date, manufactured_date, purchase_price } = req.body || {};
+    const quantity = Number(req.body?.quantity);
+    const batchNumber = String(batch_number || '').trim().toUpperCase();
+
+    const errors = [];
+    if (!batchNumber || batchNumber.length > 50) errors.push('batch_number is required (max 50 characters)');
+    if (!DATE_PATTERN.test(String(expiry_date || '')) || isNaN(Date.parse(expiry_date))) errors.push('expiry_date must be YYYY-MM-DD');
+    if (manufactured_date && (!DATE_PATTERN.test(String(manufactured_date)) || manufactured_date >= expiry_date)) {
+        errors.push('manufactured_date must be YYYY-MM-DD and before expiry_date');
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) errors.push('quantity must be a positive integer');
+    if (purchase_price !== undefined && purchase_price !== null && (!Number.isFinite(Number(purchase_price)) || Number(purchase_price) < 0)) {
+        errors.push('purchase_price must be a non-negative number');
+    }
+    if (expiry_date && expiry_date <= new Date().toISOString().split('T')[0]) errors.push('Batch has already expired');
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid batch', details: errors });
+
+    try {
+        const [medicines] = await db.execute('SELECT id, name FROM medicines WHERE id = ?', [medicineId]);
+        if (medicines.length === 0) return res.status(404).json({ error: 'Medicine not found' });
+
+        // Without pharmacy_id the first active pharmacy (the central store) is used
+        const [pharmacies] = pharmacy_id
+            ? await db.execute('SELECT id FROM pharmacies WHERE id = ?', [pharmacy_id])
+            : await db.execute('SELECT id FROM pharmacies WHERE is_active = 1 ORDER BY id LIMIT 1');
+        if (pharmacies.length === 0) return res.status(404).json({ error: 'Pharmacy not found' });
+        const pharmacyId = pharmacies[0].id;
+
+        const batchId = await withTransaction(async (connection) => {
+            const [result] = await connection.execute(
+                `INSERT INTO medicine_batches (medicine_id, pharmacy_id, batch_number, expiry_date, manufactured_date,
+                                               quantity_received, quantity_on_hand, purchase_price, received_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [medicineId, pharmacyId, batchNumber, expiry_date, manufactured_date || null, quantity, quantity,
+                    purchase_price ?? null, adminId]
+            );
+            await connection.execute(
+                `INSERT INTO pharmacy_stock (pharmacy_id, medicine_id, quantity_on_hand) VALUES (?, ?, ?)
+                 ON DUPLICATE KEY UPDATE quantity_on_hand = quantity_on_hand + VALUES(quantity_on_hand)`,
+                [pharmacyId, medicineId, quantity]
+            );
+            return result.insertId;
+        });
+
+        medicineCache.invalidate();
+
+        logAuditTrail('CREATE', 'medicine_batch', adminId, null, {
+            batch_id: batchId,
+            medicine_id: medicineId,
+            pharmacy_id: pharmacyId,
+            batch_number: batchNumber,
+            expiry_date,
+            quantity
+        });
+
+        res.status(201).json({
+            message: 'Batch received',
+            batch_id: batchId,
+            medicine_id: Number(medicineId),
+            pharmacy_id: pharmacyId,
+            batch_number: batchNumber,
+            expiry_date,
+            quantity,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'This batch number is already recorded for the medicine at that pharmacy' });
+        }
+        logError(error, { operation: 'add_medicine_batch', medicine_id: medicineId, admin_id: adminId });
+        res.status(500).json({ error: 'Failed to add batch' });
+    }
+};
+
+// Block/unblock a lot (e.g. recall or quarantine) or correct its on-hand quantity (Admin only)
+export const updateMedicineBatch = async (req, res) => {
+    const { id: medicineId, batchId } = req.params;
+    const adminId = req.user.id;
+    const { is_blocked, block_reason, quantity_on_hand } = req.body || {};
+    const quantity = quantity_on_hand === undefined ? undefined : Number(quantity_on_hand);
+
+    if (is_blocked === undefined && quantity === undefined) {
+        return res.status(400).json({ error: 'is_blocked or quantity_on_hand is required' });
+    }
+    if (quantity !== undefined && (!Number.isInteger(quantity) || quantity < 0)) {
+        return res.status(400).json({ error: 'quantity_on_hand must be a non-negative integer' });
+    }
+    if (is_blocked && !String(block_reason || '').trim()) {
+        return res.status(400).json({ error: 'block_reason is required to block a batch' });
+    }
+
+    try {
+        const updated = await withTransaction(async (connection) => {
+            const [batches] = await connection.execute(
+                'SELECT * FROM medicine_batches WHERE id = ? AND medicine_id = ? FOR UPDATE',
+                [batchId, medicineId]
+            );
+            if (batches.length === 0) return null;
+            const batch = batches[0];
+
+            if (quantity !== undefined) {
+                if (quantity < batch.quantity_reserved) {
+                    throw Object.assign(
+                        new Error(`${batch.quantity_reserved} units of this batch are reserved by open orders`),
+                        { status: 409 }
+                    );
+                }
+                // Keep the pharmacy total in step with the lot
+                await connection.execute(
+                    `UPDATE pharmacy_stock SET quantity_on_hand = GREATEST(quantity_on_hand + ?, 0)
+                     WHERE pharmacy_id = ? AND medicine_id = ?`,
+                    [quantity - batch.quantity_on_hand, batch.pharmacy_id, batch.medicine_id]
+                );
+            }
+
+            const blocked = is_blocked === undefined ? batch.is_blocked : (is_blocked ? 1 : 0);
+            await connection.execute(
+                'UPDATE medicine_batches SET is_blocked = ?, block_reason = ?, quantity_on_hand = ? WHERE id = ?',
+                [
+                    blocked,
+                    blocked ? (String(block_reason || '').trim().slice(0, 255) || batch.block_reason) : null,
+                    quantity ?? batch.quantity_on_hand,
+                    batch.id
+                ]
+            );
+            return batch;
+        });
+
+        if (!updated) return res.status(404).json({ error: 'Batch not found' });
+
+        medicineCache.invalidate();
+
+        logAuditTrail('UPDATE', 'medicine_batch', adminId,
+            { batch_id: updated.id, is_blocked: !!updated.is_blocked, quantity_on_hand: updated.quantity_on_hand },
+            { batch_id: updated.id, is_blocked, block_reason, quantity_on_hand: quantity }
+        );
+
+        res.json({ message: 'Batch updated', batch_id: updated.id, timestamp: new Date().toISOString() });
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).json({ error: 'Batch quantity cannot go that low', message: error.message });
+        }
+        logError(error, { operation: 'update_medicine_batch', batch_id: batchId, admin_id: adminId });
+        res.status(500).json({ error: 'Failed to update batch' });
+    }
+};
+
+// Lots with stock that expire within N days, soonest first (Admin only)
+export const getExpiringBatches = async (req, res) => {
+    const days = req.query.days === undefined ? MIN_SHELF_LIFE_DAYS : parseInt(req.query.days, 10);
+    const includeExpired = req.query.include_expired !== 'false';
+    if (isNaN(days) || days < 0 || days > 730) {
+        return res.status(400).json({ error: 'days must be between 0 and 730' });
+    }
+    try {
+        let query = `
+            SELECT b.*, m.name as medicine_name, m.sku, p.name as pharmacy_name,
+                   DATEDIFF(b.expiry_date, CURDATE()) as days_to_expiry
+            FROM medicine_batches b
+            JOIN medicines m ON b.medicine_id = m.id
+            JOIN pharmacies p ON b.pharmacy_id = p.id
+            WHERE b.quantity_on_hand > 0 AND b.expiry_date <= CURDATE() + INTERVAL ? DAY
+        `;
+        const params = [days];
+        if (!includeExpired) query += ' AND b.expiry_date >= CURDATE()';
+        if (req.query.pharmacy_id) { query += ' AND b.pharmacy_id = ?'; params.push(req.query.pharmacy_id); }
+        query += ' ORDER BY b.expiry_date ASC, m.name ASC LIMIT 500';
+
+        const [batches] = await db.execute(query, params);
+        const formatted = batches.map(formatBatch);
+
+        res.json({
+            days,
+            count: formatted.length,
+            units: formatted.reduce((sum, batch) => sum + batch.quantity_on_hand, 0),
+            value_at_cost: Math.round(formatted.reduce((sum, batch) => sum + (batch.purchase_price || 0) * batch.quantity_on_hand, 0) * 100) / 100,
+            batches: formatted,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logError(error, { operation: 'get_expiring_batches', days });
+        res.status(500).json({ error: 'Failed to fetch expiring batches' });
+    }
+};
+
+// Orders that received units from a lot, for recalls (Admin only)
+export const getBatchOrders = async (req, res) => {
+    const { batchId } = req.params;
+    try {
+        const [batches] = await db.execute(
+            `SELECT b.id, b.batch_number, b.expiry_date, b.medicine_id, m.name as medicine_name
+             FROM medicine_batches b JOIN medicines m ON b.medicine_id = m.id WHERE b.id = ?`,
+            [batchId]
+        );
+        if (batches.length === 0) return res.status(404).json({ error: 'Batch not found' });
+
+        const [orders] = await db.execute(
+            `SELECT o.id as order_id, o.order_number, o.status, o.created_at, u.id as user_id, u.name as user_name,
+                    u.email as user_email, u.phone as user_phone, oib.quantity
+             FROM order_item_batches oib
+             JOIN order_items oi ON oib.order_item_id = oi.id
+             JOIN orders o ON oi.order_id = o.id
+             JOIN users u ON o.user_id = u.id
+             WHERE oib.batch_id = ?
+             ORDER BY o.created_at DESC`,
+            [batchId]
+        );
+
+        res.json({ batch: batches[0], orders, count: orders.length, timestamp: new Date().toISOString() });
+    } catch (error) {
+        logError(error, { operation: 'get_batch_orders', batch_id: batchId });
+        res.status(500).json({ error: 'Failed to fetch batch orders' });
+    }
+};
+
 // Get popularity analytics (Admin only)
 export const getPopularityAnalytics = async (req, res) => {
+    const { page, limit, offset } = req.pagination;
+    const { errors, options } = parsePopularityQuery(req.query);
+
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid popularity query', details: errors });
+    }
+
     try {
-        // Without explicit popularity signals, proxy by most recently created active medicines
-        const [rows] = await db.execute('SELECT id, name, category, created_at FROM medicines WHERE is_active = 1 ORDER BY created_at DESC LIMIT 20');
-        res.json({ popular: rows, timestamp: new Date().toISOString() });
+        const ranking = await getPopularity(options);
+        res.json({
+            popular: ranking.medicines.slice(offset, offset + limit),
+            window: { days: ranking.days, scope: ranking.scope, computed_at: ranking.computed_at },
+            pagination: {
+                page,
+                limit,
+                total: ranking.medicines.length,
+                pages: Math.ceil(ranking.medicines.length / limit)
+            },
+            timestamp: new Date().toISOString()
+        });
     } catch (error) {
-        logError(error, { operation: 'get_popularity_analytics' });
+        logError(error, { operation: 'get_popularity_analytics', popularity: options });
         res.status(500).json({ error: 'Failed to fetch popularity analytics' });
     }
 };
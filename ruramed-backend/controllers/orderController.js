@@ -1,3 +1,4 @@
+import { v4 as uuidv4 } from 'uuid';
 import { db, withTransaction } from '../config/database.js';
 import { preparedQueries } from '../utils/queryBuilder.js';
 import { 
@@ -7,6 +8,34 @@ import {
     logAuditTrail,
     logOrderOperation 
 } from '../utils/logger.js';
+import { createDeliveryForOrder, formatDeliveryAddress } from '../utils/deliveryTracking.js';
+import { quoteDeliveryFee } from '../utils/deliveryFees.js';
+import { insertOrderItems, getOrderItems, attachOrderItems } from '../utils/orderItems.js';
+import { reserveStock } from '../utils/inventory.js';
+import { resolveServiceArea } from '../utils/serviceAreas.js';
+import { getServingPharmacies, feeOriginPharmacy, createOrderShipments, getOrderShipments } from '../utils/pharmacies.js';
+import { initiatePrepaidPayment, processPendingRefunds } from '../utils/payments.js';
+import { clearCart } from '../utils/cart.js';
+import { findCheaperSubstitutes } from '../utils/substitutes.js';
+import { evaluateCoupons, recordRedemptions, getOrderCoupons } from '../utils/coupons.js';
+import { getInvoiceForOrder, issueOrderInvoice, buildOrderInvoice, renderInvoicePdf } from '../utils/invoices.js';
+import {
+    ORDER_STATUSES,
+    ORDER_TRANSITIONS,
+    CUSTOMER_CANCELLABLE_STATUSES,
+    TERMINAL_FAILURE_STATUSES,
+    DISPATCHED_STATUSES,
+    recordOrderStatus,
+    transitionOrderStatus,
+    getOrderStatusHistory
+} from '../utils/orderStatus.js';
+
+// Error for problems the customer can fix; thrown inside transactions and answered with 400
+const orderValidationError = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Human-readable order number, e.g. ORD-2025-7F3A9C21
+const generateOrderNumber = () =>
+    `ORD-${new Date().getFullYear()}-${uuidv4().replace(/-/g, '').slice(0, 8).toUpperCase()}`;
 
 // Get user orders
 export const getUserOrders = async (req, res) => {
@@ -29,10 +58,7 @@ export const getUserOrders = async (req, res) => {
         }
 
         res.json({
-            orders: filteredOrders.map(order => ({
-                ...order,
-                medicines: JSON.parse(order.medicines)
-            })),
+            orders: await attachOrderItems(filteredOrders),
             pagination: {
                 page,
                 limit,
@@ -58,26 +84,29 @@ export const getUserOrders = async (req, res) => {
 export const createOrder = async (req, res) => {
     const userId = req.user.id;
     const { medicines, address_id, prescription_id } = req.validatedData;
+    const paymentMethod = req.validatedData.payment_method || 'cod';
+    const couponCodes = req.validatedData.coupon_codes || [];
 
     try {
-        const orderId = await withTransaction(async (connection) => {
+        const { orderId, orderNumber, subtotal, discount, coupons, deliveryFee, totalAmount, shipments } = await withTransaction(async (connection) => {
             // Validate address belongs to user
             const [addressCheck] = await connection.execute(
-                'SELECT id FROM addresses WHERE id = ? AND user_id = ?',
+                'SELECT * FROM addresses WHERE id = ? AND user_id = ?',
                 [address_id, userId]
             );
 
             if (addressCheck.length === 0) {
                 throw new Error('Invalid address');
             }
+            const address = addressCheck[0];
 
-            // Calculate total amount
-            let totalAmount = 0;
-            const medicineDetails = [];
+            // Calculate medicines subtotal
+            let subtotal = 0;
+            const orderItems = [];
 
             for (const medicine of medicines) {
                 const [medicineData] = await connection.execute(
-                    'SELECT id, name, price, requires_prescription FROM medicines WHERE id = ? AND is_active = 1',
+                    'SELECT id, name, price, mrp, category, manufacturer, hsn_code, gst_rate, requires_prescription FROM medicines WHERE id = ? AND is_active = 1',
                     [medicine.id]
                 );
 
@@ -86,36 +115,199 @@ export const createOrder = async (req, res) => {
                 }
 
                 const med = medicineData[0];
-                const itemTotal = med.price * medicine.quantity;
-                totalAmount += itemTotal;
-
-                medicineDetails.push({
-                    id: med.id,
-                    name: med.name,
-                    price: med.price,
-                    quantity: medicine.quantity,
-                    total: itemTotal,
+                subtotal += med.price * parseInt(medicine.quantity, 10);
+
+                orderItems.push({
+                    medicine_id: med.id,
+                    medicine_name: med.name,
+                    hsn_code: med.hsn_code,
+                    gst_rate: parseFloat(med.gst_rate),
+                    unit_price: parseFloat(med.price),
+                    mrp: parseFloat(med.mrp),
+                    quantity: parseInt(medicine.quantity, 10),
+                    category: med.category,
+                    manufacturer: med.manufacturer,
                     requires_prescription: med.requires_prescription
                 });
             }
 
             // Check if prescription is required
-            const requiresPrescription = medicineDetails.some(med => med.requires_prescription);
+            const requiresPrescription = orderItems.some(item => item.requires_prescription);
             if (requiresPrescription && !prescription_id) {
                 throw new Error('Prescription required for one or more medicines');
             }
 
+            // Attached prescription must be one the user uploaded and not rejected
+            if (prescription_id) {
+                const [prescriptionCheck] = await connection.execute(
+                    'SELECT id FROM prescriptions WHERE id = ? AND user_id = ? AND status != "rejected"',
+                    [prescription_id, userId]
+                );
+
+                if (prescriptionCheck.length === 0) {
+                    throw new Error('Invalid prescription');
+                }
+            }
+
+            subtotal = Math.round(subtotal * 100) / 100;
+
+            // Coupons are checked again here (rows locked) so limits hold under concurrent checkouts
+            const couponResult = await evaluateCoupons(
+                userId,
+                orderItems.map(item => ({
+                    amount: item.unit_price * item.quantity,
+                    category: item.category,
+                    manufacturer: item.manufacturer
+                })),
+                couponCodes,
+                { connection, lock: true }
+            );
+            if (couponResult.rejected.length > 0) {
+                const [first] = couponResult.rejected;
+                throw orderValidationError(`Coupon ${first.code}: ${first.reason}`);
+            }
+            orderItems.forEach((item, index) => {
+                item.discount_amount = couponResult.line_discounts[index];
+            });
+            const discount = couponResult.total_discount;
+            const payable = Math.round((subtotal - discount) * 100) / 100;
+
+            const match = await resolveServiceArea({
+                lat: address.latitude,
+                lng: address.longitude,
+                postalCode: address.postal_code
+            });
+            if (!match) {
+                throw orderValidationError('Location is outside our service areas');
+            }
+
+            // Nearest serving pharmacy first; the order is split only when no single one can fill it
+            const pharmacies = await getServingPharmacies({
+                serviceAreaId: match.area.id,
+                lat: address.latitude,
+                lng: address.longitude,
+                connection
+            });
+            if (pharmacies.length === 0) {
+                throw orderValidationError(`No pharmacy delivers to ${match.area.area_name} yet`);
+            }
+
+            // Hold the stock until the order is dispatched, cancelled or rejected
+            await reserveStock(connection, orderItems, pharmacies.map(pharmacy => pharmacy.id));
+
+            // One fee per order, priced from the farthest fulfilling pharmacy. GET
+            // /api/delivery/delivery-fee with the order's medicine ids and quantities
+            // routes the lines the same way, so that quote is the fee charged
+            const dispatchPharmacy = feeOriginPharmacy(pharmacies, orderItems.map(item => item.pharmacy_id));
+
+            const quote = await quoteDeliveryFee({
+                lat: address.latitude,
+                lng: address.longitude,
+                postalCode: address.postal_code,
+                orderValue: payable,
+                origin: dispatchPharmacy ? { lat: dispatchPharmacy.latitude, lng: dispatchPharmacy.longitude } : null,
+                connection
+            });
+
+            if (!quote.serviceable) {
+                throw orderValidationError(quote.reason);
+            }
+            if (!quote.meets_minimum) {
+                throw orderValidationError(
+                    `Minimum order amount for ${quote.service_area.name} is ${quote.min_order_amount}; add ${quote.amount_to_minimum} more`
+                );
+            }
+
+            const totalAmount = Math.round((payable + quote.delivery_fee) * 100) / 100;
+
             // Create order
+            const orderNumber = generateOrderNumber();
             const [orderResult] = await connection.execute(
-                'INSERT INTO orders (user_id, medicines, total_amount, address_id, prescription_id, status) VALUES (?, ?, ?, ?, ?, "pending")',
-                [userId, JSON.stringify(medicineDetails), totalAmount, address_id, prescription_id]
+                `INSERT INTO orders (order_number, user_id, subtotal_amount, discount_amount, delivery_fee, delivery_fee_breakdown,
+                                     total_amount, payment_method, delivery_address, address_id, service_area_id, prescription_id, status)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, "pending")`,
+                [
+                    orderNumber,
+                    userId,
+                    subtotal,
+                    discount,
+                    quote.delivery_fee,
+                    JSON.stringify({ ...quote.breakdown, distance_km: quote.distance_km }),
+                    totalAmount,
+                    paymentMethod,
+                    formatDeliveryAddress(address),
+                    address_id,
+                    quote.service_area.id,
+                    prescription_id || null
+                ]
             );
 
-            return orderResult.insertId;
+            const shipments = await createOrderShipments(connection, orderResult.insertId, orderItems, pharmacies);
+            await insertOrderItems(connection, orderResult.insertId, orderItems);
+            await recordRedemptions(connection, orderResult.insertId, userId, couponResult.applied);
+
+            // Ordered medicines leave the server-side cart
+            await clearCart(userId, orderItems.map(item => item.medicine_id), connection);
+
+            await recordOrderStatus(connection, orderResult.insertId, null, 'pending', {
+                notes: 'Order placed',
+                actorType: 'user',
+                actorId: userId
+            });
+
+            await createDeliveryForOrder(connection, orderResult.insertId, address_id, {
+                actorType: 'user',
+                actorId: userId
+            });
+
+            return {
+                orderId: orderResult.insertId,
+                orderNumber,
+                subtotal,
+                discount,
+                coupons: couponResult.applied.map(coupon => ({ code: coupon.code, discount_amount: coupon.discount_amount })),
+                deliveryFee: quote.delivery_fee,
+                totalAmount,
+                shipments
+            };
         });
 
+        // Prepaid orders get a payment attempt straight away; if the provider is
+        // unavailable the customer can retry with POST /api/payments/orders/:id/initiate
+        let payment = { method: paymentMethod, status: 'pending' };
+        if (paymentMethod === 'prepaid') {
+            try {
+                payment = {
+                    ...payment,
+                    ...await initiatePrepaidPayment({ id: orderId, order_number: orderNumber, total_amount: totalAmount })
+                };
+            } catch (error) {
+                logError(error, { operation: 'initiate_order_payment', order_id: orderId });
+                payment.next_action = null;
+            }
+        }
+
+        // Cheaper equivalents of what was ordered, as a hint for next time; never fails the order
+        let cheaperSubstitutes = [];
+        try {
+            const ids = medicines.map(medicine => medicine.id);
+            const [ordered] = await db.execute(
+                `SELECT id as medicine_id, generic_name, strength, form, price FROM medicines WHERE id IN (${ids.map(() => '?').join(', ')})`,
+                ids
+            );
+            const hints = await findCheaperSubstitutes(ordered.map(row => ({ ...row, price: parseFloat(row.price) })));
+            cheaperSubstitutes = [...hints].map(([medicineId, substitute]) => ({ medicine_id: medicineId, substitute }));
+        } catch (error) {
+            logError(error, { operation: 'order_substitute_hints', order_id: orderId });
+        }
+
         logOrderOperation('created', orderId, userId, {
-            total_amount: req.validatedData.total_amount,
+            total_amount: totalAmount,
+            payment_method: paymentMethod,
+            discount_amount: discount,
+            coupons: coupons.map(coupon => coupon.code),
+            delivery_fee: deliveryFee,
+            shipment_count: shipments.length,
             medicine_count: medicines.length,
             requires_prescription: !!prescription_id
         });
@@ -123,12 +315,20 @@ export const createOrder = async (req, res) => {
         logAuditTrail('CREATE', 'order', userId, null, {
             order_id: orderId,
             medicines: medicines.length,
-            total_amount: req.validatedData.total_amount
+            total_amount: totalAmount
         });
 
         res.status(201).json({
             message: 'Order created successfully',
             order_id: orderId,
+            subtotal_amount: subtotal,
+            discount_amount: discount,
+            coupons,
+            delivery_fee: deliveryFee,
+            total_amount: totalAmount,
+            shipments,
+            payment,
+            cheaper_substitutes: cheaperSubstitutes,
             timestamp: new Date().toISOString()
         });
 
@@ -139,7 +339,7 @@ export const createOrder = async (req, res) => {
             order_data: req.validatedData
         });
 
-        if (error.message.includes('Invalid address') || error.message.includes('not found') || error.message.includes('Prescription required')) {
+        if (error.status === 400 || error.message.includes('Invalid address') || error.message.includes('Invalid prescription') || error.message.includes('not found') || error.message.includes('Prescription required')) {
             return res.status(400).json({
                 error: 'Order validation failed',
                 message: error.message,
@@ -168,11 +368,10 @@ export const getOrderById = async (req, res) => {
             });
         }
 
+        const [orderWithItems] = await attachOrderItems([order]);
+
         res.json({
-            order: {
-                ...order,
-                medicines: JSON.parse(order.medicines)
-            },
+            order: { ...orderWithItems, shipments: await getOrderShipments(orderId) },
             timestamp: new Date().toISOString()
         });
 
@@ -194,6 +393,7 @@ export const getOrderById = async (req, res) => {
 export const cancelOrder = async (req, res) => {
     const userId = req.user.id;
     const orderId = req.params.id;
+    const reason = req.body?.reason ? String(req.body.reason).trim().slice(0, 255) : null;
 
     try {
         // Check if order exists and belongs to user
@@ -206,7 +406,7 @@ export const cancelOrder = async (req, res) => {
         }
 
         // Check if order can be cancelled
-        if (!['pending', 'approved'].includes(order.status)) {
+        if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
             return res.status(400).json({
                 error: 'Order cannot be cancelled',
                 message: `Orders with status '${order.status}' cannot be cancelled`,
@@ -214,26 +414,41 @@ export const cancelOrder = async (req, res) => {
             });
         }
 
-        // Update order status
-        const updated = await preparedQueries.orders.updateStatus(orderId, 'cancelled', userId);
-        if (!updated) {
-            return res.status(404).json({
-                error: 'Order not found',
+        const result = await withTransaction(connection =>
+            transitionOrderStatus(connection, orderId, 'cancelled', {
+                notes: reason ? `Cancelled by customer: ${reason}` : 'Cancelled by customer',
+                actorType: 'user',
+                actorId: userId
+            })
+        );
+
+        // Status changed between the read above and the locked update
+        if (!result.allowed) {
+            return res.status(409).json({
+                error: 'Order cannot be cancelled',
+                message: `Orders with status '${result.from}' cannot be cancelled`,
                 timestamp: new Date().toISOString()
             });
         }
 
+        // Refunds are sent once the cancellation has committed; the scheduled job retries failures
+        if (result.refunds_queued > 0) {
+            processPendingRefunds({ orderId });
+        }
+
         logOrderOperation('cancelled', orderId, userId, {
-            previous_status: order.status
+            previous_status: result.from,
+            refunds_queued: result.refunds_queued
         });
 
         logAuditTrail('UPDATE', 'order_status', userId, 
-            { status: order.status }, 
+            { status: result.from }, 
             { status: 'cancelled' }
         );
 
         res.json({
             message: 'Order cancelled successfully',
+            refund_initiated: result.refunds_queued > 0,
             timestamp: new Date().toISOString()
         });
 
@@ -265,18 +480,39 @@ export const getOrderTracking = async (req, res) => {
             });
         }
 
-        // Mock tracking data - in real implementation, this would come from delivery service
-        const trackingSteps = [
-            { status: 'pending', message: 'Order placed', completed: true, timestamp: order.created_at },
-            { status: 'approved', message: 'Order approved', completed: order.status !== 'pending', timestamp: order.status !== 'pending' ? order.updated_at : null },
-            { status: 'out_for_delivery', message: 'Out for delivery', completed: ['out_for_delivery', 'delivered'].includes(order.status), timestamp: ['out_for_delivery', 'delivered'].includes(order.status) ? order.updated_at : null },
-            { status: 'delivered', message: 'Delivered', completed: order.status === 'delivered', timestamp: order.status === 'delivered' ? order.updated_at : null }
+        const history = await getOrderStatusHistory(db, order.id);
+        const reachedAt = (status) => history.find(entry => entry.to_status === status)?.created_at || null;
+
+        // Main path of an order; a cancelled/rejected order ends with that step instead
+        const steps = [
+            { status: 'pending', message: 'Order placed' },
+            { status: 'approved', message: 'Order approved' },
+            { status: 'out_for_delivery', message: 'Out for delivery' },
+            { status: 'delivered', message: 'Delivered' }
         ];
+        if (order.status === 'cancelled') {
+            steps.push({ status: 'cancelled', message: 'Order cancelled' });
+        } else if (order.status === 'rejected') {
+            steps.push({ status: 'rejected', message: 'Order rejected' });
+        }
+
+        const trackingSteps = steps
+            .map(step => ({ ...step, timestamp: reachedAt(step.status) }))
+            .map(step => ({ ...step, completed: step.timestamp !== null }))
+            .filter(step => step.completed || !TERMINAL_FAILURE_STATUSES.includes(order.status));
 
         res.json({
             order_id: orderId,
             current_status: order.status,
+            rejection_reason: order.rejection_reason || null,
             tracking: trackingSteps,
+            history: history.map(entry => ({
+                status: entry.to_status,
+                previous_status: entry.from_status,
+                notes: entry.notes,
+                actor: entry.actor_type,
+                timestamp: entry.created_at
+            })),
             estimated_delivery: order.status === 'out_for_delivery' ? 
                 new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString() : null, // 2 hours from now
             timestamp: new Date().toISOString()
@@ -296,10 +532,11 @@ export const getOrderTracking = async (req, res) => {
     }
 };
 
-// Get order receipt
+// Get order receipt with its GST invoice; ?format=pdf downloads the tax invoice
 export const getOrderReceipt = async (req, res) => {
     const userId = req.user.id;
     const orderId = req.params.id;
+    const asPdf = req.query.format === 'pdf';
 
     try {
         const order = await preparedQueries.orders.findById(orderId, userId);
@@ -310,6 +547,35 @@ export const getOrderReceipt = async (req, res) => {
             });
         }
 
+        // Orders dispatched before invoicing existed get their invoice on first request
+        if (DISPATCHED_STATUSES.includes(order.status) && !(await getInvoiceForOrder(order.id))) {
+            await withTransaction(connection => issueOrderInvoice(connection, order.id));
+        }
+
+        const invoice = await buildOrderInvoice(order);
+
+        if (asPdf) {
+            if (invoice.status !== 'issued') {
+                return res.status(409).json({
+                    error: 'Invoice not issued yet',
+                    message: 'The tax invoice is issued when the order is dispatched',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            logHealthcareEvent('invoice_downloaded', {
+                order_id: orderId,
+                invoice_number: invoice.invoice_number
+            }, userId);
+
+            res.set({
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `attachment; filename="invoice-${invoice.invoice_number.replace(/\//g, '-')}.pdf"`,
+                'Cache-Control': 'private, no-store'
+            });
+            return res.send(renderInvoicePdf(invoice));
+        }
+
         const receipt = {
             order_id: orderId,
             order_date: order.created_at,
@@ -323,8 +589,19 @@ export const getOrderReceipt = async (req, res) => {
                 state: order.state,
                 postal_code: order.postal_code
             },
-            medicines: JSON.parse(order.medicines),
+            medicines: await getOrderItems(order.id),
+            subtotal_amount: order.subtotal_amount ?? order.total_amount,
+            discount_amount: order.discount_amount ?? 0,
+            coupons: await getOrderCoupons(order.id),
+            delivery_fee: order.delivery_fee ?? 0,
+            delivery_fee_breakdown: order.delivery_fee_breakdown ? JSON.parse(order.delivery_fee_breakdown) : null,
             total_amount: order.total_amount,
+            payment: {
+                method: order.payment_method,
+                status: order.payment_status,
+                amount_refunded: parseFloat(order.amount_refunded || 0)
+            },
+            invoice,
             status: order.status,
             generated_at: new Date().toISOString()
         };
@@ -363,24 +640,26 @@ export const reorderFromPrevious = async (req, res) => {
             });
         }
 
-        const medicines = JSON.parse(previousOrder.medicines);
-        
-        // Validate medicines are still available
-        const validMedicines = [];
-        for (const medicine of medicines) {
-            const [medicineCheck] = await db.execute(
-                'SELECT id, price, is_active FROM medicines WHERE id = ?',
-                [medicine.id]
-            );
+        // Line items joined with the current catalog to see what can still be ordered
+        const [items] = await db.execute(
+            `SELECT oi.medicine_id, oi.medicine_name, oi.quantity, oi.unit_price,
+                    m.price as current_price, m.is_active
+             FROM order_items oi
+             LEFT JOIN medicines m ON oi.medicine_id = m.id
+             WHERE oi.order_id = ?
+             ORDER BY oi.id`,
+            [previousOrder.id]
+        );
 
-            if (medicineCheck.length > 0 && medicineCheck[0].is_active) {
-                validMedicines.push({
-                    id: medicine.id,
-                    quantity: medicine.quantity,
-                    current_price: medicineCheck[0].price
-                });
-            }
-        }
+        const validMedicines = items
+            .filter(item => item.is_active)
+            .map(item => ({
+                id: item.medicine_id,
+                name: item.medicine_name,
+                quantity: item.quantity,
+                previous_price: item.unit_price,
+                current_price: item.current_price
+            }));
 
         if (validMedicines.length === 0) {
             return res.status(400).json({
@@ -394,7 +673,7 @@ export const reorderFromPrevious = async (req, res) => {
             message: 'Reorder data prepared',
             medicines: validMedicines,
             address_id: previousOrder.address_id,
-            unavailable_count: medicines.length - validMedicines.length,
+            unavailable_count: items.length - validMedicines.length,
             timestamp: new Date().toISOString()
         });
 
@@ -443,10 +722,7 @@ export const getAllOrdersAdmin = async (req, res) => {
         const [orders] = await db.execute(query, params);
 
         res.json({
-            orders: orders.map(order => ({
-                ...order,
-                medicines: JSON.parse(order.medicines)
-            })),
+            orders: await attachOrderItems(orders),
             pagination: { page, limit, total: orders.length },
             timestamp: new Date().toISOString()
         });
@@ -464,26 +740,95 @@ export const getAllOrdersAdmin = async (req, res) => {
     }
 };
 
+// Respond to a transitionOrderStatus result that did not go through
+const respondTransitionFailed = (res, result) => {
+    if (!result.found) {
+        return res.status(404).json({
+            error: 'Order not found',
+            timestamp: new Date().toISOString()
+        });
+    }
+    if (result.payment_required) {
+        return res.status(409).json({
+            error: 'Order is not paid',
+            message: `A prepaid order cannot move to ${result.to} until its payment is captured`,
+            timestamp: new Date().toISOString()
+        });
+    }
+    return res.status(409).json({
+        error: 'Invalid status transition',
+        message: `Cannot move an order from ${result.from} to ${result.to}`,
+        allowed_next: ORDER_TRANSITIONS[result.from] || [],
+        timestamp: new Date().toISOString()
+    });
+};
+
+// Apply an admin status change; returns false once a response has been sent
+const applyAdminTransition = async (req, res, status, { reason = null, notes = null } = {}) => {
+    const orderId = req.params.id;
+    const adminId = req.user.id;
+
+    const result = await withTransaction(connection =>
+        transitionOrderStatus(connection, orderId, status, {
+            reason,
+            notes,
+            actorType: 'admin',
+            actorId: adminId
+        })
+    );
+
+    if (!result.allowed) {
+        respondTransitionFailed(res, result);
+        return false;
+    }
+
+    if (result.refunds_queued > 0) {
+        processPendingRefunds({ orderId });
+    }
+
+    logOrderOperation('status_updated', orderId, adminId, {
+        previous_status: result.from,
+        new_status: status
+    });
+
+    logAuditTrail('UPDATE', 'order_status', adminId,
+        { order_id: orderId, status: result.from },
+        { order_id: orderId, status, reason }
+    );
+
+    return true;
+};
+
 export const updateOrderStatus = async (req, res) => {
     const orderId = req.params.id;
-    const { status } = req.body;
+    const { status, reason, notes } = req.body;
     const adminId = req.user.id;
 
-    try {
-        const updated = await preparedQueries.orders.updateStatus(orderId, status, adminId);
-        if (!updated) {
-            return res.status(404).json({
-                error: 'Order not found',
-                timestamp: new Date().toISOString()
-            });
-        }
+    if (!ORDER_STATUSES.includes(status)) {
+        return res.status(400).json({
+            error: `Invalid status. Allowed: ${ORDER_STATUSES.join(', ')}`,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    if (status === 'rejected' && !String(reason || '').trim()) {
+        return res.status(400).json({
+            error: 'A reason is required to reject an order',
+            timestamp: new Date().toISOString()
+        });
+    }
 
-        logOrderOperation('status_updated', orderId, adminId, {
-            new_status: status
+    try {
+        const applied = await applyAdminTransition(req, res, status, {
+            reason: reason ? String(reason).trim().slice(0, 255) : null,
+            notes: notes ? String(notes).trim().slice(0, 255) : null
         });
+        if (!applied) return;
 
         res.json({
             message: 'Order status updated successfully',
+            order_id: orderId,
+            status,
             timestamp: new Date().toISOString()
         });
 
@@ -504,8 +849,9 @@ export const updateOrderStatus = async (req, res) => {
 export const approveOrder = async (req, res) => {
     const orderId = req.params.id;
     try {
-        const [result] = await db.execute("UPDATE orders SET status = 'approved' WHERE id = ?", [orderId]);
-        if (result.affectedRows === 0) return res.status(404).json({ error: 'Order not found' });
+        const notes = req.body?.notes ? String(req.body.notes).trim().slice(0, 255) : null;
+        const applied = await applyAdminTransition(req, res, 'approved', { notes });
+        if (!applied) return;
         res.json({ message: 'Order approved', order_id: orderId, timestamp: new Date().toISOString() });
     } catch (error) {
         logError(error, { operation: 'approve_order', order_id: orderId });
@@ -515,14 +861,18 @@ export const approveOrder = async (req, res) => {
 
 export const rejectOrder = async (req, res) => {
     const orderId = req.params.id;
-    // Orders schema does not support 'rejected'; we revert to 'pending'
+    const reason = String(req.body?.reason || '').trim().slice(0, 255);
+    if (!reason) {
+        return res.status(400).json({ error: 'A reason is required to reject an order' });
+    }
     try {
-        const [result] = await db.execute("UPDATE orders SET status = 'pending' WHERE id = ?", [orderId]);
-        if (result.affectedRows === 0) return res.status(404).json({ error: 'Order not found' });
-        res.json({ message: 'Order set to pending (reject unsupported by schema)', order_id: orderId, timestamp: new Date().toISOString() });
+        const notes = req.body?.notes ? String(req.body.notes).trim().slice(0, 255) : null;
+        const applied = await applyAdminTransition(req, res, 'rejected', { reason, notes });
+        if (!applied) return;
+        res.json({ message: 'Order rejected', order_id: orderId, reason, timestamp: new Date().toISOString() });
     } catch (error) {
         logError(error, { operation: 'reject_order', order_id: orderId });
-        res.status(500).json({ error: 'Failed to update order' });
+        res.status(500).json({ error: 'Failed to reject order' });
     }
 };
 
@@ -0,0 +1,284 @@
+import { db } from '../config/database.js';
+import {
+    logger,
+    logError,
+    logAuditTrail,
+    logSecurityEvent
+} from '../utils/logger.js';
+import {
+    PAYABLE_STATUSES,
+    initiatePrepaidPayment,
+    processWebhook,
+    retryRefund,
+    getOrderPayments
+} from '../utils/payments.js';
+import { sandboxProvider, isSandboxEnabled } from '../utils/paymentProviders.js';
+import { TERMINAL_FAILURE_STATUSES } from '../utils/orderStatus.js';
+
+// Load an order of the user (any order for admins)
+const findOrder = async (orderId, user) => {
+    const [orders] = await db.execute(
+        `SELECT id, user_id, order_number, status, total_amount, payment_method, payment_status, amount_refunded
+         FROM orders WHERE id = ?`,
+        [orderId]
+    );
+    const order = orders[0];
+    if (!order || (user.role !== 'admin' && order.user_id !== user.id)) return null;
+    return order;
+};
+
+// Get payment status of an order
+export const getOrderPayment = async (req, res) => {
+    const { orderId } = req.params;
+
+    try {
+        const order = await findOrder(orderId, req.user);
+        if (!order) {
+            return res.status(404).json({
+                error: 'Order not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { payments, refunds } = await getOrderPayments(order.id);
+
+        res.json({
+            order_id: order.id,
+            order_number: order.order_number,
+            payment_method: order.payment_method,
+            payment_status: order.payment_status,
+            total_amount: parseFloat(order.total_amount),
+            amount_refunded: parseFloat(order.amount_refunded),
+            payments,
+            refunds,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'get_order_payment',
+            order_id: orderId,
+            user_id: req.user.id
+        });
+
+        res.status(500).json({
+            error: 'Failed to get payment status',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// Start (or retry) payment of a prepaid order
+export const initiatePayment = async (req, res) => {
+    const { orderId } = req.params;
+    const userId = req.user.id;
+
+    try {
+        const order = await findOrder(orderId, req.user);
+        if (!order) {
+            return res.status(404).json({
+                error: 'Order not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (order.payment_method !== 'prepaid') {
+            return res.status(400).json({
+                error: 'Order is cash on delivery',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (TERMINAL_FAILURE_STATUSES.includes(order.status) || !PAYABLE_STATUSES.includes(order.payment_status)) {
+            return res.status(409).json({
+                error: 'Order cannot be paid',
+                message: `Order is ${order.status} with payment ${order.payment_status}`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const payment = await initiatePrepaidPayment(order);
+
+        logger.info('Payment initiated', {
+            order_id: order.id,
+            payment_id: payment.payment_id,
+            provider: payment.provider,
+            user_id: userId
+        });
+
+        res.status(201).json({
+            message: 'Payment initiated',
+            order_id: order.id,
+            payment,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'initiate_payment',
+            order_id: orderId,
+            user_id: userId
+        });
+
+        res.status(502).json({
+            error: 'Failed to initiate payment',
+            message: 'The payment provider could not be reached. Please try again.',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+const WEBHOOK_RESPONSES = {
+    processed: 200,
+    ignored: 200,
+    duplicate: 200,
+    invalid_signature: 401,
+    invalid_payload: 400,
+    unknown_provider: 404
+};
+
+// Provider webhook (no auth; authenticated by the provider's signature over the raw body)
+export const handleWebhook = async (req, res) => {
+    const { provider } = req.params;
+
+    try {
+        const result = await processWebhook(provider, req.rawBody, req.headers);
+
+        if (result.status === 'invalid_signature') {
+            logSecurityEvent('payment_webhook_signature_invalid', {
+                provider,
+                ip: req.ip
+            }, null, req.ip);
+        }
+
+        res.status(WEBHOOK_RESPONSES[result.status] || 200).json({
+            received: WEBHOOK_RESPONSES[result.status] === 200,
+            ...result
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'handle_payment_webhook',
+            provider
+        });
+
+        // Non-2xx makes the provider redeliver the event
+        res.status(500).json({ received: false });
+    }
+};
+
+// Complete a sandbox payment as the customer would at the gateway.
+// Sends a signed sandbox webhook through the same path as a real provider.
+export const completeSandboxPayment = async (req, res) => {
+    const { paymentId } = req.params;
+    const outcome = req.body?.outcome === 'failure' ? 'failure' : 'success';
+
+    if (!isSandboxEnabled()) {
+        return res.status(404).json({
+            error: 'Sandbox payments are disabled',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    try {
+        const [payments] = await db.execute(
+            `SELECT p.id, p.order_id, p.amount, p.currency, p.status, o.user_id
+             FROM payments p JOIN orders o ON p.order_id = o.id
+             WHERE p.provider = 'sandbox' AND p.provider_payment_id = ?`,
+            [paymentId]
+        );
+        const payment = payments[0];
+        if (!payment || (req.user.role !== 'admin' && payment.user_id !== req.user.id)) {
+            return res.status(404).json({
+                error: 'Payment not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { rawBody, headers } = sandboxProvider.signWebhook(
+            outcome === 'success' ? 'payment.captured' : 'payment.failed',
+            {
+                payment_id: paymentId,
+                amount: parseFloat(payment.amount),
+                currency: payment.currency,
+                failure_reason: outcome === 'failure' ? (req.body?.failure_reason || 'Declined in sandbox') : undefined
+            }
+        );
+        const result = await processWebhook('sandbox', rawBody, headers);
+
+        const [[order]] = await db.execute('SELECT payment_status FROM orders WHERE id = ?', [payment.order_id]);
+
+        res.json({
+            message: outcome === 'success' ? 'Sandbox payment captured' : 'Sandbox payment failed',
+            order_id: payment.order_id,
+            webhook: result,
+            payment_status: order.payment_status,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'complete_sandbox_payment',
+            payment_id: paymentId
+        });
+
+        res.status(500).json({
+            error: 'Failed to complete sandbox payment',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// ADMIN-ONLY FUNCTIONS
+
+// List refunds, by default the ones needing attention (admin)
+export const getRefunds = async (req, res) => {
+    const status = req.query.status || 'failed';
+    const { limit, offset } = req.pagination;
+
+    if (!['pending', 'processing', 'succeeded', 'failed'].includes(status)) {
+        return res.status(400).json({ error: 'status must be pending, processing, succeeded or failed' });
+    }
+
+    try {
+        const [refunds] = await db.execute(
+            `SELECT r.*, p.provider, p.provider_payment_id, o.order_number, o.status as order_status
+             FROM payment_refunds r
+             JOIN payments p ON r.payment_id = p.id
+             JOIN orders o ON r.order_id = o.id
+             WHERE r.status = ?
+             ORDER BY r.created_at DESC
+             LIMIT ? OFFSET ?`,
+            [status, limit, offset]
+        );
+
+        res.json({
+            refunds: refunds.map(refund => ({ ...refund, amount: parseFloat(refund.amount) })),
+            status,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        logError(error, { operation: 'get_refunds', status });
+        res.status(500).json({ error: 'Failed to fetch refunds' });
+    }
+};
+
+// Retry a failed refund now (admin)
+export const retryFailedRefund = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const result = await retryRefund(id);
+        if (result === null) {
+            return res.status(404).json({ error: 'No failed refund with that id' });
+        }
+
+        logAuditTrail('UPDATE', 'payment_refund', req.user.id, { refund_id: id, status: 'failed' }, { refund_id: id, status: result });
+
+        res.json({ message: 'Refund retried', refund_id: parseInt(id), status: result, timestamp: new Date().toISOString() });
+    } catch (error) {
+        logError(error, { operation: 'retry_refund', refund_id: id });
+        res.status(500).json({ error: 'Failed to retry refund' });
+    }
+};
+
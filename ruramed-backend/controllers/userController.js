@@ -1,12 +1,24 @@
-import { db } from '../config/database.js';
+import { db, withTransaction } from '../config/database.js';
 import { preparedQueries } from '../utils/queryBuilder.js';
 import { userCache } from '../utils/cache.js';
+import { fileUtils } from '../utils/fileUpload.js';
+import { sanitizeField } from '../utils/validation.js';
+import { attachOrderItems } from '../utils/orderItems.js';
+import {
+    scheduleUtils,
+    getDoctorSlotsForDate,
+    checkConsultationSlot,
+    findAlternativeSlots,
+    DEFAULT_TIMEZONE,
+    CONSULTATION_CUTOFF_HOURS
+} from '../utils/doctorSchedule.js';
 import { 
     logger, 
     logHealthcareEvent, 
     logSecurityEvent, 
     logError, 
-    logAuditTrail 
+    logAuditTrail,
+    logPrescriptionOperation
 } from '../utils/logger.js';
 
 import fs from 'fs';
@@ -60,6 +72,43 @@ const formatProfileResponse = (profile) => {
     };
 };
 
+/**
+ * Storage key and public URL for an uploaded prescription page.
+ * Production uploads go to Supabase (processUploadedFiles sets supabaseFilename);
+ * in development multer has already written the file to uploads/prescriptions.
+ */
+const resolvePrescriptionFile = (file) => {
+    const storagePath = file.supabaseFilename || `prescriptions/${file.filename}`;
+    return {
+        storagePath,
+        fileUrl: file.supabaseUrl || fileUtils.getFileUrl(storagePath)
+    };
+};
+
+/**
+ * Load one of the user's consultations with its doctor-local date/time
+ * and the doctor's time zone (needed for cutoff checks).
+ */
+const findUserConsultation = async (consultationId, userId) => {
+    const [rows] = await db.execute(
+        `SELECT c.id, c.doctor_id, c.status, c.reschedule_count,
+                DATE_FORMAT(c.consultation_date, '%Y-%m-%d %H:%i') as consultation_date,
+                d.name as doctor_name, COALESCE(s.timezone, ?) as timezone
+         FROM consultations c
+         JOIN doctors d ON c.doctor_id = d.id
+         LEFT JOIN doctor_schedules s ON s.doctor_id = c.doctor_id
+         WHERE c.id = ? AND c.user_id = ?`,
+        [DEFAULT_TIMEZONE, consultationId, userId]
+    );
+
+    if (rows.length === 0) return null;
+
+    const consultation = rows[0];
+    const slot = scheduleUtils.parseDateTime(consultation.consultation_date);
+    consultation.minutes_until = scheduleUtils.minutesUntil(slot.date, slot.time, consultation.timezone);
+    return consultation;
+};
+
 // ============================================================================
 // EXISTING USER PROFILE ENDPOINTS (Keep as is)
 // ============================================================================
@@ -497,7 +546,8 @@ export const getUserOrders = async (req, res) => {
         o.order_number,
         o.user_id,
         o.prescription_id,
-        o.medicines,
+        o.subtotal_amount,
+        o.delivery_fee,
         o.total_amount,
         o.delivery_address,
         o.status,
@@ -543,12 +593,13 @@ export const getUserOrders = async (req, res) => {
     const [countResult] = await db.execute(countQuery, countParams);
     const totalItems = countResult?.[0]?.total || 0;
 
+    const ordersWithItems = await attachOrderItems(orders);
+
     res.json({
       success: true,
-      data: orders.map(order => ({
+      data: ordersWithItems.map(order => ({
         ...order,
         orderNumber: order.order_number,
-        medicines: order.medicines ? JSON.parse(order.medicines) : [],
       })),
       pagination: {
         currentPage: page,
@@ -590,12 +641,11 @@ export const getUserOrderById = async (req, res) => {
             });
         }
 
+        const [orderWithItems] = await attachOrderItems([order]);
+
         res.json({
             success: true,
-            data: {
-                ...order,
-                medicines: JSON.parse(order.medicines)
-            },
+            data: orderWithItems,
             timestamp: new Date().toISOString()
         });
 
@@ -641,6 +691,94 @@ export const getUserAddresses = async (req, res) => {
     }
 };
 
+// Upload prescription (one or more pages)
+export const uploadPrescription = async (req, res) => {
+    const userId = req.user.id;
+    const files = req.validatedFiles || [];
+
+    try {
+        if (files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Prescription file required',
+                message: 'Please upload a prescription file',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const pages = files.map((file, index) => ({
+            ...resolvePrescriptionFile(file),
+            pageNumber: index + 1,
+            originalName: file.originalname,
+            mimetype: file.mimetype,
+            size: file.size
+        }));
+
+        const prescriptionId = await withTransaction(async (connection) => {
+            const [result] = await connection.execute(
+                'INSERT INTO prescriptions (user_id, filename, page_count, status) VALUES (?, ?, ?, "pending")',
+                [userId, pages[0].storagePath, pages.length]
+            );
+
+            for (const page of pages) {
+                await connection.execute(
+                    `INSERT INTO prescription_files 
+                     (prescription_id, page_number, storage_path, file_url, original_name, mimetype, file_size) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [result.insertId, page.pageNumber, page.storagePath, page.fileUrl, page.originalName, page.mimetype, page.size]
+                );
+            }
+
+            return result.insertId;
+        });
+
+        logPrescriptionOperation('uploaded', prescriptionId, userId, {
+            page_count: pages.length,
+            mimetypes: pages.map(page => page.mimetype)
+        });
+
+        logAuditTrail('CREATE', 'prescription', userId, null, {
+            prescription_id: prescriptionId,
+            page_count: pages.length
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Prescription uploaded successfully',
+            data: {
+                id: prescriptionId,
+                status: 'pending',
+                pageCount: pages.length,
+                files: pages.map(page => ({
+                    pageNumber: page.pageNumber,
+                    url: page.fileUrl,
+                    mimetype: page.mimetype,
+                    size: page.size
+                }))
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        // Nothing references the stored files if the insert failed
+        for (const file of files) {
+            await fileUtils.deleteFile(resolvePrescriptionFile(file).storagePath, userId);
+        }
+
+        logError(error, {
+            operation: 'upload_prescription',
+            user_id: userId,
+            file_count: files.length
+        });
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to upload prescription',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
 // Get user prescriptions
 export const getUserPrescriptions = async (req, res) => {
     const userId = req.user.id;
@@ -712,9 +850,20 @@ export const getUserPrescriptionById = async (req, res) => {
             });
         }
 
+        const [files] = await db.execute(
+            `SELECT page_number, file_url, original_name, mimetype, file_size, created_at 
+             FROM prescription_files 
+             WHERE prescription_id = ? 
+             ORDER BY page_number`,
+            [prescriptionId]
+        );
+
         res.json({
             success: true,
-            data: prescriptions[0],
+            data: {
+                ...prescriptions[0],
+                files
+            },
             timestamp: new Date().toISOString()
         });
 
@@ -809,6 +958,232 @@ export const getUserConsultations = async (req, res) => {
     }
 };
 
+// Cancel a consultation
+export const cancelConsultation = async (req, res) => {
+    const userId = req.user.id;
+    const consultationId = req.params.consultationId;
+    const reason = sanitizeField(req.body?.reason, 255) || null;
+
+    try {
+        const consultation = await findUserConsultation(consultationId, userId);
+
+        if (!consultation) {
+            return res.status(404).json({
+                success: false,
+                error: 'Consultation not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (consultation.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                error: 'Consultation cannot be cancelled',
+                message: `Consultations that are ${consultation.status} cannot be cancelled`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (consultation.minutes_until < CONSULTATION_CUTOFF_HOURS.cancel * 60) {
+            return res.status(400).json({
+                success: false,
+                error: 'Cancellation window closed',
+                message: `Consultations can be cancelled up to ${CONSULTATION_CUTOFF_HOURS.cancel} hours before the appointment`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const [result] = await db.execute(
+            `UPDATE consultations 
+             SET status = 'cancelled', cancellation_reason = ?, cancelled_by = 'user', cancelled_at = NOW() 
+             WHERE id = ? AND user_id = ? AND status = 'pending'`,
+            [reason, consultationId, userId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Consultation was updated concurrently',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logHealthcareEvent('consultation_cancelled', {
+            consultation_id: consultation.id,
+            doctor_id: consultation.doctor_id,
+            consultation_date: consultation.consultation_date,
+            cancelled_by: 'user',
+            reason
+        }, userId);
+
+        logAuditTrail('CANCEL', 'consultation', userId,
+            { consultation_id: consultation.id, status: consultation.status },
+            { consultation_id: consultation.id, status: 'cancelled', cancellation_reason: reason }
+        );
+
+        res.json({
+            success: true,
+            message: 'Consultation cancelled successfully',
+            data: {
+                id: consultation.id,
+                status: 'cancelled'
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'cancel_consultation',
+            user_id: userId,
+            consultation_id: consultationId
+        });
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel consultation',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+// Reschedule a consultation to another published slot with the same doctor
+export const rescheduleConsultation = async (req, res) => {
+    const userId = req.user.id;
+    const consultationId = req.params.consultationId;
+    const requested = scheduleUtils.parseDateTime(req.body?.consultation_date);
+
+    if (!requested) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid consultation date',
+            message: 'consultation_date must be "YYYY-MM-DD HH:mm" in the doctor\'s time zone',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    try {
+        const consultation = await findUserConsultation(consultationId, userId);
+
+        if (!consultation) {
+            return res.status(404).json({
+                success: false,
+                error: 'Consultation not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (consultation.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                error: 'Consultation cannot be rescheduled',
+                message: `Consultations that are ${consultation.status} cannot be rescheduled`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (consultation.minutes_until < CONSULTATION_CUTOFF_HOURS.reschedule * 60) {
+            return res.status(400).json({
+                success: false,
+                error: 'Reschedule window closed',
+                message: `Consultations can be rescheduled up to ${CONSULTATION_CUTOFF_HOURS.reschedule} hours before the appointment`,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { slots, available } = await getDoctorSlotsForDate(consultation.doctor_id, requested.date, { userId });
+        const newDate = `${requested.date} ${requested.time}:00`;
+
+        if (!slots.some(slot => slot.time === requested.time)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Time slot not available',
+                message: 'The selected time is outside the doctor\'s published slots',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        let updated = available.some(slot => slot.time === requested.time);
+
+        if (updated) {
+            try {
+                // Overlap check under the doctor's lock; the unique (doctor_id, active_slot) key
+                // rejects the move if the same start time was just taken
+                updated = await withTransaction(async (connection) => {
+                    const slot = await checkConsultationSlot(connection, consultation.doctor_id, newDate, { excludeId: consultation.id });
+                    if (!slot.free) return false;
+
+                    const [result] = await connection.execute(
+                        `UPDATE consultations 
+                         SET consultation_date = ?, duration_minutes = ?, reschedule_count = reschedule_count + 1 
+                         WHERE id = ? AND user_id = ? AND status = 'pending'`,
+                        [newDate, slot.duration, consultationId, userId]
+                    );
+
+                    await connection.execute(
+                        'DELETE FROM consultation_slot_holds WHERE doctor_id = ? AND slot_start = ? AND user_id = ?',
+                        [consultation.doctor_id, newDate, userId]
+                    );
+
+                    return result.affectedRows > 0;
+                });
+            } catch (error) {
+                if (error.code !== 'ER_DUP_ENTRY') throw error;
+                updated = false;
+            }
+        }
+
+        if (!updated) {
+            const alternatives = await findAlternativeSlots(consultation.doctor_id, requested.date, requested.time, { userId });
+
+            return res.status(409).json({
+                success: false,
+                error: 'Time slot not available',
+                message: 'The selected time slot is already booked or held',
+                alternative_slots: alternatives,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        logHealthcareEvent('consultation_rescheduled', {
+            consultation_id: consultation.id,
+            doctor_id: consultation.doctor_id,
+            from: consultation.consultation_date,
+            to: newDate
+        }, userId);
+
+        logAuditTrail('RESCHEDULE', 'consultation', userId,
+            { consultation_id: consultation.id, consultation_date: consultation.consultation_date },
+            { consultation_id: consultation.id, consultation_date: newDate }
+        );
+
+        res.json({
+            success: true,
+            message: 'Consultation rescheduled successfully',
+            data: {
+                id: consultation.id,
+                status: 'pending',
+                consultationDate: newDate,
+                previousConsultationDate: consultation.consultation_date,
+                rescheduleCount: consultation.reschedule_count + 1
+            },
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError(error, {
+            operation: 'reschedule_consultation',
+            user_id: userId,
+            consultation_id: consultationId
+        });
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reschedule consultation',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
 // Get user sessions
 export const getUserSessions = async (req, res) => {
     const userId = req.user.id;
@@ -0,0 +1,21 @@
+-- Prescription uploads can span several pages (multi-page PDFs or one photo
+-- per page). `prescriptions.filename` keeps pointing at the first page for
+-- backward compatibility; every stored page is listed here.
+
+CREATE TABLE `prescription_files` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `prescription_id` int NOT NULL,
+  `page_number` int NOT NULL DEFAULT '1',
+  `storage_path` varchar(255) NOT NULL,
+  `file_url` varchar(500) NOT NULL,
+  `original_name` varchar(255) DEFAULT NULL,
+  `mimetype` varchar(100) NOT NULL,
+  `file_size` int NOT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_prescription_page` (`prescription_id`,`page_number`),
+  CONSTRAINT `prescription_files_ibfk_1` FOREIGN KEY (`prescription_id`) REFERENCES `prescriptions` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+ALTER TABLE `prescriptions`
+  ADD COLUMN `page_count` int NOT NULL DEFAULT '1' AFTER `filename`;
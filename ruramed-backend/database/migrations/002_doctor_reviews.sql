@@ -0,0 +1,28 @@
+-- Patient reviews of doctors. A review is tied to the completed consultation
+-- it describes, so each consultation can be reviewed at most once.
+-- doctors.rating / doctors.review_count are recomputed from visible reviews.
+
+CREATE TABLE `doctor_reviews` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `doctor_id` int NOT NULL,
+  `user_id` int NOT NULL,
+  `consultation_id` int NOT NULL,
+  `rating` tinyint NOT NULL,
+  `comment` text,
+  `is_hidden` tinyint(1) NOT NULL DEFAULT '0',
+  `hidden_reason` varchar(255) DEFAULT NULL,
+  `moderated_by` int DEFAULT NULL,
+  `moderated_at` datetime DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_review_consultation` (`consultation_id`),
+  KEY `idx_doctor_reviews_doctor_visible` (`doctor_id`,`is_hidden`,`created_at` DESC),
+  KEY `user_id` (`user_id`),
+  CONSTRAINT `doctor_reviews_ibfk_1` FOREIGN KEY (`doctor_id`) REFERENCES `doctors` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `doctor_reviews_ibfk_2` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`),
+  CONSTRAINT `doctor_reviews_ibfk_3` FOREIGN KEY (`consultation_id`) REFERENCES `consultations` (`id`),
+  CONSTRAINT `chk_doctor_reviews_rating` CHECK ((`rating` between 1 and 5))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+ALTER TABLE `doctors`
+  ADD COLUMN `review_count` int NOT NULL DEFAULT '0' AFTER `rating`;
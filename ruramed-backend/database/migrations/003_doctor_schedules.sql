@@ -0,0 +1,66 @@
+-- Per-doctor calendars. Availability = weekly working hours (rules) split into
+-- slots of slot_duration_minutes, minus breaks, leave/holiday blocks and booked
+-- consultations. All times are wall-clock times in the schedule's time zone.
+
+CREATE TABLE `doctor_schedules` (
+  `doctor_id` int NOT NULL,
+  `timezone` varchar(64) NOT NULL DEFAULT 'Asia/Kolkata',
+  `slot_duration_minutes` smallint NOT NULL DEFAULT '30',
+  `updated_by` int DEFAULT NULL,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`doctor_id`),
+  CONSTRAINT `doctor_schedules_ibfk_1` FOREIGN KEY (`doctor_id`) REFERENCES `doctors` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Working hours; several rows per weekday allowed (e.g. morning and evening)
+CREATE TABLE `doctor_schedule_rules` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `doctor_id` int NOT NULL,
+  `day_of_week` tinyint NOT NULL COMMENT '0 = Sunday ... 6 = Saturday',
+  `start_time` time NOT NULL,
+  `end_time` time NOT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_schedule_rules_doctor_day` (`doctor_id`,`day_of_week`),
+  CONSTRAINT `doctor_schedule_rules_ibfk_1` FOREIGN KEY (`doctor_id`) REFERENCES `doctors` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Recurring breaks; day_of_week NULL applies to every day
+CREATE TABLE `doctor_schedule_breaks` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `doctor_id` int NOT NULL,
+  `day_of_week` tinyint DEFAULT NULL,
+  `start_time` time NOT NULL,
+  `end_time` time NOT NULL,
+  `label` varchar(100) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_schedule_breaks_doctor_day` (`doctor_id`,`day_of_week`),
+  CONSTRAINT `doctor_schedule_breaks_ibfk_1` FOREIGN KEY (`doctor_id`) REFERENCES `doctors` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- One-off leave and holiday blocks
+CREATE TABLE `doctor_time_off` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `doctor_id` int NOT NULL,
+  `type` enum('leave','holiday') NOT NULL DEFAULT 'leave',
+  `start_datetime` datetime NOT NULL,
+  `end_datetime` datetime NOT NULL,
+  `reason` varchar(255) DEFAULT NULL,
+  `created_by` int DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_time_off_doctor_range` (`doctor_id`,`start_datetime`,`end_datetime`),
+  CONSTRAINT `doctor_time_off_ibfk_1` FOREIGN KEY (`doctor_id`) REFERENCES `doctors` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Publish the previous fixed calendar (09:00-12:00 and 14:00-17:00, 30 minute
+-- slots, every day) for existing doctors so current availability is unchanged.
+INSERT INTO `doctor_schedules` (`doctor_id`, `timezone`, `slot_duration_minutes`)
+SELECT `id`, 'Asia/Kolkata', 30 FROM `doctors`;
+
+INSERT INTO `doctor_schedule_rules` (`doctor_id`, `day_of_week`, `start_time`, `end_time`)
+SELECT d.`id`, w.`day_of_week`, h.`start_time`, h.`end_time`
+FROM `doctors` d
+CROSS JOIN (SELECT 0 AS `day_of_week` UNION ALL SELECT 1 UNION ALL SELECT 2 UNION ALL SELECT 3
+            UNION ALL SELECT 4 UNION ALL SELECT 5 UNION ALL SELECT 6) w
+CROSS JOIN (SELECT '09:00:00' AS `start_time`, '12:00:00' AS `end_time`
+            UNION ALL SELECT '14:00:00', '17:00:00') h;
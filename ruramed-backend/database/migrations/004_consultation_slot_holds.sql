@@ -0,0 +1,27 @@
+-- Race-free consultation booking.
+-- 1. A doctor can have at most one non-cancelled consultation per start time.
+--    Cancelled rows drop out of the key (active_slot is NULL) so the slot can be rebooked.
+--    Resolve any existing duplicates before applying.
+-- 2. Patients hold a slot for a few minutes during checkout; the unique key on
+--    (doctor_id, slot_start) means only one hold per slot can exist at a time.
+--    Expired holds are deleted before a new hold is taken.
+
+ALTER TABLE `consultations`
+  ADD COLUMN `active_slot` datetime GENERATED ALWAYS AS (IF(`status` = 'cancelled', NULL, `consultation_date`)) STORED,
+  ADD UNIQUE KEY `uniq_consultations_doctor_slot` (`doctor_id`,`active_slot`);
+
+CREATE TABLE `consultation_slot_holds` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `hold_token` varchar(64) NOT NULL,
+  `doctor_id` int NOT NULL,
+  `user_id` int NOT NULL,
+  `slot_start` datetime NOT NULL,
+  `expires_at` datetime NOT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_slot_holds_token` (`hold_token`),
+  UNIQUE KEY `uniq_slot_holds_doctor_slot` (`doctor_id`,`slot_start`),
+  KEY `idx_slot_holds_expires` (`expires_at`),
+  CONSTRAINT `consultation_slot_holds_ibfk_1` FOREIGN KEY (`doctor_id`) REFERENCES `doctors` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `consultation_slot_holds_ibfk_2` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
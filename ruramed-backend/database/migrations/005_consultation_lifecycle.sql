@@ -0,0 +1,13 @@
+-- Consultation lifecycle: patients cancel/reschedule, admins record the outcome
+-- (completed with clinical notes, or no-show). The existing `notes` column keeps
+-- the patient's booking notes.
+
+ALTER TABLE `consultations`
+  MODIFY COLUMN `status` enum('pending','completed','cancelled','no_show') DEFAULT 'pending',
+  ADD COLUMN `clinical_notes` text AFTER `notes`,
+  ADD COLUMN `cancellation_reason` varchar(255) DEFAULT NULL AFTER `clinical_notes`,
+  ADD COLUMN `cancelled_by` enum('user','admin') DEFAULT NULL AFTER `cancellation_reason`,
+  ADD COLUMN `cancelled_at` datetime DEFAULT NULL AFTER `cancelled_by`,
+  ADD COLUMN `completed_at` datetime DEFAULT NULL AFTER `cancelled_at`,
+  ADD COLUMN `reschedule_count` int NOT NULL DEFAULT '0' AFTER `completed_at`,
+  ADD COLUMN `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP AFTER `created_at`;
@@ -0,0 +1,63 @@
+-- Delivery tracking. One delivery per order, created with the order; every
+-- status change (and courier location ping) is appended to delivery_status_history.
+
+CREATE TABLE `deliveries` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `order_id` int NOT NULL,
+  `status` enum('pending','scheduled','assigned','picked_up','in_transit','delivered','failed','cancelled') NOT NULL DEFAULT 'pending',
+  `address_id` int DEFAULT NULL,
+  `delivery_address` text,
+  `delivery_latitude` decimal(10,8) DEFAULT NULL,
+  `delivery_longitude` decimal(11,8) DEFAULT NULL,
+  `scheduled_for` datetime DEFAULT NULL,
+  `special_instructions` varchar(500) DEFAULT NULL,
+  `courier_name` varchar(100) DEFAULT NULL,
+  `courier_phone` varchar(20) DEFAULT NULL,
+  `last_latitude` decimal(10,8) DEFAULT NULL,
+  `last_longitude` decimal(11,8) DEFAULT NULL,
+  `last_location_at` datetime DEFAULT NULL,
+  `delivered_at` datetime DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_deliveries_order` (`order_id`),
+  KEY `idx_deliveries_status_created` (`status`,`created_at`),
+  CONSTRAINT `deliveries_ibfk_1` FOREIGN KEY (`order_id`) REFERENCES `orders` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `deliveries_ibfk_2` FOREIGN KEY (`address_id`) REFERENCES `addresses` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE `delivery_status_history` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `delivery_id` int NOT NULL,
+  `status` varchar(30) NOT NULL,
+  `notes` varchar(500) DEFAULT NULL,
+  `latitude` decimal(10,8) DEFAULT NULL,
+  `longitude` decimal(11,8) DEFAULT NULL,
+  `actor_type` enum('user','admin','system') NOT NULL DEFAULT 'system',
+  `actor_id` int DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_delivery_history_delivery` (`delivery_id`,`created_at`),
+  CONSTRAINT `delivery_status_history_ibfk_1` FOREIGN KEY (`delivery_id`) REFERENCES `deliveries` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Backfill a delivery for every existing order
+INSERT INTO `deliveries` (`order_id`, `status`, `address_id`, `delivery_address`, `delivery_latitude`, `delivery_longitude`, `delivered_at`, `created_at`)
+SELECT o.`id`,
+       CASE o.`status`
+         WHEN 'delivered' THEN 'delivered'
+         WHEN 'cancelled' THEN 'cancelled'
+         WHEN 'out_for_delivery' THEN 'in_transit'
+         WHEN 'shipped' THEN 'in_transit'
+         ELSE 'pending'
+       END,
+       o.`address_id`,
+       COALESCE(CONCAT_WS(', ', a.`address_line1`, a.`address_line2`, a.`city`, a.`state`, a.`postal_code`), o.`delivery_address`),
+       a.`latitude`, a.`longitude`,
+       IF(o.`status` = 'delivered', o.`created_at`, NULL),
+       o.`created_at`
+FROM `orders` o
+LEFT JOIN `addresses` a ON a.`id` = o.`address_id`;
+
+INSERT INTO `delivery_status_history` (`delivery_id`, `status`, `notes`, `actor_type`, `created_at`)
+SELECT `id`, `status`, 'Backfilled from order status', 'system', `created_at` FROM `deliveries`;
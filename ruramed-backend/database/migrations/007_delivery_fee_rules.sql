@@ -0,0 +1,52 @@
+-- Rule-based delivery fees. fee = (area base fee + distance slab fee) x surge
+-- multiplier, waived above the area's free-delivery threshold. Distance is
+-- measured from the area's dispatch point. Rules with service_area_id NULL are
+-- the defaults for areas that have none of their own.
+
+ALTER TABLE `service_areas`
+  ADD COLUMN `free_delivery_threshold` decimal(10,2) DEFAULT NULL AFTER `min_order_amount`,
+  ADD COLUMN `dispatch_latitude` decimal(10,8) DEFAULT NULL AFTER `free_delivery_threshold`,
+  ADD COLUMN `dispatch_longitude` decimal(11,8) DEFAULT NULL AFTER `dispatch_latitude`;
+
+-- Distance bands [min_km, max_km); max_km NULL is open-ended
+CREATE TABLE `delivery_fee_slabs` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `service_area_id` int DEFAULT NULL,
+  `min_km` decimal(6,2) NOT NULL DEFAULT '0.00',
+  `max_km` decimal(6,2) DEFAULT NULL,
+  `fee` decimal(8,2) NOT NULL DEFAULT '0.00',
+  PRIMARY KEY (`id`),
+  KEY `idx_fee_slabs_area` (`service_area_id`,`min_km`),
+  CONSTRAINT `delivery_fee_slabs_ibfk_1` FOREIGN KEY (`service_area_id`) REFERENCES `service_areas` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Surge pricing windows in local (Asia/Kolkata) time; day_of_week NULL applies
+-- to every day, and end_time before start_time runs past midnight
+CREATE TABLE `delivery_surge_windows` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `service_area_id` int DEFAULT NULL,
+  `day_of_week` tinyint DEFAULT NULL COMMENT '0 = Sunday ... 6 = Saturday',
+  `start_time` time NOT NULL,
+  `end_time` time NOT NULL,
+  `multiplier` decimal(4,2) NOT NULL DEFAULT '1.00',
+  `label` varchar(100) DEFAULT NULL,
+  `is_active` tinyint(1) NOT NULL DEFAULT '1',
+  PRIMARY KEY (`id`),
+  KEY `idx_surge_windows_area` (`service_area_id`,`is_active`),
+  CONSTRAINT `delivery_surge_windows_ibfk_1` FOREIGN KEY (`service_area_id`) REFERENCES `service_areas` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- The fee charged is stored on the order; total_amount = subtotal_amount + delivery_fee
+ALTER TABLE `orders`
+  ADD COLUMN `subtotal_amount` decimal(10,2) DEFAULT NULL AFTER `medicines`,
+  ADD COLUMN `delivery_fee` decimal(8,2) NOT NULL DEFAULT '0.00' AFTER `subtotal_amount`,
+  ADD COLUMN `delivery_fee_breakdown` text AFTER `delivery_fee`,
+  ADD COLUMN `service_area_id` int DEFAULT NULL AFTER `address_id`,
+  ADD KEY `idx_orders_service_area` (`service_area_id`),
+  ADD CONSTRAINT `orders_ibfk_4` FOREIGN KEY (`service_area_id`) REFERENCES `service_areas` (`id`) ON DELETE SET NULL;
+
+-- Orders placed before this change were charged no delivery fee
+UPDATE `orders` SET `subtotal_amount` = `total_amount` WHERE `subtotal_amount` IS NULL;
+
+-- Keep today's behaviour as the global default: flat fee per area, free from 500
+UPDATE `service_areas` SET `free_delivery_threshold` = 500.00 WHERE `free_delivery_threshold` IS NULL;
@@ -0,0 +1,56 @@
+-- Order line items replace the JSON blob in orders.medicines. Name, unit price
+-- and MRP are snapshots taken when the order is placed. orders.medicines is
+-- kept (nullable, no longer written) for orders migrated below.
+
+CREATE TABLE `order_items` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `order_id` int NOT NULL,
+  `medicine_id` int DEFAULT NULL,
+  `medicine_name` varchar(255) NOT NULL,
+  `unit_price` decimal(10,2) NOT NULL,
+  `mrp` decimal(10,2) NOT NULL,
+  `quantity` int NOT NULL,
+  `discount_amount` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `line_total` decimal(10,2) NOT NULL,
+  `requires_prescription` tinyint(1) NOT NULL DEFAULT '0',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_order_items_order` (`order_id`),
+  KEY `idx_order_items_medicine_order` (`medicine_id`,`order_id`),
+  CONSTRAINT `order_items_ibfk_1` FOREIGN KEY (`order_id`) REFERENCES `orders` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `order_items_ibfk_2` FOREIGN KEY (`medicine_id`) REFERENCES `medicines` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `chk_order_items_quantity` CHECK (`quantity` > 0)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Backfill from the JSON written by createOrder:
+-- [{ id, name, price, quantity, total, requires_prescription }]. MRP was not
+-- stored, so the current catalog MRP is used (falling back to the price paid).
+INSERT INTO `order_items` (`order_id`, `medicine_id`, `medicine_name`, `unit_price`, `mrp`, `quantity`, `discount_amount`, `line_total`, `requires_prescription`, `created_at`)
+SELECT
+  o.`id`,
+  m.`id`,
+  COALESCE(j.`name`, m.`name`, 'Unknown medicine'),
+  COALESCE(j.`price`, m.`price`, 0),
+  GREATEST(COALESCE(m.`mrp`, j.`price`, 0), COALESCE(j.`price`, 0)),
+  GREATEST(COALESCE(j.`quantity`, 1), 1),
+  0,
+  COALESCE(j.`total`, COALESCE(j.`price`, m.`price`, 0) * GREATEST(COALESCE(j.`quantity`, 1), 1)),
+  COALESCE(j.`requires_prescription`, m.`requires_prescription`, 0),
+  o.`created_at`
+FROM `orders` o
+JOIN JSON_TABLE(
+  IF(JSON_VALID(o.`medicines`), o.`medicines`, '[]'),
+  '$[*]' COLUMNS (
+    `medicine_id` int PATH '$.id',
+    `name` varchar(255) PATH '$.name',
+    `price` decimal(10,2) PATH '$.price',
+    `quantity` int PATH '$.quantity',
+    `total` decimal(10,2) PATH '$.total',
+    `requires_prescription` tinyint PATH '$.requires_prescription'
+  )
+) j
+LEFT JOIN `medicines` m ON m.`id` = j.`medicine_id`
+WHERE NOT EXISTS (SELECT 1 FROM `order_items` oi WHERE oi.`order_id` = o.`id`);
+
+ALTER TABLE `orders`
+  MODIFY COLUMN `medicines` text NULL COMMENT 'Legacy JSON line items; see order_items';
@@ -0,0 +1,30 @@
+-- Order lifecycle: explicit `rejected` state (with reason) and an append-only
+-- history of status changes. Allowed transitions live in utils/orderStatus.js.
+
+ALTER TABLE `orders`
+  MODIFY COLUMN `status` enum('pending','confirmed','processing','approved','out_for_delivery','shipped','delivered','cancelled','rejected') DEFAULT 'pending',
+  ADD COLUMN `rejection_reason` varchar(500) DEFAULT NULL AFTER `status`,
+  ADD COLUMN `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP AFTER `created_at`;
+
+CREATE TABLE `order_status_history` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `order_id` int NOT NULL,
+  `from_status` varchar(30) DEFAULT NULL,
+  `to_status` varchar(30) NOT NULL,
+  `notes` varchar(500) DEFAULT NULL,
+  `actor_type` enum('user','admin','system') NOT NULL DEFAULT 'system',
+  `actor_id` int DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_order_status_history_order` (`order_id`,`created_at`),
+  CONSTRAINT `order_status_history_ibfk_1` FOREIGN KEY (`order_id`) REFERENCES `orders` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Existing orders: the placement, plus their current status when it has moved
+-- on (when that happened was never recorded, so the order time is used)
+INSERT INTO `order_status_history` (`order_id`, `from_status`, `to_status`, `notes`, `actor_type`, `created_at`)
+SELECT `id`, NULL, 'pending', 'Order placed', 'user', `created_at` FROM `orders`;
+
+INSERT INTO `order_status_history` (`order_id`, `from_status`, `to_status`, `notes`, `actor_type`, `created_at`)
+SELECT `id`, 'pending', `status`, 'Status before history was recorded', 'system', `created_at`
+FROM `orders` WHERE `status` != 'pending';
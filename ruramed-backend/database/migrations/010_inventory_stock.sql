@@ -0,0 +1,44 @@
+-- Stock per medicine per pharmacy. quantity_reserved is held by open orders:
+-- reserved when the order is placed, released if it is cancelled or rejected,
+-- and taken off quantity_on_hand when it is dispatched. Sellable stock is
+-- quantity_on_hand - quantity_reserved across active pharmacies.
+--
+-- Every medicine starts at zero stock and is out of stock until its stock is
+-- loaded (PUT /api/medicines/:id/stock).
+
+CREATE TABLE `pharmacies` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `name` varchar(150) NOT NULL,
+  `code` varchar(30) NOT NULL,
+  `is_active` tinyint(1) NOT NULL DEFAULT '1',
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_pharmacies_code` (`code`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+INSERT INTO `pharmacies` (`name`, `code`) VALUES ('Central Store', 'MAIN');
+
+CREATE TABLE `pharmacy_stock` (
+  `pharmacy_id` int NOT NULL,
+  `medicine_id` int NOT NULL,
+  `quantity_on_hand` int NOT NULL DEFAULT '0',
+  `quantity_reserved` int NOT NULL DEFAULT '0',
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`pharmacy_id`,`medicine_id`),
+  KEY `idx_pharmacy_stock_medicine` (`medicine_id`),
+  CONSTRAINT `pharmacy_stock_ibfk_1` FOREIGN KEY (`pharmacy_id`) REFERENCES `pharmacies` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `pharmacy_stock_ibfk_2` FOREIGN KEY (`medicine_id`) REFERENCES `medicines` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chk_pharmacy_stock_quantities` CHECK (`quantity_reserved` >= 0 AND `quantity_reserved` <= `quantity_on_hand`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Sellable quantity at or below which a medicine is reported as low stock
+ALTER TABLE `medicines`
+  ADD COLUMN `low_stock_threshold` int NOT NULL DEFAULT '10' AFTER `requires_prescription`;
+
+-- Which pharmacy's stock each order line holds; NULL for orders placed before stock tracking
+ALTER TABLE `order_items`
+  ADD COLUMN `pharmacy_id` int DEFAULT NULL AFTER `requires_prescription`,
+  ADD COLUMN `stock_status` enum('reserved','released','consumed') DEFAULT NULL AFTER `pharmacy_id`,
+  ADD KEY `idx_order_items_pharmacy` (`pharmacy_id`,`medicine_id`),
+  ADD CONSTRAINT `order_items_ibfk_3` FOREIGN KEY (`pharmacy_id`) REFERENCES `pharmacies` (`id`) ON DELETE SET NULL;
@@ -0,0 +1,40 @@
+-- Batch lots. Each lot belongs to one medicine at one pharmacy and is counted
+-- in that pharmacy's pharmacy_stock.quantity_on_hand; stock loaded without a
+-- batch stays "unbatched". Orders allocate from the earliest-expiring sellable
+-- lot first (FEFO) and the lots used are recorded per order line for recalls.
+
+CREATE TABLE `medicine_batches` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `medicine_id` int NOT NULL,
+  `pharmacy_id` int NOT NULL,
+  `batch_number` varchar(50) NOT NULL,
+  `expiry_date` date NOT NULL,
+  `manufactured_date` date DEFAULT NULL,
+  `quantity_received` int NOT NULL,
+  `quantity_on_hand` int NOT NULL,
+  `quantity_reserved` int NOT NULL DEFAULT '0',
+  `purchase_price` decimal(10,2) DEFAULT NULL,
+  `is_blocked` tinyint(1) NOT NULL DEFAULT '0',
+  `block_reason` varchar(255) DEFAULT NULL,
+  `received_by` int DEFAULT NULL,
+  `received_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_batches_pharmacy_medicine_number` (`pharmacy_id`,`medicine_id`,`batch_number`),
+  KEY `idx_batches_medicine_expiry` (`medicine_id`,`pharmacy_id`,`expiry_date`),
+  KEY `idx_batches_expiry` (`expiry_date`),
+  CONSTRAINT `medicine_batches_ibfk_1` FOREIGN KEY (`medicine_id`) REFERENCES `medicines` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `medicine_batches_ibfk_2` FOREIGN KEY (`pharmacy_id`) REFERENCES `pharmacies` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chk_batches_quantities` CHECK (`quantity_reserved` >= 0 AND `quantity_reserved` <= `quantity_on_hand`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Lots each order line was filled from
+CREATE TABLE `order_item_batches` (
+  `order_item_id` int NOT NULL,
+  `batch_id` int NOT NULL,
+  `quantity` int NOT NULL,
+  PRIMARY KEY (`order_item_id`,`batch_id`),
+  KEY `idx_order_item_batches_batch` (`batch_id`),
+  CONSTRAINT `order_item_batches_ibfk_1` FOREIGN KEY (`order_item_id`) REFERENCES `order_items` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `order_item_batches_ibfk_2` FOREIGN KEY (`batch_id`) REFERENCES `medicine_batches` (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
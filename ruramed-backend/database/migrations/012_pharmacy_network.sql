@@ -0,0 +1,69 @@
+-- Fulfilment network. Each pharmacy has a location, weekly opening hours and
+-- the service areas it delivers to; a pharmacy with no coverage rows serves
+-- every area. Orders are routed to the nearest covering pharmacy that has the
+-- stock and split into one shipment per pharmacy when no single one can fill
+-- them. The dispatching pharmacy's distance drives the delivery fee and ETA.
+
+ALTER TABLE `pharmacies`
+  ADD COLUMN `phone` varchar(20) DEFAULT NULL AFTER `code`,
+  ADD COLUMN `address` varchar(500) DEFAULT NULL AFTER `phone`,
+  ADD COLUMN `city` varchar(100) DEFAULT NULL AFTER `address`,
+  ADD COLUMN `state` varchar(100) DEFAULT NULL AFTER `city`,
+  ADD COLUMN `postal_code` varchar(10) DEFAULT NULL AFTER `state`,
+  ADD COLUMN `latitude` decimal(10,8) DEFAULT NULL AFTER `postal_code`,
+  ADD COLUMN `longitude` decimal(11,8) DEFAULT NULL AFTER `latitude`,
+  ADD COLUMN `timezone` varchar(64) NOT NULL DEFAULT 'Asia/Kolkata' AFTER `longitude`,
+  ADD COLUMN `preparation_minutes` smallint NOT NULL DEFAULT '20' AFTER `timezone`;
+
+-- Opening hours; several rows per weekday allowed. No rows = open around the clock
+CREATE TABLE `pharmacy_hours` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `pharmacy_id` int NOT NULL,
+  `day_of_week` tinyint NOT NULL COMMENT '0 = Sunday ... 6 = Saturday',
+  `open_time` time NOT NULL,
+  `close_time` time NOT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_pharmacy_hours_pharmacy_day` (`pharmacy_id`,`day_of_week`),
+  CONSTRAINT `pharmacy_hours_ibfk_1` FOREIGN KEY (`pharmacy_id`) REFERENCES `pharmacies` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chk_pharmacy_hours_range` CHECK (`open_time` < `close_time`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE `pharmacy_service_areas` (
+  `pharmacy_id` int NOT NULL,
+  `service_area_id` int NOT NULL,
+  PRIMARY KEY (`pharmacy_id`,`service_area_id`),
+  KEY `idx_pharmacy_service_areas_area` (`service_area_id`),
+  CONSTRAINT `pharmacy_service_areas_ibfk_1` FOREIGN KEY (`pharmacy_id`) REFERENCES `pharmacies` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `pharmacy_service_areas_ibfk_2` FOREIGN KEY (`service_area_id`) REFERENCES `service_areas` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- One shipment per fulfilling pharmacy; distance_km is pharmacy -> drop at order time
+CREATE TABLE `order_shipments` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `order_id` int NOT NULL,
+  `pharmacy_id` int NOT NULL,
+  `distance_km` decimal(8,2) DEFAULT NULL,
+  `estimated_minutes` int DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_order_shipments_order_pharmacy` (`order_id`,`pharmacy_id`),
+  KEY `idx_order_shipments_pharmacy` (`pharmacy_id`),
+  CONSTRAINT `order_shipments_ibfk_1` FOREIGN KEY (`order_id`) REFERENCES `orders` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `order_shipments_ibfk_2` FOREIGN KEY (`pharmacy_id`) REFERENCES `pharmacies` (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+ALTER TABLE `order_items`
+  ADD COLUMN `shipment_id` int DEFAULT NULL AFTER `pharmacy_id`,
+  ADD KEY `idx_order_items_shipment` (`shipment_id`),
+  ADD CONSTRAINT `order_items_ibfk_4` FOREIGN KEY (`shipment_id`) REFERENCES `order_shipments` (`id`) ON DELETE SET NULL;
+
+-- Group lines already routed to a pharmacy into shipments
+INSERT INTO `order_shipments` (`order_id`, `pharmacy_id`, `created_at`)
+SELECT `order_id`, `pharmacy_id`, MIN(`created_at`)
+FROM `order_items`
+WHERE `pharmacy_id` IS NOT NULL
+GROUP BY `order_id`, `pharmacy_id`;
+
+UPDATE `order_items` oi
+JOIN `order_shipments` s ON s.`order_id` = oi.`order_id` AND s.`pharmacy_id` = oi.`pharmacy_id`
+SET oi.`shipment_id` = s.`id`;
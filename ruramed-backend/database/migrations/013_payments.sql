@@ -0,0 +1,78 @@
+-- Payments. Every order is cash on delivery (cod) or prepaid through a payment
+-- provider; orders.payment_status is the customer-facing summary:
+--   pending        nothing collected yet (COD until delivery, prepaid until captured)
+--   paid           captured by the provider, or cash collected on delivery
+--   failed         the last prepaid attempt failed (the customer may retry)
+--   refund_pending order cancelled/rejected after payment; refund queued or in flight
+--   refunded       refund completed
+--   voided         order ended before anything was collected
+-- Provider webhooks are stored in payment_webhook_events, keyed by the
+-- provider's event id so a redelivered event is applied only once.
+
+ALTER TABLE `orders`
+  ADD COLUMN `payment_method` enum('cod','prepaid') NOT NULL DEFAULT 'cod' AFTER `total_amount`,
+  ADD COLUMN `payment_status` enum('pending','paid','failed','refund_pending','refunded','voided') NOT NULL DEFAULT 'pending' AFTER `payment_method`,
+  ADD COLUMN `amount_refunded` decimal(10,2) NOT NULL DEFAULT '0.00' AFTER `payment_status`,
+  ADD KEY `idx_orders_payment_status` (`payment_status`);
+
+UPDATE `orders` SET `payment_status` = 'paid' WHERE `status` = 'delivered';
+UPDATE `orders` SET `payment_status` = 'voided' WHERE `status` IN ('cancelled','rejected');
+
+CREATE TABLE `payments` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `order_id` int NOT NULL,
+  `method` enum('cod','prepaid') NOT NULL,
+  `provider` varchar(30) NOT NULL,
+  `provider_payment_id` varchar(100) DEFAULT NULL,
+  `amount` decimal(10,2) NOT NULL,
+  `currency` char(3) NOT NULL DEFAULT 'INR',
+  `status` enum('created','captured','failed') NOT NULL DEFAULT 'created',
+  `amount_refunded` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `failure_reason` varchar(255) DEFAULT NULL,
+  `captured_at` datetime DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_payments_provider_payment` (`provider`,`provider_payment_id`),
+  KEY `idx_payments_order` (`order_id`),
+  CONSTRAINT `payments_ibfk_1` FOREIGN KEY (`order_id`) REFERENCES `orders` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chk_payments_refunded` CHECK (`amount_refunded` >= 0 AND `amount_refunded` <= `amount`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- Refunds are queued (pending) in the transaction that cancels/rejects the
+-- order and sent to the provider afterwards; failed sends are retried
+CREATE TABLE `payment_refunds` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `payment_id` int NOT NULL,
+  `order_id` int NOT NULL,
+  `amount` decimal(10,2) NOT NULL,
+  `reason` varchar(255) DEFAULT NULL,
+  `status` enum('pending','processing','succeeded','failed') NOT NULL DEFAULT 'pending',
+  `provider_refund_id` varchar(100) DEFAULT NULL,
+  `attempts` tinyint NOT NULL DEFAULT '0',
+  `failure_reason` varchar(255) DEFAULT NULL,
+  `requested_by_type` enum('user','admin','system') NOT NULL DEFAULT 'system',
+  `requested_by` int DEFAULT NULL,
+  `completed_at` datetime DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_payment_refunds_provider_refund` (`provider_refund_id`),
+  KEY `idx_payment_refunds_status` (`status`,`created_at`),
+  KEY `idx_payment_refunds_order` (`order_id`),
+  CONSTRAINT `payment_refunds_ibfk_1` FOREIGN KEY (`payment_id`) REFERENCES `payments` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `payment_refunds_ibfk_2` FOREIGN KEY (`order_id`) REFERENCES `orders` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE `payment_webhook_events` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `provider` varchar(30) NOT NULL,
+  `event_id` varchar(100) NOT NULL,
+  `event_type` varchar(50) NOT NULL,
+  `payload` text NOT NULL,
+  `status` enum('processed','ignored','failed') NOT NULL DEFAULT 'processed',
+  `error` varchar(255) DEFAULT NULL,
+  `received_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_webhook_events_provider_event` (`provider`,`event_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
@@ -0,0 +1,20 @@
+-- Server-side cart, one line per user and medicine. price_seen is the unit
+-- price the customer was last shown; when the catalog price moves away from
+-- it the next cart read returns a price_changed warning for the line.
+-- Guest carts stay on the client and are merged into this table on login.
+
+CREATE TABLE `cart_items` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `medicine_id` int NOT NULL,
+  `quantity` int NOT NULL,
+  `price_seen` decimal(10,2) NOT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_cart_items_user_medicine` (`user_id`,`medicine_id`),
+  KEY `idx_cart_items_medicine` (`medicine_id`),
+  CONSTRAINT `cart_items_ibfk_1` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `cart_items_ibfk_2` FOREIGN KEY (`medicine_id`) REFERENCES `medicines` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chk_cart_items_quantity` CHECK (`quantity` BETWEEN 1 AND 100)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
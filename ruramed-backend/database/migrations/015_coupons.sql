@@ -0,0 +1,59 @@
+-- Coupons and promotions. A coupon takes a percentage (optionally capped by
+-- max_discount) or a flat amount off the lines it applies to:
+--   scope 'order'         every line
+--   scope 'category'      lines whose medicine category is scope_value
+--   scope 'manufacturer'  lines whose manufacturer is scope_value
+-- min_order_amount is checked against those lines. first_order_only coupons
+-- apply only while the customer has no earlier order (cancelled and rejected
+-- orders do not count). A non-stackable coupon cannot be combined with any
+-- other coupon on the same order.
+--
+-- Usage limits count redemptions of orders that were not cancelled or
+-- rejected, so ending an order gives the use back.
+
+CREATE TABLE `coupons` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `code` varchar(40) NOT NULL,
+  `description` varchar(255) DEFAULT NULL,
+  `discount_type` enum('percent','flat') NOT NULL,
+  `discount_value` decimal(10,2) NOT NULL,
+  `max_discount` decimal(10,2) DEFAULT NULL,
+  `min_order_amount` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `scope` enum('order','category','manufacturer') NOT NULL DEFAULT 'order',
+  `scope_value` varchar(255) DEFAULT NULL,
+  `first_order_only` tinyint(1) NOT NULL DEFAULT '0',
+  `usage_limit` int DEFAULT NULL,
+  `per_user_limit` int DEFAULT '1',
+  `is_stackable` tinyint(1) NOT NULL DEFAULT '0',
+  `starts_at` datetime DEFAULT NULL,
+  `ends_at` datetime DEFAULT NULL,
+  `is_active` tinyint(1) NOT NULL DEFAULT '1',
+  `created_by` int DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_coupons_code` (`code`),
+  KEY `idx_coupons_active_window` (`is_active`,`starts_at`,`ends_at`),
+  CONSTRAINT `chk_coupons_value` CHECK (`discount_value` > 0 AND (`discount_type` = 'flat' OR `discount_value` <= 100)),
+  CONSTRAINT `chk_coupons_scope` CHECK (`scope` = 'order' OR `scope_value` IS NOT NULL)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE `coupon_redemptions` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `coupon_id` int NOT NULL,
+  `order_id` int NOT NULL,
+  `user_id` int NOT NULL,
+  `discount_amount` decimal(10,2) NOT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_coupon_redemptions_order` (`order_id`,`coupon_id`),
+  KEY `idx_coupon_redemptions_coupon_user` (`coupon_id`,`user_id`),
+  CONSTRAINT `coupon_redemptions_ibfk_1` FOREIGN KEY (`coupon_id`) REFERENCES `coupons` (`id`),
+  CONSTRAINT `coupon_redemptions_ibfk_2` FOREIGN KEY (`order_id`) REFERENCES `orders` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `coupon_redemptions_ibfk_3` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+-- total_amount = subtotal_amount - discount_amount + delivery_fee;
+-- the per-line share of the discount is order_items.discount_amount
+ALTER TABLE `orders`
+  ADD COLUMN `discount_amount` decimal(10,2) NOT NULL DEFAULT '0.00' AFTER `subtotal_amount`;
@@ -0,0 +1,55 @@
+-- GST tax invoices. Medicines carry an HSN code and GST rate; selling prices
+-- include GST, so the taxable value of a line is its amount / (1 + rate/100).
+-- The code and rate are snapshotted on each order line so later catalog
+-- changes do not alter issued invoices.
+--
+-- An order gets its invoice when it is dispatched. Invoice numbers are
+-- sequential without gaps within a financial year (April-March): the next
+-- number is taken from invoice_sequences with the row locked.
+-- Intra-state supplies (seller state = delivery state) split the tax into
+-- CGST + SGST, inter-state supplies are charged IGST.
+
+ALTER TABLE `medicines`
+  ADD COLUMN `hsn_code` varchar(8) NOT NULL DEFAULT '3004' AFTER `sku`,
+  ADD COLUMN `gst_rate` decimal(5,2) NOT NULL DEFAULT '5.00' AFTER `hsn_code`,
+  ADD CONSTRAINT `chk_medicines_gst_rate` CHECK (`gst_rate` IN (0, 5, 12, 18, 28, 40));
+
+ALTER TABLE `order_items`
+  ADD COLUMN `hsn_code` varchar(8) DEFAULT NULL AFTER `medicine_name`,
+  ADD COLUMN `gst_rate` decimal(5,2) DEFAULT NULL AFTER `hsn_code`;
+
+UPDATE `order_items` oi
+JOIN `medicines` m ON oi.medicine_id = m.id
+SET oi.hsn_code = m.hsn_code, oi.gst_rate = m.gst_rate;
+
+CREATE TABLE `invoice_sequences` (
+  `financial_year` char(7) NOT NULL,
+  `last_number` int NOT NULL DEFAULT '0',
+  PRIMARY KEY (`financial_year`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE `invoices` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `order_id` int NOT NULL,
+  `invoice_number` varchar(16) NOT NULL,
+  `financial_year` char(7) NOT NULL,
+  `sequence_number` int NOT NULL,
+  `seller_name` varchar(255) NOT NULL,
+  `seller_gstin` varchar(15) DEFAULT NULL,
+  `seller_address` varchar(500) DEFAULT NULL,
+  `seller_state` varchar(100) NOT NULL,
+  `place_of_supply` varchar(100) NOT NULL,
+  `supply_type` enum('intra_state','inter_state') NOT NULL,
+  `taxable_amount` decimal(10,2) NOT NULL,
+  `cgst_amount` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `sgst_amount` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `igst_amount` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `total_amount` decimal(10,2) NOT NULL,
+  `issued_at` datetime NOT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_invoices_order` (`order_id`),
+  UNIQUE KEY `uniq_invoices_number` (`invoice_number`),
+  UNIQUE KEY `uniq_invoices_year_sequence` (`financial_year`,`sequence_number`),
+  CONSTRAINT `invoices_ibfk_1` FOREIGN KEY (`order_id`) REFERENCES `orders` (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
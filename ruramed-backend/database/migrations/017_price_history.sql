@@ -0,0 +1,51 @@
+-- Medicine pricing controls. Every change to price or MRP is recorded in
+-- medicine_price_history with the old and new values, who made it and why.
+-- price_ceiling is the regulatory ceiling price for a medicine (e.g. NPPA
+-- notified prices); when set, the selling price may not exceed it.
+--
+-- Admins can schedule a price change for a future time; pending rows in
+-- medicine_price_schedules are applied by a timer in utils/pricing.js once
+-- effective_at has passed, and marked failed when the new price no longer
+-- passes the MRP and ceiling checks at that time.
+
+ALTER TABLE `medicines`
+  ADD COLUMN `price_ceiling` decimal(10,2) DEFAULT NULL AFTER `mrp`;
+
+CREATE TABLE `medicine_price_schedules` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `medicine_id` int NOT NULL,
+  `price` decimal(10,2) DEFAULT NULL,
+  `mrp` decimal(10,2) DEFAULT NULL,
+  `effective_at` datetime NOT NULL,
+  `reason` varchar(500) DEFAULT NULL,
+  `status` enum('pending','applied','cancelled','failed') NOT NULL DEFAULT 'pending',
+  `failure_reason` varchar(500) DEFAULT NULL,
+  `created_by` int DEFAULT NULL,
+  `applied_at` datetime DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_price_schedules_due` (`status`,`effective_at`),
+  KEY `idx_price_schedules_medicine` (`medicine_id`,`status`),
+  CONSTRAINT `medicine_price_schedules_ibfk_1` FOREIGN KEY (`medicine_id`) REFERENCES `medicines` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `chk_price_schedules_values` CHECK (`price` IS NOT NULL OR `mrp` IS NOT NULL)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+
+CREATE TABLE `medicine_price_history` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `medicine_id` int NOT NULL,
+  `old_price` decimal(10,2) DEFAULT NULL,
+  `new_price` decimal(10,2) NOT NULL,
+  `old_mrp` decimal(10,2) DEFAULT NULL,
+  `new_mrp` decimal(10,2) NOT NULL,
+  `source` enum('update','bulk','import','scheduled') NOT NULL,
+  `reason` varchar(500) DEFAULT NULL,
+  `actor_type` enum('admin','system') NOT NULL DEFAULT 'admin',
+  `actor_id` int DEFAULT NULL,
+  `schedule_id` int DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_price_history_medicine` (`medicine_id`,`created_at`),
+  CONSTRAINT `medicine_price_history_ibfk_1` FOREIGN KEY (`medicine_id`) REFERENCES `medicines` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `medicine_price_history_ibfk_2` FOREIGN KEY (`schedule_id`) REFERENCES `medicine_price_schedules` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
@@ -0,0 +1,23 @@
+-- Product images for medicines. Each upload is stored as thumbnail, medium
+-- and full sizes in WebP and JPEG; `variants` maps size -> { width, height,
+-- webp, jpeg } URLs and `storage_paths` lists the stored files for deletion.
+--
+-- One image per medicine is primary. medicines.image_url follows the primary
+-- image's medium JPEG so order lines and older clients keep a single URL.
+
+CREATE TABLE `medicine_images` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `medicine_id` int NOT NULL,
+  `is_primary` tinyint(1) NOT NULL DEFAULT '0',
+  `sort_order` int NOT NULL DEFAULT '0',
+  `alt_text` varchar(255) DEFAULT NULL,
+  `width` int NOT NULL,
+  `height` int NOT NULL,
+  `variants` json NOT NULL,
+  `storage_paths` json NOT NULL,
+  `created_by` int DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `idx_medicine_images_medicine` (`medicine_id`,`is_primary`,`sort_order`),
+  CONSTRAINT `medicine_images_ibfk_1` FOREIGN KEY (`medicine_id`) REFERENCES `medicines` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
@@ -0,0 +1,30 @@
+-- Medicine monographs: the patient information shown on a medicine's page.
+-- composition lists each salt with its strength as
+-- [{ "salt": "Paracetamol", "strength": "500 mg" }, ...].
+-- pregnancy_category uses the A/B/C/D/X risk letters; lactation_category is
+-- safe, caution, unsafe or unknown.
+--
+-- search_text is written by utils/monographs.js from the salts, indications,
+-- side effects, contraindications and warnings, and is full-text indexed so
+-- catalog search also finds medicines by what they treat.
+
+CREATE TABLE `medicine_monographs` (
+  `medicine_id` int NOT NULL,
+  `composition` json DEFAULT NULL,
+  `indications` text,
+  `dosage` text,
+  `side_effects` text,
+  `contraindications` text,
+  `warnings` text,
+  `pregnancy_category` enum('A','B','C','D','X') DEFAULT NULL,
+  `lactation_category` enum('safe','caution','unsafe','unknown') DEFAULT NULL,
+  `storage` varchar(255) DEFAULT NULL,
+  `pack_size` varchar(100) DEFAULT NULL,
+  `search_text` text,
+  `updated_by` int DEFAULT NULL,
+  `created_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`medicine_id`),
+  FULLTEXT KEY `ft_medicine_monographs_search` (`search_text`),
+  CONSTRAINT `medicine_monographs_ibfk_1` FOREIGN KEY (`medicine_id`) REFERENCES `medicines` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
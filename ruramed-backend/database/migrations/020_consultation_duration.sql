@@ -0,0 +1,12 @@
+-- Consultations keep the slot length they were booked with, so changing a
+-- doctor's slot_duration_minutes cannot let a new booking overlap an existing
+-- one that starts at a different time. Bookings are checked for overlapping
+-- intervals while the doctor's row is locked (utils/doctorSchedule.js); the
+-- unique (doctor_id, active_slot) key from 004 still guards equal start times.
+
+ALTER TABLE `consultations`
+  ADD COLUMN `duration_minutes` smallint NOT NULL DEFAULT '30' AFTER `consultation_date`;
+
+UPDATE `consultations` c
+  JOIN `doctor_schedules` s ON s.doctor_id = c.doctor_id
+  SET c.duration_minutes = s.slot_duration_minutes;
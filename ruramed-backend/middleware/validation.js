@@ -4,6 +4,7 @@ import {
     validateName, 
     validatePassword,
     validateMedicineData,
+    validateMonographData,
     validateCoordinates,
     validatePrescriptionFile,
     sanitizeMedicalData,
@@ -11,6 +12,7 @@ import {
     formatValidationResult
 } from '../utils/validation.js';
 import { logSecurityEvent, logError } from '../utils/logger.js';
+import { PRICE_RANGES } from '../utils/medicineSearch.js';
 
 // Generic validation middleware factory
 export const createValidationMiddleware = (validationRules) => {
@@ -221,6 +223,30 @@ export const validateMedicine = (req, res, next) => {
     }
 };
 
+// Medicine monograph validation middleware
+export const validateMonograph = (req, res, next) => {
+    try {
+        const result = validateMonographData(req.body || {});
+
+        if (!result.isValid) {
+            return res.status(400).json({
+                error: 'Monograph validation failed',
+                details: result.errors,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        req.validatedData = result.sanitized;
+        next();
+    } catch (error) {
+        logError(error, { middleware: 'validateMonograph' });
+        return res.status(500).json({
+            error: 'Validation error',
+            message: 'Internal server error during validation'
+        });
+    }
+};
+
 // Address validation
 export const validateAddress = createValidationMiddleware({
     address_line1: {
@@ -379,6 +405,63 @@ export const validateOrder = createValidationMiddleware({
             }
             return { isValid: true, sanitized: addressId };
         }
+    },
+    payment_method: {
+        required: false,
+        validator: (value) => {
+            if (!['cod', 'prepaid'].includes(value)) {
+                return { isValid: false, error: 'Must be cod or prepaid' };
+            }
+            return { isValid: true, sanitized: value };
+        }
+    },
+    coupon_codes: {
+        required: false,
+        validator: (value) => {
+            const codes = Array.isArray(value) ? value : [value];
+            if (codes.length > 3 || !codes.every(code => typeof code === 'string' && /^[A-Za-z0-9_-]{3,40}$/.test(code.trim()))) {
+                return { isValid: false, error: 'Up to 3 coupon codes of 3-40 letters, digits, - or _' };
+            }
+            return { isValid: true, sanitized: [...new Set(codes.map(code => code.trim().toUpperCase()))] };
+        }
+    }
+});
+
+// Cart line validation (quantity defaults to 1 when adding)
+export const validateCartItem = createValidationMiddleware({
+    medicine_id: {
+        required: true,
+        validator: (value) => {
+            const medicineId = parseInt(value);
+            if (isNaN(medicineId) || medicineId <= 0) {
+                return { isValid: false, error: 'Valid medicine ID required' };
+            }
+            return { isValid: true, sanitized: medicineId };
+        }
+    },
+    quantity: {
+        required: false,
+        validator: (value) => {
+            const quantity = parseInt(value);
+            if (isNaN(quantity) || quantity <= 0 || quantity > 100) {
+                return { isValid: false, error: 'Quantity must be between 1 and 100' };
+            }
+            return { isValid: true, sanitized: quantity };
+        }
+    }
+});
+
+// Cart quantity update (0 removes the line)
+export const validateCartQuantity = createValidationMiddleware({
+    quantity: {
+        required: true,
+        validator: (value) => {
+            const quantity = parseInt(value);
+            if (isNaN(quantity) || quantity < 0 || quantity > 100) {
+                return { isValid: false, error: 'Quantity must be between 0 and 100' };
+            }
+            return { isValid: true, sanitized: quantity };
+        }
     }
 });
 
@@ -427,6 +510,86 @@ export const validateSearchQuery = (req, res, next) => {
     next();
 };
 
+// Medicine search validation: a search term and/or facet filters.
+// category, form and manufacturer may be repeated to select several values;
+// price_range takes one of the price facet keys.
+export const validateMedicineSearch = (req, res, next) => {
+    const { q, min_price, max_price, price_range, requires_prescription } = req.query;
+    const errors = [];
+
+    const listParam = (value, maxLength) => (Array.isArray(value) ? value : [value])
+        .map(item => sanitizeField(item, maxLength).trim())
+        .filter(Boolean)
+        .slice(0, 10);
+
+    const filters = {
+        category: listParam(req.query.category, 50),
+        form: listParam(req.query.form, 20),
+        manufacturer: listParam(req.query.manufacturer, 100),
+        min_price: null,
+        max_price: null,
+        requires_prescription: null
+    };
+
+    for (const [field, value] of [['min_price', min_price], ['max_price', max_price]]) {
+        if (value !== undefined && value !== '') {
+            const price = Number(value);
+            if (!Number.isFinite(price) || price < 0) {
+                errors.push(`${field} must be a non-negative number`);
+            } else {
+                filters[field] = price;
+            }
+        }
+    }
+
+    if (price_range !== undefined && price_range !== '') {
+        const range = PRICE_RANGES.find(option => option.key === price_range);
+        if (!range) {
+            errors.push(`price_range must be one of ${PRICE_RANGES.map(option => option.key).join(', ')}`);
+        } else {
+            // Ranges include their lower bound and stop a paisa short of the upper one
+            filters.min_price = Math.max(filters.min_price ?? 0, range.min);
+            if (range.max !== null) {
+                filters.max_price = Math.min(filters.max_price ?? Infinity, range.max - 0.01);
+            }
+        }
+    }
+
+    if (filters.min_price !== null && filters.max_price !== null && filters.min_price > filters.max_price) {
+        errors.push('min_price cannot be greater than max_price');
+    }
+
+    if (requires_prescription !== undefined && requires_prescription !== '') {
+        if (!['true', 'false', '1', '0'].includes(requires_prescription)) {
+            errors.push('requires_prescription must be true or false');
+        } else {
+            filters.requires_prescription = requires_prescription === 'true' || requires_prescription === '1';
+        }
+    }
+
+    const term = typeof q === 'string' ? sanitizeField(q, 100).trim() : '';
+    const hasFilter = filters.category.length > 0 || filters.form.length > 0 || filters.manufacturer.length > 0 ||
+        filters.min_price !== null || filters.max_price !== null || filters.requires_prescription !== null;
+
+    if (term.length < 2 && !hasFilter) {
+        errors.push('Provide a search term (min 2 chars) or at least one filter');
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Invalid search query',
+            details: errors
+        });
+    }
+
+    req.sanitizedQuery = {
+        q: term.length >= 2 ? term : null,
+        filters
+    };
+
+    next();
+};
+
 // Admin validation middleware
 export const validateAdminData = createValidationMiddleware({
     name: {
@@ -515,11 +678,15 @@ export default {
     validateUserLogin,
     validateDoctorRegistration,
     validateMedicine,
+    validateMonograph,
     validateAddress,
     validatePrescriptionUpload,
     validateOrder,
+    validateCartItem,
+    validateCartQuantity,
     validateCoordinatesMiddleware,
     validateSearchQuery,
+    validateMedicineSearch,
     validateAdminData,
     validatePagination,
     validateDateRange
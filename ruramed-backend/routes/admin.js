@@ -9,6 +9,7 @@ import {
 import { advancedRateLimit } from '../middleware/security.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import * as adminController from '../controllers/adminController.js';
+import * as couponController from '../controllers/couponController.js';
 
 const router = express.Router();
 
@@ -135,6 +136,24 @@ router.post('/system/cache/clear',
     asyncHandler(adminController.clearCache)
 );
 
+// Coupons and promotions
+router.get('/coupons', 
+    validatePagination,
+    asyncHandler(couponController.getCoupons)
+);
+
+router.post('/coupons', 
+    asyncHandler(couponController.createCoupon)
+);
+
+router.put('/coupons/:id', 
+    asyncHandler(couponController.updateCoupon)
+);
+
+router.delete('/coupons/:id', 
+    asyncHandler(couponController.deleteCoupon)
+);
+
 // Admin management
 router.post('/admins', 
     validateAdminData,
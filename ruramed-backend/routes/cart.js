@@ -0,0 +1,45 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateCartItem, validateCartQuantity } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import * as cartController from '../controllers/cartController.js';
+import * as couponController from '../controllers/couponController.js';
+
+const router = express.Router();
+
+// All cart routes require authentication; guest carts stay on the device until login
+router.use(authenticateToken);
+
+router.get('/',
+    asyncHandler(cartController.getCart)
+);
+
+router.delete('/',
+    asyncHandler(cartController.clearCart)
+);
+
+router.post('/items',
+    validateCartItem,
+    asyncHandler(cartController.addItem)
+);
+
+router.patch('/items/:medicineId',
+    validateCartQuantity,
+    asyncHandler(cartController.updateItem)
+);
+
+router.delete('/items/:medicineId',
+    asyncHandler(cartController.removeItem)
+);
+
+// Coupon preview against the cart (applied for real by POST /api/orders with coupon_codes)
+router.post('/apply-coupon',
+    asyncHandler(couponController.applyCoupon)
+);
+
+// Merge the guest cart after login
+router.post('/merge',
+    asyncHandler(cartController.mergeCart)
+);
+
+export default router;
@@ -76,10 +76,46 @@ adminDeliveryRoutes.delete('/admin/service-areas/:id',
     asyncHandler(deliveryController.deleteServiceArea)
 );
 
+adminDeliveryRoutes.get('/admin/pharmacies', 
+    asyncHandler(deliveryController.getPharmaciesAdmin)
+);
+
+adminDeliveryRoutes.post('/admin/pharmacies', 
+    asyncHandler(deliveryController.createPharmacy)
+);
+
+adminDeliveryRoutes.put('/admin/pharmacies/:id', 
+    asyncHandler(deliveryController.updatePharmacy)
+);
+
+adminDeliveryRoutes.delete('/admin/pharmacies/:id', 
+    asyncHandler(deliveryController.deletePharmacy)
+);
+
+adminDeliveryRoutes.get('/admin/fee-rules', 
+    asyncHandler(deliveryController.getDeliveryFeeRules)
+);
+
+adminDeliveryRoutes.put('/admin/fee-rules', 
+    asyncHandler(deliveryController.updateDeliveryFeeRules)
+);
+
+adminDeliveryRoutes.get('/admin/service-areas/:id/fee-rules', 
+    asyncHandler(deliveryController.getDeliveryFeeRules)
+);
+
+adminDeliveryRoutes.put('/admin/service-areas/:id/fee-rules', 
+    asyncHandler(deliveryController.updateDeliveryFeeRules)
+);
+
 adminDeliveryRoutes.patch('/admin/delivery/:id/status', 
     asyncHandler(deliveryController.updateDeliveryStatus)
 );
 
+adminDeliveryRoutes.patch('/admin/delivery/:id/location', 
+    asyncHandler(deliveryController.updateDeliveryLocation)
+);
+
 adminDeliveryRoutes.get('/admin/analytics', 
     asyncHandler(deliveryController.getDeliveryAnalytics)
 );
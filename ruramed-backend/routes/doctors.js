@@ -55,6 +55,14 @@ router.get('/:id/availability',
 // User routes (require authentication)
 router.use(authenticateToken);
 
+router.post('/:id/slot-holds', 
+    asyncHandler(doctorController.holdConsultationSlot)
+);
+
+router.delete('/:id/slot-holds/:holdToken', 
+    asyncHandler(doctorController.releaseConsultationSlot)
+);
+
 router.post('/:id/consultation', 
     asyncHandler(doctorController.bookConsultation)
 );
@@ -99,6 +107,42 @@ adminDoctorRoutes.get('/admin/analytics',
     asyncHandler(doctorController.getDoctorAnalytics)
 );
 
+// Doctor calendars
+adminDoctorRoutes.get('/:id/schedule', 
+    asyncHandler(doctorController.getDoctorScheduleDetails)
+);
+
+adminDoctorRoutes.put('/:id/schedule', 
+    asyncHandler(doctorController.updateDoctorSchedule)
+);
+
+adminDoctorRoutes.post('/:id/schedule/time-off', 
+    asyncHandler(doctorController.addDoctorTimeOff)
+);
+
+adminDoctorRoutes.delete('/:id/schedule/time-off/:timeOffId', 
+    asyncHandler(doctorController.deleteDoctorTimeOff)
+);
+
+// Consultation outcomes (recorded by admins on the doctor's behalf)
+adminDoctorRoutes.patch('/admin/consultations/:consultationId/complete', 
+    asyncHandler(doctorController.completeConsultation)
+);
+
+adminDoctorRoutes.patch('/admin/consultations/:consultationId/no-show', 
+    asyncHandler(doctorController.markConsultationNoShow)
+);
+
+// Review moderation ('/admin/reviews' alone would be caught by '/:id/reviews')
+adminDoctorRoutes.get('/admin/reviews/all', 
+    validatePagination,
+    asyncHandler(doctorController.getAllReviews)
+);
+
+adminDoctorRoutes.patch('/admin/reviews/:reviewId/visibility', 
+    asyncHandler(doctorController.moderateReview)
+);
+
 // Mount admin routes
 router.use(adminDoctorRoutes);
 
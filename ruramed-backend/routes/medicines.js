@@ -2,11 +2,13 @@ import express from 'express';
 import { authenticateToken, isAdmin } from '../middleware/auth.js';
 import { 
     validateMedicine, 
+    validateMonograph,
     validatePagination, 
-    validateSearchQuery 
+    validateMedicineSearch 
 } from '../middleware/validation.js';
 import { advancedRateLimit } from '../middleware/security.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { uploadHandlers, handleUploadError } from '../utils/fileUpload.js';
 import * as medicineController from '../controllers/medicineController.js';
 
 const router = express.Router();
@@ -19,6 +21,19 @@ const medicineRateLimit = advancedRateLimit({
     endpoint: 'medicines'
 });
 
+// Typeahead fires on every keystroke, so it gets its own, higher limit
+const autocompleteRateLimit = advancedRateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    maxRequests: 120,
+    maxPerDevice: 120,
+    endpoint: 'medicines_autocomplete'
+});
+
+router.get('/autocomplete', 
+    autocompleteRateLimit,
+    asyncHandler(medicineController.autocompleteMedicineNames)
+);
+
 router.use(medicineRateLimit);
 
 // Public medicine routes (no auth required)
@@ -28,7 +43,7 @@ router.get('/',
 );
 
 router.get('/search', 
-    validateSearchQuery,
+    validateMedicineSearch,
     validatePagination,
     asyncHandler(medicineController.searchMedicines)
 );
@@ -46,6 +61,10 @@ router.get('/popular',
     asyncHandler(medicineController.getPopularMedicines)
 );
 
+router.get('/:id/substitutes', 
+    asyncHandler(medicineController.getMedicineSubstitutes)
+);
+
 router.get('/:id', 
     asyncHandler(medicineController.getMedicineById)
 );
@@ -72,8 +91,75 @@ router.patch('/:id/status',
     asyncHandler(medicineController.updateMedicineStatus)
 );
 
+// Stock levels per pharmacy
+router.get('/:id/stock', 
+    asyncHandler(medicineController.getMedicineStock)
+);
+
+router.put('/:id/stock', 
+    asyncHandler(medicineController.updateMedicineStock)
+);
+
+// Batch lots
+router.get('/batches/expiring', 
+    asyncHandler(medicineController.getExpiringBatches)
+);
+
+router.get('/batches/:batchId/orders', 
+    asyncHandler(medicineController.getBatchOrders)
+);
+
+router.get('/:id/batches', 
+    asyncHandler(medicineController.getMedicineBatches)
+);
+
+router.post('/:id/batches', 
+    asyncHandler(medicineController.addMedicineBatch)
+);
+
+router.patch('/:id/batches/:batchId', 
+    asyncHandler(medicineController.updateMedicineBatch)
+);
+
+// Monograph (composition, dosage, side effects, warnings, storage)
+router.put('/:id/monograph', 
+    validateMonograph,
+    asyncHandler(medicineController.updateMedicineMonograph)
+);
+
+router.delete('/:id/monograph', 
+    asyncHandler(medicineController.deleteMedicineMonograph)
+);
+
+// Product images
+router.post('/:id/images', 
+    uploadHandlers.medicineImages.array('images', 5),
+    handleUploadError,
+    asyncHandler(medicineController.uploadMedicineImages)
+);
+
+router.patch('/:id/images/:imageId', 
+    asyncHandler(medicineController.updateMedicineImage)
+);
+
+router.delete('/:id/images/:imageId', 
+    asyncHandler(medicineController.deleteMedicineImage)
+);
+
+// Price history and scheduled price changes
+router.get('/:id/price-history', 
+    validatePagination,
+    asyncHandler(medicineController.getMedicinePriceHistory)
+);
+
+router.delete('/:id/price-schedules/:scheduleId', 
+    asyncHandler(medicineController.cancelScheduledPriceChange)
+);
+
 // Bulk operations for admin
 router.post('/bulk/import', 
+    uploadHandlers.catalogImports.single('file'),
+    handleUploadError,
     asyncHandler(medicineController.bulkImportMedicines)
 );
 
@@ -0,0 +1,46 @@
+import express from 'express';
+import { authenticateToken, isAdmin } from '../middleware/auth.js';
+import { validatePagination } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import * as paymentController from '../controllers/paymentController.js';
+
+const router = express.Router();
+
+// Provider webhooks (no auth; verified by signature over the raw request body)
+router.post('/webhooks/:provider',
+    asyncHandler(paymentController.handleWebhook)
+);
+
+// User routes (require authentication)
+router.use(authenticateToken);
+
+router.get('/orders/:orderId',
+    asyncHandler(paymentController.getOrderPayment)
+);
+
+router.post('/orders/:orderId/initiate',
+    asyncHandler(paymentController.initiatePayment)
+);
+
+// Sandbox checkout (disabled in production unless PAYMENT_SANDBOX_ENABLED=true)
+router.post('/sandbox/:paymentId/complete',
+    asyncHandler(paymentController.completeSandboxPayment)
+);
+
+// Admin-only payment routes
+const adminPaymentRoutes = express.Router();
+adminPaymentRoutes.use(isAdmin);
+
+adminPaymentRoutes.get('/admin/refunds',
+    validatePagination,
+    asyncHandler(paymentController.getRefunds)
+);
+
+adminPaymentRoutes.post('/admin/refunds/:id/retry',
+    asyncHandler(paymentController.retryFailedRefund)
+);
+
+// Mount admin routes
+router.use(adminPaymentRoutes);
+
+export default router;
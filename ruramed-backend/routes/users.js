@@ -1,10 +1,10 @@
 import express from 'express';
 import { authenticateToken, requireOwnership } from '../middleware/auth.js';
-import { validatePagination, validateDateRange } from '../middleware/validation.js';
+import { validatePagination, validateDateRange, validatePrescriptionUpload } from '../middleware/validation.js';
 import { advancedRateLimit } from '../middleware/security.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import * as userController from '../controllers/userController.js';
-import { uploadHandlers, handleUploadError } from '../utils/fileUpload.js';
+import { uploadHandlers, handleUploadError, processUploadedFiles } from '../utils/fileUpload.js';
 
 const router = express.Router();
 
@@ -24,6 +24,15 @@ const profilePictureUploadRateLimit = advancedRateLimit({
     message: 'Too many profile picture upload attempts. Please try again later.'
 });
 
+// Prescription uploads (up to 5 pages per prescription)
+const prescriptionUploadRateLimit = advancedRateLimit({
+    windowMs: 15 * 60 * 1000,
+    maxRequests: 10,
+    maxPerDevice: 5,
+    endpoint: 'prescription_upload',
+    message: 'Too many prescription upload attempts. Please try again later.'
+});
+
 router.use(authenticateToken);
 router.use(userRateLimit);
 
@@ -62,9 +71,20 @@ router.get(
 router.get('/orders', validatePagination, validateDateRange, asyncHandler(userController.getUserOrders));
 router.get('/orders/:orderId', requireOwnership('orderId', 'orders'), asyncHandler(userController.getUserOrderById));
 router.get('/addresses', asyncHandler(userController.getUserAddresses));
+router.post(
+    '/prescriptions',
+    prescriptionUploadRateLimit,
+    uploadHandlers.prescriptions.fields([{ name: 'prescription', maxCount: 5 }]),
+    handleUploadError,
+    validatePrescriptionUpload,
+    processUploadedFiles('prescriptions'),
+    asyncHandler(userController.uploadPrescription)
+);
 router.get('/prescriptions', validatePagination, asyncHandler(userController.getUserPrescriptions));
 router.get('/prescriptions/:prescriptionId', requireOwnership('prescriptionId', 'prescriptions'), asyncHandler(userController.getUserPrescriptionById));
 router.get('/consultations', validatePagination, validateDateRange, asyncHandler(userController.getUserConsultations));
+router.patch('/consultations/:consultationId/cancel', requireOwnership('consultationId', 'consultations'), asyncHandler(userController.cancelConsultation));
+router.patch('/consultations/:consultationId/reschedule', requireOwnership('consultationId', 'consultations'), asyncHandler(userController.rescheduleConsultation));
 router.get('/sessions', asyncHandler(userController.getUserSessions));
 router.delete('/sessions/:sessionId', asyncHandler(userController.revokeUserSession));
 router.delete('/sessions', asyncHandler(userController.revokeAllUserSessions));
@@ -10,6 +10,10 @@ import { testConnection } from './config/database.js';
 // Import new utilities and middleware
 import { logger, logError, requestLoggerMiddleware } from './utils/logger.js';
 import { scheduleCacheCleanup, warmCache, cache } from './utils/cache.js';
+import { scheduleRefundProcessing } from './utils/payments.js';
+import { refreshMedicineIndex } from './utils/medicineIndex.js';
+import { schedulePopularityRefresh } from './utils/popularity.js';
+import { schedulePriceChangeActivation } from './utils/pricing.js';
 
 // Import middleware
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
@@ -27,6 +31,8 @@ import orderRoutes from './routes/orders.js';
 import adminRoutes from './routes/admin.js';
 import geocodingRoutes from './routes/geocoding.js';
 import healthRoutes from './routes/health.js';
+import paymentRoutes from './routes/payments.js';
+import cartRoutes from './routes/cart.js';
 
 // Load environment variables
 dotenv.config();
@@ -58,11 +64,23 @@ const initializeApp = async () => {
         // Initialize cache system
         logger.info('💾 Initializing cache system');
         scheduleCacheCleanup(30); // Cleanup every 30 minutes
+
+        // Send queued refunds that could not be sent when the order was cancelled
+        scheduleRefundProcessing(5);
+
+        // Recompute popularity rankings from order history
+        schedulePopularityRefresh(60);
+
+        // Apply scheduled price changes once they are due
+        schedulePriceChangeActivation(1);
         
         // Warm up cache with common data
         logger.info('🔥 Warming up cache');
         await warmCache.medicines();
         await warmCache.popularMedicines();
+
+        // Build the in-memory index behind search typo correction and autocomplete
+        await refreshMedicineIndex();
         
         logger.info('✅ Application initialization completed successfully');
         return true;
@@ -89,6 +107,11 @@ app.use(securityHeaders);
 app.use(express.json({ 
     limit: '10mb',
     verify: (req, res, buf, encoding) => {
+        // Payment webhooks are signed over the exact bytes received
+        if (req.originalUrl.startsWith('/api/payments/webhooks/')) {
+            req.rawBody = buf.toString(encoding || 'utf8');
+        }
+
         // Log large requests
         if (buf.length > 1024 * 1024) { // > 1MB
             logger.warn('Large request received', {
@@ -121,6 +144,11 @@ app.use(securityEventLogger);
 //     }
 // }));
 
+// Medicine images are public; in production they are served from storage
+if (process.env.NODE_ENV !== 'production') {
+    app.use('/uploads/medicines', express.static(path.join(__dirname, 'uploads/medicines'), { maxAge: '7d' }));
+}
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/medicines', medicineRoutes);
@@ -129,9 +157,11 @@ app.use('/api/addresses', addressRoutes);
 app.use('/api/delivery', deliveryRoutes);
 app.use('/api/doctors', doctorRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/cart', cartRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/geocode', geocodingRoutes);
 app.use('/api/health', healthRoutes);
+app.use('/api/payments', paymentRoutes);
 
 // Enhanced health check endpoint (legacy support)
 app.get('/api/health', (req, res) => {
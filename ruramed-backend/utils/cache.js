@@ -202,7 +202,7 @@ export const cacheKeys = {
 
     // Statistics cache keys
     dashboardStats: (userId = 'admin') => `stats:dashboard:${userId}`,
-    popularMedicines: (days = 30) => `stats:medicines:popular:${days}days`,
+    popularMedicines: (days = 30, scope = 'all') => `stats:medicines:popular:${days}days:${scope}`,
     orderStats: (period = 'month') => `stats:orders:${period}`
 };
 
@@ -343,6 +343,21 @@ export const geocodingCache = {
     }
 };
 
+export const serviceAreaCache = {
+    // Cache all active service areas (parsed boundaries included)
+    setAll: (areas, ttl = 600) => {
+        return cache.set(cacheKeys.serviceAreas(), areas, ttl);
+    },
+
+    getAll: () => {
+        return cache.get(cacheKeys.serviceAreas());
+    },
+
+    invalidate: () => {
+        cache.delete(cacheKeys.serviceAreas());
+    }
+};
+
 export const statsCache = {
     // Cache dashboard statistics
     setDashboard: (userId, stats, ttl = 900) => { // 15 minutes
@@ -353,13 +368,13 @@ export const statsCache = {
         return cache.get(cacheKeys.dashboardStats(userId));
     },
 
-    // Cache popular medicines
-    setPopularMedicines: (days, medicines, ttl = 3600) => {
-        return cache.set(cacheKeys.popularMedicines(days), medicines, ttl);
+    // Cache popular medicines (scope: 'all', 'area:<id>' or 'postal:<code>')
+    setPopularMedicines: (days, medicines, ttl = 3600, scope = 'all') => {
+        return cache.set(cacheKeys.popularMedicines(days, scope), medicines, ttl);
     },
 
-    getPopularMedicines: (days = 30) => {
-        return cache.get(cacheKeys.popularMedicines(days));
+    getPopularMedicines: (days = 30, scope = 'all') => {
+        return cache.get(cacheKeys.popularMedicines(days, scope));
     }
 };
 
@@ -429,12 +444,12 @@ export const warmCache = {
     },
 
 
-    // Warm popular medicines
+    // Warm popular medicines (rankings for every window, from order history)
     popularMedicines: async () => {
         try {
-            // This would require a query to get popular medicines
-            // Implementation depends on your business logic
-            logPerformance('cache_warm_popular', 0, { status: 'todo' });
+            // Imported here because popularity.js caches through statsCache
+            const { refreshPopularity } = await import('./popularity.js');
+            await refreshPopularity();
         } catch (error) {
             logError(error, { operation: 'cache_warm_popular' });
         }
@@ -0,0 +1,262 @@
+import { db } from '../config/database.js';
+import { getAvailableStock } from './inventory.js';
+import { findCheaperSubstitutes } from './substitutes.js';
+
+// Server-side cart (cart_items), one line per user and medicine. Lines are
+// revalidated against the catalog on every read: inactive medicines, missing
+// stock, price changes and prescription requirements come back as line-level
+// warnings, so the customer sees them before POST /api/orders does. Lines
+// with a cheaper in-stock substitute (same salts, strength and form) carry it
+// as cheaper_substitute.
+
+export const MAX_LINE_QUANTITY = 100;
+
+// Error for cart problems the customer can fix (answered with 400, or 404 for unknown medicines)
+const cartError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const findActiveMedicine = async (medicineId, connection) => {
+    const [rows] = await connection.execute(
+        'SELECT id, name, price FROM medicines WHERE id = ? AND is_active = 1',
+        [medicineId]
+    );
+    return rows[0] || null;
+};
+
+// Whether the user has an uploaded prescription that checkout would accept
+const hasUsablePrescription = async (userId, connection) => {
+    const [rows] = await connection.execute(
+        'SELECT id FROM prescriptions WHERE user_id = ? AND status != "rejected" LIMIT 1',
+        [userId]
+    );
+    return rows.length > 0;
+};
+
+// Revalidate one line; lines that cannot be ordered as they are get purchasable: false
+const validateLine = (row, available, prescriptionOnFile) => {
+    const warnings = [];
+    const price = parseFloat(row.price);
+    const priceSeen = parseFloat(row.price_seen);
+
+    if (!row.is_active) {
+        warnings.push({ code: 'unavailable', message: `${row.name} is no longer available` });
+    } else if (available <= 0) {
+        warnings.push({ code: 'out_of_stock', message: `${row.name} is out of stock` });
+    } else if (available < row.quantity) {
+        warnings.push({
+            code: 'insufficient_stock',
+            message: `Only ${available} of ${row.name} available`,
+            available
+        });
+    }
+
+    if (row.is_active && price !== priceSeen) {
+        warnings.push({
+            code: 'price_changed',
+            message: `Price of ${row.name} changed from ${priceSeen} to ${price}`,
+            old_price: priceSeen,
+            new_price: price
+        });
+    }
+
+    if (row.is_active && row.requires_prescription && !prescriptionOnFile) {
+        warnings.push({
+            code: 'prescription_required',
+            message: `${row.name} requires a prescription; upload one before checkout`
+        });
+    }
+
+    return {
+        medicine_id: row.medicine_id,
+        name: row.name,
+        generic_name: row.generic_name,
+        manufacturer: row.manufacturer,
+        category: row.category,
+        form: row.form,
+        strength: row.strength,
+        image_url: row.image_url,
+        price,
+        mrp: parseFloat(row.mrp),
+        quantity: row.quantity,
+        line_total: roundAmount(price * row.quantity),
+        requires_prescription: !!row.requires_prescription,
+        available_quantity: available,
+        purchasable: !!row.is_active && available >= row.quantity,
+        warnings
+    };
+};
+
+/**
+ * Read the user's cart with every line revalidated.
+ * Price warnings are reported once: the shown price is stored as the line's
+ * price_seen, so the next read only warns if the price moves again.
+ * @returns {Promise<{ items, summary: { item_count, quantity, subtotal, mrp_total, savings, substitute_savings,
+ *   requires_prescription, prescription_on_file, checkout_ready } }>}
+ *   substitute_savings is what switching every orderable line to its cheaper substitute would save
+ */
+export const getCart = async (userId, connection = db) => {
+    const [rows] = await connection.execute(
+        `SELECT ci.id, ci.medicine_id, ci.quantity, ci.price_seen,
+                m.name, m.generic_name, m.manufacturer, m.category, m.form, m.strength, m.image_url,
+                m.price, m.mrp, m.requires_prescription, m.is_active
+         FROM cart_items ci
+         JOIN medicines m ON ci.medicine_id = m.id
+         WHERE ci.user_id = ?
+         ORDER BY ci.created_at, ci.id`,
+        [userId]
+    );
+
+    const available = await getAvailableStock(rows.map(row => row.medicine_id), connection);
+    const prescriptionOnFile = rows.some(row => row.requires_prescription)
+        ? await hasUsablePrescription(userId, connection)
+        : false;
+
+    const items = rows.map(row => validateLine(row, available.get(row.medicine_id) || 0, prescriptionOnFile));
+
+    const substitutes = await findCheaperSubstitutes(items, connection);
+    for (const item of items) {
+        item.cheaper_substitute = substitutes.get(item.medicine_id) || null;
+    }
+
+    const changed = rows.filter(row => row.is_active && parseFloat(row.price) !== parseFloat(row.price_seen));
+    for (const row of changed) {
+        await connection.execute('UPDATE cart_items SET price_seen = ? WHERE id = ?', [row.price, row.id]);
+    }
+
+    const purchasable = items.filter(item => item.purchasable);
+    const subtotal = roundAmount(purchasable.reduce((sum, item) => sum + item.line_total, 0));
+    const mrpTotal = roundAmount(purchasable.reduce((sum, item) => sum + item.mrp * item.quantity, 0));
+    const requiresPrescription = items.some(item => item.requires_prescription);
+
+    return {
+        items,
+        summary: {
+            item_count: items.length,
+            quantity: items.reduce((sum, item) => sum + item.quantity, 0),
+            subtotal,
+            mrp_total: mrpTotal,
+            savings: roundAmount(mrpTotal - subtotal),
+            substitute_savings: roundAmount(purchasable.reduce((sum, item) =>
+                sum + (item.cheaper_substitute ? item.cheaper_substitute.saving_per_unit * item.quantity : 0), 0)),
+            requires_prescription: requiresPrescription,
+            prescription_on_file: prescriptionOnFile,
+            checkout_ready: items.length > 0
+                && purchasable.length === items.length
+                && (!requiresPrescription || prescriptionOnFile)
+        }
+    };
+};
+
+// Add a medicine, or add to the quantity already in the cart
+export const addCartItem = async (userId, medicineId, quantity, connection = db) => {
+    const medicine = await findActiveMedicine(medicineId, connection);
+    if (!medicine) {
+        throw cartError(`Medicine with ID ${medicineId} not found`, 404);
+    }
+
+    const [existing] = await connection.execute(
+        'SELECT quantity FROM cart_items WHERE user_id = ? AND medicine_id = ?',
+        [userId, medicineId]
+    );
+    const total = (existing[0]?.quantity || 0) + quantity;
+    if (total > MAX_LINE_QUANTITY) {
+        throw cartError(`At most ${MAX_LINE_QUANTITY} of one medicine can be ordered`);
+    }
+
+    await connection.execute(
+        `INSERT INTO cart_items (user_id, medicine_id, quantity, price_seen) VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE quantity = ?, price_seen = ?`,
+        [userId, medicineId, total, medicine.price, total, medicine.price]
+    );
+};
+
+// Set the quantity of a line; 0 removes it. Returns false if the medicine is not in the cart.
+export const setCartItemQuantity = async (userId, medicineId, quantity, connection = db) => {
+    if (quantity === 0) {
+        return removeCartItem(userId, medicineId, connection);
+    }
+
+    const [result] = await connection.execute(
+        'UPDATE cart_items SET quantity = ? WHERE user_id = ? AND medicine_id = ?',
+        [quantity, userId, medicineId]
+    );
+    return result.affectedRows > 0;
+};
+
+export const removeCartItem = async (userId, medicineId, connection = db) => {
+    const [result] = await connection.execute(
+        'DELETE FROM cart_items WHERE user_id = ? AND medicine_id = ?',
+        [userId, medicineId]
+    );
+    return result.affectedRows > 0;
+};
+
+// Empty the cart, or only the given medicines (the lines of a placed order)
+export const clearCart = async (userId, medicineIds = null, connection = db) => {
+    if (medicineIds) {
+        if (medicineIds.length === 0) return;
+        await connection.execute(
+            `DELETE FROM cart_items WHERE user_id = ? AND medicine_id IN (${medicineIds.map(() => '?').join(', ')})`,
+            [userId, ...medicineIds]
+        );
+        return;
+    }
+    await connection.execute('DELETE FROM cart_items WHERE user_id = ?', [userId]);
+};
+
+/**
+ * Merge a guest (logged-out) cart into the user's cart.
+ * A medicine already in both keeps the larger quantity rather than the sum, so
+ * merging the same guest cart twice (e.g. a retried login) does not double it.
+ * @param {Array<{ medicine_id, quantity, price? }>} items
+ * @returns {Promise<{ merged: number, skipped: Array<{ medicine_id, reason }> }>}
+ */
+export const mergeGuestCart = async (userId, items, connection = db) => {
+    const skipped = [];
+    let merged = 0;
+
+    for (const item of Array.isArray(items) ? items : []) {
+        const medicineId = parseInt(item?.medicine_id ?? item?.medicineId, 10);
+        const quantity = parseInt(item?.quantity, 10);
+
+        if (isNaN(medicineId) || medicineId <= 0) {
+            skipped.push({ medicine_id: item?.medicine_id ?? null, reason: 'Invalid medicine ID' });
+            continue;
+        }
+        if (isNaN(quantity) || quantity <= 0) {
+            skipped.push({ medicine_id: medicineId, reason: 'Invalid quantity' });
+            continue;
+        }
+
+        const medicine = await findActiveMedicine(medicineId, connection);
+        if (!medicine) {
+            skipped.push({ medicine_id: medicineId, reason: 'Medicine not available' });
+            continue;
+        }
+
+        // The price the guest was shown, so a stale localStorage price is warned about on the next read
+        const guestPrice = parseFloat(item.price);
+        const priceSeen = !isNaN(guestPrice) && guestPrice > 0 ? guestPrice : medicine.price;
+
+        const capped = Math.min(quantity, MAX_LINE_QUANTITY);
+        await connection.execute(
+            `INSERT INTO cart_items (user_id, medicine_id, quantity, price_seen) VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE quantity = GREATEST(quantity, ?)`,
+            [userId, medicineId, capped, priceSeen, capped]
+        );
+        merged++;
+    }
+
+    return { merged, skipped };
+};
+
+export default {
+    MAX_LINE_QUANTITY,
+    getCart,
+    addCartItem,
+    setCartItemQuantity,
+    removeCartItem,
+    clearCart,
+    mergeGuestCart
+};
@@ -0,0 +1,365 @@
+import { db, withTransaction } from '../config/database.js';
+import { validateMedicineData, sanitizeField } from './validation.js';
+import { readSpreadsheet, toCsv } from './spreadsheet.js';
+import { recordPriceChange } from './pricing.js';
+
+// Catalog import for POST /api/medicines/bulk/import. Rows come from an
+// uploaded CSV/XLSX sheet (first row = headers) or a JSON items array, and are
+// upserted by SKU: a known SKU updates that medicine, a new one creates it.
+//
+// Every row is validated and written on its own, so one bad row is reported
+// instead of failing the batch. For an existing SKU the row only needs the
+// columns it changes; the rest are taken from the catalog before validation.
+// A dry run does the same checks and reports what would happen without
+// writing anything.
+
+export const MAX_IMPORT_ROWS = 5000;
+
+export const IMPORT_FIELDS = [
+    'sku', 'name', 'generic_name', 'manufacturer', 'category', 'form', 'strength',
+    'price', 'mrp', 'price_ceiling', 'hsn_code', 'gst_rate', 'requires_prescription', 'image_url', 'short_description'
+];
+
+// Header spellings recognised without an explicit mapping (compared lower-cased, punctuation as spaces)
+const HEADER_ALIASES = {
+    sku: ['sku', 'sku code', 'item code', 'product code'],
+    name: ['name', 'brand', 'brand name', 'product', 'product name', 'medicine', 'medicine name'],
+    generic_name: ['generic name', 'generic', 'salt', 'salts', 'composition', 'salt composition'],
+    manufacturer: ['manufacturer', 'company', 'marketer', 'manufactured by'],
+    category: ['category', 'therapeutic category'],
+    form: ['form', 'dosage form'],
+    strength: ['strength', 'dose', 'potency'],
+    price: ['price', 'selling price', 'sale price', 'sp'],
+    mrp: ['mrp', 'max retail price', 'maximum retail price'],
+    price_ceiling: ['price ceiling', 'ceiling price', 'ceiling'],
+    hsn_code: ['hsn code', 'hsn'],
+    gst_rate: ['gst rate', 'gst', 'gst percent', 'tax rate'],
+    requires_prescription: ['requires prescription', 'prescription required', 'prescription', 'rx', 'rx required'],
+    image_url: ['image url', 'image', 'image link'],
+    short_description: ['short description', 'description']
+};
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'y', 'rx'];
+const FALSE_VALUES = ['0', 'false', 'no', 'n', 'otc'];
+
+const importError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Work out which column feeds each field.
+ * @param {string[]} headers - first row of the sheet
+ * @param {Object<string, string>} mapping - optional { field: 'Column header' } overrides
+ * @returns {{ columns: Object<string, number>, unmapped_headers: string[] }}
+ */
+export const resolveColumns = (headers, mapping = {}) => {
+    const normalized = headers.map(normalizeHeader);
+    const columns = {};
+
+    for (const [field, header] of Object.entries(mapping)) {
+        if (!IMPORT_FIELDS.includes(field)) {
+            throw importError(`Unknown field "${field}" in mapping; fields are ${IMPORT_FIELDS.join(', ')}`);
+        }
+        const index = normalized.indexOf(normalizeHeader(header));
+        if (index === -1) {
+            throw importError(`Column "${header}" mapped to ${field} is not in the file`);
+        }
+        columns[field] = index;
+    }
+
+    for (const field of IMPORT_FIELDS) {
+        if (columns[field] !== undefined) continue;
+        const index = normalized.findIndex((header, position) =>
+            HEADER_ALIASES[field].includes(header) && !Object.values(columns).includes(position)
+        );
+        if (index !== -1) columns[field] = index;
+    }
+
+    if (columns.sku === undefined) {
+        throw importError('The file needs a SKU column (or map one with mapping.sku)');
+    }
+
+    const used = new Set(Object.values(columns));
+    return {
+        columns,
+        unmapped_headers: headers.filter((header, index) => !used.has(index) && String(header).trim() !== '')
+    };
+};
+
+/**
+ * Rows of an uploaded file as import records.
+ * @returns {{ records: Array<{ row: number, values: object }>, columns: Object<string, string>, unmapped_headers: string[] }}
+ *   row is the line number in the sheet; columns names the header used for each field
+ */
+export const recordsFromFile = (file, mapping = {}) => {
+    // The header plus at most MAX_IMPORT_ROWS data rows
+    const rows = readSpreadsheet(file, { maxRows: MAX_IMPORT_ROWS + 1 });
+    const headerIndex = rows.findIndex(row => row.some(cell => String(cell).trim() !== ''));
+    if (headerIndex === -1) {
+        throw importError('The file is empty');
+    }
+
+    const headers = rows[headerIndex].map(cell => String(cell).trim());
+    const { columns, unmapped_headers } = resolveColumns(headers, mapping);
+
+    const records = [];
+    rows.slice(headerIndex + 1).forEach((cells, index) => {
+        if (!cells.some(cell => String(cell).trim() !== '')) return;
+        const values = {};
+        for (const [field, column] of Object.entries(columns)) {
+            values[field] = cells[column];
+        }
+        records.push({ row: headerIndex + index + 2, values });
+    });
+
+    if (records.length > MAX_IMPORT_ROWS) {
+        throw importError(`At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+    }
+
+    return {
+        records,
+        columns: Object.fromEntries(Object.entries(columns).map(([field, column]) => [field, headers[column]])),
+        unmapped_headers
+    };
+};
+
+// JSON items in the same shape as the file rows
+export const recordsFromItems = (items) => {
+    if (items.length > MAX_IMPORT_ROWS) {
+        throw importError(`At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+    }
+    return {
+        records: items.map((item, index) => ({
+            row: index + 1,
+            values: Object.fromEntries(IMPORT_FIELDS.map(field => [field, item?.[field]]))
+        })),
+        columns: null,
+        unmapped_headers: []
+    };
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Currency symbols and codes spreadsheets put around amounts
+const CURRENCY_PATTERN = /^(\u20b9|rs\.?|inr)\s*|\s*(\u20b9|rs\.?|inr)$/gi;
+
+// "1,250.50", "Rs. 99" or "99 INR" (or the rupee sign) -> number; null otherwise. A comma is
+// only taken as a thousands separator: "12,50" from a decimal-comma locale is
+// ambiguous and refused rather than read as 1250
+const parseAmount = (text) => {
+    const digits = text.replace(CURRENCY_PATTERN, '').trim();
+    if (!/^(\d{1,3}(,\d{3})*|\d+)(\.\d+)?$/.test(digits)) return null;
+    return Number(digits.replace(/,/g, ''));
+};
+
+// Turn the cells of a row into catalog values; blank cells are left out
+const parseRow = (values) => {
+    const errors = [];
+    const parsed = {};
+
+    for (const field of IMPORT_FIELDS) {
+        if (isBlank(values[field])) continue;
+        const text = String(values[field]).trim();
+
+        if (field === 'price' || field === 'mrp' || field === 'price_ceiling') {
+            // Spreadsheets often carry currency symbols and thousands separators
+            const amount = parseAmount(text);
+            if (amount === null) errors.push(`${field} must be an amount like 1250.50 or 1,250.50 (no decimal commas)`);
+            else parsed[field] = amount;
+        } else if (field === 'gst_rate') {
+            parsed[field] = Number(text.replace(/%$/, ''));
+        } else if (field === 'requires_prescription') {
+            const flag = text.toLowerCase();
+            if (TRUE_VALUES.includes(flag)) parsed[field] = 1;
+            else if (FALSE_VALUES.includes(flag)) parsed[field] = 0;
+            else errors.push('requires_prescription must be yes or no');
+        } else if (field === 'form') {
+            parsed[field] = text.toLowerCase();
+        } else if (field === 'image_url') {
+            if (!/^https?:\/\/\S+$/i.test(text)) errors.push('image_url must be an http(s) URL');
+            else parsed[field] = sanitizeField(text, 500);
+        } else if (field === 'sku') {
+            parsed[field] = sanitizeField(text, 100);
+        } else {
+            parsed[field] = text;
+        }
+    }
+    return { parsed, errors };
+};
+
+// Values of an existing medicine in the form validateMedicineData expects
+const catalogValues = (medicine) => ({
+    name: medicine.name,
+    generic_name: medicine.generic_name,
+    manufacturer: medicine.manufacturer,
+    category: medicine.category,
+    form: medicine.form,
+    strength: medicine.strength,
+    price: parseFloat(medicine.price),
+    mrp: parseFloat(medicine.mrp),
+    price_ceiling: medicine.price_ceiling === null ? null : parseFloat(medicine.price_ceiling),
+    hsn_code: medicine.hsn_code,
+    gst_rate: parseFloat(medicine.gst_rate),
+    requires_prescription: medicine.requires_prescription,
+    image_url: medicine.image_url,
+    short_description: medicine.short_description
+});
+
+const sameValue = (a, b) => {
+    if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+    return String(a ?? '') === String(b ?? '');
+};
+
+const findBySkus = async (skus, connection) => {
+    const found = new Map();
+    for (let i = 0; i < skus.length; i += 500) {
+        const chunk = skus.slice(i, i + 500);
+        const [rows] = await connection.execute(
+            `SELECT * FROM medicines WHERE sku IN (${chunk.map(() => '?').join(', ')})`,
+            chunk
+        );
+        for (const row of rows) found.set(row.sku.toLowerCase(), row);
+    }
+    return found;
+};
+
+/**
+ * Validate and upsert import records.
+ * @param {Array<{ row: number, values: object }>} records
+ * @param {{ dryRun?: boolean, adminId?: number|null, fileName?: string|null, connection?: object }} options
+ *   adminId and fileName are recorded in the price history of updated medicines
+ * @returns {Promise<{ dry_run: boolean, summary: { total, accepted, updated, unchanged, rejected },
+ *   rows: Array<{ row, sku, name, status: 'accepted'|'updated'|'unchanged'|'rejected', medicine_id, changed_fields, reasons }> }>}
+ *   accepted rows are new medicines; in a dry run medicine_id is null for them
+ */
+export const importMedicines = async (records, { dryRun = false, adminId = null, fileName = null, connection = db } = {}) => {
+    const parsedRows = records.map(record => ({ record, ...parseRow(record.values) }));
+    const skus = [...new Set(parsedRows.map(({ parsed }) => parsed.sku).filter(Boolean))];
+    const existing = skus.length > 0 ? await findBySkus(skus, connection) : new Map();
+
+    const seenSkus = new Map();
+    const results = [];
+
+    for (const { record, parsed, errors } of parsedRows) {
+        const result = {
+            row: record.row,
+            sku: parsed.sku || null,
+            name: parsed.name || null,
+            status: 'rejected',
+            medicine_id: null,
+            changed_fields: [],
+            reasons: [...errors]
+        };
+        results.push(result);
+
+        if (!parsed.sku) {
+            result.reasons.push('sku is required');
+        } else if (seenSkus.has(parsed.sku.toLowerCase())) {
+            result.reasons.push(`Duplicate SKU; already in row ${seenSkus.get(parsed.sku.toLowerCase())}`);
+        } else {
+            seenSkus.set(parsed.sku.toLowerCase(), record.row);
+        }
+        if (result.reasons.length > 0) continue;
+
+        const current = existing.get(parsed.sku.toLowerCase()) || null;
+        const merged = current ? { ...catalogValues(current), ...parsed } : parsed;
+
+        const validation = validateMedicineData(merged);
+        if (!validation.isValid) {
+            result.reasons.push(...validation.errors);
+            continue;
+        }
+
+        const values = {
+            ...validation.sanitized,
+            sku: parsed.sku,
+            ...(merged.requires_prescription !== undefined && { requires_prescription: merged.requires_prescription }),
+            ...(merged.image_url !== undefined && { image_url: merged.image_url })
+        };
+        result.name = values.name;
+
+        try {
+            if (current) {
+                const changes = Object.keys(parsed).filter(field => field !== 'sku' && !sameValue(values[field], current[field]));
+                result.medicine_id = current.id;
+                result.changed_fields = changes;
+
+                if (changes.length === 0) {
+                    result.status = 'unchanged';
+                    continue;
+                }
+                if (!dryRun) {
+                    await withTransaction(async (transaction) => {
+                        await transaction.execute(
+                            `UPDATE medicines SET ${changes.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+                            [...changes.map(field => values[field] ?? null), current.id]
+                        );
+                        await recordPriceChange(transaction, {
+                            medicine: current,
+                            price: values.price,
+                            mrp: values.mrp,
+                            source: 'import',
+                            reason: fileName ? `Catalog import (${fileName})` : 'Catalog import',
+                            actorId: adminId
+                        });
+                    });
+                }
+                result.status = 'updated';
+            } else {
+                const fields = Object.keys(values).filter(field => values[field] !== undefined);
+                if (!dryRun) {
+                    const [insert] = await connection.execute(
+                        `INSERT INTO medicines (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+                        fields.map(field => values[field])
+                    );
+                    result.medicine_id = insert.insertId;
+                }
+                result.changed_fields = fields;
+                result.status = 'accepted';
+            }
+        } catch (error) {
+            // Database constraint failures belong to the row, not the whole import
+            if (!error.code || !error.code.startsWith('ER_')) throw error;
+            result.reasons.push(error.code === 'ER_DUP_ENTRY'
+                ? 'SKU already exists'
+                : `Rejected by the database (${error.code})`);
+        }
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    return {
+        dry_run: dryRun,
+        summary: {
+            total: results.length,
+            accepted: count('accepted'),
+            updated: count('updated'),
+            unchanged: count('unchanged'),
+            rejected: count('rejected')
+        },
+        rows: results
+    };
+};
+
+// The import report as CSV, one line per row of the upload
+export const importReportCsv = (report) => toCsv([
+    ['row', 'sku', 'name', 'status', 'medicine_id', 'changed_fields', 'reasons'],
+    ...report.rows.map(row => [
+        row.row,
+        row.sku,
+        row.name,
+        report.dry_run && row.status !== 'rejected' ? `${row.status} (dry run)` : row.status,
+        row.medicine_id,
+        row.changed_fields.join('; '),
+        row.reasons.join('; ')
+    ])
+]);
+
+export default {
+    MAX_IMPORT_ROWS,
+    IMPORT_FIELDS,
+    resolveColumns,
+    recordsFromFile,
+    recordsFromItems,
+    importMedicines,
+    importReportCsv
+};
@@ -0,0 +1,252 @@
+import { db } from '../config/database.js';
+import { TERMINAL_FAILURE_STATUSES } from './orderStatus.js';
+
+// Coupon engine shared by the cart preview (POST /api/cart/apply-coupon) and
+// createOrder, so the discount previewed is the discount charged.
+//
+// Coupons are applied in the order the customer entered them. Each one takes
+// its discount from what is left of the lines it applies to after the coupons
+// before it, so stacked discounts never exceed a line's amount. A coupon that
+// is not stackable is refused when another coupon is already applied, and
+// blocks any coupon after it.
+
+export const MAX_COUPONS_PER_ORDER = 3;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const ENDED_STATUS_PLACEHOLDERS = TERMINAL_FAILURE_STATUSES.map(() => '?').join(', ');
+
+// Trimmed, upper-cased and de-duplicated codes from a string or an array
+export const normalizeCouponCodes = (value) => {
+    const codes = (Array.isArray(value) ? value : [value])
+        .filter(code => typeof code === 'string')
+        .map(code => code.trim().toUpperCase())
+        .filter(Boolean);
+    return [...new Set(codes)];
+};
+
+// At checkout the usage checks below are locking reads: they see orders and
+// redemptions committed since the transaction began (a plain read would use
+// its snapshot) and wait for checkouts that have not committed yet.
+const lockClause = (lock) => (lock ? ' FOR SHARE' : '');
+
+// Whether the user has placed an order before (cancelled and rejected orders do not count)
+const hasPreviousOrder = async (userId, connection, lock = false) => {
+    const [rows] = await connection.execute(
+        `SELECT id FROM orders WHERE user_id = ? AND status NOT IN (${ENDED_STATUS_PLACEHOLDERS}) LIMIT 1${lockClause(lock)}`,
+        [userId, ...TERMINAL_FAILURE_STATUSES]
+    );
+    return rows.length > 0;
+};
+
+// Redemptions still in use, overall and by this user
+const countRedemptions = async (couponId, userId, connection, lock = false) => {
+    const [[counts]] = await connection.execute(
+        `SELECT COUNT(*) as total, COALESCE(SUM(cr.user_id = ?), 0) as by_user
+         FROM coupon_redemptions cr
+         JOIN orders o ON cr.order_id = o.id
+         WHERE cr.coupon_id = ? AND o.status NOT IN (${ENDED_STATUS_PLACEHOLDERS})${lockClause(lock)}`,
+        [userId, couponId, ...TERMINAL_FAILURE_STATUSES]
+    );
+    return { total: Number(counts.total), byUser: Number(counts.by_user) };
+};
+
+const appliesToLine = (coupon, line) => {
+    if (coupon.scope === 'order') return true;
+    const value = String(line[coupon.scope] || '').trim().toLowerCase();
+    return value === String(coupon.scope_value).trim().toLowerCase();
+};
+
+// Why the coupon cannot be used right now, or null if it can
+const couponProblem = async (coupon, userId, now, connection, lock) => {
+    if (!coupon.is_active) return 'Coupon is no longer active';
+    if (coupon.starts_at && new Date(coupon.starts_at) > now) return 'Coupon is not valid yet';
+    if (coupon.ends_at && new Date(coupon.ends_at) < now) return 'Coupon has expired';
+
+    if (coupon.usage_limit !== null || coupon.per_user_limit !== null) {
+        const used = await countRedemptions(coupon.id, userId, connection, lock);
+        if (coupon.usage_limit !== null && used.total >= coupon.usage_limit) {
+            return 'Coupon usage limit reached';
+        }
+        if (coupon.per_user_limit !== null && used.byUser >= coupon.per_user_limit) {
+            return 'You have already used this coupon';
+        }
+    }
+
+    if (coupon.first_order_only && await hasPreviousOrder(userId, connection, lock)) {
+        return 'Coupon is only valid on your first order';
+    }
+    return null;
+};
+
+// Split a discount over lines in proportion to what is left of them; the last line takes the rounding
+const allocateDiscount = (amount, eligible, remaining) => {
+    const base = eligible.reduce((sum, index) => sum + remaining[index], 0);
+    const shares = new Map();
+    let left = amount;
+
+    eligible.forEach((index, position) => {
+        const share = position === eligible.length - 1
+            ? left
+            : roundAmount(amount * remaining[index] / base);
+        const taken = Math.max(0, Math.min(share, remaining[index], left));
+        shares.set(index, taken);
+        left = roundAmount(left - taken);
+    });
+    return shares;
+};
+
+/**
+ * Work out the discount the given coupon codes give on a set of lines.
+ * @param {number} userId
+ * @param {Array<{ amount: number, category?: string, manufacturer?: string }>} lines - line totals before discount
+ * @param {string|string[]} codes
+ * @param {{ connection?: object, lock?: boolean }} options - lock the coupon rows and read usage with locking reads (checkout, inside a transaction)
+ * @returns {Promise<{ applied: Array<{ coupon_id, code, description, discount_type, discount_value, scope, scope_value, discount_amount }>,
+ *   rejected: Array<{ code, reason }>, total_discount: number, line_discounts: number[] }>}
+ *   line_discounts is aligned with lines
+ */
+export const evaluateCoupons = async (userId, lines, codes, { connection = db, lock = false } = {}) => {
+    const normalized = normalizeCouponCodes(codes);
+    const requested = normalized.slice(0, MAX_COUPONS_PER_ORDER);
+    const overLimit = normalized.slice(MAX_COUPONS_PER_ORDER).map(code => ({
+        code,
+        reason: `At most ${MAX_COUPONS_PER_ORDER} coupons can be used on one order`
+    }));
+    const rejected = [];
+
+    const remaining = lines.map(line => roundAmount(line.amount));
+    const lineDiscounts = lines.map(() => 0);
+    const applied = [];
+
+    if (requested.length === 0) {
+        return { applied, rejected: overLimit, total_discount: 0, line_discounts: lineDiscounts };
+    }
+
+    // Locked in code order so concurrent checkouts with the same coupons cannot deadlock
+    const [rows] = await connection.execute(
+        `SELECT * FROM coupons WHERE code IN (${requested.map(() => '?').join(', ')})
+         ORDER BY code${lock ? ' FOR UPDATE' : ''}`,
+        requested
+    );
+    const couponsByCode = new Map(rows.map(row => [row.code.toUpperCase(), row]));
+
+    const now = new Date();
+    let exclusive = null;
+
+    for (const code of requested) {
+        const coupon = couponsByCode.get(code);
+        if (!coupon) {
+            rejected.push({ code, reason: 'Invalid coupon code' });
+            continue;
+        }
+
+        if (exclusive) {
+            rejected.push({ code, reason: `Cannot be combined with ${exclusive.code}` });
+            continue;
+        }
+        if (!coupon.is_stackable && applied.length > 0) {
+            rejected.push({ code, reason: 'Cannot be combined with other coupons' });
+            continue;
+        }
+
+        const problem = await couponProblem(coupon, userId, now, connection, lock);
+        if (problem) {
+            rejected.push({ code, reason: problem });
+            continue;
+        }
+
+        const eligible = lines
+            .map((line, index) => (appliesToLine(coupon, line) ? index : null))
+            .filter(index => index !== null);
+        if (eligible.length === 0) {
+            rejected.push({ code, reason: `No items qualify (${coupon.scope} ${coupon.scope_value})` });
+            continue;
+        }
+
+        // Minimum spend is on the qualifying items at full price
+        const eligibleAmount = roundAmount(eligible.reduce((sum, index) => sum + lines[index].amount, 0));
+        const minimum = parseFloat(coupon.min_order_amount);
+        if (eligibleAmount < minimum) {
+            rejected.push({
+                code,
+                reason: `Add ${roundAmount(minimum - eligibleAmount)} more of qualifying items to use this coupon`
+            });
+            continue;
+        }
+
+        const base = roundAmount(eligible.reduce((sum, index) => sum + remaining[index], 0));
+        const value = parseFloat(coupon.discount_value);
+        let discount = coupon.discount_type === 'percent'
+            ? roundAmount(base * value / 100)
+            : Math.min(value, base);
+        if (coupon.max_discount !== null) {
+            discount = Math.min(discount, parseFloat(coupon.max_discount));
+        }
+        discount = roundAmount(discount);
+
+        if (discount <= 0) {
+            rejected.push({ code, reason: 'Nothing left to discount on qualifying items' });
+            continue;
+        }
+
+        for (const [index, share] of allocateDiscount(discount, eligible, remaining)) {
+            remaining[index] = roundAmount(remaining[index] - share);
+            lineDiscounts[index] = roundAmount(lineDiscounts[index] + share);
+        }
+
+        applied.push({
+            coupon_id: coupon.id,
+            code: coupon.code,
+            description: coupon.description,
+            discount_type: coupon.discount_type,
+            discount_value: value,
+            scope: coupon.scope,
+            scope_value: coupon.scope_value,
+            discount_amount: discount
+        });
+        if (!coupon.is_stackable) exclusive = coupon;
+    }
+
+    return {
+        applied,
+        rejected: [...rejected, ...overLimit],
+        total_discount: roundAmount(applied.reduce((sum, coupon) => sum + coupon.discount_amount, 0)),
+        line_discounts: lineDiscounts
+    };
+};
+
+// Record the coupons used on a new order (inside the order transaction)
+export const recordRedemptions = async (connection, orderId, userId, applied) => {
+    for (const coupon of applied) {
+        await connection.execute(
+            'INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, discount_amount) VALUES (?, ?, ?, ?)',
+            [coupon.coupon_id, orderId, userId, coupon.discount_amount]
+        );
+    }
+};
+
+// Coupons used on an order, for receipts
+export const getOrderCoupons = async (orderId, connection = db) => {
+    const [rows] = await connection.execute(
+        `SELECT c.code, c.description, c.discount_type, c.discount_value, cr.discount_amount
+         FROM coupon_redemptions cr
+         JOIN coupons c ON cr.coupon_id = c.id
+         WHERE cr.order_id = ?
+         ORDER BY cr.id`,
+        [orderId]
+    );
+    return rows.map(row => ({
+        ...row,
+        discount_value: parseFloat(row.discount_value),
+        discount_amount: parseFloat(row.discount_amount)
+    }));
+};
+
+export default {
+    MAX_COUPONS_PER_ORDER,
+    normalizeCouponCodes,
+    evaluateCoupons,
+    recordRedemptions,
+    getOrderCoupons
+};
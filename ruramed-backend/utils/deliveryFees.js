@@ -0,0 +1,161 @@
+import { db } from '../config/database.js';
+import { geocodingUtils } from './geocoding.js';
+import { resolveServiceArea } from './serviceAreas.js';
+import { scheduleUtils, DEFAULT_TIMEZONE } from './doctorSchedule.js';
+
+// Delivery fee engine. The public quote endpoint and createOrder both call
+// quoteDeliveryFee so the fee a customer is shown is the fee they are charged.
+//
+//   fee = (area base fee + distance slab fee) x surge multiplier
+//
+// The fee is waived when the order value reaches the area's free-delivery
+// threshold. Orders below the area's minimum order amount are not accepted.
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+// Area-specific rules win; rules with service_area_id NULL are the fallback
+const rulesForArea = (rows, areaId) => {
+    const own = rows.filter(row => row.service_area_id === areaId);
+    return own.length > 0 ? own : rows.filter(row => row.service_area_id === null);
+};
+
+export const getFeeRules = async (areaId, connection = db) => {
+    const [slabs] = await connection.execute(
+        `SELECT id, service_area_id, min_km, max_km, fee FROM delivery_fee_slabs
+         WHERE service_area_id = ? OR service_area_id IS NULL
+         ORDER BY min_km`,
+        [areaId]
+    );
+
+    const [surgeWindows] = await connection.execute(
+        `SELECT id, service_area_id, day_of_week, start_time, end_time, multiplier, label FROM delivery_surge_windows
+         WHERE is_active = 1 AND (service_area_id = ? OR service_area_id IS NULL)`,
+        [areaId]
+    );
+
+    return {
+        slabs: rulesForArea(slabs, areaId),
+        surge_windows: rulesForArea(surgeWindows, areaId)
+    };
+};
+
+// Slab covering a distance (min_km inclusive, max_km exclusive)
+export const findSlab = (slabs, distanceKm) => slabs.find(slab =>
+    distanceKm >= toNumber(slab.min_km) && (slab.max_km === null || distanceKm < toNumber(slab.max_km))
+) || null;
+
+// Surge windows active at a local day/time; windows may run past midnight
+export const activeSurgeWindows = (windows, { dayOfWeek, minutes }) => windows.filter(window => {
+    const start = scheduleUtils.toMinutes(window.start_time);
+    const end = scheduleUtils.toMinutes(window.end_time);
+    const appliesToday = window.day_of_week === null || window.day_of_week === dayOfWeek;
+    const appliedYesterday = window.day_of_week === null || window.day_of_week === (dayOfWeek + 6) % 7;
+
+    if (start < end) {
+        return appliesToday && minutes >= start && minutes < end;
+    }
+    return (appliesToday && minutes >= start) || (appliedYesterday && minutes < end);
+});
+
+/**
+ * Quote the delivery fee for a drop location and order value.
+ * @param {object} params
+ * @param {number} [params.lat] - drop latitude
+ * @param {number} [params.lng] - drop longitude
+ * @param {string} [params.postalCode] - used when coordinates do not resolve an area
+ * @param {number} params.orderValue - medicines subtotal
+ * @param {Date} [params.at] - time of the quote (surge windows)
+ * @param {{ lat: number, lng: number }} [params.origin] - dispatch point; defaults to the area's
+ * @returns {Promise<object>} quote; serviceable=false with a reason when no fee can be charged
+ */
+export const quoteDeliveryFee = async ({
+    lat = null,
+    lng = null,
+    postalCode = null,
+    orderValue = 0,
+    at = new Date(),
+    origin = null,
+    connection = db
+} = {}) => {
+    const match = await resolveServiceArea({ lat, lng, postalCode });
+    if (!match) {
+        return { serviceable: false, reason: 'Location is outside our service areas' };
+    }
+
+    const { area, matched_by } = match;
+    const { slabs, surge_windows } = await getFeeRules(area.id, connection);
+
+    const dispatch = origin || (area.dispatch_latitude !== null && area.dispatch_longitude !== null
+        ? { lat: toNumber(area.dispatch_latitude), lng: toNumber(area.dispatch_longitude) }
+        : null);
+    const hasDrop = lat !== null && lng !== null && !isNaN(parseFloat(lat)) && !isNaN(parseFloat(lng));
+    const distanceKm = dispatch && hasDrop
+        ? geocodingUtils.calculateDistance(dispatch.lat, dispatch.lng, parseFloat(lat), parseFloat(lng))
+        : null;
+
+    // Without a distance the slab component cannot be priced and is left out
+    let slab = null;
+    if (distanceKm !== null && slabs.length > 0) {
+        slab = findSlab(slabs, distanceKm);
+        if (!slab) {
+            return {
+                serviceable: false,
+                reason: 'Location is beyond the delivery range',
+                service_area: { id: area.id, name: area.area_name },
+                distance_km: distanceKm
+            };
+        }
+    }
+
+    const local = scheduleUtils.zonedNow(DEFAULT_TIMEZONE, at);
+    const surges = activeSurgeWindows(surge_windows, {
+        dayOfWeek: scheduleUtils.dayOfWeek(local.date),
+        minutes: local.minutes
+    });
+    const surge = surges.reduce((top, window) =>
+        !top || toNumber(window.multiplier) > toNumber(top.multiplier) ? window : top, null);
+
+    const value = roundAmount(Math.max(parseFloat(orderValue) || 0, 0));
+    const baseFee = toNumber(area.delivery_fee) || 0;
+    const distanceFee = slab ? toNumber(slab.fee) : 0;
+    const multiplier = surge ? Math.max(toNumber(surge.multiplier), 1) : 1;
+    const beforeWaiver = roundAmount((baseFee + distanceFee) * multiplier);
+
+    const freeThreshold = toNumber(area.free_delivery_threshold);
+    const waived = freeThreshold !== null && value >= freeThreshold;
+    const deliveryFee = waived ? 0 : beforeWaiver;
+
+    const minOrder = toNumber(area.min_order_amount) || 0;
+
+    return {
+        serviceable: true,
+        service_area: { id: area.id, name: area.area_name },
+        matched_by,
+        distance_km: distanceKm,
+        order_value: value,
+        delivery_fee: deliveryFee,
+        breakdown: {
+            base_fee: baseFee,
+            distance_fee: distanceFee,
+            distance_slab: slab ? { min_km: toNumber(slab.min_km), max_km: toNumber(slab.max_km) } : null,
+            surge_multiplier: multiplier,
+            surge_label: surge ? surge.label : null,
+            surge_amount: roundAmount(beforeWaiver - baseFee - distanceFee),
+            free_delivery_applied: waived
+        },
+        free_delivery_threshold: freeThreshold,
+        amount_to_free_delivery: freeThreshold !== null && !waived ? roundAmount(freeThreshold - value) : 0,
+        min_order_amount: minOrder,
+        meets_minimum: value >= minOrder,
+        amount_to_minimum: value >= minOrder ? 0 : roundAmount(minOrder - value)
+    };
+};
+
+export default {
+    getFeeRules,
+    findSlab,
+    activeSurgeWindows,
+    quoteDeliveryFee
+};
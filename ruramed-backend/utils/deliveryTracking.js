@@ -0,0 +1,110 @@
+// Delivery tracking helpers shared by order and delivery controllers.
+// All writers take a connection so they can join the caller's transaction.
+
+export const DELIVERY_STATUSES = [
+    'pending', 'scheduled', 'assigned', 'picked_up', 'in_transit', 'delivered', 'failed', 'cancelled'
+];
+
+// Allowed next statuses for each delivery status
+export const DELIVERY_TRANSITIONS = {
+    pending: ['scheduled', 'assigned', 'cancelled'],
+    scheduled: ['assigned', 'cancelled'],
+    assigned: ['scheduled', 'picked_up', 'cancelled'],
+    picked_up: ['in_transit', 'failed'],
+    in_transit: ['delivered', 'failed'],
+    failed: ['scheduled', 'assigned', 'cancelled'],
+    delivered: [],
+    cancelled: []
+};
+
+// The customer can still change time/address until the courier has the parcel
+export const CUSTOMER_EDITABLE_STATUSES = ['pending', 'scheduled', 'assigned'];
+
+// Order status implied by a delivery status (others leave the order untouched)
+export const ORDER_STATUS_FOR_DELIVERY = {
+    picked_up: 'out_for_delivery',
+    in_transit: 'out_for_delivery',
+    delivered: 'delivered'
+};
+
+export const canTransitionDelivery = (from, to) => (DELIVERY_TRANSITIONS[from] || []).includes(to);
+
+export const formatDeliveryAddress = (address) => [
+    address.address_line1,
+    address.address_line2,
+    address.landmark,
+    address.city,
+    address.state,
+    address.postal_code
+].filter(Boolean).join(', ');
+
+// Append an entry to a delivery's history
+export const recordDeliveryEvent = async (connection, deliveryId, status, {
+    notes = null,
+    location = null,
+    actorType = 'system',
+    actorId = null
+} = {}) => {
+    await connection.execute(
+        `INSERT INTO delivery_status_history (delivery_id, status, notes, latitude, longitude, actor_type, actor_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [deliveryId, status, notes, location?.lat ?? null, location?.lng ?? null, actorType, actorId]
+    );
+};
+
+// Create the delivery record for a new order, snapshotting the address
+export const createDeliveryForOrder = async (connection, orderId, addressId, { actorType = 'user', actorId = null } = {}) => {
+    const [addresses] = await connection.execute(
+        'SELECT * FROM addresses WHERE id = ?',
+        [addressId]
+    );
+    const address = addresses[0] || null;
+
+    const [result] = await connection.execute(
+        `INSERT INTO deliveries (order_id, status, address_id, delivery_address, delivery_latitude, delivery_longitude, special_instructions)
+         VALUES (?, 'pending', ?, ?, ?, ?, ?)`,
+        [
+            orderId,
+            addressId,
+            address ? formatDeliveryAddress(address) : null,
+            address?.latitude ?? null,
+            address?.longitude ?? null,
+            address?.delivery_instructions ?? null
+        ]
+    );
+
+    await recordDeliveryEvent(connection, result.insertId, 'pending', {
+        notes: 'Order placed',
+        actorType,
+        actorId
+    });
+
+    return result.insertId;
+};
+
+// Move a delivery to a new status and record it; returns false if the delivery is missing
+export const updateDeliveryState = async (connection, deliveryId, status, options = {}) => {
+    const [result] = await connection.execute(
+        `UPDATE deliveries
+         SET status = ?, delivered_at = IF(? = 'delivered', NOW(), delivered_at)
+         WHERE id = ?`,
+        [status, status, deliveryId]
+    );
+
+    if (result.affectedRows === 0) return false;
+
+    await recordDeliveryEvent(connection, deliveryId, status, options);
+    return true;
+};
+
+export default {
+    DELIVERY_STATUSES,
+    DELIVERY_TRANSITIONS,
+    CUSTOMER_EDITABLE_STATUSES,
+    ORDER_STATUS_FOR_DELIVERY,
+    canTransitionDelivery,
+    formatDeliveryAddress,
+    recordDeliveryEvent,
+    createDeliveryForOrder,
+    updateDeliveryState
+};
@@ -0,0 +1,323 @@
+import { db } from '../config/database.js';
+
+// Consultation times are stored as wall-clock times in the doctor's own time zone.
+// The schedule's time zone is used to work out "now" for that doctor and to give
+// clients an unambiguous UTC offset for each slot.
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(?::[0-5]\d)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Slot length of doctors without a published schedule (matches doctor_schedules' default)
+export const DEFAULT_SLOT_DURATION_MINUTES = 30;
+
+// How long a patient can hold a slot while completing a booking
+export const SLOT_HOLD_MINUTES = 5;
+
+// Patients cannot cancel/reschedule closer than this to the appointment
+export const CONSULTATION_CUTOFF_HOURS = {
+    cancel: 2,
+    reschedule: 4
+};
+
+export const scheduleUtils = {
+
+    // "HH:mm" or "HH:mm:ss" -> minutes since midnight (null if invalid)
+    toMinutes: (time) => {
+        const match = TIME_PATTERN.exec(String(time || ''));
+        if (!match) return null;
+        return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    },
+
+    // minutes since midnight -> "HH:mm"
+    fromMinutes: (minutes) => {
+        const hours = Math.floor(minutes / 60);
+        const mins = minutes % 60;
+        return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+    },
+
+    isValidDate: (date) => {
+        if (!DATE_PATTERN.test(String(date || ''))) return false;
+        const parsed = new Date(`${date}T00:00:00Z`);
+        return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+    },
+
+    isValidTimezone: (timeZone) => {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch {
+            return false;
+        }
+    },
+
+    // 0 = Sunday ... 6 = Saturday, matching doctor_schedule_rules.day_of_week
+    dayOfWeek: (date) => new Date(`${date}T00:00:00Z`).getUTCDay(),
+
+    addDays: (date, days) => {
+        const next = new Date(`${date}T00:00:00Z`);
+        next.setUTCDate(next.getUTCDate() + days);
+        return next.toISOString().split('T')[0];
+    },
+
+    // Current date/time as seen in the given time zone
+    zonedNow: (timeZone, now = new Date()) => {
+        const parts = Object.fromEntries(
+            new Intl.DateTimeFormat('en-CA', {
+                timeZone,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23'
+            }).formatToParts(now).map(part => [part.type, part.value])
+        );
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+        };
+    },
+
+    // UTC offset ("+05:30") of a time zone on a given local date
+    utcOffset: (timeZone, date) => {
+        const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+            .formatToParts(new Date(`${date}T12:00:00Z`))
+            .find(part => part.type === 'timeZoneName')?.value || 'GMT';
+        const offset = name.replace('GMT', '');
+        return offset === '' ? '+00:00' : offset;
+    },
+
+    /**
+     * Split "YYYY-MM-DD HH:mm[:ss]" / "YYYY-MM-DDTHH:mm[:ss]" into its date and time.
+     * Any trailing offset is ignored: booking times are doctor-local wall-clock times.
+     */
+    parseDateTime: (value) => {
+        const match = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(?::\d{2})?/.exec(String(value || ''));
+        if (!match || !scheduleUtils.isValidDate(match[1]) || scheduleUtils.toMinutes(match[2]) === null) {
+            return null;
+        }
+        return { date: match[1], time: match[2] };
+    },
+
+    overlaps: (startA, endA, startB, endB) => startA < endB && startB < endA,
+
+    // Minutes from "now" in the time zone until a local date/time (negative once it has passed)
+    minutesUntil: (date, time, timeZone, now = new Date()) => {
+        const current = scheduleUtils.zonedNow(timeZone, now);
+        const dayDiff = (Date.parse(`${date}T00:00:00Z`) - Date.parse(`${current.date}T00:00:00Z`)) / 86400000;
+        return dayDiff * 24 * 60 + scheduleUtils.toMinutes(time) - current.minutes;
+    },
+
+    /**
+     * Generate the published slots for one local date.
+     * @param {object} schedule - { timezone, slot_duration_minutes }
+     * @param {Array} windows - working hours for that weekday [{ start_time, end_time }]
+     * @param {Array} breaks - breaks that apply that day [{ start_time, end_time }]
+     * @param {Array} timeOff - leave/holiday blocks as minute ranges on that date [{ start, end }]
+     * @returns {Array<{ time, end_time, start, end }>}
+     */
+    buildSlots: (date, schedule, windows, breaks = [], timeOff = []) => {
+        const duration = schedule.slot_duration_minutes;
+        const offset = scheduleUtils.utcOffset(schedule.timezone, date);
+        const blocked = [
+            ...breaks.map(b => ({ start: scheduleUtils.toMinutes(b.start_time), end: scheduleUtils.toMinutes(b.end_time) })),
+            ...timeOff
+        ];
+        const slots = [];
+
+        for (const window of windows) {
+            const windowStart = scheduleUtils.toMinutes(window.start_time);
+            const windowEnd = scheduleUtils.toMinutes(window.end_time);
+
+            for (let start = windowStart; start + duration <= windowEnd; start += duration) {
+                const end = start + duration;
+                if (blocked.some(block => scheduleUtils.overlaps(start, end, block.start, block.end))) {
+                    continue;
+                }
+
+                const time = scheduleUtils.fromMinutes(start);
+                const endTime = scheduleUtils.fromMinutes(end);
+                slots.push({
+                    time,
+                    end_time: endTime,
+                    start: `${date}T${time}:00${offset}`,
+                    end: `${date}T${endTime}:00${offset}`
+                });
+            }
+        }
+
+        return slots.sort((a, b) => a.time.localeCompare(b.time));
+    }
+};
+
+// DATETIME columns may come back as Date objects or strings depending on driver settings
+const formatDbDateTime = (value) => {
+    if (value instanceof Date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ${pad(value.getHours())}:${pad(value.getMinutes())}`;
+    }
+    return String(value);
+};
+
+// Load a doctor's schedule header (null when nothing has been published)
+export const getDoctorSchedule = async (doctorId, connection = db) => {
+    const [rows] = await connection.execute(
+        'SELECT doctor_id, timezone, slot_duration_minutes, updated_at FROM doctor_schedules WHERE doctor_id = ?',
+        [doctorId]
+    );
+    return rows[0] || null;
+};
+
+/**
+ * Compute a doctor's slots for a local date: weekly hours minus breaks,
+ * leave/holiday blocks, slots already in the past, booked consultations and
+ * slots currently held by other patients (a patient's own holds stay available to them).
+ * Pass a transaction connection to read consistently with a following insert.
+ */
+export const getDoctorSlotsForDate = async (doctorId, date, { connection = db, userId = null } = {}) => {
+    const schedule = await getDoctorSchedule(doctorId, connection);
+    if (!schedule) {
+        return { schedule: null, slots: [], available: [], booked: [], held: [] };
+    }
+
+    const dayOfWeek = scheduleUtils.dayOfWeek(date);
+    const nextDate = scheduleUtils.addDays(date, 1);
+
+    const [windows] = await connection.execute(
+        'SELECT start_time, end_time FROM doctor_schedule_rules WHERE doctor_id = ? AND day_of_week = ? ORDER BY start_time',
+        [doctorId, dayOfWeek]
+    );
+
+    const [breaks] = await connection.execute(
+        'SELECT start_time, end_time FROM doctor_schedule_breaks WHERE doctor_id = ? AND (day_of_week = ? OR day_of_week IS NULL)',
+        [doctorId, dayOfWeek]
+    );
+
+    const [timeOffRows] = await connection.execute(
+        `SELECT start_datetime, end_datetime FROM doctor_time_off
+         WHERE doctor_id = ? AND start_datetime < ? AND end_datetime > ?`,
+        [doctorId, `${nextDate} 00:00:00`, `${date} 00:00:00`]
+    );
+
+    // Clamp each block to this date and express it in minutes
+    const timeOff = timeOffRows.map(row => {
+        const start = scheduleUtils.parseDateTime(formatDbDateTime(row.start_datetime));
+        const end = scheduleUtils.parseDateTime(formatDbDateTime(row.end_datetime));
+        return {
+            start: start.date < date ? 0 : scheduleUtils.toMinutes(start.time),
+            end: end.date > date ? 24 * 60 : scheduleUtils.toMinutes(end.time)
+        };
+    });
+
+    const slots = scheduleUtils.buildSlots(date, schedule, windows, breaks, timeOff);
+
+    // Each booking blocks the length it was booked with, which may differ from today's slot length
+    const [consultations] = await connection.execute(
+        `SELECT DATE_FORMAT(consultation_date, "%Y-%m-%d %H:%i") as starts_at,
+                DATE_FORMAT(consultation_date + INTERVAL duration_minutes MINUTE, "%Y-%m-%d %H:%i") as ends_at
+         FROM consultations
+         WHERE doctor_id = ? AND status != 'cancelled'
+           AND consultation_date < ? AND consultation_date + INTERVAL duration_minutes MINUTE > ?`,
+        [doctorId, `${nextDate} 00:00:00`, `${date} 00:00:00`]
+    );
+    const bookings = consultations.map(row => {
+        const start = scheduleUtils.parseDateTime(row.starts_at);
+        const end = scheduleUtils.parseDateTime(row.ends_at);
+        return {
+            start: start.date < date ? 0 : scheduleUtils.toMinutes(start.time),
+            end: end.date > date ? 24 * 60 : scheduleUtils.toMinutes(end.time)
+        };
+    });
+
+    const [holds] = await connection.execute(
+        `SELECT DATE_FORMAT(slot_start, "%H:%i") as time_slot FROM consultation_slot_holds
+         WHERE doctor_id = ? AND DATE(slot_start) = ? AND expires_at > NOW() AND user_id != ?`,
+        [doctorId, date, userId || 0]
+    );
+
+    const heldMinutes = holds.map(h => scheduleUtils.toMinutes(h.time_slot));
+    const now = scheduleUtils.zonedNow(schedule.timezone);
+    const duration = schedule.slot_duration_minutes;
+    const within = (minutes, start) => minutes.some(minute => minute >= start && minute < start + duration);
+
+    const booked = [];
+    const held = [];
+    const available = [];
+
+    for (const slot of slots) {
+        const start = scheduleUtils.toMinutes(slot.time);
+        if (bookings.some(booking => scheduleUtils.overlaps(booking.start, booking.end, start, start + duration))) {
+            booked.push(slot);
+        } else if (within(heldMinutes, start)) {
+            held.push(slot);
+        } else if (date > now.date || (date === now.date && start > now.minutes)) {
+            available.push(slot);
+        }
+    }
+
+    return { schedule, slots, available, booked, held };
+};
+
+/**
+ * Lock the doctor for the rest of the caller's transaction and check that a
+ * consultation of the doctor's current slot length starting at `startsAt`
+ * ("YYYY-MM-DD HH:mm:ss") overlaps no other active consultation of theirs.
+ * Bookings and reschedules call this before writing, so concurrent ones for
+ * the same doctor are checked one after another.
+ * @returns {Promise<{ free: boolean, duration: number }>} duration to store on the consultation
+ */
+export const checkConsultationSlot = async (connection, doctorId, startsAt, { excludeId = null } = {}) => {
+    await connection.execute('SELECT id FROM doctors WHERE id = ? FOR UPDATE', [doctorId]);
+
+    const schedule = await getDoctorSchedule(doctorId, connection);
+    const duration = schedule?.slot_duration_minutes || DEFAULT_SLOT_DURATION_MINUTES;
+
+    const [overlapping] = await connection.execute(
+        `SELECT id FROM consultations
+         WHERE doctor_id = ? AND status != 'cancelled' AND id != ?
+           AND consultation_date < ? + INTERVAL ? MINUTE
+           AND consultation_date + INTERVAL duration_minutes MINUTE > ?
+         LIMIT 1`,
+        [doctorId, excludeId || 0, startsAt, duration, startsAt]
+    );
+    return { free: overlapping.length === 0, duration };
+};
+
+/**
+ * Nearest available slots to a requested time, looking at the requested
+ * day and the following days. Used to suggest alternatives on a conflict.
+ */
+export const findAlternativeSlots = async (doctorId, date, time, { userId = null, limit = 3, days = 3 } = {}) => {
+    const requestedMinutes = scheduleUtils.toMinutes(time);
+    const candidates = [];
+
+    for (let offset = 0; offset < days; offset++) {
+        const day = scheduleUtils.addDays(date, offset);
+        const { available } = await getDoctorSlotsForDate(doctorId, day, { userId });
+
+        for (const slot of available) {
+            const distance = Math.abs(offset * 24 * 60 + scheduleUtils.toMinutes(slot.time) - requestedMinutes);
+            candidates.push({ date: day, ...slot, distance });
+        }
+    }
+
+    return candidates
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit)
+        .map(({ distance, ...slot }) => slot);
+};
+
+export default {
+    scheduleUtils,
+    getDoctorSchedule,
+    getDoctorSlotsForDate,
+    checkConsultationSlot,
+    findAlternativeSlots,
+    DEFAULT_TIMEZONE,
+    DEFAULT_SLOT_DURATION_MINUTES,
+    SLOT_HOLD_MINUTES,
+    CONSULTATION_CUTOFF_HOURS
+};
@@ -103,6 +103,17 @@ const fileFilters = {
       cb(new Error('Only document files (PDF, DOC, DOCX) are allowed!'));
     }
   },
+  spreadsheets: (req, file, cb) => {
+    const extname = /\.(csv|xlsx)$/.test(path.extname(file.originalname).toLowerCase());
+
+    if (extname) {
+      logger.debug('Spreadsheet file accepted', { filename: file.originalname });
+      cb(null, true);
+    } else {
+      logger.warn('Spreadsheet file rejected', { filename: file.originalname, mimetype: file.mimetype });
+      cb(new Error('Only CSV and XLSX files are allowed!'));
+    }
+  },
 };
 
 // ---------------------------------------------------------
@@ -163,9 +174,20 @@ const createMulterConfig = (subfolder = '', maxSize = 5 * 1024 * 1024, maxFiles
 // ---------------------------------------------------------
 export const uploadHandlers = {
   prescriptions: multer(createMulterConfig('prescriptions', 5 * 1024 * 1024, 5, 'prescriptions')),
-  medicineImages: multer(createMulterConfig('medicines', 2 * 1024 * 1024, 3, 'images')),
+  // Kept in memory; only the resized variants are stored (see processImageVariants)
+  medicineImages: multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024, files: 5 },
+    fileFilter: fileFilters.images,
+  }),
   profilePictures: multer(createMulterConfig('profiles', 1 * 1024 * 1024, 1, 'images')),
   documents: multer(createMulterConfig('documents', 10 * 1024 * 1024, 10, 'documents')),
+  // Parsed straight from memory and not kept
+  catalogImports: multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+    fileFilter: fileFilters.spreadsheets,
+  }),
 };
 
 // ---------------------------------------------------------
@@ -254,6 +276,86 @@ export const processAndUploadImage = async (file, options = {}, userId = null) =
   }
 };
 
+// ---------------------------------------------------------
+// 🖼️ Process Image Variants (WebP + JPEG per size)
+// ---------------------------------------------------------
+export const IMAGE_VARIANT_SIZES = { thumbnail: 160, medium: 480, full: 1200 };
+
+// Store a generated file under a given path (relative to the bucket or uploads directory)
+const storeBuffer = async (buffer, filePath, mimetype, userId = null) => {
+  if (isProduction) {
+    const { error } = await supabase.storage.from(bucketName).upload(filePath, buffer, {
+      // File names are unique, so the content never changes
+      cacheControl: '31536000',
+      upsert: false,
+      contentType: mimetype,
+    });
+    if (error) {
+      logError(error, { context: 'supabase_upload_error', filename: filePath, userId });
+      throw error;
+    }
+  } else {
+    const fullPath = path.join(uploadsDir, filePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    await fs.promises.writeFile(fullPath, buffer);
+  }
+
+  logFileOperation('upload', filePath, userId, { size: buffer.length, mimetype, processed: true });
+  return fileUtils.getFileUrl(filePath);
+};
+
+/**
+ * Resize an uploaded image (multer memory file) to each size in WebP and JPEG.
+ * Images are scaled to fit a width x width box and never enlarged; EXIF
+ * orientation is applied and metadata is dropped.
+ * @returns {Promise<{ width, height, variants: Object<string, { width, height, webp, jpeg }>, paths: string[] }>}
+ *   width/height are those of the largest variant; paths are the stored files, for deletion
+ */
+export const processImageVariants = async (file, options = {}, userId = null) => {
+  const { sizes = IMAGE_VARIANT_SIZES, subfolder = 'images', webpQuality = 80, jpegQuality = 82 } = options;
+
+  try {
+    await sharp(file.buffer).metadata();
+  } catch {
+    throw Object.assign(new Error(`${file.originalname} is not a readable image`), { status: 400 });
+  }
+
+  const baseName = uuidv4();
+  const variants = {};
+  const paths = [];
+
+  try {
+    for (const [name, size] of Object.entries(sizes)) {
+      const resized = sharp(file.buffer)
+        .rotate()
+        .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+
+      const [webp, jpeg] = await Promise.all([
+        resized.clone().webp({ quality: webpQuality }).toBuffer({ resolveWithObject: true }),
+        // JPEG has no transparency, so transparent PNG/WebP areas become white
+        resized.clone().flatten({ background: '#ffffff' }).jpeg({ quality: jpegQuality, mozjpeg: true })
+          .toBuffer({ resolveWithObject: true }),
+      ]);
+
+      const webpPath = `${subfolder}/${baseName}-${name}.webp`;
+      const jpegPath = `${subfolder}/${baseName}-${name}.jpg`;
+      const webpUrl = await storeBuffer(webp.data, webpPath, 'image/webp', userId);
+      paths.push(webpPath);
+      const jpegUrl = await storeBuffer(jpeg.data, jpegPath, 'image/jpeg', userId);
+      paths.push(jpegPath);
+
+      variants[name] = { width: jpeg.info.width, height: jpeg.info.height, webp: webpUrl, jpeg: jpegUrl };
+    }
+  } catch (error) {
+    await Promise.all(paths.map(filePath => fileUtils.deleteFile(filePath, userId)));
+    logError(error, { context: 'image_variant_processing_error', filename: file.originalname, userId });
+    throw error;
+  }
+
+  const largest = Object.values(variants).reduce((a, b) => (b.width * b.height > a.width * a.height ? b : a));
+  return { width: largest.width, height: largest.height, variants, paths };
+};
+
 // ---------------------------------------------------------
 // 🧰 File Utilities
 // ---------------------------------------------------------
@@ -0,0 +1,282 @@
+import { db } from '../config/database.js';
+
+// Stock held per medicine per pharmacy (pharmacy_stock). Order lines reserve
+// stock when the order is placed; the reservation is released if the order is
+// cancelled/rejected and consumed (taken off on-hand) when it is dispatched.
+//
+// Part of a pharmacy's on-hand quantity may be tracked as batch lots
+// (medicine_batches). Lots that are blocked or expire within
+// MIN_SHELF_LIFE_DAYS cannot be sold; orders take the earliest-expiring
+// sellable lot first (FEFO), then stock loaded without a batch.
+// Writers take a connection so they can join the caller's transaction.
+
+// A lot must have at least this many days left to be sold
+export const MIN_SHELF_LIFE_DAYS = 30;
+
+const UNSELLABLE_BATCH_CONDITION = `(is_blocked = 1 OR expiry_date <= CURDATE() + INTERVAL ${MIN_SHELF_LIFE_DAYS} DAY)`;
+
+// Sellable quantity per active pharmacy and medicine, as a derived table
+export const SELLABLE_STOCK_SQL = `
+    SELECT ps.pharmacy_id, ps.medicine_id, ps.quantity_on_hand, ps.quantity_reserved,
+           GREATEST(ps.quantity_on_hand - ps.quantity_reserved - COALESCE(ub.unsellable, 0), 0) as available
+    FROM pharmacy_stock ps
+    JOIN pharmacies p ON ps.pharmacy_id = p.id AND p.is_active = 1
+    LEFT JOIN (
+        SELECT pharmacy_id, medicine_id, SUM(quantity_on_hand - quantity_reserved) as unsellable
+        FROM medicine_batches
+        WHERE ${UNSELLABLE_BATCH_CONDITION}
+        GROUP BY pharmacy_id, medicine_id
+    ) ub ON ub.pharmacy_id = ps.pharmacy_id AND ub.medicine_id = ps.medicine_id`;
+
+// Error for stock problems the customer can act on (answered with 400)
+const stockError = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Sellable quantity per medicine id (0 for medicines without stock rows)
+export const getAvailableStock = async (medicineIds, connection = db) => {
+    const available = new Map(medicineIds.map(id => [Number(id), 0]));
+    if (medicineIds.length === 0) return available;
+
+    const [rows] = await connection.execute(
+        `SELECT s.medicine_id, SUM(s.available) as available
+         FROM (${SELLABLE_STOCK_SQL}) s
+         WHERE s.medicine_id IN (${medicineIds.map(() => '?').join(', ')})
+         GROUP BY s.medicine_id`,
+        medicineIds
+    );
+
+    for (const row of rows) {
+        available.set(row.medicine_id, parseInt(row.available, 10) || 0);
+    }
+    return available;
+};
+
+// Stock flags for catalog responses
+export const stockFlags = (availableQuantity, lowStockThreshold = 0) => ({
+    out_of_stock: availableQuantity <= 0,
+    low_stock: availableQuantity > 0 && availableQuantity <= lowStockThreshold
+});
+
+// Add out_of_stock/low_stock flags to a list of medicine rows
+export const attachStockStatus = async (medicines, connection = db) => {
+    const available = await getAvailableStock(medicines.map(medicine => medicine.id), connection);
+    return medicines.map(medicine => ({
+        ...medicine,
+        ...stockFlags(available.get(medicine.id) || 0, medicine.low_stock_threshold)
+    }));
+};
+
+// Reserve from sellable lots in FEFO order; whatever is left comes from unbatched stock
+const allocateBatches = async (connection, pharmacyId, medicineId, quantity) => {
+    const [batches] = await connection.execute(
+        `SELECT id, quantity_on_hand - quantity_reserved as free
+         FROM medicine_batches
+         WHERE pharmacy_id = ? AND medicine_id = ? AND NOT ${UNSELLABLE_BATCH_CONDITION}
+           AND quantity_on_hand > quantity_reserved
+         ORDER BY expiry_date ASC, id ASC
+         FOR UPDATE`,
+        [pharmacyId, medicineId]
+    );
+
+    const allocations = [];
+    let remaining = quantity;
+    for (const batch of batches) {
+        if (remaining === 0) break;
+        const take = Math.min(batch.free, remaining);
+        await connection.execute(
+            'UPDATE medicine_batches SET quantity_reserved = quantity_reserved + ? WHERE id = ?',
+            [take, batch.id]
+        );
+        allocations.push({ batch_id: batch.id, quantity: take });
+        remaining -= take;
+    }
+    return allocations;
+};
+
+// Sellable quantity per pharmacy, as Map<pharmacy_id, Map<medicine_id, available>>
+export const getStockByPharmacy = async (medicineIds, connection = db) => {
+    const stock = new Map();
+    if (medicineIds.length === 0) return stock;
+
+    const [rows] = await connection.execute(
+        `SELECT s.pharmacy_id, s.medicine_id, s.available
+         FROM (${SELLABLE_STOCK_SQL}) s
+         WHERE s.medicine_id IN (${medicineIds.map(() => '?').join(', ')})`,
+        medicineIds
+    );
+
+    for (const row of rows) {
+        if (!stock.has(row.pharmacy_id)) stock.set(row.pharmacy_id, new Map());
+        stock.get(row.pharmacy_id).set(row.medicine_id, parseInt(row.available, 10) || 0);
+    }
+    return stock;
+};
+
+// Pick a pharmacy for each line: the first pharmacy (in preference order) that
+// can fill the whole order, otherwise per line, favouring pharmacies already
+// shipping part of the order so it splits into as few shipments as possible
+const routeLines = (items, stock, pharmacyIds) => {
+    const free = (pharmacyId, medicineId) => stock.get(pharmacyId)?.get(medicineId) || 0;
+
+    // A medicine may appear on more than one line
+    const demand = new Map();
+    for (const item of items) {
+        demand.set(item.medicine_id, (demand.get(item.medicine_id) || 0) + item.quantity);
+    }
+
+    const single = pharmacyIds.find(pharmacyId =>
+        [...demand].every(([medicineId, quantity]) => free(pharmacyId, medicineId) >= quantity)
+    );
+    if (single !== undefined) return items.map(() => single);
+
+    const taken = new Map();
+    const used = [];
+    return items.map(item => {
+        const key = (pharmacyId) => `${pharmacyId}:${item.medicine_id}`;
+        const left = (pharmacyId) => free(pharmacyId, item.medicine_id) - (taken.get(key(pharmacyId)) || 0);
+        const canFill = (pharmacyId) => left(pharmacyId) >= item.quantity;
+
+        const pharmacyId = used.find(canFill) ?? pharmacyIds.find(canFill);
+        if (pharmacyId === undefined) {
+            const best = Math.max(0, ...pharmacyIds.map(left));
+            throw stockError(
+                best > 0
+                    ? `Only ${best} of ${item.medicine_name} available`
+                    : `${item.medicine_name} is out of stock`
+            );
+        }
+
+        taken.set(key(pharmacyId), (taken.get(key(pharmacyId)) || 0) + item.quantity);
+        if (!used.includes(pharmacyId)) used.push(pharmacyId);
+        return pharmacyId;
+    });
+};
+
+/**
+ * Pharmacy each line would be routed to by reserveStock, without reserving
+ * anything (delivery fee quotes). Throws the same 400 error when a line cannot
+ * be filled.
+ * @param {Array<{ medicine_id, medicine_name, quantity }>} items
+ * @param {number[]} pharmacyIds - most preferred first, as for reserveStock
+ * @returns {Promise<number[]>} pharmacy id per line
+ */
+export const planStockRoutes = async (items, pharmacyIds, connection = db) => {
+    const medicineIds = [...new Set(items.map(item => item.medicine_id))];
+    const stock = await getStockByPharmacy(medicineIds, connection);
+    return routeLines(items, stock, pharmacyIds);
+};
+
+/**
+ * Reserve stock for order lines. Lines are routed to the pharmacies in
+ * pharmacyIds (most preferred first, e.g. nearest first): a single pharmacy
+ * when one can fill the whole order, otherwise split across several. Within a
+ * pharmacy the earliest-expiring lots are used first. pharmacy_id and batches
+ * ([{ batch_id, quantity }]) are set on each line. Throws a 400 error when a
+ * line cannot be filled.
+ * @param {object} connection - transaction connection
+ * @param {Array<{ medicine_id, medicine_name, quantity }>} items - mutated
+ * @param {number[]} pharmacyIds - pharmacies allowed to fill the order
+ */
+export const reserveStock = async (connection, items, pharmacyIds) => {
+    const medicineIds = [...new Set(items.map(item => item.medicine_id))];
+    if (medicineIds.length === 0) return;
+
+    // Lock the stock rows (in a fixed order) before reading availability
+    await connection.execute(
+        `SELECT pharmacy_id FROM pharmacy_stock
+         WHERE medicine_id IN (${medicineIds.map(() => '?').join(', ')})
+         ORDER BY medicine_id, pharmacy_id
+         FOR UPDATE`,
+        medicineIds
+    );
+
+    const stock = await getStockByPharmacy(medicineIds, connection);
+    const routes = routeLines(items, stock, pharmacyIds);
+
+    for (const [index, item] of items.entries()) {
+        const pharmacyId = routes[index];
+        await connection.execute(
+            'UPDATE pharmacy_stock SET quantity_reserved = quantity_reserved + ? WHERE pharmacy_id = ? AND medicine_id = ?',
+            [item.quantity, pharmacyId, item.medicine_id]
+        );
+
+        item.pharmacy_id = pharmacyId;
+        item.batches = await allocateBatches(connection, pharmacyId, item.medicine_id, item.quantity);
+    }
+};
+
+// Lines of an order still holding a reservation, with the lots they hold
+const reservedLines = async (connection, orderId) => {
+    const [lines] = await connection.execute(
+        `SELECT id, pharmacy_id, medicine_id, quantity FROM order_items
+         WHERE order_id = ? AND stock_status = 'reserved' AND pharmacy_id IS NOT NULL
+         FOR UPDATE`,
+        [orderId]
+    );
+
+    for (const line of lines) {
+        const [batches] = await connection.execute(
+            'SELECT batch_id, quantity FROM order_item_batches WHERE order_item_id = ?',
+            [line.id]
+        );
+        line.batches = batches;
+    }
+    return lines;
+};
+
+// Return an order's reserved stock to the pharmacies (order cancelled or rejected)
+export const releaseOrderStock = async (connection, orderId) => {
+    const lines = await reservedLines(connection, orderId);
+    for (const line of lines) {
+        await connection.execute(
+            `UPDATE pharmacy_stock SET quantity_reserved = GREATEST(quantity_reserved - ?, 0)
+             WHERE pharmacy_id = ? AND medicine_id = ?`,
+            [line.quantity, line.pharmacy_id, line.medicine_id]
+        );
+        for (const batch of line.batches) {
+            await connection.execute(
+                'UPDATE medicine_batches SET quantity_reserved = GREATEST(quantity_reserved - ?, 0) WHERE id = ?',
+                [batch.quantity, batch.batch_id]
+            );
+        }
+        await connection.execute("UPDATE order_items SET stock_status = 'released' WHERE id = ?", [line.id]);
+    }
+    return lines.length;
+};
+
+// Take an order's reserved stock off the shelf (order dispatched)
+export const consumeOrderStock = async (connection, orderId) => {
+    const lines = await reservedLines(connection, orderId);
+    for (const line of lines) {
+        await connection.execute(
+            `UPDATE pharmacy_stock
+             SET quantity_on_hand = GREATEST(quantity_on_hand - ?, 0),
+                 quantity_reserved = GREATEST(quantity_reserved - ?, 0)
+             WHERE pharmacy_id = ? AND medicine_id = ?`,
+            [line.quantity, line.quantity, line.pharmacy_id, line.medicine_id]
+        );
+        for (const batch of line.batches) {
+            await connection.execute(
+                `UPDATE medicine_batches
+                 SET quantity_on_hand = GREATEST(quantity_on_hand - ?, 0),
+                     quantity_reserved = GREATEST(quantity_reserved - ?, 0)
+                 WHERE id = ?`,
+                [batch.quantity, batch.quantity, batch.batch_id]
+            );
+        }
+        await connection.execute("UPDATE order_items SET stock_status = 'consumed' WHERE id = ?", [line.id]);
+    }
+    return lines.length;
+};
+
+export default {
+    MIN_SHELF_LIFE_DAYS,
+    SELLABLE_STOCK_SQL,
+    getAvailableStock,
+    stockFlags,
+    attachStockStatus,
+    getStockByPharmacy,
+    planStockRoutes,
+    reserveStock,
+    releaseOrderStock,
+    consumeOrderStock
+};
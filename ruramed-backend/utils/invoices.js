@@ -0,0 +1,501 @@
+import { db } from '../config/database.js';
+import { getOrderItems } from './orderItems.js';
+import { createPdfDocument, wrapText } from './pdfDocument.js';
+import { logger } from './logger.js';
+
+// GST tax invoices. Selling prices include GST, so each line's taxable value
+// is its amount after discount / (1 + rate/100). Supplies within the seller's
+// state are taxed CGST + SGST (half each), other states IGST.
+//
+// The seller is configured with SELLER_LEGAL_NAME, SELLER_GSTIN,
+// SELLER_ADDRESS, SELLER_STATE (defaults to the GSTIN's state) and
+// SELLER_DRUG_LICENSE. Invoices are numbered <INVOICE_PREFIX>/<yy-yy>/<n>,
+// restarting every financial year (April-March, Indian time).
+
+export const DEFAULT_HSN_CODE = '3004';
+export const DEFAULT_GST_RATE = 5;
+export const GST_RATES = [0, 5, 12, 18, 28, 40];
+
+// Delivery is invoiced as a separate service line
+export const DELIVERY_SAC_CODE = '9968';
+export const DELIVERY_GST_RATE = 18;
+
+// GST state codes (first two digits of a GSTIN)
+export const GST_STATE_CODES = {
+    'Jammu and Kashmir': '01', 'Himachal Pradesh': '02', 'Punjab': '03', 'Chandigarh': '04',
+    'Uttarakhand': '05', 'Haryana': '06', 'Delhi': '07', 'Rajasthan': '08', 'Uttar Pradesh': '09',
+    'Bihar': '10', 'Sikkim': '11', 'Arunachal Pradesh': '12', 'Nagaland': '13', 'Manipur': '14',
+    'Mizoram': '15', 'Tripura': '16', 'Meghalaya': '17', 'Assam': '18', 'West Bengal': '19',
+    'Jharkhand': '20', 'Odisha': '21', 'Chhattisgarh': '22', 'Madhya Pradesh': '23', 'Gujarat': '24',
+    'Dadra and Nagar Haveli and Daman and Diu': '26', 'Maharashtra': '27', 'Karnataka': '29', 'Goa': '30',
+    'Lakshadweep': '31', 'Kerala': '32', 'Tamil Nadu': '33', 'Puducherry': '34',
+    'Andaman and Nicobar Islands': '35', 'Telangana': '36', 'Andhra Pradesh': '37', 'Ladakh': '38'
+};
+
+const STATE_ALIASES = {
+    orissa: 'odisha',
+    pondicherry: 'puducherry',
+    newdelhi: 'delhi',
+    nctofdelhi: 'delhi',
+    uttaranchal: 'uttarakhand',
+    jammuandkashmirut: 'jammuandkashmir'
+};
+
+const IST_OFFSET_MINUTES = 330;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const stateKey = (state) => {
+    const key = String(state || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+    return STATE_ALIASES[key] || key;
+};
+
+const STATES_BY_KEY = new Map(Object.keys(GST_STATE_CODES).map(name => [stateKey(name), name]));
+
+// Canonical state name and GST code for a free-text state ("Tamilnadu", "NCT of Delhi", ...)
+export const resolveGstState = (state) => {
+    const name = STATES_BY_KEY.get(stateKey(state));
+    return name
+        ? { name, code: GST_STATE_CODES[name] }
+        : { name: state ? String(state).trim() : null, code: null };
+};
+
+// "2025-26" for any date from 1 April 2025 to 31 March 2026
+export const financialYear = (date = new Date()) => {
+    const ist = new Date(date.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+    const start = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+// GST caps invoice numbers at 16 characters
+export const formatInvoiceNumber = (year, sequence) =>
+    `${(process.env.INVOICE_PREFIX || 'RM').slice(0, 3)}/${year.slice(2)}/${String(sequence).padStart(6, '0')}`;
+
+export const getSellerDetails = () => {
+    const gstin = process.env.SELLER_GSTIN || null;
+    const fromGstin = gstin
+        ? Object.keys(GST_STATE_CODES).find(name => GST_STATE_CODES[name] === gstin.slice(0, 2))
+        : null;
+    return {
+        name: process.env.SELLER_LEGAL_NAME || 'RuraMed',
+        gstin,
+        address: process.env.SELLER_ADDRESS || null,
+        state: process.env.SELLER_STATE || fromGstin || null,
+        drug_license: process.env.SELLER_DRUG_LICENSE || null
+    };
+};
+
+const splitTax = (tax, supplyType) => {
+    if (supplyType === 'inter_state') {
+        return { cgst: 0, sgst: 0, igst: tax };
+    }
+    const cgst = roundAmount(tax / 2);
+    return { cgst, sgst: roundAmount(tax - cgst), igst: 0 };
+};
+
+const taxLine = (gross, rate, supplyType) => {
+    const taxable = roundAmount(gross / (1 + rate / 100));
+    return { taxable_value: taxable, gst_rate: rate, ...splitTax(roundAmount(gross - taxable), supplyType) };
+};
+
+/**
+ * Tax lines and totals for an order's items and delivery fee.
+ * @param {Array} items - formatted order items (price, quantity, discount, total, hsn_code, gst_rate)
+ * @param {number} deliveryFee
+ * @param {'intra_state'|'inter_state'} supplyType
+ */
+export const computeTaxBreakdown = (items, deliveryFee, supplyType) => {
+    const lines = items.map(item => ({
+        description: item.name,
+        hsn_code: item.hsn_code || DEFAULT_HSN_CODE,
+        quantity: item.quantity,
+        unit_price: item.price,
+        discount: item.discount,
+        ...taxLine(item.total, item.gst_rate ?? DEFAULT_GST_RATE, supplyType),
+        total: item.total
+    }));
+
+    const fee = parseFloat(deliveryFee || 0);
+    if (fee > 0) {
+        lines.push({
+            description: 'Delivery charges',
+            hsn_code: DELIVERY_SAC_CODE,
+            quantity: 1,
+            unit_price: fee,
+            discount: 0,
+            ...taxLine(fee, DELIVERY_GST_RATE, supplyType),
+            total: fee
+        });
+    }
+
+    // Tax per HSN/SAC code and rate, as printed under the invoice
+    const summary = new Map();
+    for (const line of lines) {
+        const key = `${line.hsn_code}@${line.gst_rate}`;
+        const entry = summary.get(key) || { hsn_code: line.hsn_code, gst_rate: line.gst_rate, taxable_value: 0, cgst: 0, sgst: 0, igst: 0 };
+        for (const field of ['taxable_value', 'cgst', 'sgst', 'igst']) {
+            entry[field] = roundAmount(entry[field] + line[field]);
+        }
+        summary.set(key, entry);
+    }
+
+    const sum = (field) => roundAmount(lines.reduce((total, line) => total + line[field], 0));
+    const totals = {
+        taxable_value: sum('taxable_value'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        igst: sum('igst'),
+        grand_total: sum('total')
+    };
+    totals.total_tax = roundAmount(totals.cgst + totals.sgst + totals.igst);
+
+    return { lines, hsn_summary: [...summary.values()], totals };
+};
+
+// Delivery state of an order: the address, else its service area
+const getPlaceOfSupply = async (orderId, connection) => {
+    const [[row]] = await connection.execute(
+        `SELECT a.state as address_state, sa.state as area_state
+         FROM orders o
+         LEFT JOIN addresses a ON o.address_id = a.id
+         LEFT JOIN service_areas sa ON o.service_area_id = sa.id
+         WHERE o.id = ?`,
+        [orderId]
+    );
+    return row?.address_state || row?.area_state || null;
+};
+
+// Seller state from configuration, else the state of a pharmacy shipping the order
+const getSellerState = async (orderId, connection) => {
+    const configured = getSellerDetails().state;
+    if (configured) return configured;
+
+    const [rows] = await connection.execute(
+        `SELECT p.state FROM order_shipments s JOIN pharmacies p ON s.pharmacy_id = p.id
+         WHERE s.order_id = ? AND p.state IS NOT NULL ORDER BY s.id LIMIT 1`,
+        [orderId]
+    );
+    return rows[0]?.state || null;
+};
+
+// Work out seller state, place of supply and supply type for an order
+const resolveSupply = async (orderId, connection) => {
+    const placeOfSupply = resolveGstState(await getPlaceOfSupply(orderId, connection));
+    let sellerState = resolveGstState(await getSellerState(orderId, connection));
+
+    if (!sellerState.name) {
+        logger.warn('Seller state not configured (SELLER_STATE/SELLER_GSTIN); treating supply as intra-state', { order_id: orderId });
+        sellerState = placeOfSupply;
+    }
+
+    const sameState = sellerState.code && placeOfSupply.code
+        ? sellerState.code === placeOfSupply.code
+        : stateKey(sellerState.name) === stateKey(placeOfSupply.name);
+
+    return {
+        sellerState,
+        placeOfSupply: placeOfSupply.name ? placeOfSupply : sellerState,
+        supplyType: sameState || !placeOfSupply.name ? 'intra_state' : 'inter_state'
+    };
+};
+
+export const getInvoiceForOrder = async (orderId, connection = db) => {
+    const [rows] = await connection.execute('SELECT * FROM invoices WHERE order_id = ?', [orderId]);
+    return rows[0] || null;
+};
+
+/**
+ * Issue the tax invoice of an order (once; later calls return the existing one).
+ * Takes the next number of the current financial year; the sequence row stays
+ * locked until the caller's transaction ends, so numbers have no gaps. The
+ * order row is locked for the rest of the caller's transaction too.
+ */
+export const issueOrderInvoice = async (connection, orderId) => {
+    // Lock the order first so concurrent callers (e.g. two receipt downloads) issue it once
+    const [[order]] = await connection.execute('SELECT id, delivery_fee FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+    const existing = await getInvoiceForOrder(orderId, connection);
+    if (existing) return existing;
+
+    const items = await getOrderItems(orderId, connection);
+    const { sellerState, placeOfSupply, supplyType } = await resolveSupply(orderId, connection);
+    const { totals } = computeTaxBreakdown(items, order.delivery_fee, supplyType);
+    const seller = getSellerDetails();
+
+    const issuedAt = new Date();
+    const year = financialYear(issuedAt);
+    await connection.execute(
+        `INSERT INTO invoice_sequences (financial_year, last_number) VALUES (?, 1)
+         ON DUPLICATE KEY UPDATE last_number = last_number + 1`,
+        [year]
+    );
+    const [[sequence]] = await connection.execute(
+        'SELECT last_number FROM invoice_sequences WHERE financial_year = ?',
+        [year]
+    );
+
+    await connection.execute(
+        `INSERT INTO invoices (order_id, invoice_number, financial_year, sequence_number, seller_name, seller_gstin,
+                               seller_address, seller_state, place_of_supply, supply_type, taxable_amount,
+                               cgst_amount, sgst_amount, igst_amount, total_amount, issued_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            orderId,
+            formatInvoiceNumber(year, sequence.last_number),
+            year,
+            sequence.last_number,
+            seller.name,
+            seller.gstin,
+            seller.address,
+            sellerState.name,
+            placeOfSupply.name,
+            supplyType,
+            totals.taxable_value,
+            totals.cgst,
+            totals.sgst,
+            totals.igst,
+            totals.grand_total,
+            issuedAt
+        ]
+    );
+
+    return getInvoiceForOrder(orderId, connection);
+};
+
+/**
+ * Invoice document of an order for receipts and the PDF. Before the invoice is
+ * issued (at dispatch) the tax breakdown is provisional and has no number.
+ * @param {object} order - order row with user_name, user_email and delivery_address
+ */
+export const buildOrderInvoice = async (order, connection = db) => {
+    const invoice = await getInvoiceForOrder(order.id, connection);
+    const items = await getOrderItems(order.id, connection);
+    const seller = getSellerDetails();
+
+    let sellerState;
+    let placeOfSupply;
+    let supplyType;
+    if (invoice) {
+        sellerState = resolveGstState(invoice.seller_state);
+        placeOfSupply = resolveGstState(invoice.place_of_supply);
+        supplyType = invoice.supply_type;
+    } else {
+        ({ sellerState, placeOfSupply, supplyType } = await resolveSupply(order.id, connection));
+    }
+
+    return {
+        status: invoice ? 'issued' : 'provisional',
+        invoice_number: invoice?.invoice_number ?? null,
+        invoice_date: invoice?.issued_at ?? null,
+        financial_year: invoice?.financial_year ?? null,
+        order_number: order.order_number,
+        order_date: order.created_at,
+        seller: {
+            name: invoice?.seller_name ?? seller.name,
+            gstin: invoice ? invoice.seller_gstin : seller.gstin,
+            address: invoice ? invoice.seller_address : seller.address,
+            state: sellerState.name,
+            state_code: sellerState.code,
+            drug_license: seller.drug_license
+        },
+        buyer: {
+            name: order.user_name,
+            email: order.user_email,
+            address: order.delivery_address
+        },
+        place_of_supply: { state: placeOfSupply.name, state_code: placeOfSupply.code },
+        supply_type: supplyType,
+        prices_include_tax: true,
+        ...computeTaxBreakdown(items, order.delivery_fee, supplyType)
+    };
+};
+
+const money = (value) => Number(value).toFixed(2);
+
+/**
+ * Render an invoice document (from buildOrderInvoice) as an A4 PDF.
+ * @returns {Buffer}
+ */
+export const renderInvoicePdf = (invoice) => {
+    const doc = createPdfDocument({ title: `Tax Invoice ${invoice.invoice_number || ''}`.trim() });
+    const margin = 40;
+    const contentWidth = doc.width - margin * 2;
+    const intraState = invoice.supply_type === 'intra_state';
+
+    const columns = [
+        { key: 'index', label: '#', width: 18 },
+        { key: 'description', label: 'Description', width: intraState ? 130 : 140 },
+        { key: 'hsn_code', label: 'HSN/SAC', width: 40 },
+        { key: 'quantity', label: 'Qty', width: 26, align: 'right' },
+        { key: 'unit_price', label: 'Rate', width: 46, align: 'right' },
+        { key: 'discount', label: 'Disc.', width: 38, align: 'right' },
+        { key: 'taxable_value', label: 'Taxable', width: 52, align: 'right' },
+        { key: 'gst_rate', label: 'GST %', width: 30, align: 'right' },
+        ...(intraState
+            ? [
+                { key: 'cgst', label: 'CGST', width: 45, align: 'right' },
+                { key: 'sgst', label: 'SGST', width: 45, align: 'right' }
+            ]
+            : [{ key: 'igst', label: 'IGST', width: 80, align: 'right' }]),
+        { key: 'total', label: 'Amount', width: 45, align: 'right' }
+    ];
+
+    let top = margin;
+
+    doc.text(margin, top, 'TAX INVOICE', { size: 16, bold: true, align: 'center', width: contentWidth });
+    top += 24;
+    if (invoice.status !== 'issued') {
+        doc.text(margin, top, 'Provisional - the invoice is issued when the order is dispatched', { size: 9, align: 'center', width: contentWidth, gray: 0.4 });
+        top += 14;
+    }
+
+    // Seller (left) and invoice details (right)
+    const blockTop = top;
+    const halfWidth = contentWidth / 2 - 10;
+    doc.text(margin, top, invoice.seller.name, { size: 11, bold: true });
+    top += 15;
+    const sellerLines = [
+        ...(invoice.seller.address ? wrapText(invoice.seller.address, halfWidth, 9) : []),
+        invoice.seller.state ? `State: ${invoice.seller.state}${invoice.seller.state_code ? ` (${invoice.seller.state_code})` : ''}` : null,
+        invoice.seller.gstin ? `GSTIN: ${invoice.seller.gstin}` : null,
+        invoice.seller.drug_license ? `Drug Licence No: ${invoice.seller.drug_license}` : null
+    ].filter(Boolean);
+    for (const line of sellerLines) {
+        doc.text(margin, top, line, { size: 9 });
+        top += 12;
+    }
+
+    const details = [
+        ['Invoice No', invoice.invoice_number || '-'],
+        ['Invoice Date', invoice.invoice_date ? new Date(invoice.invoice_date).toISOString().slice(0, 10) : '-'],
+        ['Order No', invoice.order_number || '-'],
+        ['Order Date', invoice.order_date ? new Date(invoice.order_date).toISOString().slice(0, 10) : '-'],
+        ['Place of Supply', `${invoice.place_of_supply.state || '-'}${invoice.place_of_supply.state_code ? ` (${invoice.place_of_supply.state_code})` : ''}`],
+        ['Supply', intraState ? 'Intra-state (CGST + SGST)' : 'Inter-state (IGST)']
+    ];
+    let detailsTop = blockTop;
+    const detailsLeft = margin + contentWidth / 2 + 10;
+    for (const [label, value] of details) {
+        doc.text(detailsLeft, detailsTop, `${label}:`, { size: 9, bold: true });
+        doc.text(detailsLeft + 80, detailsTop, value, { size: 9 });
+        detailsTop += 12;
+    }
+    top = Math.max(top, detailsTop) + 10;
+
+    // Buyer
+    doc.line(margin, top, margin + contentWidth, top);
+    top += 8;
+    doc.text(margin, top, 'Bill to / Ship to', { size: 9, bold: true });
+    top += 12;
+    const buyerLines = [invoice.buyer.name, ...wrapText(invoice.buyer.address || '', contentWidth, 9)].filter(Boolean);
+    for (const line of buyerLines) {
+        doc.text(margin, top, line, { size: 9 });
+        top += 12;
+    }
+    top += 8;
+
+    // Line items
+    const drawHeader = () => {
+        doc.rect(margin, top, contentWidth, 16, { fill: 0.9 });
+        let x = margin;
+        for (const column of columns) {
+            doc.text(x + 2, top + 4, column.label, { size: 8, bold: true, align: column.align || 'left', width: column.width - 4 });
+            x += column.width;
+        }
+        top += 16;
+    };
+    drawHeader();
+
+    invoice.lines.forEach((line, index) => {
+        const descriptionWidth = columns.find(column => column.key === 'description').width - 4;
+        const descriptionLines = wrapText(line.description, descriptionWidth, 8);
+        const rowHeight = descriptionLines.length * 10 + 6;
+
+        if (top + rowHeight > doc.height - margin - 20) {
+            doc.addPage();
+            top = margin;
+            drawHeader();
+        }
+
+        let x = margin;
+        for (const column of columns) {
+            if (column.key === 'description') {
+                descriptionLines.forEach((text, i) => doc.text(x + 2, top + 3 + i * 10, text, { size: 8 }));
+            } else {
+                const value = {
+                    index: String(index + 1),
+                    hsn_code: line.hsn_code,
+                    quantity: String(line.quantity),
+                    gst_rate: `${Number(line.gst_rate)}`
+                }[column.key] ?? money(line[column.key]);
+                doc.text(x + 2, top + 3, value, { size: 8, align: column.align || 'left', width: column.width - 4 });
+            }
+            x += column.width;
+        }
+        top += rowHeight;
+        doc.line(margin, top, margin + contentWidth, top, { width: 0.25 });
+    });
+
+    // Totals
+    const totals = [
+        ['Taxable value', invoice.totals.taxable_value],
+        ...(intraState
+            ? [['CGST', invoice.totals.cgst], ['SGST', invoice.totals.sgst]]
+            : [['IGST', invoice.totals.igst]]),
+        ['Total tax', invoice.totals.total_tax],
+        ['Invoice total (Rs.)', invoice.totals.grand_total]
+    ];
+    const summaryHeight = (totals.length + invoice.hsn_summary.length + 2) * 12 + 60;
+    if (top + summaryHeight > doc.height - margin) {
+        doc.addPage();
+        top = margin;
+    }
+
+    top += 10;
+    const totalsLeft = margin + contentWidth - 200;
+    totals.forEach(([label, value], index) => {
+        const last = index === totals.length - 1;
+        doc.text(totalsLeft, top, label, { size: 9, bold: last });
+        doc.text(totalsLeft + 100, top, money(value), { size: 9, bold: last, align: 'right', width: 100 });
+        top += 13;
+    });
+
+    // Tax per HSN/SAC code
+    top += 10;
+    doc.text(margin, top, 'Tax summary by HSN/SAC', { size: 9, bold: true });
+    top += 13;
+    const summaryColumns = intraState
+        ? ['HSN/SAC', 'GST %', 'Taxable', 'CGST', 'SGST']
+        : ['HSN/SAC', 'GST %', 'Taxable', 'IGST'];
+    summaryColumns.forEach((label, i) => doc.text(margin + i * 70, top, label, { size: 8, bold: true, align: i > 0 ? 'right' : 'left', width: 66 }));
+    top += 11;
+    for (const entry of invoice.hsn_summary) {
+        const values = intraState
+            ? [entry.hsn_code, `${Number(entry.gst_rate)}`, money(entry.taxable_value), money(entry.cgst), money(entry.sgst)]
+            : [entry.hsn_code, `${Number(entry.gst_rate)}`, money(entry.taxable_value), money(entry.igst)];
+        values.forEach((value, i) => doc.text(margin + i * 70, top, value, { size: 8, align: i > 0 ? 'right' : 'left', width: 66 }));
+        top += 11;
+    }
+
+    top += 14;
+    doc.text(margin, top, 'Prices are inclusive of GST. This is a computer-generated invoice and needs no signature.', { size: 8, gray: 0.4 });
+
+    return doc.toBuffer();
+};
+
+export default {
+    DEFAULT_HSN_CODE,
+    DEFAULT_GST_RATE,
+    GST_RATES,
+    DELIVERY_SAC_CODE,
+    DELIVERY_GST_RATE,
+    GST_STATE_CODES,
+    resolveGstState,
+    financialYear,
+    formatInvoiceNumber,
+    getSellerDetails,
+    computeTaxBreakdown,
+    getInvoiceForOrder,
+    issueOrderInvoice,
+    buildOrderInvoice,
+    renderInvoicePdf
+};
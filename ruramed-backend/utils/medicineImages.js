@@ -0,0 +1,238 @@
+import { db, withTransaction } from '../config/database.js';
+import { processImageVariants, fileUtils } from './fileUpload.js';
+
+// Medicine product images. Uploads are resized into the variants of
+// IMAGE_VARIANT_SIZES (see fileUpload.js) before anything is written, so the
+// transaction is never held open during image processing; files of a failed
+// upload are removed again.
+//
+// Catalog responses carry the variants as a srcset-style map per format,
+// e.g. srcset.webp = "…-thumbnail.webp 160w, …-medium.webp 480w, …".
+
+export const MAX_IMAGES_PER_MEDICINE = 10;
+
+const imageError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const IMAGE_COLUMNS = 'id, medicine_id, is_primary, sort_order, alt_text, width, height, variants';
+
+// "url 160w, url 480w" from smallest to largest, skipping sizes that came out the same (small originals are not enlarged)
+const buildSrcset = (variants, format) => {
+    const byWidth = new Map();
+    for (const variant of Object.values(variants)) {
+        if (!byWidth.has(variant.width)) byWidth.set(variant.width, variant[format]);
+    }
+    return [...byWidth.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([width, url]) => `${url} ${width}w`)
+        .join(', ');
+};
+
+const formatImage = (row) => {
+    const variants = typeof row.variants === 'string' ? JSON.parse(row.variants) : row.variants;
+    return {
+        id: row.id,
+        is_primary: !!row.is_primary,
+        sort_order: row.sort_order,
+        alt_text: row.alt_text,
+        width: row.width,
+        height: row.height,
+        variants,
+        srcset: {
+            webp: buildSrcset(variants, 'webp'),
+            jpeg: buildSrcset(variants, 'jpeg')
+        }
+    };
+};
+
+// Primary first, then in upload order
+export const getMedicineImages = async (medicineId, connection = db) => {
+    const [rows] = await connection.execute(
+        `SELECT ${IMAGE_COLUMNS} FROM medicine_images WHERE medicine_id = ? ORDER BY is_primary DESC, sort_order, id`,
+        [medicineId]
+    );
+    return rows.map(formatImage);
+};
+
+/**
+ * Add `image` (the primary image, or null) to each medicine; with `all`,
+ * also `images` with every image of the medicine.
+ */
+export const attachImages = async (medicines, { all = false } = {}, connection = db) => {
+    if (medicines.length === 0) return medicines;
+
+    const ids = [...new Set(medicines.map(medicine => medicine.id))];
+    const [rows] = await connection.execute(
+        `SELECT ${IMAGE_COLUMNS} FROM medicine_images
+         WHERE medicine_id IN (${ids.map(() => '?').join(', ')}) ${all ? '' : 'AND is_primary = 1'}
+         ORDER BY is_primary DESC, sort_order, id`,
+        ids
+    );
+
+    const byMedicine = new Map();
+    for (const row of rows) {
+        if (!byMedicine.has(row.medicine_id)) byMedicine.set(row.medicine_id, []);
+        byMedicine.get(row.medicine_id).push(formatImage(row));
+    }
+
+    return medicines.map(medicine => {
+        const images = byMedicine.get(medicine.id) || [];
+        const primary = images.find(image => image.is_primary) || null;
+        return all ? { ...medicine, image: primary, images } : { ...medicine, image: primary };
+    });
+};
+
+// Point medicines.image_url at the primary image (null when there are no images left)
+const syncImageUrl = async (connection, medicineId) => {
+    const [rows] = await connection.execute(
+        'SELECT variants FROM medicine_images WHERE medicine_id = ? AND is_primary = 1 LIMIT 1',
+        [medicineId]
+    );
+    const primary = rows[0] ? formatImage(rows[0]) : null;
+    await connection.execute(
+        'UPDATE medicines SET image_url = ? WHERE id = ?',
+        [primary ? primary.variants.medium.jpeg : null, medicineId]
+    );
+};
+
+const removeFiles = async (paths, userId) => {
+    await Promise.all(paths.map(filePath => fileUtils.deleteFile(filePath, userId)));
+};
+
+/**
+ * Process and add uploaded images to a medicine. The first file becomes the
+ * primary image when `primary` is set or the medicine has no primary yet.
+ * Throws a 400 error for unreadable images or too many images.
+ * @returns {Promise<{ created: number[], images: object[] }|null>} null if the medicine does not exist
+ */
+export const addMedicineImages = async (medicineId, files, { primary = false, altText = null, userId = null } = {}) => {
+    const [medicines] = await db.execute('SELECT id FROM medicines WHERE id = ?', [medicineId]);
+    if (medicines.length === 0) return null;
+
+    const [[{ count }]] = await db.execute('SELECT COUNT(*) as count FROM medicine_images WHERE medicine_id = ?', [medicineId]);
+    if (Number(count) + files.length > MAX_IMAGES_PER_MEDICINE) {
+        throw imageError(`A medicine can have at most ${MAX_IMAGES_PER_MEDICINE} images (it has ${count})`);
+    }
+
+    const processed = [];
+    let created;
+    try {
+        for (const file of files) {
+            processed.push(await processImageVariants(file, { subfolder: 'medicines' }, userId));
+        }
+
+        created = await withTransaction(async (connection) => {
+            await connection.execute('SELECT id FROM medicines WHERE id = ? FOR UPDATE', [medicineId]);
+            const [[existing]] = await connection.execute(
+                'SELECT COUNT(*) as count, MAX(sort_order) as max_sort, SUM(is_primary) as primaries FROM medicine_images WHERE medicine_id = ?',
+                [medicineId]
+            );
+            if (Number(existing.count) + files.length > MAX_IMAGES_PER_MEDICINE) {
+                throw imageError(`A medicine can have at most ${MAX_IMAGES_PER_MEDICINE} images (it has ${existing.count})`);
+            }
+
+            const makePrimary = primary || !Number(existing.primaries);
+            if (makePrimary) {
+                await connection.execute('UPDATE medicine_images SET is_primary = 0 WHERE medicine_id = ?', [medicineId]);
+            }
+
+            const ids = [];
+            let sortOrder = existing.max_sort === null ? -1 : Number(existing.max_sort);
+            for (const [index, image] of processed.entries()) {
+                const [result] = await connection.execute(
+                    `INSERT INTO medicine_images
+                     (medicine_id, is_primary, sort_order, alt_text, width, height, variants, storage_paths, created_by)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        medicineId, makePrimary && index === 0 ? 1 : 0, ++sortOrder, altText,
+                        image.width, image.height, JSON.stringify(image.variants), JSON.stringify(image.paths), userId
+                    ]
+                );
+                ids.push(result.insertId);
+            }
+
+            if (makePrimary) {
+                await syncImageUrl(connection, medicineId);
+            }
+            return ids;
+        });
+    } catch (error) {
+        await removeFiles(processed.flatMap(image => image.paths), userId);
+        throw error;
+    }
+
+    return { created, images: await getMedicineImages(medicineId) };
+};
+
+/**
+ * Change an image's alt text or position, or make it the primary image.
+ * @param {{ is_primary?: true, alt_text?: string|null, sort_order?: number }} changes
+ * @returns {Promise<boolean>} false if the medicine has no image with that id
+ */
+export const updateMedicineImage = async (medicineId, imageId, changes) => {
+    return withTransaction(async (connection) => {
+        const [rows] = await connection.execute(
+            'SELECT id FROM medicine_images WHERE id = ? AND medicine_id = ? FOR UPDATE',
+            [imageId, medicineId]
+        );
+        if (rows.length === 0) return false;
+
+        if (changes.alt_text !== undefined || changes.sort_order !== undefined) {
+            const fields = ['alt_text', 'sort_order'].filter(field => changes[field] !== undefined);
+            await connection.execute(
+                `UPDATE medicine_images SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+                [...fields.map(field => changes[field]), imageId]
+            );
+        }
+
+        if (changes.is_primary) {
+            await connection.execute(
+                'UPDATE medicine_images SET is_primary = (id = ?) WHERE medicine_id = ?',
+                [imageId, medicineId]
+            );
+            await syncImageUrl(connection, medicineId);
+        }
+        return true;
+    });
+};
+
+/**
+ * Delete an image and its files. When it was the primary image, the next one
+ * in order takes its place.
+ * @returns {Promise<boolean>} false if the medicine has no image with that id
+ */
+export const deleteMedicineImage = async (medicineId, imageId, userId = null) => {
+    const paths = await withTransaction(async (connection) => {
+        const [rows] = await connection.execute(
+            'SELECT id, is_primary, storage_paths FROM medicine_images WHERE id = ? AND medicine_id = ? FOR UPDATE',
+            [imageId, medicineId]
+        );
+        const image = rows[0];
+        if (!image) return null;
+
+        await connection.execute('DELETE FROM medicine_images WHERE id = ?', [imageId]);
+
+        if (image.is_primary) {
+            await connection.execute(
+                'UPDATE medicine_images SET is_primary = 1 WHERE medicine_id = ? ORDER BY sort_order, id LIMIT 1',
+                [medicineId]
+            );
+            await syncImageUrl(connection, medicineId);
+        }
+        return typeof image.storage_paths === 'string' ? JSON.parse(image.storage_paths) : image.storage_paths;
+    });
+
+    if (!paths) return false;
+
+    // deleteFile logs files it could not remove; the image is gone from the catalog either way
+    await removeFiles(paths, userId);
+    return true;
+};
+
+export default {
+    MAX_IMAGES_PER_MEDICINE,
+    getMedicineImages,
+    attachImages,
+    addMedicineImages,
+    updateMedicineImage,
+    deleteMedicineImage
+};
@@ -0,0 +1,258 @@
+import { db } from '../config/database.js';
+import { logError, logPerformance } from './logger.js';
+
+// In-memory index of the active catalog, used by search and autocomplete so
+// the hot paths do not touch the database:
+//   - vocabulary: words of names, generic names, manufacturers and monograph
+//     search text, for the typo correction in medicineSearch.js
+//   - prefixes: brand (medicine name) and generic name suggestions, sorted by
+//     every word start so "dol" finds "Dolo 650" and "650" does too
+//
+// The admin catalog handlers call refreshMedicineIndex() after a change. The
+// index is also rebuilt in the background once it is older than
+// INDEX_TTL_MS, in case the catalog was changed outside the API.
+
+const INDEX_TTL_MS = 10 * 60 * 1000;
+const MIN_VOCABULARY_WORD_LENGTH = 3;
+const MAX_PREFIX_SCAN = 5000;
+
+export const DEFAULT_AUTOCOMPLETE_LIMIT = 8;
+export const MAX_AUTOCOMPLETE_LIMIT = 20;
+
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+// Lower-cased words without accents; numbers are kept, punctuation splits words
+export const tokenize = (text) => String(text ?? '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(COMBINING_MARKS, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// Normalize like tokenize but keep single spaces between words, and record
+// where each normalized character came from in the original text
+const normalizeWithPositions = (text) => {
+    const source = String(text ?? '');
+    let normalized = '';
+    const positions = [];
+
+    for (let index = 0; index < source.length; index++) {
+        const folded = source[index].normalize('NFKD').replace(COMBINING_MARKS, '').toLowerCase();
+        for (const ch of folded) {
+            if (/[a-z0-9]/.test(ch)) {
+                normalized += ch;
+                positions.push(index);
+            } else if (normalized && !normalized.endsWith(' ')) {
+                normalized += ' ';
+                positions.push(index);
+            }
+        }
+    }
+
+    if (normalized.endsWith(' ')) {
+        normalized = normalized.slice(0, -1);
+        positions.pop();
+    }
+    return { normalized, positions };
+};
+
+export const normalizeQuery = (text) => normalizeWithPositions(text).normalized;
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[ch]);
+
+const buildIndex = (rows) => {
+    const vocabulary = new Map();
+    const suggestions = [];
+    const generics = new Map();
+
+    for (const row of rows) {
+        const words = new Set(tokenize(`${row.name} ${row.generic_name || ''} ${row.manufacturer} ${row.search_text || ''}`));
+        for (const word of words) {
+            if (word.length >= MIN_VOCABULARY_WORD_LENGTH && !/^\d+$/.test(word)) {
+                vocabulary.set(word, (vocabulary.get(word) || 0) + 1);
+            }
+        }
+
+        suggestions.push({
+            type: 'brand',
+            text: row.name,
+            medicine_id: row.id,
+            generic_name: row.generic_name,
+            strength: row.strength,
+            form: row.form,
+            manufacturer: row.manufacturer,
+            requires_prescription: !!row.requires_prescription
+        });
+
+        if (row.generic_name && row.generic_name.trim()) {
+            const key = normalizeQuery(row.generic_name);
+            const generic = generics.get(key);
+            if (generic) {
+                generic.medicine_count++;
+            } else {
+                generics.set(key, { type: 'generic', text: row.generic_name.trim(), medicine_count: 1 });
+            }
+        }
+    }
+    suggestions.push(...generics.values());
+
+    // One entry per word start of each suggestion, sorted for binary search
+    const prefixes = [];
+    for (const suggestion of suggestions) {
+        const { normalized, positions } = normalizeWithPositions(suggestion.text);
+        suggestion.normalized = normalized;
+        suggestion.positions = positions;
+        for (let offset = 0; offset < normalized.length; offset++) {
+            if (offset === 0 || normalized[offset - 1] === ' ') {
+                prefixes.push({ key: normalized.slice(offset), offset, suggestion });
+            }
+        }
+    }
+    prefixes.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+    return { vocabulary, prefixes, medicineCount: rows.length, builtAt: new Date() };
+};
+
+let index = null;
+let indexLoadedAt = 0;
+let indexLoading = null;
+let indexVersion = 0;
+
+const loadIndex = () => {
+    if (indexLoading) return indexLoading;
+
+    const version = indexVersion;
+    const startedAt = Date.now();
+    indexLoading = db.execute(
+        `SELECT m.id, m.name, m.generic_name, m.manufacturer, m.form, m.strength, m.requires_prescription, mm.search_text
+         FROM medicines m
+         LEFT JOIN medicine_monographs mm ON mm.medicine_id = m.id
+         WHERE m.is_active = 1`
+    )
+        .then(([rows]) => {
+            index = buildIndex(rows);
+            // A refresh requested while this load was running may not be in it; load again next time
+            indexLoadedAt = version === indexVersion ? Date.now() : 0;
+            logPerformance('medicine_index_built', Date.now() - startedAt, {
+                medicines: rows.length,
+                prefixes: index.prefixes.length
+            });
+            return index;
+        })
+        .finally(() => {
+            indexLoading = null;
+        });
+    return indexLoading;
+};
+
+/**
+ * The current catalog index. Waits only for the first build; after that a
+ * stale index is served while a fresh one is built.
+ * @returns {Promise<{ vocabulary: Map<string, number>, prefixes: object[], medicineCount: number, builtAt: Date }>}
+ */
+export const getMedicineIndex = async () => {
+    if (!index) {
+        return loadIndex();
+    }
+    if (Date.now() - indexLoadedAt >= INDEX_TTL_MS) {
+        loadIndex().catch(error => logError(error, { operation: 'medicine_index_refresh' }));
+    }
+    return index;
+};
+
+// Rebuild after a catalog change; never rejects, failures are logged and the old index stays in use
+export const refreshMedicineIndex = async () => {
+    indexVersion++;
+    indexLoadedAt = 0;
+    try {
+        if (indexLoading) await indexLoading.catch(() => {});
+        await loadIndex();
+    } catch (error) {
+        logError(error, { operation: 'medicine_index_refresh' });
+    }
+};
+
+// First prefix entry whose key is >= the query
+const lowerBound = (prefixes, query) => {
+    let low = 0;
+    let high = prefixes.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (prefixes[middle].key < query) low = middle + 1;
+        else high = middle;
+    }
+    return low;
+};
+
+const formatSuggestion = (suggestion, offset, length) => {
+    const start = suggestion.positions[offset];
+    const end = suggestion.positions[offset + length - 1] + 1;
+    const { text } = suggestion;
+
+    const base = {
+        type: suggestion.type,
+        text,
+        highlighted: `${escapeHtml(text.slice(0, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>${escapeHtml(text.slice(end))}`,
+        match: { start, end }
+    };
+
+    if (suggestion.type === 'generic') {
+        return { ...base, medicine_count: suggestion.medicine_count };
+    }
+    return {
+        ...base,
+        medicine_id: suggestion.medicine_id,
+        generic_name: suggestion.generic_name,
+        strength: suggestion.strength,
+        form: suggestion.form,
+        manufacturer: suggestion.manufacturer,
+        requires_prescription: suggestion.requires_prescription
+    };
+};
+
+/**
+ * Brand and generic suggestions starting with the query at a word boundary.
+ * Matches at the start of a name come first, then shorter names; generics
+ * shared by several brands come before single brands of equal rank.
+ * match holds the character range of text that matched; highlighted is the
+ * HTML-escaped text with that range wrapped in <mark>.
+ */
+export const autocompleteMedicines = async (q, limit = DEFAULT_AUTOCOMPLETE_LIMIT) => {
+    const query = normalizeQuery(q);
+    if (!query) return [];
+
+    const { prefixes } = await getMedicineIndex();
+    const matches = new Map();
+
+    const first = lowerBound(prefixes, query);
+    const last = Math.min(prefixes.length, first + MAX_PREFIX_SCAN);
+    for (let i = first; i < last && prefixes[i].key.startsWith(query); i++) {
+        const { suggestion, offset } = prefixes[i];
+        const existing = matches.get(suggestion);
+        if (!existing || offset < existing.offset) {
+            matches.set(suggestion, { suggestion, offset });
+        }
+    }
+
+    return [...matches.values()]
+        .sort((a, b) =>
+            (a.offset === 0 ? 0 : 1) - (b.offset === 0 ? 0 : 1) ||
+            (b.suggestion.medicine_count || 1) - (a.suggestion.medicine_count || 1) ||
+            a.suggestion.normalized.length - b.suggestion.normalized.length ||
+            a.suggestion.normalized.localeCompare(b.suggestion.normalized)
+        )
+        .slice(0, limit)
+        .map(({ suggestion, offset }) => formatSuggestion(suggestion, offset, query.length));
+};
+
+export default {
+    DEFAULT_AUTOCOMPLETE_LIMIT,
+    MAX_AUTOCOMPLETE_LIMIT,
+    tokenize,
+    normalizeQuery,
+    getMedicineIndex,
+    refreshMedicineIndex,
+    autocompleteMedicines
+};
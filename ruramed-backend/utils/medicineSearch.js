@@ -0,0 +1,277 @@
+import { db } from '../config/database.js';
+import { tokenize, getMedicineIndex } from './medicineIndex.js';
+
+// Ranked medicine search for GET /api/medicines/search.
+//
+// Matching uses the FULLTEXT index on (name, generic_name, short_description,
+// manufacturer) and the one on the monograph search text (salts, indications,
+// side effects, contraindications, warnings) in boolean mode with prefix
+// terms, plus a substring match on name and generic name for short queries.
+// Words that are not in the catalog vocabulary (kept by medicineIndex.js) are
+// corrected by trigram similarity, so "paracetmol" also searches for
+// "paracetamol".
+//
+// Results rank exact and prefix name matches first, then generic name
+// matches, then full-text relevance, where monograph matches weigh less than
+// matches in the medicine itself. Filters are part of the SQL, and facet
+// counts are GROUP BY queries over the matches: each facet is counted with
+// every filter applied except its own, so the other options of a facet stay
+// visible after one is picked.
+
+export const PRICE_RANGES = [
+    { key: 'under-50', min: 0, max: 50 },
+    { key: '50-100', min: 50, max: 100 },
+    { key: '100-250', min: 100, max: 250 },
+    { key: '250-500', min: 250, max: 500 },
+    { key: '500-plus', min: 500, max: null }
+];
+
+const MAX_MANUFACTURER_FACETS = 20;
+const MIN_FULLTEXT_WORD_LENGTH = 3;
+const MIN_CORRECTABLE_WORD_LENGTH = 4;
+const SIMILARITY_THRESHOLD = 0.35;
+const MAX_CORRECTIONS_PER_WORD = 2;
+
+const FULLTEXT_COLUMNS = 'name, generic_name, short_description, manufacturer';
+
+// Trigrams of a word padded the way pg_trgm does ("  w", " wo", ..., "rd ")
+const trigrams = (word) => {
+    const padded = `  ${word} `;
+    const grams = new Set();
+    for (let i = 0; i < padded.length - 2; i++) {
+        grams.add(padded.slice(i, i + 3));
+    }
+    return grams;
+};
+
+// Shared trigrams over all distinct trigrams of the two words (0 to 1)
+export const trigramSimilarity = (a, b) => {
+    const gramsA = trigrams(a);
+    const gramsB = trigrams(b);
+    let shared = 0;
+    for (const gram of gramsA) {
+        if (gramsB.has(gram)) shared++;
+    }
+    return shared / (gramsA.size + gramsB.size - shared);
+};
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, ch => `\\${ch}`);
+
+// Closest catalog words to a word that is not in the catalog, best first
+const suggestCorrections = (word, words) => {
+    const matches = [];
+    for (const [candidate, frequency] of words) {
+        if (Math.abs(candidate.length - word.length) > 3) continue;
+        const similarity = trigramSimilarity(word, candidate);
+        if (similarity >= SIMILARITY_THRESHOLD) {
+            matches.push({ candidate, similarity, frequency });
+        }
+    }
+    return matches
+        .sort((a, b) => b.similarity - a.similarity || b.frequency - a.frequency)
+        .slice(0, MAX_CORRECTIONS_PER_WORD)
+        .map(match => match.candidate);
+};
+
+const isKnownWord = (word, words) => {
+    if (words.has(word)) return true;
+    for (const candidate of words.keys()) {
+        if (candidate.startsWith(word)) return true;
+    }
+    return false;
+};
+
+/**
+ * Turn a search query into a FULLTEXT boolean-mode expression.
+ * Catalog words (or prefixes of them) and corrected words are required;
+ * other words are optional and only add to the relevance.
+ * @returns {Promise<{ expression: string, corrections: Array<{ term: string, suggestions: string[] }> }>}
+ */
+export const buildFulltextQuery = async (q) => {
+    const words = [...new Set(tokenize(q))].filter(word => word.length >= MIN_FULLTEXT_WORD_LENGTH);
+    if (words.length === 0) {
+        return { expression: '', corrections: [] };
+    }
+
+    const { vocabulary: vocabularyWords } = await getMedicineIndex();
+    const corrections = [];
+    const groups = words.map(word => {
+        // Numbers are not in the vocabulary (strengths live in their own column), so never required
+        if (/^\d+$/.test(word)) {
+            return `${word}*`;
+        }
+        if (isKnownWord(word, vocabularyWords)) {
+            return `+${word}*`;
+        }
+        const suggestions = word.length >= MIN_CORRECTABLE_WORD_LENGTH
+            ? suggestCorrections(word, vocabularyWords)
+            : [];
+        if (suggestions.length === 0) {
+            return `${word}*`;
+        }
+        corrections.push({ term: word, suggestions });
+        return `+(${[word, ...suggestions].map(term => `${term}*`).join(' ')})`;
+    });
+
+    return { expression: groups.join(' '), corrections };
+};
+
+// SQL for the query: its match conditions and relevance, or everything active by name without one
+const buildMatch = async (q) => {
+    const match = { relevance: '0', relevanceParams: [], conditions: [], params: [], joinMonographs: false, corrections: [] };
+    if (!q) return match;
+
+    const fulltext = await buildFulltextQuery(q);
+    match.corrections = fulltext.corrections;
+
+    const term = q.trim();
+    const contains = `%${escapeLike(term)}%`;
+    const prefix = `${escapeLike(term)}%`;
+
+    match.relevance = `
+        (CASE WHEN name = ? THEN 100 WHEN name LIKE ? THEN 40 WHEN name LIKE ? THEN 20 ELSE 0 END)
+        + (CASE WHEN generic_name = ? THEN 60 WHEN generic_name LIKE ? THEN 30 WHEN generic_name LIKE ? THEN 10 ELSE 0 END)`;
+    match.relevanceParams.push(term, prefix, contains, term, prefix, contains);
+
+    const matchConditions = ['name LIKE ?', 'generic_name LIKE ?'];
+    match.params.push(contains, contains);
+
+    if (fulltext.expression) {
+        match.relevance += ` + MATCH(${FULLTEXT_COLUMNS}) AGAINST (? IN BOOLEAN MODE) * 10`;
+        match.relevance += ' + COALESCE(MATCH(mm.search_text) AGAINST (? IN BOOLEAN MODE), 0) * 3';
+        match.relevanceParams.push(fulltext.expression, fulltext.expression);
+        matchConditions.push(`MATCH(${FULLTEXT_COLUMNS}) AGAINST (? IN BOOLEAN MODE)`, 'MATCH(mm.search_text) AGAINST (? IN BOOLEAN MODE)');
+        match.params.push(fulltext.expression, fulltext.expression);
+        match.joinMonographs = true;
+    }
+
+    match.conditions.push(`(${matchConditions.join(' OR ')})`);
+    return match;
+};
+
+// FROM and WHERE for the matches passing the filters, leaving out the one named by except
+const buildScope = (match, filters, except = null) => {
+    const conditions = ['is_active = 1', ...match.conditions];
+    const params = [...match.params];
+
+    for (const field of ['category', 'form', 'manufacturer']) {
+        if (except !== field && filters[field].length > 0) {
+            conditions.push(`${field} IN (${filters[field].map(() => '?').join(', ')})`);
+            params.push(...filters[field]);
+        }
+    }
+    if (except !== 'price') {
+        if (filters.min_price !== null) {
+            conditions.push('price >= ?');
+            params.push(filters.min_price);
+        }
+        if (filters.max_price !== null) {
+            conditions.push('price <= ?');
+            params.push(filters.max_price);
+        }
+    }
+    if (except !== 'requires_prescription' && filters.requires_prescription !== null) {
+        conditions.push('requires_prescription = ?');
+        params.push(filters.requires_prescription ? 1 : 0);
+    }
+
+    const join = match.joinMonographs ? 'LEFT JOIN medicine_monographs mm ON mm.medicine_id = medicines.id' : '';
+    return { from: `FROM medicines ${join} WHERE ${conditions.join(' AND ')}`, params };
+};
+
+// Matches per value of a column, most first
+const countValues = async (match, filters, field, limit = null) => {
+    const scope = buildScope(match, filters, field);
+    const [rows] = await db.execute(
+        `SELECT ${field} as value, COUNT(*) as count ${scope.from} AND ${field} IS NOT NULL AND ${field} <> ''
+         GROUP BY ${field}
+         ORDER BY count DESC, value ASC
+         ${limit ? `LIMIT ${parseInt(limit, 10)}` : ''}`,
+        scope.params
+    );
+    return rows.map(row => ({ value: row.value, count: Number(row.count) }));
+};
+
+const countPriceRanges = async (match, filters) => {
+    const scope = buildScope(match, filters, 'price');
+    const [[counts]] = await db.execute(
+        `SELECT ${PRICE_RANGES.map((range, index) => (
+            range.max === null
+                ? `COALESCE(SUM(price >= ${range.min}), 0) as range_${index}`
+                : `COALESCE(SUM(price >= ${range.min} AND price < ${range.max}), 0) as range_${index}`
+        )).join(', ')}
+         ${scope.from}`,
+        scope.params
+    );
+    return PRICE_RANGES.map((range, index) => ({ ...range, count: Number(counts[`range_${index}`]) }));
+};
+
+const countPrescriptionValues = async (match, filters) => {
+    const scope = buildScope(match, filters, 'requires_prescription');
+    const [rows] = await db.execute(
+        `SELECT requires_prescription as value, COUNT(*) as count ${scope.from}
+         GROUP BY requires_prescription
+         ORDER BY count DESC, value ASC`,
+        scope.params
+    );
+    return rows.map(row => ({ value: !!row.value, count: Number(row.count) }));
+};
+
+const buildFacets = async (match, filters) => {
+    const [category, form, manufacturer, priceRange, requiresPrescription] = await Promise.all([
+        countValues(match, filters, 'category'),
+        countValues(match, filters, 'form'),
+        countValues(match, filters, 'manufacturer', MAX_MANUFACTURER_FACETS),
+        countPriceRanges(match, filters),
+        countPrescriptionValues(match, filters)
+    ]);
+
+    return {
+        category,
+        form,
+        manufacturer,
+        price_range: priceRange,
+        requires_prescription: requiresPrescription
+    };
+};
+
+/**
+ * Search active medicines. Matching, filters, paging and facet counts all run
+ * in SQL over the whole catalog.
+ * @param {{ q?: string|null, filters: { category: string[], form: string[], manufacturer: string[],
+ *   min_price: number|null, max_price: number|null, requires_prescription: boolean|null },
+ *   limit: number, offset: number }} options
+ * @returns {Promise<{ medicines: object[], total: number, facets: object,
+ *   corrections: Array<{ term: string, suggestions: string[] }> }>}
+ *   medicines are full rows for the requested page in rank order; total counts the filtered matches
+ */
+export const searchMedicineCatalog = async ({ q = null, filters, limit, offset }) => {
+    const match = await buildMatch(q);
+    const scope = buildScope(match, filters);
+
+    const [[rows], [[{ total }]], facets] = await Promise.all([
+        db.execute(
+            `SELECT medicines.*, ${match.relevance} as relevance
+             ${scope.from}
+             ORDER BY relevance DESC, name ASC
+             LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`,
+            [...match.relevanceParams, ...scope.params]
+        ),
+        db.execute(`SELECT COUNT(*) as total ${scope.from}`, scope.params),
+        buildFacets(match, filters)
+    ]);
+
+    return {
+        medicines: rows.map(row => ({ ...row, relevance: Number(row.relevance) })),
+        total: Number(total),
+        facets,
+        corrections: match.corrections
+    };
+};
+
+export default {
+    PRICE_RANGES,
+    trigramSimilarity,
+    buildFulltextQuery,
+    searchMedicineCatalog
+};
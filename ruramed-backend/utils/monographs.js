@@ -0,0 +1,71 @@
+import { db } from '../config/database.js';
+
+// Medicine monographs (composition, indications, dosage, side effects,
+// contraindications, warnings, pregnancy/lactation category, storage and
+// pack size). Values arrive validated and HTML-escaped from
+// validateMonographData. search_text is rebuilt on every save from the
+// fields people search by; medicineSearch.js matches it and medicineIndex.js
+// adds its words to the typo-correction vocabulary.
+
+export const MONOGRAPH_FIELDS = [
+    'composition', 'indications', 'dosage', 'side_effects', 'contraindications', 'warnings',
+    'pregnancy_category', 'lactation_category', 'storage', 'pack_size'
+];
+
+const SEARCHED_FIELDS = ['indications', 'side_effects', 'contraindications', 'warnings'];
+
+// Entities from the HTML escaping would otherwise show up as words
+const plainText = (text) => String(text ?? '').replace(/&(#\d+|[a-z]+);/gi, ' ');
+
+export const buildSearchText = (monograph) => [
+    ...(monograph.composition || []).map(entry => entry.salt),
+    ...SEARCHED_FIELDS.map(field => monograph[field])
+]
+    .filter(Boolean)
+    .map(plainText)
+    .join('\n');
+
+const formatMonograph = (row) => ({
+    ...Object.fromEntries(MONOGRAPH_FIELDS.map(field => [field, row[field]])),
+    composition: typeof row.composition === 'string' ? JSON.parse(row.composition) : row.composition,
+    updated_at: row.updated_at
+});
+
+// The monograph of a medicine, or null when it has none
+export const getMonograph = async (medicineId, connection = db) => {
+    const [rows] = await connection.execute(
+        `SELECT ${MONOGRAPH_FIELDS.join(', ')}, updated_at FROM medicine_monographs WHERE medicine_id = ?`,
+        [medicineId]
+    );
+    return rows[0] ? formatMonograph(rows[0]) : null;
+};
+
+/**
+ * Create or replace the monograph of a medicine.
+ * @param {object} monograph every field of MONOGRAPH_FIELDS, null when empty
+ */
+export const saveMonograph = async (medicineId, monograph, adminId = null, connection = db) => {
+    const values = MONOGRAPH_FIELDS.map(field => (
+        field === 'composition' && monograph.composition ? JSON.stringify(monograph.composition) : monograph[field] ?? null
+    ));
+
+    await connection.execute(
+        `INSERT INTO medicine_monographs (medicine_id, ${MONOGRAPH_FIELDS.join(', ')}, search_text, updated_by)
+         VALUES (?, ${MONOGRAPH_FIELDS.map(() => '?').join(', ')}, ?, ?)
+         ON DUPLICATE KEY UPDATE ${[...MONOGRAPH_FIELDS, 'search_text', 'updated_by'].map(field => `${field} = VALUES(${field})`).join(', ')}`,
+        [medicineId, ...values, buildSearchText(monograph), adminId]
+    );
+};
+
+export const deleteMonograph = async (medicineId, connection = db) => {
+    const [result] = await connection.execute('DELETE FROM medicine_monographs WHERE medicine_id = ?', [medicineId]);
+    return result.affectedRows > 0;
+};
+
+export default {
+    MONOGRAPH_FIELDS,
+    buildSearchText,
+    getMonograph,
+    saveMonograph,
+    deleteMonograph
+};
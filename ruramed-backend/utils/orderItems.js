@@ -0,0 +1,120 @@
+import { db } from '../config/database.js';
+
+// Order line items. Name, price, MRP, HSN code and GST rate are snapshotted when
+// the order is placed so receipts, invoices and analytics are unaffected by
+// later catalog changes.
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Insert the line items of a new order.
+ * @param {object} connection - transaction connection
+ * @param {number} orderId
+ * @param {Array<{ medicine_id, medicine_name, hsn_code?, gst_rate?, unit_price, mrp, quantity, discount_amount?, requires_prescription, pharmacy_id?, shipment_id? }>} items
+ *   lines with a pharmacy_id hold a stock reservation at that pharmacy, from the lots in batches
+ */
+export const insertOrderItems = async (connection, orderId, items) => {
+    for (const item of items) {
+        const discount = item.discount_amount || 0;
+        const [result] = await connection.execute(
+            `INSERT INTO order_items (order_id, medicine_id, medicine_name, hsn_code, gst_rate, unit_price, mrp, quantity, discount_amount,
+                                      line_total, requires_prescription, pharmacy_id, shipment_id, stock_status)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                orderId,
+                item.medicine_id,
+                item.medicine_name,
+                item.hsn_code ?? null,
+                item.gst_rate ?? null,
+                item.unit_price,
+                item.mrp,
+                item.quantity,
+                discount,
+                roundAmount(item.unit_price * item.quantity - discount),
+                item.requires_prescription ? 1 : 0,
+                item.pharmacy_id ?? null,
+                item.shipment_id ?? null,
+                item.pharmacy_id ? 'reserved' : null
+            ]
+        );
+
+        for (const batch of item.batches || []) {
+            await connection.execute(
+                'INSERT INTO order_item_batches (order_item_id, batch_id, quantity) VALUES (?, ?, ?)',
+                [result.insertId, batch.batch_id, batch.quantity]
+            );
+        }
+    }
+};
+
+// API shape of a line item; id/name/price/total keep the fields the old medicines JSON had
+export const formatOrderItem = (row, batches = []) => ({
+    item_id: row.id,
+    id: row.medicine_id,
+    name: row.medicine_name,
+    hsn_code: row.hsn_code ?? null,
+    gst_rate: row.gst_rate === null || row.gst_rate === undefined ? null : parseFloat(row.gst_rate),
+    price: parseFloat(row.unit_price),
+    mrp: parseFloat(row.mrp),
+    quantity: row.quantity,
+    discount: parseFloat(row.discount_amount),
+    total: parseFloat(row.line_total),
+    requires_prescription: !!row.requires_prescription,
+    shipment_id: row.shipment_id ?? null,
+    batches
+});
+
+// Line items for several orders, grouped by order id
+export const getItemsForOrders = async (orderIds, connection = db) => {
+    const grouped = new Map(orderIds.map(id => [Number(id), []]));
+    if (orderIds.length === 0) return grouped;
+
+    const [rows] = await connection.execute(
+        `SELECT * FROM order_items WHERE order_id IN (${orderIds.map(() => '?').join(', ')}) ORDER BY order_id, id`,
+        orderIds
+    );
+
+    // Lots each line was filled from (batch number and expiry, as printed on the pack)
+    const batchesByItem = new Map();
+    if (rows.length > 0) {
+        const [batchRows] = await connection.execute(
+            `SELECT oib.order_item_id, oib.quantity, b.batch_number, b.expiry_date
+             FROM order_item_batches oib
+             JOIN medicine_batches b ON oib.batch_id = b.id
+             WHERE oib.order_item_id IN (${rows.map(() => '?').join(', ')})
+             ORDER BY b.expiry_date`,
+            rows.map(row => row.id)
+        );
+        for (const { order_item_id, ...batch } of batchRows) {
+            if (!batchesByItem.has(order_item_id)) batchesByItem.set(order_item_id, []);
+            batchesByItem.get(order_item_id).push(batch);
+        }
+    }
+
+    for (const row of rows) {
+        grouped.get(row.order_id)?.push(formatOrderItem(row, batchesByItem.get(row.id) || []));
+    }
+    return grouped;
+};
+
+export const getOrderItems = async (orderId, connection = db) => {
+    const grouped = await getItemsForOrders([orderId], connection);
+    return grouped.get(Number(orderId)) || [];
+};
+
+// Replace the legacy medicines column with line items on a list of order rows
+export const attachOrderItems = async (orders, connection = db) => {
+    const grouped = await getItemsForOrders(orders.map(order => order.id), connection);
+    return orders.map(({ medicines, ...order }) => ({
+        ...order,
+        medicines: grouped.get(order.id) || []
+    }));
+};
+
+export default {
+    insertOrderItems,
+    formatOrderItem,
+    getItemsForOrders,
+    getOrderItems,
+    attachOrderItems
+};
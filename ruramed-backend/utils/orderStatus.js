@@ -0,0 +1,159 @@
+import { canTransitionDelivery, updateDeliveryState } from './deliveryTracking.js';
+import { releaseOrderStock, consumeOrderStock } from './inventory.js';
+import { recordCashOnDelivery, queueOrderRefund } from './payments.js';
+import { issueOrderInvoice } from './invoices.js';
+
+// Order lifecycle shared by order, admin and delivery controllers.
+// All writers take a connection so they can join the caller's transaction.
+
+export const ORDER_STATUSES = [
+    'pending', 'confirmed', 'approved', 'processing', 'shipped', 'out_for_delivery', 'delivered', 'cancelled', 'rejected'
+];
+
+// Allowed next statuses for each order status
+export const ORDER_TRANSITIONS = {
+    pending: ['confirmed', 'approved', 'rejected', 'cancelled'],
+    confirmed: ['approved', 'rejected', 'cancelled'],
+    approved: ['processing', 'out_for_delivery', 'cancelled'],
+    processing: ['shipped', 'out_for_delivery', 'cancelled'],
+    shipped: ['out_for_delivery', 'delivered'],
+    out_for_delivery: ['delivered'],
+    delivered: [],
+    cancelled: [],
+    rejected: []
+};
+
+// Statuses a customer can still cancel from
+export const CUSTOMER_CANCELLABLE_STATUSES = ['pending', 'confirmed', 'approved'];
+
+// Statuses that end an order before delivery
+export const TERMINAL_FAILURE_STATUSES = ['cancelled', 'rejected'];
+
+// Statuses at which the order has left the pharmacy and its reserved stock is used up
+export const DISPATCHED_STATUSES = ['shipped', 'out_for_delivery', 'delivered'];
+
+// Statuses a prepaid order only reaches once its payment is captured
+export const PAYMENT_REQUIRED_STATUSES = ['approved', 'processing', 'shipped', 'out_for_delivery', 'delivered'];
+
+export const canTransitionOrder = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+// Whether moving to `to` has to wait for the prepaid order's payment
+export const awaitsPayment = (order, to) => (
+    order.payment_method === 'prepaid' && order.payment_status !== 'paid' && PAYMENT_REQUIRED_STATUSES.includes(to)
+);
+
+// Append an entry to an order's status history
+export const recordOrderStatus = async (connection, orderId, fromStatus, toStatus, {
+    notes = null,
+    actorType = 'system',
+    actorId = null
+} = {}) => {
+    await connection.execute(
+        `INSERT INTO order_status_history (order_id, from_status, to_status, notes, actor_type, actor_id)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [orderId, fromStatus, toStatus, notes, actorType, actorId]
+    );
+};
+
+/**
+ * Move an order to a new status if the transition graph allows it and record
+ * the change. A prepaid order stays at pending/confirmed until it is paid
+ * (`payment_required` is set when that is why the move was refused). Cancelling or rejecting releases the order's reserved stock,
+ * cancels the pending delivery and queues a refund of anything paid (send it
+ * with payments.processPendingRefunds after commit); dispatching consumes the
+ * reserved stock and issues the GST invoice, and delivering a COD order marks
+ * it paid.
+ * The order row is locked for the rest of the caller's transaction.
+ * @returns {Promise<{ found: boolean, allowed?: boolean, payment_required?: boolean, from?: string, to?: string, refunds_queued?: number }>}
+ */
+export const transitionOrderStatus = async (connection, orderId, toStatus, {
+    reason = null,
+    notes = null,
+    actorType = 'system',
+    actorId = null
+} = {}) => {
+    const [orders] = await connection.execute(
+        'SELECT id, status, payment_method, payment_status FROM orders WHERE id = ? FOR UPDATE',
+        [orderId]
+    );
+    if (orders.length === 0) return { found: false };
+
+    const from = orders[0].status;
+    if (!canTransitionOrder(from, toStatus)) {
+        return { found: true, allowed: false, from, to: toStatus };
+    }
+    if (awaitsPayment(orders[0], toStatus)) {
+        return { found: true, allowed: false, payment_required: true, from, to: toStatus };
+    }
+
+    await connection.execute(
+        'UPDATE orders SET status = ?, rejection_reason = ? WHERE id = ?',
+        [toStatus, toStatus === 'rejected' ? reason : null, orderId]
+    );
+
+    await recordOrderStatus(connection, orderId, from, toStatus, {
+        notes: [reason, notes].filter(Boolean).join(' - ') || null,
+        actorType,
+        actorId
+    });
+
+    if (DISPATCHED_STATUSES.includes(toStatus)) {
+        await consumeOrderStock(connection, orderId);
+        await issueOrderInvoice(connection, orderId);
+    }
+
+    if (toStatus === 'delivered') {
+        await recordCashOnDelivery(connection, orderId);
+    }
+
+    let refundsQueued = 0;
+    if (TERMINAL_FAILURE_STATUSES.includes(toStatus)) {
+        await releaseOrderStock(connection, orderId);
+
+        refundsQueued = await queueOrderRefund(connection, orderId, {
+            reason: toStatus === 'rejected' ? `Order rejected: ${reason || 'no reason given'}` : 'Order cancelled',
+            actorType,
+            actorId
+        });
+
+        const [deliveries] = await connection.execute(
+            'SELECT id, status FROM deliveries WHERE order_id = ?',
+            [orderId]
+        );
+        const delivery = deliveries[0];
+        if (delivery && canTransitionDelivery(delivery.status, 'cancelled')) {
+            await updateDeliveryState(connection, delivery.id, 'cancelled', {
+                notes: toStatus === 'rejected' ? 'Order rejected' : 'Order cancelled',
+                actorType,
+                actorId
+            });
+        }
+    }
+
+    return { found: true, allowed: true, from, to: toStatus, refunds_queued: refundsQueued };
+};
+
+// Status history of an order, oldest first
+export const getOrderStatusHistory = async (connection, orderId) => {
+    const [rows] = await connection.execute(
+        `SELECT from_status, to_status, notes, actor_type, created_at
+         FROM order_status_history WHERE order_id = ?
+         ORDER BY created_at, id`,
+        [orderId]
+    );
+    return rows;
+};
+
+export default {
+    ORDER_STATUSES,
+    ORDER_TRANSITIONS,
+    CUSTOMER_CANCELLABLE_STATUSES,
+    TERMINAL_FAILURE_STATUSES,
+    DISPATCHED_STATUSES,
+    PAYMENT_REQUIRED_STATUSES,
+    canTransitionOrder,
+    awaitsPayment,
+    recordOrderStatus,
+    transitionOrderStatus,
+    getOrderStatusHistory
+};
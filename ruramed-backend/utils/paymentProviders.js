@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+
+// Payment provider adapters. An adapter wraps one gateway behind the same
+// interface so the payments module never talks to a gateway directly:
+//
+//   name                                   registry key, stored in payments.provider
+//   createPayment({ paymentId, orderId, orderNumber, amount, currency })
+//       -> { provider_payment_id, next_action }   next_action tells the client how to pay
+//   refundPayment({ providerPaymentId, amount, reason, refundId })
+//       -> { provider_refund_id, status: 'processing' | 'succeeded' }
+//   verifyWebhook(rawBody, headers) -> boolean
+//   parseWebhook(body) -> { event_id, type, provider_payment_id, provider_refund_id?, amount?, currency?, failure_reason? }
+//       type is one of WEBHOOK_EVENT_TYPES; payment.captured must carry the captured amount
+//       (and currency when the gateway reports it), which has to match the payment attempt
+//
+// Register real gateways with registerPaymentProvider; the built-in sandbox
+// provider completes payments locally and signs its webhooks like a gateway would.
+
+export const WEBHOOK_EVENT_TYPES = ['payment.captured', 'payment.failed', 'refund.succeeded', 'refund.failed'];
+
+// Reject webhooks signed more than this long ago (replay protection)
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+const providers = new Map();
+
+export const registerPaymentProvider = (adapter) => {
+    providers.set(adapter.name, adapter);
+};
+
+// Adapter by name, or the configured default (PAYMENT_PROVIDER, sandbox if unset)
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'sandbox') => providers.get(name) || null;
+
+// Sandbox is always available outside production; in production only when explicitly
+// enabled and given its own webhook secret (the development default is public)
+export const isSandboxEnabled = () =>
+    process.env.NODE_ENV !== 'production' ||
+    (process.env.PAYMENT_SANDBOX_ENABLED === 'true' && !!process.env.SANDBOX_PAYMENT_WEBHOOK_SECRET);
+
+const sandboxSecret = () => process.env.SANDBOX_PAYMENT_WEBHOOK_SECRET || 'sandbox-webhook-secret';
+
+const hmac = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+/**
+ * Verify a "t=<unix seconds>,v1=<hex hmac>" signature header over "<t>.<raw body>".
+ * Shared by adapters whose gateway signs webhooks this way.
+ */
+export const verifySignatureHeader = (header, rawBody, secret, now = Date.now()) => {
+    const parts = Object.fromEntries(
+        String(header || '').split(',').map(part => part.trim().split('=')).filter(pair => pair.length === 2)
+    );
+    const timestamp = parseInt(parts.t, 10);
+    if (!parts.v1 || isNaN(timestamp) || Math.abs(now / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+        return false;
+    }
+
+    const expected = Buffer.from(hmac(secret, `${timestamp}.${rawBody}`), 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+export const sandboxProvider = {
+    name: 'sandbox',
+
+    createPayment: async ({ amount, currency }) => {
+        const providerPaymentId = `sbx_pay_${uuidv4().replace(/-/g, '')}`;
+        return {
+            provider_payment_id: providerPaymentId,
+            next_action: {
+                type: 'sandbox_checkout',
+                method: 'POST',
+                url: `/api/payments/sandbox/${providerPaymentId}/complete`,
+                body: { outcome: 'success | failure' },
+                amount,
+                currency
+            }
+        };
+    },
+
+    // Sandbox refunds settle immediately
+    refundPayment: async () => ({
+        provider_refund_id: `sbx_rfnd_${uuidv4().replace(/-/g, '')}`,
+        status: 'succeeded'
+    }),
+
+    verifyWebhook: (rawBody, headers) =>
+        verifySignatureHeader(headers['x-sandbox-signature'], rawBody, sandboxSecret()),
+
+    parseWebhook: (body) => ({
+        event_id: body.id,
+        type: body.type,
+        provider_payment_id: body.data?.payment_id ?? null,
+        provider_refund_id: body.data?.refund_id ?? null,
+        amount: body.data?.amount ?? null,
+        currency: body.data?.currency ?? null,
+        failure_reason: body.data?.failure_reason ?? null
+    }),
+
+    // Build a signed webhook as the sandbox "gateway" would send it
+    signWebhook: (type, data, now = Date.now()) => {
+        const rawBody = JSON.stringify({ id: `sbx_evt_${uuidv4().replace(/-/g, '')}`, type, data });
+        const timestamp = Math.floor(now / 1000);
+        return {
+            rawBody,
+            headers: { 'x-sandbox-signature': `t=${timestamp},v1=${hmac(sandboxSecret(), `${timestamp}.${rawBody}`)}` }
+        };
+    }
+};
+
+if (isSandboxEnabled()) {
+    registerPaymentProvider(sandboxProvider);
+} else if (process.env.PAYMENT_SANDBOX_ENABLED === 'true') {
+    console.warn('⚠️  Sandbox payments not enabled: SANDBOX_PAYMENT_WEBHOOK_SECRET is not set');
+}
+
+export default {
+    WEBHOOK_EVENT_TYPES,
+    registerPaymentProvider,
+    getPaymentProvider,
+    isSandboxEnabled,
+    verifySignatureHeader,
+    sandboxProvider
+};
@@ -0,0 +1,484 @@
+import { db, withTransaction } from '../config/database.js';
+import { getPaymentProvider, WEBHOOK_EVENT_TYPES } from './paymentProviders.js';
+import { logger, logError } from './logger.js';
+
+// Order payments. Prepaid orders are paid through a provider adapter
+// (paymentProviders.js) and settled by the provider's signed webhooks; COD
+// orders are marked paid when delivered. Cancelling or rejecting a paid order
+// queues a refund in the same transaction; refunds are sent to the provider
+// after the transaction commits and retried by a scheduled job.
+// Writers take a connection so they can join the caller's transaction.
+
+export const PAYMENT_METHODS = ['cod', 'prepaid'];
+
+// Payment statuses a prepaid order can still be paid from
+export const PAYABLE_STATUSES = ['pending', 'failed'];
+
+// A refund that keeps failing is left for an admin to retry
+export const MAX_REFUND_ATTEMPTS = 5;
+
+// Order statuses that ended before delivery (see orderStatus.TERMINAL_FAILURE_STATUSES)
+const ENDED_ORDER_STATUSES = ['cancelled', 'rejected'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Start a prepaid payment attempt for an order with the configured provider.
+ * Earlier attempts still open are marked failed, so at most one is open; a
+ * customer can still complete an old attempt at the provider, and a second
+ * capture is refunded when its webhook arrives (see applyPaymentEvent).
+ * @param {{ id, order_number, total_amount }} order
+ * @returns {Promise<{ payment_id, provider, provider_payment_id, amount, currency, next_action }>}
+ */
+export const initiatePrepaidPayment = async (order, providerName) => {
+    const provider = getPaymentProvider(providerName);
+    if (!provider) {
+        throw new Error(`Payment provider ${providerName || process.env.PAYMENT_PROVIDER || 'sandbox'} is not available`);
+    }
+
+    const amount = parseFloat(order.total_amount);
+    const currency = 'INR';
+    await db.execute(
+        "UPDATE payments SET status = 'failed', failure_reason = 'Replaced by a newer payment attempt' WHERE order_id = ? AND status = 'created'",
+        [order.id]
+    );
+    const [result] = await db.execute(
+        `INSERT INTO payments (order_id, method, provider, amount, currency, status)
+         VALUES (?, 'prepaid', ?, ?, ?, 'created')`,
+        [order.id, provider.name, amount, currency]
+    );
+    const paymentId = result.insertId;
+
+    try {
+        const created = await provider.createPayment({
+            paymentId,
+            orderId: order.id,
+            orderNumber: order.order_number,
+            amount,
+            currency
+        });
+
+        await db.execute(
+            'UPDATE payments SET provider_payment_id = ? WHERE id = ?',
+            [created.provider_payment_id, paymentId]
+        );
+
+        return {
+            payment_id: paymentId,
+            provider: provider.name,
+            provider_payment_id: created.provider_payment_id,
+            amount,
+            currency,
+            next_action: created.next_action
+        };
+    } catch (error) {
+        await db.execute(
+            "UPDATE payments SET status = 'failed', failure_reason = ? WHERE id = ?",
+            [String(error.message).slice(0, 255), paymentId]
+        );
+        throw error;
+    }
+};
+
+// Mark a COD order paid when it is delivered
+export const recordCashOnDelivery = async (connection, orderId) => {
+    const [orders] = await connection.execute(
+        'SELECT id, total_amount, payment_method, payment_status FROM orders WHERE id = ? FOR UPDATE',
+        [orderId]
+    );
+    const order = orders[0];
+    if (!order || order.payment_method !== 'cod' || order.payment_status !== 'pending') return false;
+
+    await connection.execute(
+        `INSERT INTO payments (order_id, method, provider, amount, status, captured_at)
+         VALUES (?, 'cod', 'cod', ?, 'captured', NOW())`,
+        [order.id, order.total_amount]
+    );
+    await connection.execute("UPDATE orders SET payment_status = 'paid' WHERE id = ?", [order.id]);
+    return true;
+};
+
+const insertRefund = async (connection, { paymentId, orderId, amount, reason, actorType = 'system', actorId = null }) => {
+    await connection.execute(
+        `INSERT INTO payment_refunds (payment_id, order_id, amount, reason, requested_by_type, requested_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [paymentId, orderId, amount, reason ? String(reason).slice(0, 255) : null, actorType, actorId]
+    );
+};
+
+/**
+ * Queue refunds for everything captured on an order that has ended (cancelled
+ * or rejected). Orders with nothing collected are voided instead.
+ * @returns {Promise<number>} number of refunds queued
+ */
+export const queueOrderRefund = async (connection, orderId, {
+    reason = null,
+    actorType = 'system',
+    actorId = null
+} = {}) => {
+    const [orders] = await connection.execute(
+        'SELECT id, payment_status FROM orders WHERE id = ? FOR UPDATE',
+        [orderId]
+    );
+    if (orders.length === 0) return 0;
+
+    // Captured amount not yet refunded or queued for refund (the order lock above serialises this)
+    const [payments] = await connection.execute(
+        `SELECT p.id, p.amount - p.amount_refunded - COALESCE(SUM(r.amount), 0) as refundable
+         FROM payments p
+         LEFT JOIN payment_refunds r ON r.payment_id = p.id AND r.status IN ('pending', 'processing')
+         WHERE p.order_id = ? AND p.status = 'captured' AND p.method = 'prepaid'
+         GROUP BY p.id`,
+        [orderId]
+    );
+
+    let queued = 0;
+    for (const payment of payments) {
+        const refundable = roundAmount(parseFloat(payment.refundable));
+        if (refundable <= 0) continue;
+
+        await insertRefund(connection, { paymentId: payment.id, orderId, amount: refundable, reason, actorType, actorId });
+        queued++;
+    }
+
+    if (queued > 0) {
+        await connection.execute("UPDATE orders SET payment_status = 'refund_pending' WHERE id = ?", [orderId]);
+    } else if (PAYABLE_STATUSES.includes(orders[0].payment_status)) {
+        await connection.execute("UPDATE orders SET payment_status = 'voided' WHERE id = ?", [orderId]);
+    }
+    return queued;
+};
+
+// Order is refunded once none of its refunds are still open
+const settleOrderRefundStatus = async (connection, orderId) => {
+    const [[open]] = await connection.execute(
+        "SELECT COUNT(*) as count FROM payment_refunds WHERE order_id = ? AND status IN ('pending', 'processing', 'failed')",
+        [orderId]
+    );
+    if (open.count === 0) {
+        await connection.execute(
+            "UPDATE orders SET payment_status = 'refunded' WHERE id = ? AND payment_status = 'refund_pending'",
+            [orderId]
+        );
+    }
+};
+
+const completeRefund = async (connection, refund, providerRefundId = null) => {
+    await connection.execute(
+        `UPDATE payment_refunds
+         SET status = 'succeeded', provider_refund_id = COALESCE(?, provider_refund_id), failure_reason = NULL, completed_at = NOW()
+         WHERE id = ?`,
+        [providerRefundId, refund.id]
+    );
+    await connection.execute(
+        'UPDATE payments SET amount_refunded = amount_refunded + ? WHERE id = ?',
+        [refund.amount, refund.payment_id]
+    );
+    await connection.execute(
+        'UPDATE orders SET amount_refunded = amount_refunded + ? WHERE id = ?',
+        [refund.amount, refund.order_id]
+    );
+    await settleOrderRefundStatus(connection, refund.order_id);
+};
+
+// Send one queued refund to its provider
+const sendRefund = async (refundId) => {
+    // Claim the refund so concurrent runs do not send it twice
+    const refund = await withTransaction(async (connection) => {
+        const [rows] = await connection.execute(
+            `SELECT r.*, p.provider, p.provider_payment_id
+             FROM payment_refunds r JOIN payments p ON r.payment_id = p.id
+             WHERE r.id = ? AND r.status = 'pending'
+             FOR UPDATE`,
+            [refundId]
+        );
+        if (rows.length === 0) return null;
+
+        await connection.execute(
+            "UPDATE payment_refunds SET status = 'processing', attempts = attempts + 1 WHERE id = ?",
+            [refundId]
+        );
+        return { ...rows[0], attempts: rows[0].attempts + 1 };
+    });
+    if (!refund) return null;
+
+    try {
+        const provider = getPaymentProvider(refund.provider);
+        if (!provider) {
+            throw new Error(`Payment provider ${refund.provider} is not available`);
+        }
+
+        const result = await provider.refundPayment({
+            providerPaymentId: refund.provider_payment_id,
+            amount: parseFloat(refund.amount),
+            reason: refund.reason,
+            refundId: refund.id
+        });
+
+        await withTransaction(async (connection) => {
+            if (result.status === 'succeeded') {
+                await completeRefund(connection, refund, result.provider_refund_id);
+            } else {
+                // Settled later by a refund.succeeded / refund.failed webhook
+                await connection.execute(
+                    'UPDATE payment_refunds SET provider_refund_id = ? WHERE id = ?',
+                    [result.provider_refund_id, refund.id]
+                );
+            }
+        });
+
+        logger.info('Refund sent', {
+            refund_id: refund.id,
+            order_id: refund.order_id,
+            amount: parseFloat(refund.amount),
+            status: result.status
+        });
+        return result.status;
+    } catch (error) {
+        const exhausted = refund.attempts >= MAX_REFUND_ATTEMPTS;
+        await db.execute(
+            'UPDATE payment_refunds SET status = ?, failure_reason = ? WHERE id = ?',
+            [exhausted ? 'failed' : 'pending', String(error.message).slice(0, 255), refund.id]
+        );
+        logError(error, {
+            operation: 'send_refund',
+            refund_id: refund.id,
+            order_id: refund.order_id,
+            attempts: refund.attempts
+        });
+        return exhausted ? 'failed' : 'pending';
+    }
+};
+
+/**
+ * Send queued refunds to their providers (all orders, or one order).
+ * Never rejects: failures are logged and left pending for the next run.
+ */
+export const processPendingRefunds = async ({ orderId = null, limit = 20 } = {}) => {
+    try {
+        const [refunds] = await db.execute(
+            `SELECT id FROM payment_refunds
+             WHERE status = 'pending' ${orderId ? 'AND order_id = ?' : ''}
+             ORDER BY created_at
+             LIMIT ${parseInt(limit, 10)}`,
+            orderId ? [orderId] : []
+        );
+
+        const results = [];
+        for (const refund of refunds) {
+            results.push(await sendRefund(refund.id));
+        }
+        return results;
+    } catch (error) {
+        logError(error, { operation: 'process_pending_refunds', order_id: orderId });
+        return [];
+    }
+};
+
+// Why a capture cannot settle its payment attempt (amount or currency differ), or null
+const captureMismatch = (payment, event) => {
+    const captured = event.amount === null || event.amount === undefined ? NaN : roundAmount(parseFloat(event.amount));
+    if (captured !== roundAmount(parseFloat(payment.amount))) {
+        return `Captured amount ${event.amount ?? 'missing'} does not match the expected ${payment.amount}`;
+    }
+    if (event.currency && String(event.currency).toUpperCase() !== payment.currency) {
+        return `Captured currency ${event.currency} does not match the expected ${payment.currency}`;
+    }
+    return null;
+};
+
+// Apply a verified, parsed provider event; returns 'processed' or 'ignored'.
+// A capture whose amount or currency differs from the attempt is recorded as a
+// failed attempt (and logged for review) instead of settling the order.
+const applyPaymentEvent = async (connection, providerName, event) => {
+    if (event.type === 'payment.captured' || event.type === 'payment.failed') {
+        const [payments] = await connection.execute(
+            'SELECT * FROM payments WHERE provider = ? AND provider_payment_id = ? FOR UPDATE',
+            [providerName, event.provider_payment_id]
+        );
+        const payment = payments[0];
+        if (!payment || payment.status === 'captured') return 'ignored';
+
+        const [orders] = await connection.execute(
+            'SELECT id, status, payment_status FROM orders WHERE id = ? FOR UPDATE',
+            [payment.order_id]
+        );
+        const order = orders[0];
+
+        const mismatch = event.type === 'payment.captured' ? captureMismatch(payment, event) : null;
+        if (mismatch) {
+            logger.warn('Payment capture rejected', {
+                payment_id: payment.id,
+                order_id: order.id,
+                provider: providerName,
+                expected_amount: parseFloat(payment.amount),
+                captured_amount: event.amount ?? null,
+                currency: event.currency ?? null
+            });
+        }
+
+        if (event.type === 'payment.failed' || mismatch) {
+            const reason = mismatch || event.failure_reason;
+            await connection.execute(
+                "UPDATE payments SET status = 'failed', failure_reason = ? WHERE id = ?",
+                [reason ? String(reason).slice(0, 255) : null, payment.id]
+            );
+            // A replaced attempt failing does not fail the order while a newer one is open
+            const [[newer]] = await connection.execute(
+                'SELECT COUNT(*) as count FROM payments WHERE order_id = ? AND id > ?',
+                [order.id, payment.id]
+            );
+            if (PAYABLE_STATUSES.includes(order.payment_status) && newer.count === 0) {
+                await connection.execute("UPDATE orders SET payment_status = 'failed' WHERE id = ?", [order.id]);
+            }
+            return 'processed';
+        }
+
+        await connection.execute(
+            "UPDATE payments SET status = 'captured', failure_reason = NULL, captured_at = NOW() WHERE id = ?",
+            [payment.id]
+        );
+
+        if (ENDED_ORDER_STATUSES.includes(order.status)) {
+            // Paid after the order was cancelled/rejected: give the money back
+            await queueOrderRefund(connection, order.id, { reason: `Payment received after order was ${order.status}` });
+        } else if (order.payment_status === 'paid') {
+            // Another attempt was captured first (e.g. an older attempt completed late): refund this one
+            await insertRefund(connection, {
+                paymentId: payment.id,
+                orderId: order.id,
+                amount: parseFloat(payment.amount),
+                reason: 'Order was already paid by another payment attempt'
+            });
+        } else {
+            await connection.execute("UPDATE orders SET payment_status = 'paid' WHERE id = ?", [order.id]);
+        }
+        return 'processed';
+    }
+
+    if (event.type === 'refund.succeeded' || event.type === 'refund.failed') {
+        const [refunds] = await connection.execute(
+            'SELECT * FROM payment_refunds WHERE provider_refund_id = ? FOR UPDATE',
+            [event.provider_refund_id]
+        );
+        const refund = refunds[0];
+        if (!refund || refund.status === 'succeeded') return 'ignored';
+
+        if (event.type === 'refund.succeeded') {
+            await completeRefund(connection, refund);
+        } else {
+            await connection.execute(
+                "UPDATE payment_refunds SET status = 'failed', failure_reason = ? WHERE id = ?",
+                [event.failure_reason ? String(event.failure_reason).slice(0, 255) : 'Refund failed at provider', refund.id]
+            );
+        }
+        return 'processed';
+    }
+
+    return 'ignored';
+};
+
+/**
+ * Verify and apply a provider webhook. Each event id is applied once; a
+ * redelivered event is reported as a duplicate. When applying fails nothing is
+ * recorded, so the provider's retry is applied normally.
+ * @returns {Promise<{ status: 'processed' | 'ignored' | 'duplicate' | 'invalid_signature' | 'invalid_payload' | 'unknown_provider', event_id?, type? }>}
+ */
+export const processWebhook = async (providerName, rawBody, headers = {}) => {
+    const provider = getPaymentProvider(providerName);
+    if (!provider) return { status: 'unknown_provider' };
+
+    if (!rawBody || !provider.verifyWebhook(rawBody, headers)) {
+        return { status: 'invalid_signature' };
+    }
+
+    let event;
+    try {
+        event = provider.parseWebhook(JSON.parse(rawBody));
+    } catch {
+        return { status: 'invalid_payload' };
+    }
+    if (!event?.event_id || !event.type) return { status: 'invalid_payload' };
+
+    try {
+        const status = await withTransaction(async (connection) => {
+            const [result] = await connection.execute(
+                'INSERT INTO payment_webhook_events (provider, event_id, event_type, payload) VALUES (?, ?, ?, ?)',
+                [provider.name, String(event.event_id).slice(0, 100), String(event.type).slice(0, 50), rawBody]
+            );
+
+            const outcome = WEBHOOK_EVENT_TYPES.includes(event.type)
+                ? await applyPaymentEvent(connection, provider.name, event)
+                : 'ignored';
+
+            if (outcome === 'ignored') {
+                await connection.execute("UPDATE payment_webhook_events SET status = 'ignored' WHERE id = ?", [result.insertId]);
+            }
+            return outcome;
+        });
+
+        return { status, event_id: event.event_id, type: event.type };
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return { status: 'duplicate', event_id: event.event_id, type: event.type };
+        }
+        throw error;
+    }
+};
+
+// Put a failed refund back in the queue (admin)
+export const retryRefund = async (refundId) => {
+    const [result] = await db.execute(
+        "UPDATE payment_refunds SET status = 'pending', attempts = 0, failure_reason = NULL WHERE id = ? AND status = 'failed'",
+        [refundId]
+    );
+    if (result.affectedRows === 0) return null;
+
+    return sendRefund(refundId);
+};
+
+// Payment attempts and refunds of an order
+export const getOrderPayments = async (orderId, connection = db) => {
+    const [payments] = await connection.execute(
+        `SELECT id, method, provider, provider_payment_id, amount, currency, status, amount_refunded, failure_reason, captured_at, created_at
+         FROM payments WHERE order_id = ? ORDER BY id`,
+        [orderId]
+    );
+    const [refunds] = await connection.execute(
+        `SELECT id, payment_id, amount, reason, status, provider_refund_id, attempts, failure_reason, completed_at, created_at
+         FROM payment_refunds WHERE order_id = ? ORDER BY id`,
+        [orderId]
+    );
+
+    return {
+        payments: payments.map(payment => ({
+            ...payment,
+            amount: parseFloat(payment.amount),
+            amount_refunded: parseFloat(payment.amount_refunded)
+        })),
+        refunds: refunds.map(refund => ({ ...refund, amount: parseFloat(refund.amount) }))
+    };
+};
+
+// Retry queued refunds on a timer (failed sends stay pending until MAX_REFUND_ATTEMPTS)
+export const scheduleRefundProcessing = (intervalMinutes = 5) => {
+    setInterval(() => {
+        processPendingRefunds({ limit: 50 });
+    }, intervalMinutes * 60 * 1000);
+
+    console.log(`💸 Refund processing scheduled every ${intervalMinutes} minutes`);
+};
+
+export default {
+    PAYMENT_METHODS,
+    PAYABLE_STATUSES,
+    MAX_REFUND_ATTEMPTS,
+    initiatePrepaidPayment,
+    recordCashOnDelivery,
+    queueOrderRefund,
+    processPendingRefunds,
+    processWebhook,
+    retryRefund,
+    getOrderPayments,
+    scheduleRefundProcessing
+};
@@ -0,0 +1,168 @@
+// Minimal PDF writer for server-generated documents such as tax invoices.
+// Draws text in the standard Helvetica fonts, lines and shaded boxes on A4
+// pages; coordinates are in points measured from the top-left corner.
+// Text is limited to printable ASCII (other characters are transliterated or
+// replaced), which keeps the fonts unembedded and the files small.
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+// Helvetica / Helvetica-Bold advance widths for ASCII 32-126, in 1/1000 em
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const TRANSLITERATIONS = {
+    '\u20b9': 'Rs.', '\u2013': '-', '\u2014': '-', '\u2018': "'", '\u2019': "'", '\u201c': '"', '\u201d': '"', '\u00a0': ' '
+};
+
+// Reduce text to the characters the standard fonts can draw here
+const toPrintable = (value) => String(value ?? '')
+    .replace(/[\u20b9\u2013\u2014\u2018\u2019\u201c\u201d\u00a0]/g, ch => TRANSLITERATIONS[ch])
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '?');
+
+const escapeText = (text) => text.replace(/[\\()]/g, ch => `\\${ch}`);
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+export const textWidth = (text, size = 10, bold = false) => {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+    for (const ch of toPrintable(text)) {
+        total += widths[ch.charCodeAt(0) - 32];
+    }
+    return total * size / 1000;
+};
+
+// Split text into lines that fit the width, breaking at spaces where possible
+export const wrapText = (text, width, size = 10, bold = false) => {
+    const lines = [];
+    for (const paragraph of toPrintable(text).split('\n')) {
+        let line = '';
+        for (const word of paragraph.split(' ')) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (textWidth(candidate, size, bold) <= width || !line) {
+                line = candidate;
+            } else {
+                lines.push(line);
+                line = word;
+            }
+            // A single word longer than the width is cut
+            while (textWidth(line, size, bold) > width && line.length > 1) {
+                let cut = line.length - 1;
+                while (cut > 1 && textWidth(line.slice(0, cut), size, bold) > width) cut--;
+                lines.push(line.slice(0, cut));
+                line = line.slice(cut);
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+};
+
+/**
+ * Create a document. Draw with text/line/rect, start pages with addPage and
+ * finish with toBuffer().
+ */
+export const createPdfDocument = ({ title = '' } = {}) => {
+    const pages = [[]];
+    const current = () => pages[pages.length - 1];
+    const y = (top) => formatNumber(A4.height - top);
+
+    return {
+        width: A4.width,
+        height: A4.height,
+
+        addPage() {
+            pages.push([]);
+        },
+
+        pageCount() {
+            return pages.length;
+        },
+
+        // align 'right'/'center' position the text within [x, x + width]
+        text(x, top, value, { size = 10, bold = false, align = 'left', width = 0, gray = 0 } = {}) {
+            const text = toPrintable(value);
+            let left = x;
+            if (align === 'right') left = x + width - textWidth(text, size, bold);
+            if (align === 'center') left = x + (width - textWidth(text, size, bold)) / 2;
+            current().push(
+                `BT ${formatNumber(gray)} g /${bold ? 'F2' : 'F1'} ${formatNumber(size)} Tf ` +
+                `${formatNumber(left)} ${y(top + size)} Td (${escapeText(text)}) Tj ET`
+            );
+        },
+
+        line(x1, top1, x2, top2, { width = 0.5 } = {}) {
+            current().push(`${formatNumber(width)} w ${formatNumber(x1)} ${y(top1)} m ${formatNumber(x2)} ${y(top2)} l S`);
+        },
+
+        rect(x, top, width, height, { fill = null, stroke = true } = {}) {
+            const box = `${formatNumber(x)} ${y(top + height)} ${formatNumber(width)} ${formatNumber(height)} re`;
+            if (fill !== null) current().push(`${formatNumber(fill)} g ${box} f 0 g`);
+            if (stroke) current().push(`0.5 w ${box} S`);
+        },
+
+        toBuffer() {
+            const objects = [];
+            const addObject = (body) => {
+                objects.push(body);
+                return objects.length;
+            };
+
+            const catalogId = addObject(null);
+            const pagesId = addObject(null);
+            const fontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+            const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+            const infoId = addObject(`<< /Title (${escapeText(toPrintable(title))}) /Producer (RuraMed) >>`);
+
+            const pageIds = pages.map(operations => {
+                const stream = operations.join('\n');
+                const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+                return addObject(
+                    `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${A4.width} ${A4.height}] ` +
+                    `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+                );
+            });
+
+            objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+            objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+            let output = '%PDF-1.4\n';
+            const offsets = objects.map((body, index) => {
+                const offset = Buffer.byteLength(output, 'latin1');
+                output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+                return offset;
+            });
+
+            const xrefOffset = Buffer.byteLength(output, 'latin1');
+            output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+            output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+            output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+            return Buffer.from(output, 'latin1');
+        }
+    };
+};
+
+export default {
+    A4,
+    textWidth,
+    wrapText,
+    createPdfDocument
+};
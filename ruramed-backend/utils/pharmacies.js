@@ -0,0 +1,237 @@
+import { db } from '../config/database.js';
+import { geocodingUtils } from './geocoding.js';
+import { scheduleUtils } from './doctorSchedule.js';
+import { getStockByPharmacy } from './inventory.js';
+
+// Pharmacies that fulfil orders. A pharmacy serves the service areas linked in
+// pharmacy_service_areas (none linked = every area) and is open during its
+// pharmacy_hours (no rows = around the clock), in its own time zone.
+// Orders go to the nearest serving pharmacy with the stock; distance is
+// pharmacy -> drop location and drives the delivery fee and ETA.
+
+// Average courier speed used for travel time estimates
+export const AVERAGE_SPEED_KMPH = 20;
+
+// Travel time assumed when the pharmacy or drop has no coordinates
+const DEFAULT_TRAVEL_MINUTES = 30;
+
+const toCoordinate = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+const hydratePharmacy = (row, hours = [], serviceAreaIds = []) => ({
+    ...row,
+    latitude: toCoordinate(row.latitude),
+    longitude: toCoordinate(row.longitude),
+    is_active: !!row.is_active,
+    hours,
+    service_area_ids: serviceAreaIds
+});
+
+// Opening hours and covered service areas for a set of pharmacies
+const loadPharmacyDetails = async (pharmacyIds, connection = db) => {
+    const hours = new Map(pharmacyIds.map(id => [id, []]));
+    const areas = new Map(pharmacyIds.map(id => [id, []]));
+    if (pharmacyIds.length === 0) return { hours, areas };
+
+    const placeholders = pharmacyIds.map(() => '?').join(', ');
+    const [hourRows] = await connection.execute(
+        `SELECT pharmacy_id, day_of_week, TIME_FORMAT(open_time, '%H:%i') as open_time, TIME_FORMAT(close_time, '%H:%i') as close_time
+         FROM pharmacy_hours WHERE pharmacy_id IN (${placeholders})
+         ORDER BY day_of_week, open_time`,
+        pharmacyIds
+    );
+    for (const { pharmacy_id, ...row } of hourRows) {
+        hours.get(pharmacy_id)?.push(row);
+    }
+
+    const [areaRows] = await connection.execute(
+        `SELECT pharmacy_id, service_area_id FROM pharmacy_service_areas WHERE pharmacy_id IN (${placeholders})`,
+        pharmacyIds
+    );
+    for (const row of areaRows) {
+        areas.get(row.pharmacy_id)?.push(row.service_area_id);
+    }
+
+    return { hours, areas };
+};
+
+export const getPharmacies = async ({ includeInactive = false } = {}, connection = db) => {
+    const [rows] = await connection.execute(
+        `SELECT * FROM pharmacies ${includeInactive ? '' : 'WHERE is_active = 1'} ORDER BY name`
+    );
+    const { hours, areas } = await loadPharmacyDetails(rows.map(row => row.id), connection);
+    return rows.map(row => hydratePharmacy(row, hours.get(row.id), areas.get(row.id)));
+};
+
+export const getPharmacyById = async (id, connection = db) => {
+    const [rows] = await connection.execute('SELECT * FROM pharmacies WHERE id = ?', [id]);
+    if (rows.length === 0) return null;
+    const { hours, areas } = await loadPharmacyDetails([rows[0].id], connection);
+    return hydratePharmacy(rows[0], hours.get(rows[0].id), areas.get(rows[0].id));
+};
+
+/**
+ * Whether a pharmacy is open at a moment, and how long until it next opens.
+ * @returns {{ is_open: boolean, opens_in_minutes: number | null }} opens_in_minutes is 0
+ *   while open and null when no opening is found in the coming week
+ */
+export const openingStatus = (pharmacy, at = new Date()) => {
+    if (pharmacy.hours.length === 0) return { is_open: true, opens_in_minutes: 0 };
+
+    const local = scheduleUtils.zonedNow(pharmacy.timezone, at);
+    const today = scheduleUtils.dayOfWeek(local.date);
+
+    for (let offset = 0; offset <= 7; offset++) {
+        const day = (today + offset) % 7;
+        const windows = pharmacy.hours.filter(window => window.day_of_week === day);
+        for (const window of windows) {
+            const open = scheduleUtils.toMinutes(window.open_time);
+            const close = scheduleUtils.toMinutes(window.close_time);
+            if (offset === 0 && local.minutes >= open && local.minutes < close) {
+                return { is_open: true, opens_in_minutes: 0 };
+            }
+            if (offset > 0 || open > local.minutes) {
+                return { is_open: false, opens_in_minutes: offset * 24 * 60 + open - local.minutes };
+            }
+        }
+    }
+    return { is_open: false, opens_in_minutes: null };
+};
+
+/**
+ * Active pharmacies serving a service area, nearest to the drop location
+ * first. Pharmacies without coordinates (or a drop without them) have a
+ * null distance_km and are ranked after the rest.
+ */
+export const getServingPharmacies = async ({ serviceAreaId, lat = null, lng = null, connection = db }) => {
+    const [rows] = await connection.execute(
+        `SELECT p.* FROM pharmacies p
+         WHERE p.is_active = 1
+           AND (EXISTS (SELECT 1 FROM pharmacy_service_areas psa WHERE psa.pharmacy_id = p.id AND psa.service_area_id = ?)
+                OR NOT EXISTS (SELECT 1 FROM pharmacy_service_areas psa WHERE psa.pharmacy_id = p.id))`,
+        [serviceAreaId]
+    );
+    const { hours, areas } = await loadPharmacyDetails(rows.map(row => row.id), connection);
+
+    const dropLat = toCoordinate(lat);
+    const dropLng = toCoordinate(lng);
+    const hasDrop = Number.isFinite(dropLat) && Number.isFinite(dropLng);
+
+    return rows
+        .map(row => {
+            const pharmacy = hydratePharmacy(row, hours.get(row.id), areas.get(row.id));
+            pharmacy.distance_km = hasDrop && pharmacy.latitude !== null && pharmacy.longitude !== null
+                ? geocodingUtils.calculateDistance(pharmacy.latitude, pharmacy.longitude, dropLat, dropLng)
+                : null;
+            return pharmacy;
+        })
+        .sort((a, b) => {
+            if (a.distance_km === null || b.distance_km === null) {
+                return (a.distance_km === null) - (b.distance_km === null) || a.id - b.id;
+            }
+            return a.distance_km - b.distance_km || a.id - b.id;
+        });
+};
+
+// Nearest serving pharmacy with sellable stock of every given medicine (any serving pharmacy without medicines)
+export const findDispatchPharmacy = async ({ serviceAreaId, lat = null, lng = null, medicineIds = [], connection = db }) => {
+    const pharmacies = await getServingPharmacies({ serviceAreaId, lat, lng, connection });
+    if (medicineIds.length === 0) return pharmacies[0] || null;
+
+    const stock = await getStockByPharmacy(medicineIds, connection);
+    return pharmacies.find(pharmacy =>
+        medicineIds.every(id => (stock.get(pharmacy.id)?.get(Number(id)) || 0) > 0)
+    ) || null;
+};
+
+// Pharmacy an order's delivery fee is priced from: the farthest one fulfilling a line (null when none has a distance)
+export const feeOriginPharmacy = (pharmacies, pharmacyIds) => pharmacies
+    .filter(pharmacy => pharmacy.distance_km !== null && pharmacyIds.includes(pharmacy.id))
+    .reduce((farthest, pharmacy) => (!farthest || pharmacy.distance_km > farthest.distance_km ? pharmacy : farthest), null);
+
+/**
+ * Minutes until a shipment from the pharmacy reaches the drop: waiting for the
+ * pharmacy to open, picking and packing, then travel at AVERAGE_SPEED_KMPH.
+ */
+export const estimateDispatchMinutes = (pharmacy, distanceKm = pharmacy.distance_km, at = new Date()) => {
+    const { is_open, opens_in_minutes } = openingStatus(pharmacy, at);
+    const waitMinutes = opens_in_minutes || 0;
+    const preparationMinutes = pharmacy.preparation_minutes;
+    const travelMinutes = distanceKm !== null && distanceKm !== undefined
+        ? Math.ceil((distanceKm / AVERAGE_SPEED_KMPH) * 60)
+        : DEFAULT_TRAVEL_MINUTES;
+
+    return {
+        is_open,
+        wait_minutes: waitMinutes,
+        preparation_minutes: preparationMinutes,
+        travel_minutes: travelMinutes,
+        total_minutes: waitMinutes + preparationMinutes + travelMinutes
+    };
+};
+
+/**
+ * Group a new order's lines into one shipment per fulfilling pharmacy.
+ * Sets shipment_id on each line; call before insertOrderItems.
+ * @param {object} connection - transaction connection
+ * @param {Array<object>} items - lines routed by reserveStock (pharmacy_id set)
+ * @param {Array<object>} pharmacies - from getServingPharmacies (for distance and ETA)
+ */
+export const createOrderShipments = async (connection, orderId, items, pharmacies) => {
+    const shipments = [];
+    for (const pharmacyId of [...new Set(items.map(item => item.pharmacy_id))]) {
+        const pharmacy = pharmacies.find(candidate => candidate.id === pharmacyId);
+        const estimate = pharmacy ? estimateDispatchMinutes(pharmacy) : null;
+
+        const [result] = await connection.execute(
+            'INSERT INTO order_shipments (order_id, pharmacy_id, distance_km, estimated_minutes) VALUES (?, ?, ?, ?)',
+            [orderId, pharmacyId, pharmacy?.distance_km ?? null, estimate?.total_minutes ?? null]
+        );
+
+        const lines = items.filter(item => item.pharmacy_id === pharmacyId);
+        lines.forEach(item => { item.shipment_id = result.insertId; });
+
+        shipments.push({
+            shipment_id: result.insertId,
+            pharmacy: { id: pharmacyId, name: pharmacy?.name ?? null },
+            distance_km: pharmacy?.distance_km ?? null,
+            estimated_minutes: estimate?.total_minutes ?? null,
+            item_count: lines.length
+        });
+    }
+    return shipments;
+};
+
+// Shipments of an order with their pharmacy
+export const getOrderShipments = async (orderId, connection = db) => {
+    const [rows] = await connection.execute(
+        `SELECT s.id as shipment_id, s.pharmacy_id, p.name as pharmacy_name, p.phone as pharmacy_phone,
+                s.distance_km, s.estimated_minutes, COUNT(oi.id) as item_count
+         FROM order_shipments s
+         JOIN pharmacies p ON s.pharmacy_id = p.id
+         LEFT JOIN order_items oi ON oi.shipment_id = s.id
+         WHERE s.order_id = ?
+         GROUP BY s.id
+         ORDER BY s.id`,
+        [orderId]
+    );
+    return rows.map(row => ({
+        shipment_id: row.shipment_id,
+        pharmacy: { id: row.pharmacy_id, name: row.pharmacy_name, phone: row.pharmacy_phone },
+        distance_km: row.distance_km !== null ? parseFloat(row.distance_km) : null,
+        estimated_minutes: row.estimated_minutes,
+        item_count: Number(row.item_count)
+    }));
+};
+
+export default {
+    AVERAGE_SPEED_KMPH,
+    getPharmacies,
+    getPharmacyById,
+    openingStatus,
+    getServingPharmacies,
+    findDispatchPharmacy,
+    feeOriginPharmacy,
+    estimateDispatchMinutes,
+    createOrderShipments,
+    getOrderShipments
+};
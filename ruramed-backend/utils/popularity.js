@@ -0,0 +1,150 @@
+import { db } from '../config/database.js';
+import { statsCache } from './cache.js';
+import { logError, logPerformance } from './logger.js';
+import { TERMINAL_FAILURE_STATUSES } from './orderStatus.js';
+
+// Medicine popularity from order lines over rolling windows. Cancelled and
+// rejected orders do not count. Medicines rank by the number of orders they
+// were in, then units sold, then distinct customers, so one bulk order does
+// not outrank steady demand.
+//
+// Rankings are cached through statsCache per window and scope (all orders, a
+// service area or a delivery postal code). The all-orders rankings are
+// recomputed on a schedule; scoped ones are computed on first use and kept
+// for POPULARITY_CACHE_TTL seconds.
+
+export const POPULARITY_WINDOWS = [7, 30, 90];
+export const DEFAULT_POPULARITY_WINDOW = 30;
+
+const MAX_RANKED_MEDICINES = 500;
+const POPULARITY_CACHE_TTL = 60 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Cache scope for a ranking: 'all', 'area:<id>' or 'postal:<code>'
+export const popularityScope = ({ serviceAreaId = null, postalCode = null } = {}) => {
+    if (serviceAreaId) return `area:${serviceAreaId}`;
+    if (postalCode) return `postal:${postalCode}`;
+    return 'all';
+};
+
+/**
+ * Rank active medicines by orders over the last `days` days.
+ * previous_units_sold covers the `days` before that, for trends.
+ * @returns {Promise<Array<{ rank, medicine_id, name, category, manufacturer, order_count, units_sold,
+ *   customer_count, revenue, previous_units_sold, trend_percent }>>}
+ *   trend_percent is null when nothing was sold in the previous window
+ */
+export const computePopularity = async ({ days = DEFAULT_POPULARITY_WINDOW, serviceAreaId = null, postalCode = null, connection = db } = {}) => {
+    const now = Date.now();
+    const windowStart = new Date(now - days * DAY_MS);
+    const previousStart = new Date(now - 2 * days * DAY_MS);
+
+    const conditions = ['o.created_at >= ?', `o.status NOT IN (${TERMINAL_FAILURE_STATUSES.map(() => '?').join(', ')})`];
+    const params = [previousStart, ...TERMINAL_FAILURE_STATUSES];
+    let addressJoin = '';
+
+    if (serviceAreaId) {
+        conditions.push('o.service_area_id = ?');
+        params.push(serviceAreaId);
+    } else if (postalCode) {
+        addressJoin = 'JOIN addresses a ON o.address_id = a.id';
+        conditions.push('a.postal_code = ?');
+        params.push(postalCode);
+    }
+
+    const [rows] = await connection.execute(
+        `SELECT m.id as medicine_id, m.name, m.category, m.manufacturer,
+                COUNT(DISTINCT CASE WHEN o.created_at >= ? THEN o.id END) as order_count,
+                COALESCE(SUM(CASE WHEN o.created_at >= ? THEN oi.quantity END), 0) as units_sold,
+                COUNT(DISTINCT CASE WHEN o.created_at >= ? THEN o.user_id END) as customer_count,
+                COALESCE(SUM(CASE WHEN o.created_at >= ? THEN oi.line_total END), 0) as revenue,
+                COALESCE(SUM(CASE WHEN o.created_at < ? THEN oi.quantity END), 0) as previous_units_sold
+         FROM order_items oi
+         JOIN orders o ON oi.order_id = o.id
+         JOIN medicines m ON oi.medicine_id = m.id AND m.is_active = 1
+         ${addressJoin}
+         WHERE ${conditions.join(' AND ')}
+         GROUP BY m.id
+         HAVING order_count > 0
+         ORDER BY order_count DESC, units_sold DESC, customer_count DESC, m.name ASC
+         LIMIT ${MAX_RANKED_MEDICINES}`,
+        [windowStart, windowStart, windowStart, windowStart, windowStart, ...params]
+    );
+
+    return rows.map((row, index) => {
+        const unitsSold = Number(row.units_sold);
+        const previousUnits = Number(row.previous_units_sold);
+        return {
+            rank: index + 1,
+            medicine_id: row.medicine_id,
+            name: row.name,
+            category: row.category,
+            manufacturer: row.manufacturer,
+            order_count: Number(row.order_count),
+            units_sold: unitsSold,
+            customer_count: Number(row.customer_count),
+            revenue: roundAmount(parseFloat(row.revenue)),
+            previous_units_sold: previousUnits,
+            trend_percent: previousUnits > 0 ? roundAmount((unitsSold - previousUnits) / previousUnits * 100) : null
+        };
+    });
+};
+
+/**
+ * Cached ranking for a window and scope, computed on a miss.
+ * @returns {Promise<{ days, scope, computed_at, medicines: object[] }>}
+ */
+export const getPopularity = async ({ days = DEFAULT_POPULARITY_WINDOW, serviceAreaId = null, postalCode = null } = {}) => {
+    const scope = popularityScope({ serviceAreaId, postalCode });
+    const cached = statsCache.getPopularMedicines(days, scope);
+    if (cached) return cached;
+
+    const ranking = {
+        days,
+        scope,
+        computed_at: new Date().toISOString(),
+        medicines: await computePopularity({ days, serviceAreaId, postalCode })
+    };
+    statsCache.setPopularMedicines(days, ranking, POPULARITY_CACHE_TTL, scope);
+    return ranking;
+};
+
+// Recompute the all-orders ranking for every window; failures are logged and the old ranking stays cached
+export const refreshPopularity = async () => {
+    const startedAt = Date.now();
+    for (const days of POPULARITY_WINDOWS) {
+        try {
+            const medicines = await computePopularity({ days });
+            // Kept for two refresh intervals so a failed run does not empty the cache
+            statsCache.setPopularMedicines(days, {
+                days,
+                scope: 'all',
+                computed_at: new Date().toISOString(),
+                medicines
+            }, 2 * POPULARITY_CACHE_TTL);
+        } catch (error) {
+            logError(error, { operation: 'refresh_popularity', days });
+        }
+    }
+    logPerformance('popularity_refreshed', Date.now() - startedAt, { windows: POPULARITY_WINDOWS });
+};
+
+export const schedulePopularityRefresh = (intervalMinutes = 60) => {
+    setInterval(() => {
+        refreshPopularity();
+    }, intervalMinutes * 60 * 1000);
+
+    console.log(`📈 Popularity ranking refresh scheduled every ${intervalMinutes} minutes`);
+};
+
+export default {
+    POPULARITY_WINDOWS,
+    DEFAULT_POPULARITY_WINDOW,
+    popularityScope,
+    computePopularity,
+    getPopularity,
+    refreshPopularity,
+    schedulePopularityRefresh
+};
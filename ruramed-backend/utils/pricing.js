@@ -0,0 +1,274 @@
+import { db, withTransaction } from '../config/database.js';
+import { medicineCache } from './cache.js';
+import { logError, logAuditTrail } from './logger.js';
+
+// Medicine price changes. Every write to price or MRP goes through here so it
+// is checked against the MRP and the regulatory ceiling (medicines.price_ceiling)
+// and recorded in medicine_price_history with who made it and why.
+//
+// Future-dated changes wait in medicine_price_schedules until a timer applies
+// them. A schedule only names the values it changes; the rest are taken from
+// the medicine when it is applied, and the checks run again at that point.
+
+export const PRICE_CHANGE_SOURCES = ['update', 'bulk', 'import', 'scheduled'];
+
+const priceError = (reasons) => Object.assign(new Error(reasons.join('; ')), { status: 400, reasons });
+
+const toAmount = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Reasons a price/MRP pair may not be used, empty when it is allowed.
+ * @param {{ price: number, mrp: number, price_ceiling?: number|null }} values
+ */
+export const priceViolations = ({ price, mrp, price_ceiling = null }) => {
+    const reasons = [];
+    if (!Number.isFinite(price) || price <= 0) reasons.push('Price must be a positive number');
+    if (!Number.isFinite(mrp) || mrp <= 0) reasons.push('MRP must be a positive number');
+    if (reasons.length > 0) return reasons;
+
+    if (price > mrp) {
+        reasons.push(`Price ${price.toFixed(2)} cannot be greater than MRP ${mrp.toFixed(2)}`);
+    }
+    const ceiling = toAmount(price_ceiling);
+    if (ceiling !== null && price > ceiling) {
+        reasons.push(`Price ${price.toFixed(2)} is above the regulatory ceiling price ${ceiling.toFixed(2)}`);
+    }
+    return reasons;
+};
+
+/**
+ * Add a history row when price or MRP differ from the medicine's old values.
+ * @param {object} connection
+ * @param {{ medicine: { id, price, mrp }, price: number, mrp: number, source: string, reason?: string|null,
+ *   actorType?: 'admin'|'system', actorId?: number|null, scheduleId?: number|null }} change
+ * @returns {Promise<boolean>} whether anything changed
+ */
+export const recordPriceChange = async (connection, { medicine, price, mrp, source, reason = null, actorType = 'admin', actorId = null, scheduleId = null }) => {
+    const oldPrice = toAmount(medicine.price);
+    const oldMrp = toAmount(medicine.mrp);
+    if (oldPrice === price && oldMrp === mrp) return false;
+
+    await connection.execute(
+        `INSERT INTO medicine_price_history
+         (medicine_id, old_price, new_price, old_mrp, new_mrp, source, reason, actor_type, actor_id, schedule_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [medicine.id, oldPrice, price, oldMrp, mrp, source, reason ? String(reason).slice(0, 500) : null, actorType, actorId, scheduleId]
+    );
+    return true;
+};
+
+/**
+ * Set a medicine's price and/or MRP (omitted values stay as they are) inside
+ * the caller's transaction. Throws a 400 error with `reasons` when the
+ * result would break the MRP or ceiling rules.
+ * @returns {Promise<{ medicine_id, name, old_price, new_price, old_mrp, new_mrp, changed: boolean }|null>} null if the medicine does not exist
+ */
+export const changeMedicinePrice = async (connection, medicineId, { price, mrp, source, reason = null, actorType = 'admin', actorId = null, scheduleId = null }) => {
+    const [rows] = await connection.execute(
+        'SELECT id, name, price, mrp, price_ceiling FROM medicines WHERE id = ? FOR UPDATE',
+        [medicineId]
+    );
+    const medicine = rows[0];
+    if (!medicine) return null;
+
+    const newPrice = price ?? toAmount(medicine.price);
+    const newMrp = mrp ?? toAmount(medicine.mrp);
+    const violations = priceViolations({ price: newPrice, mrp: newMrp, price_ceiling: medicine.price_ceiling });
+    if (violations.length > 0) {
+        throw priceError(violations);
+    }
+
+    const changed = await recordPriceChange(connection, {
+        medicine, price: newPrice, mrp: newMrp, source, reason, actorType, actorId, scheduleId
+    });
+    if (changed) {
+        await connection.execute('UPDATE medicines SET price = ?, mrp = ? WHERE id = ?', [newPrice, newMrp, medicine.id]);
+    }
+
+    return {
+        medicine_id: medicine.id,
+        name: medicine.name,
+        old_price: toAmount(medicine.price),
+        new_price: newPrice,
+        old_mrp: toAmount(medicine.mrp),
+        new_mrp: newMrp,
+        changed
+    };
+};
+
+/**
+ * Queue a price change for a future time. The values are checked against the
+ * medicine as it is now, and again when the change is applied.
+ * @returns {Promise<{ schedule_id, medicine_id, price, mrp, effective_at }|null>} null if the medicine does not exist
+ */
+export const schedulePriceChange = async (connection, medicineId, { price = null, mrp = null, effectiveAt, reason = null, adminId = null }) => {
+    const [rows] = await connection.execute(
+        'SELECT id, price, mrp, price_ceiling FROM medicines WHERE id = ?',
+        [medicineId]
+    );
+    const medicine = rows[0];
+    if (!medicine) return null;
+
+    const violations = priceViolations({
+        price: price ?? toAmount(medicine.price),
+        mrp: mrp ?? toAmount(medicine.mrp),
+        price_ceiling: medicine.price_ceiling
+    });
+    if (violations.length > 0) {
+        throw priceError(violations);
+    }
+
+    const [result] = await connection.execute(
+        `INSERT INTO medicine_price_schedules (medicine_id, price, mrp, effective_at, reason, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [medicine.id, price, mrp, effectiveAt, reason ? String(reason).slice(0, 500) : null, adminId]
+    );
+
+    return {
+        schedule_id: result.insertId,
+        medicine_id: medicine.id,
+        price,
+        mrp,
+        effective_at: effectiveAt
+    };
+};
+
+// Cancel a pending schedule; returns false if there is no pending schedule with that id for the medicine
+export const cancelPriceSchedule = async (medicineId, scheduleId, connection = db) => {
+    const [result] = await connection.execute(
+        "UPDATE medicine_price_schedules SET status = 'cancelled' WHERE id = ? AND medicine_id = ? AND status = 'pending'",
+        [scheduleId, medicineId]
+    );
+    return result.affectedRows > 0;
+};
+
+// Apply one due schedule; a schedule that no longer passes the checks is marked failed
+const applySchedule = async (scheduleId) => {
+    try {
+        return await withTransaction(async (connection) => {
+            const [rows] = await connection.execute(
+                "SELECT * FROM medicine_price_schedules WHERE id = ? AND status = 'pending' FOR UPDATE",
+                [scheduleId]
+            );
+            const schedule = rows[0];
+            if (!schedule) return null;
+
+            try {
+                const change = await changeMedicinePrice(connection, schedule.medicine_id, {
+                    price: toAmount(schedule.price),
+                    mrp: toAmount(schedule.mrp),
+                    source: 'scheduled',
+                    reason: schedule.reason,
+                    actorType: 'system',
+                    actorId: schedule.created_by,
+                    scheduleId: schedule.id
+                });
+                await connection.execute(
+                    "UPDATE medicine_price_schedules SET status = 'applied', applied_at = NOW() WHERE id = ?",
+                    [schedule.id]
+                );
+                logAuditTrail('UPDATE', 'medicine_price', schedule.created_by, null, { schedule_id: schedule.id, ...change });
+                return 'applied';
+            } catch (error) {
+                if (error.status !== 400) throw error;
+                await connection.execute(
+                    "UPDATE medicine_price_schedules SET status = 'failed', failure_reason = ? WHERE id = ?",
+                    [error.message.slice(0, 500), schedule.id]
+                );
+                return 'failed';
+            }
+        });
+    } catch (error) {
+        logError(error, { operation: 'apply_price_schedule', schedule_id: scheduleId });
+        return null;
+    }
+};
+
+/**
+ * Apply pending schedules whose effective_at has passed, oldest first.
+ * @returns {Promise<{ applied: number, failed: number }>}
+ */
+export const applyDuePriceChanges = async ({ limit = 100 } = {}) => {
+    const counts = { applied: 0, failed: 0 };
+    try {
+        const [due] = await db.execute(
+            `SELECT id FROM medicine_price_schedules
+             WHERE status = 'pending' AND effective_at <= NOW()
+             ORDER BY effective_at, id
+             LIMIT ${parseInt(limit, 10)}`
+        );
+
+        for (const schedule of due) {
+            const outcome = await applySchedule(schedule.id);
+            if (outcome) counts[outcome]++;
+        }
+        if (counts.applied > 0) {
+            medicineCache.invalidate();
+        }
+    } catch (error) {
+        logError(error, { operation: 'apply_due_price_changes' });
+    }
+    return counts;
+};
+
+export const schedulePriceChangeActivation = (intervalMinutes = 1) => {
+    setInterval(() => {
+        applyDuePriceChanges();
+    }, intervalMinutes * 60 * 1000);
+
+    console.log(`🏷️  Scheduled price changes checked every ${intervalMinutes} minutes`);
+};
+
+/**
+ * Price history of a medicine, newest first, with its pending schedules.
+ * actor_name is the admin's name; scheduled changes (actor_type 'system')
+ * have none, their actor_id is the admin who scheduled them.
+ * @returns {Promise<{ history: object[], total: number, scheduled: object[] }>}
+ */
+export const getPriceHistory = async (medicineId, { limit = 20, offset = 0 } = {}, connection = db) => {
+    const [history] = await connection.execute(
+        `SELECT h.id, h.old_price, h.new_price, h.old_mrp, h.new_mrp, h.source, h.reason,
+                h.actor_type, h.actor_id, a.name as actor_name, h.schedule_id, h.created_at
+         FROM medicine_price_history h
+         LEFT JOIN admins a ON h.actor_type = 'admin' AND h.actor_id = a.id
+         WHERE h.medicine_id = ?
+         ORDER BY h.created_at DESC, h.id DESC
+         LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`,
+        [medicineId]
+    );
+    const [[{ total }]] = await connection.execute(
+        'SELECT COUNT(*) as total FROM medicine_price_history WHERE medicine_id = ?',
+        [medicineId]
+    );
+    const [scheduled] = await connection.execute(
+        `SELECT id, price, mrp, effective_at, reason, created_by, created_at
+         FROM medicine_price_schedules
+         WHERE medicine_id = ? AND status = 'pending'
+         ORDER BY effective_at, id`,
+        [medicineId]
+    );
+
+    return {
+        history: history.map(row => ({
+            ...row,
+            old_price: toAmount(row.old_price),
+            new_price: toAmount(row.new_price),
+            old_mrp: toAmount(row.old_mrp),
+            new_mrp: toAmount(row.new_mrp)
+        })),
+        total: Number(total),
+        scheduled: scheduled.map(row => ({ ...row, price: toAmount(row.price), mrp: toAmount(row.mrp) }))
+    };
+};
+
+export default {
+    PRICE_CHANGE_SOURCES,
+    priceViolations,
+    recordPriceChange,
+    changeMedicinePrice,
+    schedulePriceChange,
+    cancelPriceSchedule,
+    applyDuePriceChanges,
+    schedulePriceChangeActivation,
+    getPriceHistory
+};
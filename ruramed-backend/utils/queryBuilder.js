@@ -449,20 +449,21 @@ export const preparedQueries = {
         create: async (medicineData, userId = null) => {
             const {
                 name, generic_name, manufacturer, category, form, strength,
-                price, mrp, sku, image_url, short_description, requires_prescription
+                price, mrp, sku, image_url, short_description, requires_prescription,
+                hsn_code = '3004', gst_rate = 5, price_ceiling = null
             } = medicineData;
 
 
             const query = `
                 INSERT INTO medicines 
-                (name, generic_name, manufacturer, category, form, strength, price, mrp, sku, image_url, short_description, requires_prescription)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                (name, generic_name, manufacturer, category, form, strength, price, mrp, price_ceiling, sku, hsn_code, gst_rate, image_url, short_description, requires_prescription)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `;
             
             logDatabaseOperation('INSERT', 'medicines', userId, { name, category });
             const [result] = await db.execute(query, [
                 name, generic_name, manufacturer, category, form, strength,
-                price, mrp, sku, image_url, short_description, requires_prescription
+                price, mrp, price_ceiling, sku, hsn_code, gst_rate, image_url, short_description, requires_prescription
             ]);
             return result.insertId;
         }
@@ -501,7 +502,7 @@ export const preparedQueries = {
             const query = `
                 SELECT * FROM doctors 
                 WHERE specialty LIKE ? AND available = 1 
-                ORDER BY rating DESC, experience DESC 
+                ORDER BY rating DESC, review_count DESC, experience DESC 
                 LIMIT ? OFFSET ?
             `;
             const [rows] = await db.execute(query, [`%${specialty}%`, limit, offset]);
@@ -574,58 +575,6 @@ export const preparedQueries = {
             
             const [rows] = await db.execute(query, params);
             return rows;
-        },
-
-
-        create: async (orderData, userId) => {
-            const { user_id, medicines, total_amount, address_id, prescription_id } = orderData;
-            
-            const query = `
-                INSERT INTO orders (user_id, medicines, total_amount, address_id, prescription_id, delivery_address)
-                VALUES (?, ?, ?, ?, ?, ?)
-            `;
-            
-            // Get address for delivery_address field
-            let deliveryAddress = '';
-            if (address_id) {
-                const [addressRows] = await db.execute(
-                    'SELECT address_line1, address_line2, city, state, postal_code FROM addresses WHERE id = ?',
-                    [address_id]
-                );
-                if (addressRows.length > 0) {
-                    const addr = addressRows[0];
-                    deliveryAddress = `${addr.address_line1}${addr.address_line2 ? ', ' + addr.address_line2 : ''}, ${addr.city}, ${addr.state} - ${addr.postal_code}`;
-                }
-            }
-            
-            logDatabaseOperation('INSERT', 'orders', userId, { 
-                order_user_id: user_id, 
-                total_amount,
-                medicine_count: Array.isArray(medicines) ? medicines.length : JSON.parse(medicines).length 
-            });
-            
-            const [result] = await db.execute(query, [
-                user_id, 
-                typeof medicines === 'string' ? medicines : JSON.stringify(medicines), 
-                total_amount, 
-                address_id, 
-                prescription_id,
-                deliveryAddress
-            ]);
-            return result.insertId;
-        },
-
-
-        updateStatus: async (orderId, status, userId = null) => {
-            const query = 'UPDATE orders SET status = ? WHERE id = ?';
-            
-            logDatabaseOperation('UPDATE', 'orders', userId, { 
-                orderId, 
-                newStatus: status 
-            });
-            
-            const [result] = await db.execute(query, [status, orderId]);
-            return result.affectedRows > 0;
         }
     },
 
@@ -0,0 +1,189 @@
+import { db } from '../config/database.js';
+import { serviceAreaCache } from './cache.js';
+import { logError } from './logger.js';
+
+// Service areas are stored in service_areas. boundary_coordinates holds a
+// GeoJSON Polygon or MultiPolygon ([lng, lat] positions, as per the spec);
+// postal_codes is a comma-separated list used when no polygon matches.
+
+const isPosition = (position) =>
+    Array.isArray(position) &&
+    position.length >= 2 &&
+    Number.isFinite(position[0]) && position[0] >= -180 && position[0] <= 180 &&
+    Number.isFinite(position[1]) && position[1] >= -90 && position[1] <= 90;
+
+const validateRing = (ring, label) => {
+    if (!Array.isArray(ring) || ring.length < 4) {
+        return `${label} must have at least 4 positions`;
+    }
+    if (!ring.every(isPosition)) {
+        return `${label} contains an invalid [lng, lat] position`;
+    }
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+        return `${label} must be closed (first and last positions equal)`;
+    }
+    return null;
+};
+
+/**
+ * Validate a GeoJSON Polygon/MultiPolygon (object or JSON string).
+ * Feature wrappers are unwrapped to their geometry.
+ * @returns {{ isValid: boolean, geometry?: object, error?: string }}
+ */
+export const validateBoundary = (boundary) => {
+    let geometry = boundary;
+
+    if (typeof geometry === 'string') {
+        try {
+            geometry = JSON.parse(geometry);
+        } catch {
+            return { isValid: false, error: 'Boundary must be valid GeoJSON' };
+        }
+    }
+
+    if (geometry?.type === 'Feature') {
+        geometry = geometry.geometry;
+    }
+
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+        return { isValid: false, error: 'Boundary must be a GeoJSON Polygon or MultiPolygon' };
+    }
+
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    if (polygons.length === 0) {
+        return { isValid: false, error: 'Boundary has no polygons' };
+    }
+
+    for (const [polygonIndex, rings] of polygons.entries()) {
+        if (!Array.isArray(rings) || rings.length === 0) {
+            return { isValid: false, error: `Polygon ${polygonIndex + 1} has no rings` };
+        }
+        for (const [ringIndex, ring] of rings.entries()) {
+            const error = validateRing(ring, `Polygon ${polygonIndex + 1} ring ${ringIndex + 1}`);
+            if (error) return { isValid: false, error };
+        }
+    }
+
+    return {
+        isValid: true,
+        geometry: { type: geometry.type, coordinates: geometry.coordinates }
+    };
+};
+
+// Ray casting on a single ring of [lng, lat] positions
+const pointInRing = (lat, lng, ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        const crosses = (yi > lat) !== (yj > lat) &&
+            lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+};
+
+// Point-in-polygon for a validated geometry; holes (inner rings) are excluded
+export const pointInBoundary = (lat, lng, geometry) => {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    return polygons.some(([outer, ...holes]) =>
+        pointInRing(lat, lng, outer) && !holes.some(hole => pointInRing(lat, lng, hole))
+    );
+};
+
+// Bounding box of a geometry, in the { northeast, southwest } shape clients already use
+export const boundaryBounds = (geometry) => {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const positions = polygons.flatMap(rings => rings[0]);
+    const lngs = positions.map(p => p[0]);
+    const lats = positions.map(p => p[1]);
+    return {
+        northeast: { lat: Math.max(...lats), lng: Math.max(...lngs) },
+        southwest: { lat: Math.min(...lats), lng: Math.min(...lngs) }
+    };
+};
+
+export const parsePostalCodes = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(code => String(code).trim()).filter(Boolean);
+    }
+    return String(value || '').split(',').map(code => code.trim()).filter(Boolean);
+};
+
+// Turn a service_areas row into the shape used by the resolver and API responses
+const hydrateArea = (row) => {
+    let boundary = null;
+    if (row.boundary_coordinates) {
+        const result = validateBoundary(row.boundary_coordinates);
+        if (result.isValid) {
+            boundary = result.geometry;
+        } else {
+            logError(new Error(`Invalid boundary for service area ${row.id}: ${result.error}`), {
+                operation: 'hydrate_service_area',
+                service_area_id: row.id
+            });
+        }
+    }
+
+    return {
+        ...row,
+        postal_codes: parsePostalCodes(row.postal_codes),
+        boundary_coordinates: boundary,
+        bounds: boundary ? boundaryBounds(boundary) : null
+    };
+};
+
+export const getActiveServiceAreas = async () => {
+    const cached = serviceAreaCache.getAll();
+    if (cached) return cached;
+
+    const [rows] = await db.execute(
+        'SELECT * FROM service_areas WHERE is_active = 1 ORDER BY area_name'
+    );
+    const areas = rows.map(hydrateArea);
+
+    serviceAreaCache.setAll(areas);
+    return areas;
+};
+
+export const getServiceAreaById = async (id) => {
+    const [rows] = await db.execute('SELECT * FROM service_areas WHERE id = ?', [id]);
+    return rows[0] ? hydrateArea(rows[0]) : null;
+};
+
+/**
+ * Resolve the service area for a location. Coordinates are matched against
+ * polygon boundaries first; the postal code is used when there are no
+ * coordinates or no polygon contains the point.
+ * @returns {Promise<{ area: object, matched_by: 'polygon' | 'postal_code' } | null>}
+ */
+export const resolveServiceArea = async ({ lat = null, lng = null, postalCode = null } = {}) => {
+    const areas = await getActiveServiceAreas();
+    const latitude = lat !== null && lat !== undefined ? parseFloat(lat) : NaN;
+    const longitude = lng !== null && lng !== undefined ? parseFloat(lng) : NaN;
+
+    if (!isNaN(latitude) && !isNaN(longitude)) {
+        const area = areas.find(a => a.boundary_coordinates && pointInBoundary(latitude, longitude, a.boundary_coordinates));
+        if (area) return { area, matched_by: 'polygon' };
+    }
+
+    if (postalCode) {
+        const code = String(postalCode).trim();
+        const area = areas.find(a => a.postal_codes.includes(code));
+        if (area) return { area, matched_by: 'postal_code' };
+    }
+
+    return null;
+};
+
+export default {
+    validateBoundary,
+    pointInBoundary,
+    boundaryBounds,
+    parsePostalCodes,
+    getActiveServiceAreas,
+    getServiceAreaById,
+    resolveServiceArea
+};
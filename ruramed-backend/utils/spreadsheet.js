@@ -0,0 +1,283 @@
+import zlib from 'zlib';
+
+// Dependency-free reading of uploaded spreadsheets (CSV and XLSX) and writing
+// of CSV reports. Both readers return the first sheet as an array of rows,
+// each an array of cell strings; numbers come back as written in the file.
+// XLSX support covers what spreadsheet tools save: a zip with shared strings
+// and plain or inline-string cells. Formulas are read as their cached value.
+
+const spreadsheetError = (message) => Object.assign(new Error(message), { status: 400 });
+
+// ---------------------------------------------------------------- CSV
+
+// Pick the delimiter that splits the header line into the most columns
+const detectDelimiter = (text) => {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    return [',', ';', '\t']
+        .map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }))
+        .sort((a, b) => b.count - a.count)[0].delimiter;
+};
+
+// RFC 4180 parsing: quoted fields may hold delimiters, newlines and "" for a quote
+export const parseCsv = (input) => {
+    const text = (Buffer.isBuffer(input) ? input.toString('utf8') : String(input)).replace(/^\ufeff/, '');
+    const delimiter = detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (quoted) {
+        throw spreadsheetError('CSV file has an unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Cells starting with = + - @ are prefixed with ' so spreadsheet tools do not run them as formulas
+const csvCell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => `${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+
+// ---------------------------------------------------------------- XLSX
+
+// Largest decompressed part of a workbook that is read. A 5000-row sheet is a
+// few MB of XML; the cap stops a small, highly compressed upload from
+// inflating to hundreds of MB.
+const MAX_XLSX_PART_BYTES = 32 * 1024 * 1024;
+
+// Sheet size limits of Excel itself; cell references beyond them are damage
+const MAX_XLSX_ROWS = 1048576;
+const MAX_XLSX_COLUMNS = 16384;
+
+// Files in a zip archive by name, read from the central directory. Every
+// offset and length comes from the file, so each is checked against the
+// buffer before use.
+const readZipEntries = (buffer) => {
+    const damaged = () => spreadsheetError('XLSX workbook is damaged');
+    const fits = (offset, length) => offset >= 0 && length >= 0 && offset + length <= buffer.length;
+
+    const minimumEnd = Math.max(0, buffer.length - 65557);
+    let end = -1;
+    for (let offset = buffer.length - 22; offset >= minimumEnd; offset--) {
+        if (buffer.readUInt32LE(offset) === 0x06054b50) {
+            end = offset;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw spreadsheetError('File is not a valid XLSX workbook');
+    }
+
+    const entryCount = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const entries = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (!fits(offset, 46) || buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw damaged();
+        }
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        if (!fits(offset + 46, nameLength)) {
+            throw damaged();
+        }
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        entries.set(name, { method, compressedSize, localOffset });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return {
+        read: (name) => {
+            const entry = entries.get(name);
+            if (!entry) return null;
+            const { localOffset, compressedSize } = entry;
+            if (!fits(localOffset, 30) || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+                throw damaged();
+            }
+            const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+            if (!fits(dataStart, compressedSize)) {
+                throw damaged();
+            }
+            const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+            if (entry.method === 0) {
+                if (data.length > MAX_XLSX_PART_BYTES) throw spreadsheetError('XLSX workbook is too large to import');
+                return data.toString('utf8');
+            }
+            if (entry.method !== 8) {
+                throw spreadsheetError('XLSX workbook uses an unsupported compression method');
+            }
+            try {
+                return zlib.inflateRawSync(data, { maxOutputLength: MAX_XLSX_PART_BYTES }).toString('utf8');
+            } catch (error) {
+                throw error.code === 'ERR_BUFFER_TOO_LARGE'
+                    ? spreadsheetError('XLSX workbook is too large to import')
+                    : damaged();
+            }
+        }
+    };
+};
+
+const decodeXml = (text) => text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const attribute = (attributes, name) => {
+    const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+    return match ? decodeXml(match[1]) : null;
+};
+
+// Text of all <t> runs inside an element (rich text is split into runs)
+const runText = (xml) => [...xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(match => decodeXml(match[1])).join('');
+
+// "C12" -> 2 (zero-based column)
+const columnIndex = (reference) => {
+    const letters = reference.replace(/\d+$/, '');
+    let index = 0;
+    for (const letter of letters) {
+        index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+};
+
+// Path of the first worksheet, from the workbook and its relationships
+const firstSheetPath = (zip) => {
+    const workbook = zip.read('xl/workbook.xml');
+    const relationships = zip.read('xl/_rels/workbook.xml.rels');
+    if (workbook && relationships) {
+        const sheet = workbook.match(/<sheet\b([^>]*)\/?>/);
+        const id = sheet && attribute(sheet[1], 'r:id');
+        const relationship = id && [...relationships.matchAll(/<Relationship\b([^>]*)\/?>/g)]
+            .map(match => match[1])
+            .find(attributes => attribute(attributes, 'Id') === id);
+        const target = relationship && attribute(relationship, 'Target');
+        if (target) {
+            return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+        }
+    }
+    return 'xl/worksheets/sheet1.xml';
+};
+
+export const readXlsx = (buffer, { maxRows = MAX_XLSX_ROWS } = {}) => {
+    const zip = readZipEntries(buffer);
+    const sheetPath = firstSheetPath(zip);
+    const sheet = zip.read(sheetPath);
+    if (!sheet) {
+        throw spreadsheetError('XLSX workbook has no worksheet');
+    }
+
+    const sharedXml = zip.read('xl/sharedStrings.xml') || '';
+    const sharedStrings = [...sharedXml.matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g)].map(match => runText(match[1]));
+
+    const rows = [];
+    for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const rowNumber = Number(attribute(rowMatch[1], 'r')) || rows.length + 1;
+        if (!(rowNumber > rows.length && rowNumber <= MAX_XLSX_ROWS)) {
+            throw spreadsheetError('XLSX workbook is damaged');
+        }
+        if (rowNumber > maxRows) {
+            throw spreadsheetError(`The sheet has more than ${maxRows} rows`);
+        }
+        const cells = [];
+
+        for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const attributes = cellMatch[1];
+            const body = cellMatch[2] || '';
+            const reference = attribute(attributes, 'r');
+            const type = attribute(attributes, 't');
+            const valueMatch = body.match(/<v\b[^>]*>([\s\S]*?)<\/v>/);
+            const raw = valueMatch ? decodeXml(valueMatch[1]) : '';
+
+            let value;
+            if (type === 's') value = sharedStrings[Number(raw)] ?? '';
+            else if (type === 'inlineStr') value = runText(body);
+            else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+            else value = raw;
+
+            const index = reference ? columnIndex(reference) : cells.length;
+            if (!(index >= 0 && index < MAX_XLSX_COLUMNS)) {
+                throw spreadsheetError('XLSX workbook is damaged');
+            }
+            while (cells.length < index) cells.push('');
+            cells[index] = value;
+        }
+
+        // Keep row numbers aligned with the sheet when empty rows are left out
+        while (rows.length < rowNumber - 1) rows.push([]);
+        rows.push(cells);
+    }
+    return rows;
+};
+
+/**
+ * Read an uploaded CSV or XLSX file (multer file with a buffer) into rows.
+ * Legacy .xls files, damaged workbooks and sheets longer than maxRows are
+ * refused with a 400 error.
+ */
+export const readSpreadsheet = (file, { maxRows = MAX_XLSX_ROWS } = {}) => {
+    const name = String(file.originalname || '').toLowerCase();
+    if (name.endsWith('.csv') || file.mimetype === 'text/csv') {
+        return parseCsv(file.buffer);
+    }
+    if (name.endsWith('.xlsx')) {
+        try {
+            return readXlsx(file.buffer, { maxRows });
+        } catch (error) {
+            if (error.status === 400) throw error;
+            throw spreadsheetError('XLSX workbook is damaged');
+        }
+    }
+    throw spreadsheetError('Only CSV and XLSX files can be imported (save .xls files as .xlsx)');
+};
+
+export default {
+    parseCsv,
+    toCsv,
+    readXlsx,
+    readSpreadsheet
+};
@@ -0,0 +1,172 @@
+import { db } from '../config/database.js';
+import { attachStockStatus } from './inventory.js';
+import { tokenize } from './medicineIndex.js';
+
+// Substitutes are other active medicines with the same salt composition,
+// strength and form. generic_name holds the salts ("Paracetamol + Caffeine")
+// and strength the matching amounts ("500mg + 30mg"); both are compared in a
+// normalized form, so salt order, spacing, case and g/mg/mcg units do not
+// matter.
+
+const SALT_SEPARATOR = /\s*(?:\+|,|&|\band\b|\bwith\b)\s*/i;
+const STRENGTH_SEPARATOR = /\s*[+,]\s*/;
+const MASS_UNITS_IN_MG = { g: 1000, mg: 1, mcg: 0.001, ug: 0.001 };
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const normalizeSalt = (salt) => tokenize(salt).join(' ');
+
+// "0.5 g" and "500mg" both become "500mg"; per-volume parts ("/5ml") are kept
+const normalizeStrength = (part) => {
+    const compact = part.toLowerCase().replace(/µ/g, 'u').replace(/\s+/g, '');
+    const match = compact.match(/^(\d+(?:\.\d+)?)(mcg|ug|mg|g)(\/.*)?$/);
+    if (!match) return compact;
+    const milligrams = Number((Number(match[1]) * MASS_UNITS_IN_MG[match[2]]).toFixed(4));
+    return `${milligrams}mg${match[3] || ''}`;
+};
+
+/**
+ * Key shared by medicines that can substitute for each other, or null when
+ * the medicine has no generic name to compare.
+ */
+export const compositionKey = ({ generic_name, strength, form }) => {
+    const salts = String(generic_name || '').split(SALT_SEPARATOR).map(normalizeSalt).filter(Boolean);
+    if (salts.length === 0) return null;
+
+    const strengths = String(strength || '').split(STRENGTH_SEPARATOR).map(normalizeStrength).filter(Boolean);
+
+    // With one strength per salt, pair them before sorting so the amounts stay with their salts
+    const composition = salts.length > 1 && strengths.length === salts.length
+        ? salts.map((salt, index) => `${salt} ${strengths[index]}`).sort().join(' + ')
+        : `${[...salts].sort().join(' + ')} ${strengths.join(' + ')}`;
+
+    return `${composition}|${form}`;
+};
+
+// Active medicines that could share a composition with any of the given ones (narrowed by form and first salt)
+const findCandidates = async (medicines, connection) => {
+    const conditions = [];
+    const params = [];
+    for (const medicine of medicines) {
+        const firstSalt = String(medicine.generic_name || '').split(SALT_SEPARATOR)[0].trim();
+        if (!firstSalt) continue;
+        conditions.push('(form = ? AND generic_name LIKE ?)');
+        params.push(medicine.form, `%${firstSalt.replace(/[\\%_]/g, ch => `\\${ch}`)}%`);
+    }
+    if (conditions.length === 0) return [];
+
+    const [rows] = await connection.execute(
+        `SELECT id, name, generic_name, manufacturer, category, form, strength, price, mrp,
+                image_url, requires_prescription
+         FROM medicines
+         WHERE is_active = 1 AND (${conditions.join(' OR ')})`,
+        params
+    );
+    return rows;
+};
+
+/**
+ * Substitutes for a medicine, cheapest first.
+ * savings_vs_mrp compares each substitute's price with the MRP of the
+ * medicine asked about; price_difference with its selling price (positive
+ * when the substitute is cheaper).
+ * @returns {Promise<{ medicine: object, composition_key: string|null, substitutes: object[] }|null>} null if the medicine does not exist
+ */
+export const getSubstitutes = async (medicineId, connection = db) => {
+    const [medicineRows] = await connection.execute(
+        'SELECT id, name, generic_name, manufacturer, form, strength, price, mrp, is_active FROM medicines WHERE id = ?',
+        [medicineId]
+    );
+    const medicine = medicineRows[0];
+    if (!medicine) return null;
+
+    const key = compositionKey(medicine);
+    const price = parseFloat(medicine.price);
+    const mrp = parseFloat(medicine.mrp);
+
+    const candidates = key ? await findCandidates([medicine], connection) : [];
+    const matches = candidates
+        .filter(candidate => candidate.id !== medicine.id && compositionKey(candidate) === key)
+        .map(candidate => ({
+            ...candidate,
+            price: parseFloat(candidate.price),
+            mrp: parseFloat(candidate.mrp),
+            requires_prescription: !!candidate.requires_prescription
+        }))
+        .sort((a, b) => a.price - b.price || a.name.localeCompare(b.name));
+
+    const substitutes = (await attachStockStatus(matches, connection)).map(substitute => ({
+        ...substitute,
+        savings_vs_mrp: {
+            amount: roundAmount(mrp - substitute.price),
+            percent: mrp > 0 ? roundAmount((mrp - substitute.price) / mrp * 100) : 0
+        },
+        price_difference: roundAmount(price - substitute.price)
+    }));
+
+    return {
+        medicine: {
+            id: medicine.id,
+            name: medicine.name,
+            generic_name: medicine.generic_name,
+            manufacturer: medicine.manufacturer,
+            form: medicine.form,
+            strength: medicine.strength,
+            price,
+            mrp,
+            is_active: !!medicine.is_active
+        },
+        composition_key: key,
+        substitutes
+    };
+};
+
+/**
+ * The cheapest in-stock substitute for each medicine that has one cheaper
+ * than itself, for the "switch to a cheaper generic" hint in cart and checkout.
+ * @param {Array<{ medicine_id: number, generic_name: string, strength: string, form: string, price: number }>} lines
+ * @returns {Promise<Map<number, { medicine_id, name, manufacturer, strength, form, price, mrp, requires_prescription, saving_per_unit }>>}
+ */
+export const findCheaperSubstitutes = async (lines, connection = db) => {
+    const keyed = lines
+        .map(line => ({ ...line, key: compositionKey(line) }))
+        .filter(line => line.key);
+    const hints = new Map();
+    if (keyed.length === 0) return hints;
+
+    const candidates = await attachStockStatus(await findCandidates(keyed, connection), connection);
+    const byKey = new Map();
+    for (const candidate of candidates) {
+        if (candidate.out_of_stock) continue;
+        const key = compositionKey(candidate);
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(candidate);
+    }
+
+    for (const line of keyed) {
+        const cheapest = (byKey.get(line.key) || [])
+            .filter(candidate => candidate.id !== line.medicine_id && parseFloat(candidate.price) < line.price)
+            .reduce((best, candidate) => (!best || parseFloat(candidate.price) < parseFloat(best.price) ? candidate : best), null);
+
+        if (cheapest) {
+            hints.set(line.medicine_id, {
+                medicine_id: cheapest.id,
+                name: cheapest.name,
+                manufacturer: cheapest.manufacturer,
+                strength: cheapest.strength,
+                form: cheapest.form,
+                price: parseFloat(cheapest.price),
+                mrp: parseFloat(cheapest.mrp),
+                requires_prescription: !!cheapest.requires_prescription,
+                saving_per_unit: roundAmount(line.price - parseFloat(cheapest.price))
+            });
+        }
+    }
+    return hints;
+};
+
+export default {
+    compositionKey,
+    getSubstitutes,
+    findCheaperSubstitutes
+};
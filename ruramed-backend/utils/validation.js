@@ -302,6 +302,20 @@ export const validateMedicineData = (medicineData) => {
         errors.push('Price cannot be greater than MRP');
     }
 
+    // Regulatory ceiling price; null clears it
+    if (medicineData.price_ceiling === null) {
+        sanitized.price_ceiling = null;
+    } else if (medicineData.price_ceiling !== undefined && medicineData.price_ceiling !== '') {
+        const ceiling = parseFloat(medicineData.price_ceiling);
+        if (isNaN(ceiling) || ceiling <= 0) {
+            errors.push('Price ceiling must be a positive number');
+        } else if (!isNaN(price) && price > ceiling) {
+            errors.push('Price cannot be above the regulatory ceiling price');
+        } else {
+            sanitized.price_ceiling = ceiling;
+        }
+    }
+
     // Form validation
     const validForms = ['tablet', 'capsule', 'syrup', 'injection', 'cream', 'drops', 'inhaler'];
     if (!validForms.includes(medicineData.form)) {
@@ -310,6 +324,25 @@ export const validateMedicineData = (medicineData) => {
         sanitized.form = medicineData.form;
     }
 
+    // HSN code and GST rate for tax invoices (the database defaults apply when omitted)
+    if (medicineData.hsn_code !== undefined && medicineData.hsn_code !== null && medicineData.hsn_code !== '') {
+        const hsnCode = String(medicineData.hsn_code).trim();
+        if (!/^(\d{4}|\d{6}|\d{8})$/.test(hsnCode)) {
+            errors.push('HSN code must be 4, 6 or 8 digits');
+        } else {
+            sanitized.hsn_code = hsnCode;
+        }
+    }
+
+    if (medicineData.gst_rate !== undefined && medicineData.gst_rate !== null && medicineData.gst_rate !== '') {
+        const gstRate = Number(medicineData.gst_rate);
+        if (![0, 5, 12, 18, 28, 40].includes(gstRate)) {
+            errors.push('GST rate must be one of 0, 5, 12, 18, 28 or 40');
+        } else {
+            sanitized.gst_rate = gstRate;
+        }
+    }
+
     // Sanitize text fields
     ['manufacturer', 'category', 'strength', 'generic_name', 'short_description'].forEach(field => {
         if (medicineData[field]) {
@@ -325,6 +358,108 @@ export const validateMedicineData = (medicineData) => {
     return { isValid: true, sanitized, errors: null };
 };
 
+export const PREGNANCY_CATEGORIES = ['A', 'B', 'C', 'D', 'X'];
+export const LACTATION_CATEGORIES = ['safe', 'caution', 'unsafe', 'unknown'];
+
+// Medicine monograph validation; fields left out are stored as null
+export const validateMonographData = (monographData) => {
+    const errors = [];
+    const sanitized = {
+        composition: null,
+        indications: null,
+        dosage: null,
+        side_effects: null,
+        contraindications: null,
+        warnings: null,
+        pregnancy_category: null,
+        lactation_category: null,
+        storage: null,
+        pack_size: null
+    };
+    const isBlank = (value) => value === undefined || value === null || value === '';
+
+    // Composition: one entry per salt with its strength, e.g. { salt: 'Paracetamol', strength: '500 mg' }
+    if (!isBlank(monographData.composition)) {
+        const composition = monographData.composition;
+        if (!Array.isArray(composition) || composition.length === 0 || composition.length > 10) {
+            errors.push('Composition must be a list of 1 to 10 salts');
+        } else {
+            sanitized.composition = [];
+            composition.forEach((entry, index) => {
+                const salt = typeof entry?.salt === 'string' ? entry.salt.trim() : '';
+                const strength = typeof entry?.strength === 'string' ? entry.strength.trim() : '';
+                if (!salt || salt.length > 100) {
+                    errors.push(`Composition ${index + 1}: salt is required (max 100 characters)`);
+                } else if (!/\d/.test(strength) || strength.length > 50) {
+                    errors.push(`Composition ${index + 1}: strength must include an amount, e.g. "500 mg" (max 50 characters)`);
+                } else {
+                    // Not truncated again after escaping, so entities stay whole (composition is stored as JSON)
+                    sanitized.composition.push({ salt: sanitizeField(salt, Infinity), strength: sanitizeField(strength, Infinity) });
+                }
+            });
+        }
+    }
+
+    // Free text; line breaks are kept. Values are stored HTML-escaped, which
+    // can make them up to 6 times longer: the TEXT columns hold that for the
+    // lengths below, the varchar columns (storage, pack_size) are checked
+    // after escaping so what passes here always fits.
+    const textLimits = {
+        indications: 3000,
+        dosage: 3000,
+        side_effects: 3000,
+        contraindications: 3000,
+        warnings: 3000,
+        storage: 255,
+        pack_size: 100
+    };
+    const columnLimits = { storage: 255, pack_size: 100 };
+    Object.entries(textLimits).forEach(([field, maxLength]) => {
+        const value = monographData[field];
+        if (isBlank(value)) return;
+        if (typeof value !== 'string' || value.trim().length > maxLength) {
+            errors.push(`${field} must be text of at most ${maxLength} characters`);
+            return;
+        }
+        if (!value.trim()) return;
+
+        const escaped = sanitizeField(value.trim(), Infinity);
+        if (columnLimits[field] && escaped.length > columnLimits[field]) {
+            errors.push(`${field} is too long: at most ${columnLimits[field]} characters, counting quotes, & < and > as 5-6 characters each`);
+        } else {
+            sanitized[field] = escaped;
+        }
+    });
+
+    if (!isBlank(monographData.pregnancy_category)) {
+        const category = String(monographData.pregnancy_category).toUpperCase();
+        if (!PREGNANCY_CATEGORIES.includes(category)) {
+            errors.push(`Pregnancy category must be one of ${PREGNANCY_CATEGORIES.join(', ')}`);
+        } else {
+            sanitized.pregnancy_category = category;
+        }
+    }
+
+    if (!isBlank(monographData.lactation_category)) {
+        const category = String(monographData.lactation_category).toLowerCase();
+        if (!LACTATION_CATEGORIES.includes(category)) {
+            errors.push(`Lactation category must be one of ${LACTATION_CATEGORIES.join(', ')}`);
+        } else {
+            sanitized.lactation_category = category;
+        }
+    }
+
+    if (errors.length === 0 && Object.values(sanitized).every(value => value === null)) {
+        errors.push('The monograph needs at least one field');
+    }
+
+    if (errors.length > 0) {
+        return { isValid: false, errors };
+    }
+
+    return { isValid: true, sanitized, errors: null };
+};
+
 // Coordinate validation
 export const validateCoordinates = (lat, lng) => {
     const latitude = parseFloat(lat);